@@ -0,0 +1,408 @@
+/**
+ * Multi-loop Control Architectures
+ * Loops built from more than one controller or plant section, simulated step by step like
+ * the single loop of `simulate`:
+ *  - cascade: an outer PID C2 sets the reference of an inner PID C1, which drives the inner
+ *    section G1 of the process; G1 feeds the outer section G2 (the main plant);
+ *  - feedforward: a measured disturbance d reaches the output through Gd(s) and is
+ *    compensated by Gff(s) added to the PID output, ideally Gff = -Gd / G;
+ *  - smithPredictor: the PID is closed around a delay-free model of the plant, corrected by
+ *    the difference between the measurement and the delayed model.
+ * Depends on `pid_engine.js`, which must be loaded first in the browser; exposes its
+ * functions on `PIDEngine`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./pid_engine.js'));
+    } else {
+        root.PIDEngine = Object.assign(root.PIDEngine || {}, factory(root.PIDEngine));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    'use strict';
+
+    const {
+        createPlant, createController, createReference, createActuator, createDisturbance, createRandom,
+        createTransferFunctionPlant, simulate, stepResponseMetrics, disturbanceRejectionMetrics, loopTransferFunction, rationalPlantModel,
+        trimLeadingZeros, polyAdd, polyMul, polyRoots
+    } = deps;
+
+    // Builders of the loop between the reference and the actuator. Each returns { signals:
+    // names of its internal signals, reset(), output(i, t, dt, sensor): plant output before the
+    // output disturbance, control(i, r, measured, dt): demand, track(applied), step(applied,
+    // load, dt) }, and writes its internal signals into `record[name][i]`. `sensor` holds the
+    // { output, measurement } disturbances of the step.
+    const ARCHITECTURES = {
+        // The load disturbance enters the inner section, where the inner loop rejects it
+        cascade: (config, architecture, record) => {
+            const inner = createPlant(architecture.innerPlant, config.solver);
+            const outer = createPlant(config.plant, config.solver);
+            const innerController = createController(architecture.innerController);
+            const outerController = createController(config.controller);
+            let innerInput = 0;
+            let innerOutput = 0;
+            return {
+                signals: ['innerReference', 'innerError', 'innerOutput'],
+                reset() {
+                    [inner, outer, innerController, outerController].forEach(part => part.reset());
+                    innerInput = 0;
+                    innerOutput = 0;
+                },
+                output(i) {
+                    innerOutput = record.innerOutput[i] = inner.output(innerInput);
+                    return outer.output(innerOutput);
+                },
+                control(i, r, measured, dt) {
+                    const r1 = record.innerReference[i] = outerController.update(r - measured, dt, { reference: r, measurement: measured });
+                    const e1 = record.innerError[i] = r1 - innerOutput;
+                    return innerController.update(e1, dt, { reference: r1, measurement: innerOutput });
+                },
+                track(applied) {
+                    if (typeof innerController.track === 'function') innerController.track(applied);
+                },
+                step(applied, load, dt) {
+                    innerInput = applied + load;
+                    inner.step(innerInput, dt);
+                    outer.step(innerOutput, dt);
+                }
+            };
+        },
+
+        // A feedback-only twin of the loop runs alongside, with the same signals and disturbances,
+        // so the benefit of the feedforward can be measured on the same run
+        feedforward: (config, architecture, record) => {
+            const source = createDisturbance(architecture.disturbance || { type: 'none' }, createRandom((config.seed || 1) + 3));
+            const feedforward = architecture.feedforward
+                ? createPlant(architecture.feedforward, config.solver)
+                : null;
+            const loops = [0, 1].map(() => ({
+                plant: createPlant(config.plant, config.solver),
+                path: createPlant(architecture.disturbancePlant, config.solver),
+                controller: createController(config.controller),
+                actuator: createActuator(config.actuator || {}),
+                input: 0
+            }));
+            const [main, twin] = loops;
+            let d = 0;
+            let compensation = 0;
+            let twinMeasured = 0;
+            let twinApplied = 0;
+            return {
+                signals: ['measuredDisturbance', 'feedback', 'feedforward', 'feedbackOnlyOutput', 'feedbackOnlyControl'],
+                reset() {
+                    source.reset();
+                    if (feedforward) feedforward.reset();
+                    loops.forEach(loop => {
+                        [loop.plant, loop.path, loop.controller, loop.actuator].forEach(part => part.reset());
+                        loop.input = 0;
+                    });
+                    d = 0;
+                    compensation = 0;
+                },
+                output(i, t, dt, sensor) {
+                    d = record.measuredDisturbance[i] = source.sample(t, dt);
+                    // The twin gets the same output disturbance and measurement noise as the main loop
+                    record.feedbackOnlyOutput[i] = twin.plant.output(twin.input) + twin.path.output(d) + sensor.output;
+                    twinMeasured = record.feedbackOnlyOutput[i] + sensor.measurement;
+                    return main.plant.output(main.input) + main.path.output(d);
+                },
+                control(i, r, measured, dt) {
+                    const twinDemand = twin.controller.update(r - twinMeasured, dt, { reference: r, measurement: twinMeasured });
+                    twinApplied = record.feedbackOnlyControl[i] = twin.actuator.apply(twinDemand, dt);
+                    if (typeof twin.controller.track === 'function') twin.controller.track(twinApplied);
+
+                    compensation = record.feedforward[i] = feedforward ? feedforward.output(d) : 0;
+                    record.feedback[i] = main.controller.update(r - measured, dt, { reference: r, measurement: measured });
+                    return record.feedback[i] + compensation;
+                },
+                track(applied) {
+                    // The PID only owns what is left of the applied signal after the feedforward
+                    if (typeof main.controller.track === 'function') main.controller.track(applied - compensation);
+                },
+                step(applied, load, dt) {
+                    main.input = applied + load;
+                    twin.input = twinApplied + load;
+                    loops.forEach(loop => {
+                        loop.plant.step(loop.input, dt);
+                        loop.path.step(d, dt);
+                    });
+                    if (feedforward) feedforward.step(d, dt);
+                }
+            };
+        },
+
+        // With a perfect model the PID sees the delay-free model: the dead time leaves the
+        // characteristic equation and only delays the response
+        smithPredictor: (config, architecture, record) => {
+            const plant = createPlant(config.plant, config.solver);
+            const model = architecture.model || config.plant;
+            const prediction = createTransferFunctionPlant(model.numerator, model.denominator, config.solver);
+            const delayedModel = createPlant({ numerator: model.numerator, denominator: model.denominator, delay: model.delay || 0 }, config.solver);
+            const controller = createController(config.controller);
+            let input = 0;
+            let modelInput = 0;
+            return {
+                signals: ['prediction', 'modelOutput', 'feedbackSignal'],
+                reset() {
+                    [plant, prediction, delayedModel, controller].forEach(part => part.reset());
+                    input = 0;
+                    modelInput = 0;
+                },
+                output(i) {
+                    record.prediction[i] = prediction.output(modelInput);
+                    record.modelOutput[i] = delayedModel.output(modelInput);
+                    return plant.output(input);
+                },
+                control(i, r, measured, dt) {
+                    const feedback = record.feedbackSignal[i] = measured + record.prediction[i] - record.modelOutput[i];
+                    return controller.update(r - feedback, dt, { reference: r, measurement: feedback });
+                },
+                track(applied) {
+                    if (typeof controller.track === 'function') controller.track(applied);
+                },
+                step(applied, load, dt) {
+                    // The model only knows the control signal, not the load disturbance
+                    input = applied + load;
+                    modelInput = applied;
+                    plant.step(input, dt);
+                    prediction.step(modelInput, dt);
+                    delayedModel.step(modelInput, dt);
+                }
+            };
+        }
+    };
+
+    /**
+     * Names of the available architectures, the single loop first.
+     * @returns {string[]} Architecture types.
+     */
+    function architectureTypes() {
+        return ['single', ...Object.keys(ARCHITECTURES)];
+    }
+
+    /**
+     * Runs a closed-loop simulation with the architecture in `config.architecture`; without
+     * one, or with type 'single', it is `simulate`.
+     *
+     * The controllers run at every integration step: digital sampling (`config.sampling`) is
+     * only modelled for the single loop. The prefilter, actuator, disturbances and seed work as
+     * in `simulate`; the main output, its measurement and the actuator are those of the loop
+     * that the reference drives.
+     * @param {object} config - Simulation settings, see `simulate`, plus `architecture`:
+     *  - { type: 'cascade', innerPlant, innerController }: `plant` is the outer section G2 and
+     *    `controller` the outer PID;
+     *  - { type: 'feedforward', disturbancePlant: Gd, disturbance: measured disturbance
+     *    description (see `createDisturbance`), feedforward: Gff or null }, see `idealFeedforward`;
+     *  - { type: 'smithPredictor', model: { numerator, denominator, delay } } (default: the plant,
+     *    or its linearization for a nonlinear model).
+     * @param {object} [hooks] - Optional callbacks, see `simulate`.
+     * @returns {object} The signals of `simulate` plus the internal signals of the architecture:
+     *                   cascade { innerReference, innerError, innerOutput }; feedforward
+     *                   { measuredDisturbance, feedback, feedforward, feedbackOnlyOutput,
+     *                   feedbackOnlyControl } (the last two from the same loop without Gff);
+     *                   smithPredictor { prediction, modelOutput, feedbackSignal }.
+     * @throws {Error} For an unknown architecture or with sampling settings.
+     */
+    function simulateArchitecture(config, hooks = {}) {
+        const architecture = config.architecture || { type: 'single' };
+        if (architecture.type === 'single') return simulate(config, hooks);
+        const build = ARCHITECTURES[architecture.type];
+        if (!build) throw new Error(`Unknown control architecture: ${architecture.type}`);
+        if (config.sampling) throw new Error(`The ${architecture.type} architecture runs its controllers at every step; sampling is only modelled for the single loop.`);
+
+        const { simTime, dt, seed = 1 } = config;
+        const channels = ['input', 'output', 'measurement'].filter(name => {
+            const spec = (config.disturbances || {})[name];
+            return spec && spec.type && spec.type !== 'none';
+        });
+        const sources = {};
+        channels.forEach((name, k) => {
+            sources[name] = createDisturbance(config.disturbances[name], createRandom(seed + k));
+            sources[name].reset();
+        });
+        const ref = createReference(config.reference);
+        const actuator = createActuator(config.actuator || {});
+        const prefilter = config.prefilter
+            ? createTransferFunctionPlant(config.prefilter.numerator, config.prefilter.denominator, config.solver)
+            : null;
+
+        const steps = Math.floor(simTime / dt);
+        const time = Array.from({ length: steps }, (_, i) => i * dt);
+        const signal = () => new Array(steps).fill(0);
+        const reference = signal();
+        const output = signal();
+        const measurement = signal();
+        const error = signal();
+        const control = signal();
+        const demand = signal();
+        const filteredReference = prefilter ? signal() : null;
+        const disturbances = {};
+        channels.forEach(name => { disturbances[name] = signal(); });
+        const record = {};
+        const loop = build(config, architecture, record);
+        loop.signals.forEach(name => { record[name] = signal(); });
+
+        loop.reset();
+        actuator.reset();
+        if (prefilter) prefilter.reset();
+        const progressInterval = Math.max(1, Math.floor(steps / 50));
+
+        for (let i = 0; i < steps; i++) {
+            if (hooks.onProgress && i % progressInterval === 0) hooks.onProgress(i / steps);
+            const t = time[i];
+            reference[i] = ref.valueAt(t);
+            let r = reference[i];
+            if (prefilter) {
+                r = filteredReference[i] = prefilter.output(reference[i]);
+                prefilter.step(reference[i], dt);
+            }
+
+            channels.forEach(name => { disturbances[name][i] = sources[name].sample(t, dt); });
+            const load = disturbances.input ? disturbances.input[i] : 0;
+            const outputDisturbance = disturbances.output ? disturbances.output[i] : 0;
+            const measurementNoise = disturbances.measurement ? disturbances.measurement[i] : 0;
+
+            output[i] = loop.output(i, t, dt, { output: outputDisturbance, measurement: measurementNoise }) + outputDisturbance;
+            measurement[i] = output[i] + measurementNoise;
+            error[i] = r - measurement[i];
+            demand[i] = loop.control(i, r, measurement[i], dt);
+            control[i] = actuator.apply(demand[i], dt);
+            loop.track(control[i]);
+            loop.step(control[i], load, dt);
+        }
+
+        if (hooks.onProgress) hooks.onProgress(1);
+        const result = { time, reference, output, measurement, error, control, demand, ...record };
+        if (prefilter) result.filteredReference = filteredReference;
+        if (channels.length > 0) result.disturbances = disturbances;
+        return result;
+    }
+
+    /**
+     * Feedforward that cancels a measured disturbance, Gff(s) = -Gd(s) / G(s) e^{-(θd - θ)s}.
+     * It is only used as is when it is proper, stable and causal (θd ≥ θ); otherwise the
+     * static gain -Gd(0) / G(0) is used, which still cancels the disturbance in steady state.
+     * @param {object} plant - G(s) { numerator, denominator, delay }.
+     * @param {object} disturbancePlant - Gd(s) { numerator, denominator, delay }.
+     * @param {boolean} [staticOnly=false] - Use the static gain even when the dynamic
+     *                                       feedforward is realizable.
+     * @returns {object} { numerator, denominator, delay, exact: false when reduced to the
+     *                   static gain, reason: why ('improper' | 'unstable' | 'noncausal' |
+     *                   'static' when requested | null) }.
+     */
+    function idealFeedforward(plant, disturbancePlant, staticOnly = false) {
+        const numerator = trimLeadingZeros(polyMul(disturbancePlant.numerator, plant.denominator)).map(c => -c);
+        const denominator = trimLeadingZeros(polyMul(disturbancePlant.denominator, plant.numerator));
+        const delay = (disturbancePlant.delay || 0) - (plant.delay || 0);
+
+        let reason = null;
+        if (staticOnly) reason = 'static';
+        else if (numerator.length > denominator.length) reason = 'improper';
+        else if (polyRoots(denominator).some(root => root.re >= 0)) reason = 'unstable';
+        else if (delay < 0) reason = 'noncausal';
+        if (reason === null) return { numerator, denominator, delay, exact: true, reason };
+
+        // Ratio of the lowest-order terms, which is also the limit when G or Gd has integrators
+        const lowest = (poly) => {
+            const trimmed = trimLeadingZeros(poly);
+            let k = trimmed.length - 1;
+            while (k > 0 && trimmed[k] === 0) k--;
+            return { value: trimmed[k], order: trimmed.length - 1 - k };
+        };
+        const n = lowest(numerator);
+        const d = lowest(denominator);
+        const gain = n.order === d.order && d.value !== 0 ? n.value / d.value : 0;
+        return { numerator: [gain], denominator: [1], delay: 0, exact: false, reason };
+    }
+
+    /**
+     * Plant seen by the main (outer) controller, for the linear analyses of the loop it closes
+     * (margins, poles, root locus, frequency response):
+     *  - cascade: the closed inner loop in series with the outer section, T1(s) G2(s), with
+     *    the inner dead time replaced by a Padé approximation;
+     *  - smithPredictor: Gm(s) + G(s) e^{-θs} - Gm(s) e^{-θm s}, which is the delay-free model
+     *    when the model is exact; otherwise the dead times become Padé approximations;
+     *  - single and feedforward: the plant, since the feedforward does not change the loop.
+     * @param {object} config - Simulation settings, see `simulateArchitecture`.
+     * @param {number} [padeOrder=3] - Padé order for the dead times that enter a polynomial.
+     * @returns {object} { numerator, denominator, delay }.
+     */
+    function architectureLoopPlant(config, padeOrder = 3) {
+        const architecture = config.architecture || { type: 'single' };
+        const { numerator, denominator, delay = 0 } = config.plant;
+        if (architecture.type === 'cascade') {
+            const inner = loopTransferFunction(architecture.innerPlant, architecture.innerController, padeOrder);
+            return {
+                numerator: trimLeadingZeros(polyMul(inner.numerator, numerator)),
+                denominator: trimLeadingZeros(polyMul(polyAdd(inner.denominator, inner.numerator), denominator)),
+                delay
+            };
+        }
+        if (architecture.type === 'smithPredictor') {
+            const model = architecture.model || config.plant;
+            const same = (a, b) => a.length === b.length && a.every((c, k) => c === b[k]);
+            if (same(model.numerator, numerator) && same(model.denominator, denominator) && (model.delay || 0) === delay) {
+                return { numerator, denominator, delay: 0 };
+            }
+            // Gm + (G e^{-θs} - Gm e^{-θm s}) over a common denominator
+            const terms = [
+                { numerator: model.numerator, denominator: model.denominator },
+                rationalPlantModel({ numerator, denominator, delay }, padeOrder),
+                rationalPlantModel({ numerator: model.numerator.map(c => -c), denominator: model.denominator, delay: model.delay || 0 }, padeOrder)
+            ];
+            const sum = terms.reduce((a, b) => ({
+                numerator: polyAdd(polyMul(a.numerator, b.denominator), polyMul(b.numerator, a.denominator)),
+                denominator: polyMul(a.denominator, b.denominator)
+            }));
+            return { numerator: trimLeadingZeros(sum.numerator), denominator: trimLeadingZeros(sum.denominator), delay: 0 };
+        }
+        return { numerator, denominator, delay };
+    }
+
+    /**
+     * Metrics of each loop of an architecture run: how its own output follows its own reference.
+     *  - cascade: 'outer' (r -> y) and 'inner' (r1 -> y1);
+     *  - feedforward: 'feedforward' (r -> y) and 'feedbackOnly' (the same loop without Gff);
+     *  - smithPredictor: 'output' (r -> y) and 'prediction' (r -> delay-free model output);
+     *  - single: 'output'.
+     * @param {object} result - Signals returned by `simulateArchitecture`.
+     * @param {string} type - Architecture type of the run.
+     * @param {object} [options] - { startTime, initialValue } of the reference step and
+     *                             `disturbanceTime`, where the step window ends and the
+     *                             disturbance rejection window starts.
+     * @returns {object[]} { loop, overshoot, settlingTime, iae, rejection } per loop: the step
+     *                     metrics of `stepResponseMetrics` (null without a step), the IAE of the
+     *                     whole run and `disturbanceRejectionMetrics` after `disturbanceTime`
+     *                     (null without one).
+     */
+    function architectureLoopMetrics(result, type, options = {}) {
+        const { startTime = 0, initialValue = 0, disturbanceTime = null } = options;
+        const { time } = result;
+        const reference = result.filteredReference || result.reference;
+        const loops = {
+            cascade: [['outer', reference, result.output], ['inner', result.innerReference, result.innerOutput]],
+            feedforward: [['feedforward', reference, result.output], ['feedbackOnly', reference, result.feedbackOnlyOutput]],
+            smithPredictor: [['output', reference, result.output], ['prediction', reference, result.prediction]]
+        }[type] || [['output', reference, result.output]];
+
+        return loops.map(([loop, r, y]) => {
+            const signals = { time, reference: r, output: y };
+            const step = stepResponseMetrics(signals, { startTime, initialValue, endTime: disturbanceTime === null ? Infinity : disturbanceTime });
+            const whole = disturbanceRejectionMetrics(signals, { startTime: 0 });
+            return {
+                loop,
+                overshoot: step ? step.overshoot : null,
+                settlingTime: step ? step.settlingTime : null,
+                iae: whole ? whole.iae : 0,
+                rejection: disturbanceTime === null ? null : disturbanceRejectionMetrics(signals, { startTime: disturbanceTime })
+            };
+        });
+    }
+
+    return {
+        architectureTypes,
+        simulateArchitecture,
+        idealFeedforward,
+        architectureLoopPlant,
+        architectureLoopMetrics
+    };
+});
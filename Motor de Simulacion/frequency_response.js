@@ -0,0 +1,276 @@
+/**
+ * Frequency Response
+ * Evaluates transfer functions on the imaginary axis for Bode, Nyquist and Nichols plots:
+ * the plant G, the controller C, the loop L = C G and the closed-loop T = L / (1 + L) and
+ * S = 1 / (1 + L), and the stability margins read from them. Plant dead time enters
+ * exactly as e^{-jωθ}. Loaded after `pid_engine.js`; exposes its functions on `PIDEngine`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./pid_engine.js'));
+    } else {
+        root.PIDEngine = Object.assign(root.PIDEngine || {}, factory(root.PIDEngine));
+    }
+})(typeof self !== 'undefined' ? self : this, function (engine) {
+    'use strict';
+
+    const { complex, cAdd, cMul, cDiv, cAbs, cArg } = engine;
+
+    /**
+     * Logarithmically spaced frequencies.
+     * @param {number} wMin - First frequency (rad/s).
+     * @param {number} wMax - Last frequency (rad/s).
+     * @param {number} [count=400] - Number of points.
+     * @returns {number[]} Frequencies from wMin to wMax.
+     */
+    function logspace(wMin, wMax, count = 400) {
+        const a = Math.log10(wMin);
+        const b = Math.log10(wMax);
+        return Array.from({ length: count }, (_, i) => Math.pow(10, a + (b - a) * i / (count - 1)));
+    }
+
+    /**
+     * Picks a frequency range two decades beyond the slowest and fastest poles and zeros
+     * (and 1/θ for a delay), rounded to whole decades.
+     * @param {object[]} models - Transfer functions { numerator, denominator, delay }.
+     * @returns {object} { wMin, wMax } in rad/s.
+     */
+    function frequencyRange(models) {
+        const corners = [];
+        models.forEach(({ numerator, denominator, delay = 0 }) => {
+            [numerator, denominator].forEach(p => {
+                engine.polyRoots(p).forEach(r => {
+                    const w = cAbs(r);
+                    if (w > 0 && isFinite(w)) corners.push(w);
+                });
+            });
+            if (delay > 0) corners.push(1 / delay);
+        });
+        if (corners.length === 0) return { wMin: 0.01, wMax: 100 };
+
+        const low = Math.floor(Math.log10(Math.min(...corners))) - 2;
+        const high = Math.ceil(Math.log10(Math.max(...corners))) + 2;
+        return { wMin: Math.pow(10, Math.max(-4, low)), wMax: Math.pow(10, Math.min(6, high)) };
+    }
+
+    /**
+     * Evaluates N(jω) / D(jω) e^{-jωθ}.
+     * @param {object} model - { numerator, denominator, delay }.
+     * @param {number} w - Frequency (rad/s).
+     * @param {boolean} [withDelay=true] - Whether to include the delay factor.
+     * @returns {object} The complex value { re, im }.
+     */
+    function evaluateAt(model, w, withDelay = true) {
+        const s = complex(0, w);
+        const value = cDiv(engine.polyEvalComplex(model.numerator, s), engine.polyEvalComplex(model.denominator, s));
+        const delay = model.delay || 0;
+        return withDelay && delay > 0 ? cMul(value, complex(Math.cos(w * delay), -Math.sin(w * delay))) : value;
+    }
+
+    /**
+     * Turns complex samples into plot-ready curves. The phase is unwrapped so it stays
+     * continuous across ±180°. A delay's phase -ωθ changes too fast to unwrap from
+     * log-spaced samples, so it is passed separately and added after unwrapping.
+     * @param {object[]} values - Complex samples { re, im }, without the delay factor.
+     * @param {number[]} [delayPhase] - Delay phase per sample, in radians.
+     * @returns {object} { re, im, magnitude, magnitudeDb, phase (degrees) }.
+     */
+    function describeResponse(values, delayPhase = null) {
+        const phase = [];
+        values.forEach((v, i) => {
+            let p = cArg(v) * 180 / Math.PI;
+            if (i > 0 && isFinite(phase[i - 1])) {
+                p += 360 * Math.round((phase[i - 1] - p) / 360);
+            }
+            phase.push(p);
+        });
+        const rotated = delayPhase
+            ? values.map((v, i) => cMul(v, complex(Math.cos(delayPhase[i]), Math.sin(delayPhase[i]))))
+            : values;
+        const magnitude = values.map(cAbs);
+        return {
+            re: rotated.map(v => v.re),
+            im: rotated.map(v => v.im),
+            magnitude,
+            magnitudeDb: magnitude.map(m => 20 * Math.log10(m)),
+            phase: delayPhase ? phase.map((p, i) => p + delayPhase[i] * 180 / Math.PI) : phase
+        };
+    }
+
+    /**
+     * Phase of a model's delay factor, -ωθ, or null without delay.
+     * @returns {number[]|null} Phase per frequency, in radians.
+     */
+    function delayPhaseOf(model, omega) {
+        return model.delay > 0 ? omega.map(w => -w * model.delay) : null;
+    }
+
+    /**
+     * Frequency response of a single transfer function.
+     * @param {object} model - { numerator, denominator, delay }.
+     * @param {number[]} omega - Frequencies (rad/s).
+     * @returns {object} See `describeResponse`.
+     */
+    function frequencyResponse(model, omega) {
+        return describeResponse(omega.map(w => evaluateAt(model, w, false)), delayPhaseOf(model, omega));
+    }
+
+    /**
+     * Frequency responses of the feedback loop around a plant and a PID controller.
+     * @param {object} plant - { numerator, denominator, delay }.
+     * @param {object} controller - PID description, see `controllerTransferFunction`.
+     * @param {object} [options] - { omega: frequencies, or { points } for an automatic range }.
+     * @returns {object} { omega, G, C, L, T, S }, each curve as in `describeResponse`.
+     */
+    function loopFrequencyResponse(plant, controller, options = {}) {
+        const C = engine.controllerTransferFunction(controller);
+        const omega = options.omega || (() => {
+            const { wMin, wMax } = frequencyRange([plant, C]);
+            return logspace(wMin, wMax, options.points || 400);
+        })();
+
+        const delayPhase = delayPhaseOf(plant, omega);
+        const g = omega.map(w => evaluateAt(plant, w, false));
+        const c = omega.map(w => evaluateAt(C, w));
+        const l = g.map((v, i) => cMul(v, c[i]));
+        const G = describeResponse(g, delayPhase);
+        const L = describeResponse(l, delayPhase);
+
+        // Closed loop from the full loop value, delay included
+        const one = complex(1, 0);
+        const loop = L.re.map((re, i) => complex(re, L.im[i]));
+        const s = loop.map(v => cDiv(one, cAdd(one, v)));
+        const t = loop.map((v, i) => cMul(v, s[i]));
+
+        return {
+            omega,
+            G,
+            C: describeResponse(c),
+            L,
+            T: describeResponse(t),
+            S: describeResponse(s)
+        };
+    }
+
+    /**
+     * Bisects a sign change of `f` on a logarithmic frequency axis.
+     * @returns {number} The frequency where `f` changes sign.
+     */
+    function bisectLog(f, wLow, wHigh) {
+        let a = Math.log(wLow);
+        let b = Math.log(wHigh);
+        const fa = f(wLow);
+        for (let k = 0; k < 60; k++) {
+            const m = (a + b) / 2;
+            if (Math.sign(f(Math.exp(m))) === Math.sign(fa)) a = m; else b = m;
+        }
+        return Math.exp((a + b) / 2);
+    }
+
+    /**
+     * Stability margins and robustness measures of the unity-feedback loop, computed
+     * from L(jω) = C(jω) G(jω) with the exact delay:
+     *  - gain margin (and the phase crossover where ∠L = -180°), the smallest in dB over
+     *    all crossovers;
+     *  - phase margin (and the gain crossover where |L| = 1), the smallest over all
+     *    crossovers, and the delay margin PM / ωc before the loop goes unstable;
+     *  - maximum sensitivity Ms = max |S(jω)|;
+     *  - closed-loop bandwidth, where |T| first drops 3 dB below its low-frequency value.
+     * Missing crossovers give infinite margins (or a null bandwidth). Margins only describe
+     * robustness when the closed loop is stable, see `closedLoopPoles`.
+     * @param {object} plant - { numerator, denominator, delay }.
+     * @param {object} controller - PID description.
+     * @param {object} [options] - { points: grid size before refinement (default 2000) }.
+     * @returns {object} { gainMargin, gainMarginDb, phaseCrossover, phaseMargin, gainCrossover,
+     *                    delayMargin, ms, msFrequency, bandwidth }.
+     */
+    function stabilityMargins(plant, controller, options = {}) {
+        const C = engine.controllerTransferFunction(controller);
+        const { wMin, wMax } = frequencyRange([plant, C]);
+        const omega = logspace(wMin, wMax, options.points || 2000);
+        const loopAt = (w) => cMul(evaluateAt(plant, w), evaluateAt(C, w));
+        const L = omega.map(loopAt);
+        const one = complex(1, 0);
+
+        let phaseMargin = Infinity;
+        let gainCrossover = null;
+        let delayMargin = Infinity;
+        let gainMargin = Infinity;
+        let phaseCrossover = null;
+
+        for (let i = 1; i < omega.length; i++) {
+            // Gain crossover: log|L| changes sign
+            const g0 = Math.log(cAbs(L[i - 1]));
+            const g1 = Math.log(cAbs(L[i]));
+            if (isFinite(g0) && isFinite(g1) && Math.sign(g0) !== Math.sign(g1)) {
+                const wc = bisectLog(w => Math.log(cAbs(loopAt(w))), omega[i - 1], omega[i]);
+                let pm = (cArg(loopAt(wc)) * 180 / Math.PI + 180) % 360;
+                if (pm > 180) pm -= 360;
+                if (pm < phaseMargin) {
+                    phaseMargin = pm;
+                    gainCrossover = wc;
+                }
+                delayMargin = Math.min(delayMargin, pm > 0 ? (pm * Math.PI / 180) / wc : 0);
+            }
+
+            // Phase crossover: L crosses the negative real axis
+            if (Math.sign(L[i - 1].im) !== Math.sign(L[i].im) && (L[i - 1].re < 0 || L[i].re < 0)) {
+                const wp = bisectLog(w => loopAt(w).im, omega[i - 1], omega[i]);
+                const value = loopAt(wp);
+                if (value.re < 0) {
+                    const gm = 1 / cAbs(value);
+                    if (Math.abs(Math.log(gm)) < Math.abs(Math.log(gainMargin))) {
+                        gainMargin = gm;
+                        phaseCrossover = wp;
+                    }
+                }
+            }
+        }
+
+        // Maximum sensitivity
+        let ms = 0;
+        let msFrequency = null;
+        L.forEach((v, i) => {
+            const s = cAbs(cDiv(one, cAdd(one, v)));
+            if (s > ms) {
+                ms = s;
+                msFrequency = omega[i];
+            }
+        });
+
+        // Bandwidth: first -3 dB point of |T| relative to its low-frequency gain
+        const closedLoopGain = (w) => {
+            const v = loopAt(w);
+            return cAbs(cDiv(v, cAdd(one, v)));
+        };
+        const threshold = closedLoopGain(omega[0]) / Math.SQRT2;
+        let bandwidth = null;
+        for (let i = 1; i < omega.length && threshold > 0; i++) {
+            if (closedLoopGain(omega[i]) < threshold) {
+                bandwidth = bisectLog(w => closedLoopGain(w) - threshold, omega[i - 1], omega[i]);
+                break;
+            }
+        }
+
+        return {
+            gainMargin,
+            gainMarginDb: 20 * Math.log10(gainMargin),
+            phaseCrossover,
+            phaseMargin,
+            gainCrossover,
+            delayMargin,
+            ms,
+            msFrequency,
+            bandwidth
+        };
+    }
+
+    return {
+        logspace,
+        frequencyRange,
+        evaluateAt,
+        frequencyResponse,
+        loopFrequencyResponse,
+        stabilityMargins
+    };
+});
@@ -0,0 +1,255 @@
+/**
+ * Numerical Integrators
+ * Fixed-step, exact (matrix exponential) and adaptive solvers used by the simulation
+ * engine to advance plant states over one simulation step with the input held constant
+ * (zero-order hold). Loaded before `pid_engine.js`; exposes its functions on `PIDEngine`.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.PIDEngine = Object.assign(root.PIDEngine || {}, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // --- Matrix helpers ---
+
+    function identity(n) {
+        return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+    }
+
+    function matMul(X, Y) {
+        const n = X.length, m = Y[0] ? Y[0].length : 0, k = Y.length;
+        const Z = Array.from({ length: n }, () => new Array(m).fill(0));
+        for (let i = 0; i < n; i++) {
+            for (let p = 0; p < k; p++) {
+                const xip = X[i][p];
+                if (xip === 0) continue;
+                for (let j = 0; j < m; j++) Z[i][j] += xip * Y[p][j];
+            }
+        }
+        return Z;
+    }
+
+    function matVec(X, v) {
+        return X.map(row => row.reduce((sum, val, j) => sum + val * v[j], 0));
+    }
+
+    /**
+     * Solves X * Z = Y for Z using Gaussian elimination with partial pivoting.
+     * @param {number[][]} X - Square coefficient matrix.
+     * @param {number[][]} Y - Right-hand side matrix.
+     * @returns {number[][]} The solution matrix Z.
+     */
+    function solveLinear(X, Y) {
+        const n = X.length;
+        const M = X.map((row, i) => [...row, ...Y[i]]);
+        const width = M[0] ? M[0].length : 0;
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < n; r++) {
+                if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+            }
+            if (M[pivot][col] === 0) throw new Error('Singular matrix.');
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+
+            for (let r = 0; r < n; r++) {
+                if (r === col) continue;
+                const factor = M[r][col] / M[col][col];
+                if (factor === 0) continue;
+                for (let c = col; c < width; c++) M[r][c] -= factor * M[col][c];
+            }
+        }
+        return M.map((row, i) => row.slice(n).map(v => v / M[i][i]));
+    }
+
+    /**
+     * Matrix exponential by scaling and squaring with a (6,6) Padé approximant.
+     * @param {number[][]} M - Square matrix.
+     * @returns {number[][]} e^M.
+     */
+    function expm(M) {
+        const n = M.length;
+        if (n === 0) return [];
+
+        const norm = Math.max(...M.map(row => row.reduce((sum, v) => sum + Math.abs(v), 0)));
+        const squarings = norm > 0.5 ? Math.ceil(Math.log2(norm / 0.5)) : 0;
+        const X = M.map(row => row.map(v => v / Math.pow(2, squarings)));
+
+        const q = 6;
+        let c = 1;
+        let Xk = identity(n);
+        let N = identity(n);
+        let D = identity(n);
+        for (let k = 1; k <= q; k++) {
+            c = c * (q - k + 1) / (k * (2 * q - k + 1));
+            Xk = matMul(Xk, X);
+            const sign = k % 2 === 0 ? 1 : -1;
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    N[i][j] += c * Xk[i][j];
+                    D[i][j] += sign * c * Xk[i][j];
+                }
+            }
+        }
+
+        let E = solveLinear(D, N);
+        for (let s = 0; s < squarings; s++) E = matMul(E, E);
+        return E;
+    }
+
+    /**
+     * Exact zero-order-hold discretization of dx/dt = A x + B u over one step.
+     * @param {number[][]} A - State matrix.
+     * @param {number[]} B - Input matrix.
+     * @param {number} dt - Time step.
+     * @returns {object} {Ad, Bd} such that x[k+1] = Ad x[k] + Bd u[k].
+     */
+    function discretizeZOH(A, B, dt) {
+        const n = A.length;
+        const M = Array.from({ length: n + 1 }, (_, i) =>
+            Array.from({ length: n + 1 }, (_, j) => {
+                if (i === n) return 0;
+                return (j < n ? A[i][j] : B[i]) * dt;
+            })
+        );
+        const E = expm(M);
+        return {
+            Ad: E.slice(0, n).map(row => row.slice(0, n)),
+            Bd: E.slice(0, n).map(row => row[n])
+        };
+    }
+
+    // --- Fixed-step solvers ---
+
+    /**
+     * Forward Euler step.
+     * @param {Function} f - Derivative function, x -> dx/dt.
+     * @param {number[]} x - Current state vector.
+     * @param {number} dt - Time step.
+     * @returns {number[]} The new state vector.
+     */
+    function eulerStep(f, x, dt) {
+        const dx = f(x);
+        return x.map((v, i) => v + dt * dx[i]);
+    }
+
+    /**
+     * Classic 4th order Runge-Kutta step.
+     * @param {Function} f - Derivative function, x -> dx/dt.
+     * @param {number[]} x - Current state vector.
+     * @param {number} dt - Time step.
+     * @returns {number[]} The new state vector.
+     */
+    function rk4Step(f, x, dt) {
+        const k1 = f(x).map(v => v * dt);
+        const k2 = f(x.map((v, i) => v + 0.5 * k1[i])).map(v => v * dt);
+        const k3 = f(x.map((v, i) => v + 0.5 * k2[i])).map(v => v * dt);
+        const k4 = f(x.map((v, i) => v + k3[i])).map(v => v * dt);
+
+        return x.map((v, i) => v + (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]) / 6);
+    }
+
+    // --- Adaptive solver ---
+
+    // Dormand-Prince 5(4) tableau
+    const DP_A = [
+        [],
+        [1 / 5],
+        [3 / 40, 9 / 40],
+        [44 / 45, -56 / 15, 32 / 9],
+        [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+        [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+        [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+    ];
+    const DP_B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+    const DP_B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+    /**
+     * Creates an adaptive Dormand-Prince RK45 solver. The accepted step size is carried
+     * over between calls, so consecutive simulation steps do not restart from scratch.
+     * @param {object} [options] - { rtol, atol, maxSteps }; both tolerances must be
+     *                             positive finite numbers.
+     * @returns {object} Solver with `reset()` and `step(f, x, dt)` methods.
+     */
+    function createDormandPrince(options = {}) {
+        const { rtol = 1e-6, atol = 1e-9, maxSteps = 100000 } = options;
+        if (!(rtol > 0 && isFinite(rtol)) || !(atol > 0 && isFinite(atol))) {
+            throw new Error(`RK45: tolerances must be positive numbers (rtol = ${rtol}, atol = ${atol}).`);
+        }
+        let h = null;
+
+        return {
+            reset() {
+                h = null;
+            },
+            step(f, x, dt) {
+                let t = 0;
+                let xCur = x;
+                if (h === null) h = dt;
+                let count = 0;
+
+                while (t < dt) {
+                    if (++count > maxSteps) throw new Error('RK45: maximum number of internal steps exceeded.');
+                    const hStep = Math.min(h, dt - t);
+
+                    const k = [];
+                    for (let s = 0; s < 7; s++) {
+                        const xs = xCur.map((v, i) => v + hStep * DP_A[s].reduce((sum, a, j) => sum + a * k[j][i], 0));
+                        k.push(f(xs));
+                    }
+                    const x5 = xCur.map((v, i) => v + hStep * DP_B5.reduce((sum, b, j) => sum + b * k[j][i], 0));
+                    const x4 = xCur.map((v, i) => v + hStep * DP_B4.reduce((sum, b, j) => sum + b * k[j][i], 0));
+
+                    let errNorm = 0;
+                    for (let i = 0; i < x5.length; i++) {
+                        const scale = atol + rtol * Math.max(Math.abs(xCur[i]), Math.abs(x5[i]));
+                        errNorm += Math.pow((x5[i] - x4[i]) / scale, 2);
+                    }
+                    errNorm = x5.length > 0 ? Math.sqrt(errNorm / x5.length) : 0;
+
+                    const factor = errNorm === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * Math.pow(errNorm, -0.2)));
+                    if (errNorm <= 1) {
+                        t += hStep;
+                        xCur = x5;
+                        // Only grow the carried step from full steps, not from the last clipped one
+                        if (hStep === h) h = hStep * factor;
+                    } else {
+                        h = hStep * factor;
+                        if (h < dt * 1e-12) throw new Error('RK45: step size underflow.');
+                    }
+                }
+                return xCur;
+            }
+        };
+    }
+
+    /**
+     * Creates a solver for a nonlinear or linear ODE from a solver description.
+     * @param {object} [solver] - { method: 'euler' | 'rk4' | 'rk45', rtol, atol }.
+     * @returns {object} Solver with `reset()` and `step(f, x, dt)` methods.
+     */
+    function createIntegrator(solver = {}) {
+        switch (solver.method || 'rk4') {
+            case 'euler': return { reset() {}, step: eulerStep };
+            case 'rk4': return { reset() {}, step: rk4Step };
+            case 'rk45': return createDormandPrince(solver);
+            default: throw new Error(`Unknown solver: ${solver.method}`);
+        }
+    }
+
+    return {
+        matMul,
+        matVec,
+        solveLinear,
+        expm,
+        discretizeZOH,
+        eulerStep,
+        rk4Step,
+        createDormandPrince,
+        createIntegrator
+    };
+});
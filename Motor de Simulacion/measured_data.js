@@ -0,0 +1,179 @@
+/**
+ * Measured Data
+ * Import of logged responses from delimited text (CSV), resampling onto the simulation
+ * time grid and fit metrics between measured and simulated signals. Has no dependencies;
+ * exposes its functions on `PIDEngine`.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.PIDEngine = Object.assign(root.PIDEngine || {}, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Picks the field delimiter of a line: tab, semicolon, comma or whitespace.
+     * With decimal commas the comma can only be part of a number.
+     * @param {string} line - A data line.
+     * @param {boolean} decimalComma - Whether numbers use a decimal comma.
+     * @returns {string} '\t', ';', ',' or ' ' (any run of whitespace).
+     */
+    function detectDelimiter(line, decimalComma) {
+        if (line.includes('\t')) return '\t';
+        if (line.includes(';')) return ';';
+        if (line.includes(',') && !decimalComma) return ',';
+        return ' ';
+    }
+
+    /**
+     * Splits a line into trimmed fields, dropping the quotes around quoted fields.
+     * @param {string} line - The line to split.
+     * @param {string} delimiter - '\t', ';', ',' or ' ' for any run of whitespace.
+     * @returns {string[]} The fields.
+     */
+    function splitFields(line, delimiter) {
+        const fields = delimiter === ' ' ? line.trim().split(/\s+/) : line.split(delimiter);
+        return fields.map(field => field.trim().replace(/^"(.*)"$/, '$1').trim());
+    }
+
+    /**
+     * Parses a numeric field, with an optional decimal comma.
+     * @param {string} field - The field text.
+     * @param {boolean} decimalComma - Whether the decimal separator is a comma.
+     * @returns {number} The value, or NaN when the field is not a number.
+     */
+    function parseNumber(field, decimalComma) {
+        const text = decimalComma ? field.replace(',', '.') : field;
+        return text === '' ? NaN : Number(text);
+    }
+
+    /**
+     * Parses a logged response from delimited text.
+     *
+     * Blank lines and lines starting with '#' are ignored. A first line that is not numeric
+     * is the header naming the columns. Every other row must hold numbers in the selected
+     * columns and time must strictly increase.
+     * @param {string} text - File contents.
+     * @param {object} [options] - { delimiter: 'auto' | ',' | ';' | '\t' | ' ' (default 'auto'),
+     *                             decimalComma (default false), columns: zero-based
+     *                             { time, reference, output, control } indices, where
+     *                             reference and control may be null (default 0, 1, 2, null) }.
+     * @returns {object} { time, reference, output, control, header }; reference and control
+     *                   are null when their column is not selected, header is null without one.
+     * @throws {Error} With the line (and column) of the first invalid field.
+     */
+    function parseMeasuredData(text, options = {}) {
+        const { delimiter = 'auto', decimalComma = false } = options;
+        const columns = { time: 0, reference: 1, output: 2, control: null, ...options.columns };
+        if (decimalComma && delimiter === ',') {
+            throw new Error('The comma cannot be both the delimiter and the decimal separator.');
+        }
+        const selected = Object.entries(columns).filter(([, index]) => index !== null && index !== undefined);
+        selected.forEach(([name, index]) => {
+            if (!Number.isInteger(index) || index < 0) throw new Error(`Invalid ${name} column: ${index}.`);
+        });
+        const needed = Math.max(...selected.map(([, index]) => index)) + 1;
+
+        const data = { time: [], reference: [], output: [], control: [] };
+        let header = null;
+        let separator = delimiter === 'auto' ? null : delimiter;
+        let firstLine = null;
+        text.split(/\r?\n/).forEach((line, lineIndex) => {
+            if (line.trim() === '' || line.trim().startsWith('#')) return;
+            const lineNumber = lineIndex + 1;
+            if (firstLine === null) firstLine = lineNumber;
+            const fields = splitFields(line, separator || detectDelimiter(line, decimalComma));
+            const values = fields.map(field => parseNumber(field, decimalComma));
+
+            if (lineNumber === firstLine && selected.some(([, index]) => index < fields.length && !isFinite(values[index]))) {
+                header = fields;
+                return;
+            }
+            if (!separator) separator = detectDelimiter(line, decimalComma);
+            if (fields.length < needed) {
+                throw new Error(`Line ${lineNumber}: expected at least ${needed} columns, found ${fields.length}.`);
+            }
+            selected.forEach(([name, index]) => {
+                if (!isFinite(values[index])) {
+                    throw new Error(`Line ${lineNumber}, column ${index + 1} (${name}): "${fields[index]}" is not a number.`);
+                }
+            });
+            const t = values[columns.time];
+            const last = data.time[data.time.length - 1];
+            if (data.time.length > 0 && !(t > last)) {
+                throw new Error(`Line ${lineNumber}: time ${t} does not increase (previous ${last}).`);
+            }
+            selected.forEach(([name, index]) => data[name].push(values[index]));
+        });
+
+        if (data.time.length < 2) throw new Error('The file needs at least two data rows.');
+        const optional = (name) => (columns[name] === null || columns[name] === undefined ? null : data[name]);
+        return { time: data.time, reference: optional('reference'), output: data.output, control: optional('control'), header };
+    }
+
+    /**
+     * Resamples a signal onto another time grid by linear interpolation.
+     * @param {number[]} time - Increasing sample times of the signal.
+     * @param {number[]} values - Signal samples.
+     * @param {number[]} grid - Increasing target times.
+     * @returns {number[]} Values on the grid; NaN outside the signal's time span.
+     */
+    function resampleSignal(time, values, grid) {
+        const last = time.length - 1;
+        let k = 0;
+        return grid.map(t => {
+            if (t < time[0] || t > time[last]) return NaN;
+            while (k < last - 1 && time[k + 1] < t) k++;
+            const t0 = time[k], t1 = time[k + 1];
+            return values[k] + (values[k + 1] - values[k]) * (t - t0) / (t1 - t0);
+        });
+    }
+
+    /**
+     * Fit between a measured and a simulated signal on the same grid. Samples where
+     * either one is not finite (e.g. outside the measured span) are skipped.
+     *
+     * The NRMSE fit is 100·(1 - ‖y - ŷ‖ / ‖y - mean(y)‖): 100% is a perfect match and
+     * 0% is no better than the mean of the measurement.
+     * @param {number[]} measured - Measured samples y.
+     * @param {number[]} simulated - Simulated samples ŷ.
+     * @param {number[]} [time] - Sample times, to locate the maximum deviation.
+     * @returns {object|null} { rmse, fit (null for a constant measurement), maxDeviation,
+     *                        maxDeviationTime, samples }, or null without common samples.
+     */
+    function fitMetrics(measured, simulated, time) {
+        const pairs = [];
+        measured.forEach((y, i) => {
+            if (isFinite(y) && isFinite(simulated[i])) pairs.push(i);
+        });
+        if (pairs.length === 0) return null;
+
+        const mean = pairs.reduce((sum, i) => sum + measured[i], 0) / pairs.length;
+        let errorSquares = 0, spreadSquares = 0, maxDeviation = 0, maxIndex = pairs[0];
+        pairs.forEach(i => {
+            const error = measured[i] - simulated[i];
+            errorSquares += error * error;
+            spreadSquares += (measured[i] - mean) ** 2;
+            if (Math.abs(error) > maxDeviation) {
+                maxDeviation = Math.abs(error);
+                maxIndex = i;
+            }
+        });
+        return {
+            rmse: Math.sqrt(errorSquares / pairs.length),
+            fit: spreadSquares > 0 ? 100 * (1 - Math.sqrt(errorSquares / spreadSquares)) : null,
+            maxDeviation,
+            maxDeviationTime: time ? time[maxIndex] : null,
+            samples: pairs.length
+        };
+    }
+
+    return {
+        parseMeasuredData,
+        resampleSignal,
+        fitMetrics
+    };
+});
@@ -0,0 +1,211 @@
+/**
+ * Nonlinear Plant Library
+ * Physical models simulated from their differential equations instead of a transfer
+ * function: pendulum, inverted pendulum, DC motor with Coulomb friction, tank with
+ * Torricelli outflow and heater-driven thermal system. Each model also gives its
+ * linearization, which the polynomial and frequency analyses use in place of the model.
+ * Loaded after `integrators.js` and before `pid_engine.js`; exposes its functions on `PIDEngine`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./integrators.js'));
+    } else {
+        root.PIDEngine = Object.assign(root.PIDEngine || {}, factory(root.PIDEngine));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    'use strict';
+
+    const { createIntegrator } = deps;
+
+    /**
+     * Pendulum driven by a torque at its pivot, hanging (sign = -1) or inverted (sign = +1):
+     * m L² θ'' = τ - b θ' + sign · m g L sin θ. States [θ, ω], output θ in rad.
+     * @param {number} sign - -1 for the hanging pendulum, +1 for the inverted one.
+     * @returns {object} Model definition.
+     */
+    function pendulumModel(sign) {
+        return {
+            defaults: { mass: 1, length: 1, damping: 0.1, gravity: 9.81, initialAngle: 0 },
+            units: { input: 'N·m', output: 'rad' },
+            initialState: (p) => [p.initialAngle, 0],
+            derivative: ([theta, omega], u, p) => {
+                const inertia = p.mass * p.length * p.length;
+                return [omega, (u - p.damping * omega + sign * p.mass * p.gravity * p.length * Math.sin(theta)) / inertia];
+            },
+            output: ([theta]) => theta,
+            linearize: (p) => {
+                const inertia = p.mass * p.length * p.length;
+                return { numerator: [1 / inertia], denominator: [1, p.damping / inertia, -sign * p.gravity / p.length] };
+            }
+        };
+    }
+
+    // Model definitions. Parameters (SI units):
+    //  - pendulum, invertedPendulum: mass (kg), length (m), damping b (N·m·s/rad), gravity
+    //    (m/s²), initialAngle (rad). Input: torque (N·m). Output: angle θ (rad).
+    //  - dcMotor: resistance (Ω), inductance (H), inertia J (kg·m²), viscousFriction b
+    //    (N·m·s/rad), torqueConstant Kt (N·m/A), backEmfConstant Ke (V·s/rad), coulombFriction
+    //    Tc (N·m), frictionSmoothing ωs (rad/s). Input: voltage (V). Output: speed ω (rad/s).
+    //  - tank: area A (m²), outflowCoefficient k (m^2.5/s, outflow k·√h), operatingLevel h0 (m,
+    //    linearization point), initialLevel (m). Input: inflow (m³/s). Output: level h (m).
+    //  - thermal: heatCapacity C (J/K), thermalResistance R (K/W), maxPower (W). Input: heater
+    //    power demand (W). Output: temperature rise over ambient (K).
+    const MODELS = {
+        pendulum: pendulumModel(-1),
+        invertedPendulum: pendulumModel(1),
+
+        // J ω' = Kt i - b ω - Tc·tanh(ω/ωs), L i' = V - R i - Ke ω. The sign function of
+        // Coulomb friction is smoothed so fixed-step solvers stay stable; below Tc the shaft
+        // creeps at a speed of order ωs instead of sticking.
+        dcMotor: {
+            defaults: {
+                resistance: 1, inductance: 0.5, inertia: 0.01, viscousFriction: 0.1,
+                torqueConstant: 0.01, backEmfConstant: 0.01, coulombFriction: 0.002, frictionSmoothing: 0.01
+            },
+            units: { input: 'V', output: 'rad/s' },
+            initialState: () => [0, 0],
+            derivative: ([omega, current], u, p) => {
+                const friction = p.coulombFriction * Math.tanh(omega / p.frictionSmoothing);
+                return [
+                    (p.torqueConstant * current - p.viscousFriction * omega - friction) / p.inertia,
+                    (u - p.resistance * current - p.backEmfConstant * omega) / p.inductance
+                ];
+            },
+            output: ([omega]) => omega,
+            linearize: (p) => ({
+                numerator: [p.torqueConstant],
+                denominator: [
+                    p.inertia * p.inductance,
+                    p.inertia * p.resistance + p.viscousFriction * p.inductance,
+                    p.viscousFriction * p.resistance + p.torqueConstant * p.backEmfConstant
+                ]
+            })
+        },
+
+        // A h' = q - k √h. The pump can only fill (q ≥ 0) and the level cannot go negative.
+        // Around h0 the outflow behaves like a resistance R = 2√h0 / k.
+        tank: {
+            defaults: { area: 1, outflowCoefficient: 0.1, operatingLevel: 1, initialLevel: 0 },
+            units: { input: 'm³/s', output: 'm' },
+            initialState: (p) => [Math.max(0, p.initialLevel)],
+            derivative: ([level], u, p) => [(Math.max(0, u) - p.outflowCoefficient * Math.sqrt(Math.max(0, level))) / p.area],
+            constrain: ([level]) => [Math.max(0, level)],
+            output: ([level]) => level,
+            linearize: (p) => {
+                const resistance = 2 * Math.sqrt(Math.max(p.operatingLevel, 1e-9)) / p.outflowCoefficient;
+                return { numerator: [resistance], denominator: [p.area * resistance, 1] };
+            }
+        },
+
+        // C T' = P - T / R with the heater power P limited to [0, maxPower]: it cannot cool.
+        thermal: {
+            defaults: { heatCapacity: 10, thermalResistance: 0.5, maxPower: 10 },
+            units: { input: 'W', output: 'K' },
+            initialState: () => [0],
+            derivative: ([temperature], u, p) => {
+                const power = Math.min(p.maxPower, Math.max(0, u));
+                return [(power - temperature / p.thermalResistance) / p.heatCapacity];
+            },
+            output: ([temperature]) => temperature,
+            linearize: (p) => ({ numerator: [p.thermalResistance], denominator: [p.thermalResistance * p.heatCapacity, 1] })
+        }
+    };
+
+    /**
+     * Looks up a model definition.
+     * @param {string} model - Model name, see `nonlinearPlantModels`.
+     * @returns {object} The definition.
+     */
+    function modelDefinition(model) {
+        const definition = MODELS[model];
+        if (!definition) throw new Error(`Unknown plant model: ${model}`);
+        return definition;
+    }
+
+    /**
+     * Names of the available nonlinear models.
+     * @returns {string[]} Model names.
+     */
+    function nonlinearPlantModels() {
+        return Object.keys(MODELS);
+    }
+
+    /**
+     * Default parameters of a model, merged with the given ones. Anything but a finite
+     * number (NaN, null, a string) falls back to the default.
+     * @param {string} model - Model name.
+     * @param {object} [parameters] - Parameters to override.
+     * @returns {object} Complete parameters.
+     */
+    function nonlinearPlantParameters(model, parameters = {}) {
+        const merged = { ...modelDefinition(model).defaults };
+        Object.entries(parameters).forEach(([key, value]) => {
+            if (key in merged && typeof value === 'number' && Number.isFinite(value)) merged[key] = value;
+        });
+        return merged;
+    }
+
+    /**
+     * Linearization of a model around its operating point (θ = 0 for the pendulums,
+     * Coulomb friction and heater limits dropped, h = h0 for the tank).
+     * @param {object} spec - { model, parameters }.
+     * @returns {object} { numerator, denominator } (highest power first) and `units`
+     *                   { input, output } of the signals.
+     */
+    function linearizeNonlinearPlant(spec) {
+        const definition = modelDefinition(spec.model);
+        return { ...definition.linearize(nonlinearPlantParameters(spec.model, spec.parameters)), units: { ...definition.units } };
+    }
+
+    /**
+     * Complete plant description of a nonlinear model: the simulation integrates the model,
+     * while `numerator` and `denominator` hold its linearization for the linear analyses
+     * (poles, margins, frequency response, analytical Ku).
+     * @param {string} model - Model name.
+     * @param {object} [parameters] - Model parameters, see `nonlinearPlantParameters`.
+     * @param {number} [delay=0] - Input dead time in seconds.
+     * @returns {object} { model, parameters, numerator, denominator, delay }.
+     */
+    function nonlinearPlantSpec(model, parameters = {}, delay = 0) {
+        const complete = nonlinearPlantParameters(model, parameters);
+        const { numerator, denominator } = linearizeNonlinearPlant({ model, parameters: complete });
+        return { model, parameters: complete, numerator, denominator, delay };
+    }
+
+    /**
+     * Creates a plant that integrates a nonlinear model with the input held over each step.
+     * The exact 'zoh' method only applies to linear models; it falls back to RK4 here.
+     * @param {object} spec - { model, parameters }.
+     * @param {object} [solver] - { method: 'euler' | 'rk4' | 'zoh' | 'rk45', rtol, atol }.
+     * @returns {object} Plant with `reset`, `output` and `step` methods.
+     */
+    function createNonlinearPlant(spec, solver = {}) {
+        const definition = modelDefinition(spec.model);
+        const parameters = nonlinearPlantParameters(spec.model, spec.parameters);
+        const integrator = createIntegrator(solver.method === 'zoh' ? { ...solver, method: 'rk4' } : solver);
+        const constrain = definition.constrain || (x => x);
+        let x = definition.initialState(parameters);
+
+        return {
+            model: spec.model,
+            reset() {
+                x = definition.initialState(parameters);
+                integrator.reset();
+            },
+            output() {
+                return definition.output(x, parameters);
+            },
+            step(u, dt) {
+                x = constrain(integrator.step(xv => definition.derivative(xv, u, parameters), x, dt));
+            }
+        };
+    }
+
+    return {
+        nonlinearPlantModels,
+        nonlinearPlantParameters,
+        linearizeNonlinearPlant,
+        nonlinearPlantSpec,
+        createNonlinearPlant
+    };
+});
@@ -0,0 +1,119 @@
+/**
+ * Physical Plant Builders
+ * Linear plants described by physical constants instead of polynomial coefficients: DC
+ * motor, mass-spring-damper, first-order thermal system, tank with linear outlet
+ * resistance and series RLC circuit. Each builder derives the transfer function from its
+ * parameters. Has no dependencies; exposes its functions on `PIDEngine`.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.PIDEngine = Object.assign(root.PIDEngine || {}, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Builders. Parameters and signals in SI units:
+    //  - dcMotor: voltage (V) -> speed ω (rad/s). resistance R (Ω), inductance L (H), inertia J
+    //    (kg·m²), viscousFriction b (N·m·s/rad), torqueConstant Kt (N·m/A), backEmfConstant Ke (V·s/rad).
+    //  - massSpring: force (N) -> position x (m). mass m (kg), stiffness k (N/m), damping c (N·s/m).
+    //  - thermal: heater power (W) -> temperature rise (K). heatCapacity C (J/K), thermalResistance R (K/W).
+    //  - tank: inflow (m³/s) -> level h (m). area A (m²), outletResistance R (s/m², outflow h / R).
+    //  - rlc: source voltage (V) -> capacitor voltage (V). resistance R (Ω), inductance L (H), capacitance C (F).
+    const BUILDERS = {
+        // ω/V = Kt / ((J s + b)(L s + R) + Kt Ke)
+        dcMotor: {
+            defaults: { resistance: 1, inductance: 0.5, inertia: 0.01, viscousFriction: 0.1, torqueConstant: 0.01, backEmfConstant: 0.01 },
+            units: { input: 'V', output: 'rad/s' },
+            build: (p) => ({
+                numerator: [p.torqueConstant],
+                denominator: [
+                    p.inertia * p.inductance,
+                    p.inertia * p.resistance + p.viscousFriction * p.inductance,
+                    p.viscousFriction * p.resistance + p.torqueConstant * p.backEmfConstant
+                ]
+            })
+        },
+        // X/F = 1 / (m s² + c s + k)
+        massSpring: {
+            defaults: { mass: 1, stiffness: 1, damping: 0.5 },
+            units: { input: 'N', output: 'm' },
+            build: (p) => ({ numerator: [1], denominator: [p.mass, p.damping, p.stiffness] })
+        },
+        // ΔT/P = R / (R C s + 1)
+        thermal: {
+            defaults: { heatCapacity: 10, thermalResistance: 1 },
+            units: { input: 'W', output: 'K' },
+            build: (p) => ({ numerator: [p.thermalResistance], denominator: [p.thermalResistance * p.heatCapacity, 1] })
+        },
+        // H/Q = R / (A R s + 1)
+        tank: {
+            defaults: { area: 10, outletResistance: 1 },
+            units: { input: 'm³/s', output: 'm' },
+            build: (p) => ({ numerator: [p.outletResistance], denominator: [p.area * p.outletResistance, 1] })
+        },
+        // Vc/V = 1 / (L C s² + R C s + 1), the circuit of `rlc_controladores.sce`
+        rlc: {
+            defaults: { resistance: 0.5, inductance: 0.05, capacitance: 0.05 },
+            units: { input: 'V', output: 'V' },
+            build: (p) => ({
+                numerator: [1],
+                denominator: [p.inductance * p.capacitance, p.resistance * p.capacitance, 1]
+            })
+        }
+    };
+
+    /**
+     * Looks up a builder.
+     * @param {string} model - Model name, see `physicalPlantModels`.
+     * @returns {object} The builder.
+     */
+    function builder(model) {
+        const definition = BUILDERS[model];
+        if (!definition) throw new Error(`Unknown physical plant model: ${model}`);
+        return definition;
+    }
+
+    /**
+     * Names of the available physical plant builders.
+     * @returns {string[]} Model names.
+     */
+    function physicalPlantModels() {
+        return Object.keys(BUILDERS);
+    }
+
+    /**
+     * Default parameters of a builder, merged with the given ones. Anything but a finite
+     * number (NaN, null, a string) falls back to the default.
+     * @param {string} model - Model name.
+     * @param {object} [parameters] - Parameters to override.
+     * @returns {object} Complete parameters.
+     */
+    function physicalPlantParameters(model, parameters = {}) {
+        const merged = { ...builder(model).defaults };
+        Object.entries(parameters).forEach(([key, value]) => {
+            if (key in merged && typeof value === 'number' && Number.isFinite(value)) merged[key] = value;
+        });
+        return merged;
+    }
+
+    /**
+     * Transfer function of a physical plant.
+     * @param {string} model - Model name.
+     * @param {object} [parameters] - Physical parameters, see `physicalPlantParameters`.
+     * @returns {object} { numerator, denominator } (highest power first) and `units`
+     *                   { input, output } of the signals.
+     */
+    function physicalPlantTransferFunction(model, parameters = {}) {
+        const definition = builder(model);
+        return { ...definition.build(physicalPlantParameters(model, parameters)), units: { ...definition.units } };
+    }
+
+    return {
+        physicalPlantModels,
+        physicalPlantParameters,
+        physicalPlantTransferFunction
+    };
+});
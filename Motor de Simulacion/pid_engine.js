@@ -0,0 +1,1117 @@
+/**
+ * PID Simulation Engine
+ * DOM-free simulation core shared by every simulator page. The math in this file never
+ * touches `document`, so it can be loaded with a <script> tag (it exposes `PIDEngine`
+ * on the global object), with importScripts() inside a Web Worker, or with require()
+ * from Node for batch runs and regression tests.
+ *
+ * A simulation is described by three parts:
+ *  - plant:      { reset(), output(u), step(u, dt) }
+ *  - controller: { reset(), update(error, dt, { reference, measurement }) }  -> control signal
+ *                (optionally track(applied) to learn what the actuator really applied)
+ *  - reference:  { valueAt(t) }
+ * Each part may be passed either as a ready-made object or as a plain description
+ * (e.g. { numerator: [1], denominator: [1, 0.5, 1], delay: 0.5 }), which keeps configurations
+ * serializable for postMessage() and JSON.
+ *
+ * Depends on `integrators.js` and `polynomials.js`, which must be loaded first in the browser.
+ * Nonlinear plant models additionally need `nonlinear_plants.js` loaded before this file.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        const deps = Object.assign({}, require('./integrators.js'), require('./polynomials.js'), require('./nonlinear_plants.js'));
+        module.exports = Object.assign({}, deps, factory(deps));
+    } else {
+        root.PIDEngine = Object.assign(root.PIDEngine || {}, factory(root.PIDEngine));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    'use strict';
+
+    const { matVec, discretizeZOH, createIntegrator, trimLeadingZeros, polyAdd, polyMul, polyRoots, isHurwitzStable } = deps;
+
+    // Default derivative filter coefficient N: the filter time constant is Td / N
+    const DERIVATIVE_FILTER_N = 10;
+
+    // Derivative filter time constant when Td = Kd / Kp is undefined (Kp = 0), in seconds
+    const DERIVATIVE_FILTER_TIME = 0.05;
+
+    // --- Reference signals ---
+
+    /**
+     * Generates the reference signal for a given time `t`.
+     * @param {number} t - Current time.
+     * @param {string} type - Signal type ('step', 'ramp', 'sine', 'square').
+     * @param {number} amp - Amplitude.
+     * @param {number} freq - Frequency (for sine/square).
+     * @param {number} [rampTime=Infinity] - Time at which the ramp stops rising.
+     * @returns {number} The value of the reference signal at time t.
+     */
+    function generateReference(t, type, amp, freq, rampTime = Infinity) {
+        switch (type) {
+            case 'step': return amp;
+            case 'ramp': return amp * Math.min(rampTime, t);
+            case 'sine': return amp * Math.sin(2 * Math.PI * freq * t);
+            case 'square': return amp * Math.sign(Math.sin(2 * Math.PI * freq * t));
+            default: return amp;
+        }
+    }
+
+    // Feedback taps of maximal-length Fibonacci LFSRs, by register length
+    const PRBS_TAPS = {
+        3: [3, 2], 4: [4, 3], 5: [5, 3], 6: [6, 5], 7: [7, 6], 8: [8, 6, 5, 4],
+        9: [9, 5], 10: [10, 7], 11: [11, 9], 12: [12, 11, 10, 4], 13: [13, 12, 11, 8],
+        14: [14, 13, 12, 2], 15: [15, 14], 16: [16, 15, 13, 4]
+    };
+
+    /**
+     * Maximal-length pseudo-random binary sequence of one period (2^order - 1 bits).
+     * @param {number} [order=7] - Shift register length, 3 to 16.
+     * @returns {number[]} Bits (0 or 1), starting from the all-ones register.
+     */
+    function prbsSequence(order = 7) {
+        const taps = PRBS_TAPS[order];
+        if (!taps) throw new Error(`Unsupported PRBS order: ${order} (use 3 to 16).`);
+        let register = (1 << order) - 1;
+        const bits = [];
+        for (let k = 0; k < (1 << order) - 1; k++) {
+            bits.push(register & 1);
+            const feedback = taps.reduce((x, tap) => x ^ (register >> (order - tap)), 0) & 1;
+            register = (register >> 1) | (feedback << (order - 1));
+        }
+        return bits;
+    }
+
+    /**
+     * Linear interpolation through time/value points, holding the first and last values
+     * outside them. Repeating a time gives a jump: the later point wins from that instant.
+     * @param {number[][]} points - [[t, value], ...] sorted by time.
+     * @param {number} t - Time.
+     * @returns {number} The interpolated value.
+     */
+    function interpolatePoints(points, t) {
+        if (t < points[0][0]) return points[0][1];
+        let k = 0;
+        while (k + 1 < points.length && points[k + 1][0] <= t) k++;
+        if (k + 1 === points.length) return points[k][1];
+        const [t0, v0] = points[k];
+        const [t1, v1] = points[k + 1];
+        return v0 + (v1 - v0) * (t - t0) / (t1 - t0);
+    }
+
+    /**
+     * Creates a reference object from a signal description. Every type except 'sine',
+     * 'square' and 'piecewise' holds `initialValue` until `startTime`, then:
+     *  - 'step': jumps to `amplitude`;
+     *  - 'ramp': rises (or falls) with `slope` per second until it reaches `amplitude`;
+     *    without a slope it is the classic amplitude · min(t, rampTime);
+     *  - 'trapezoid': ramps to `amplitude` in `riseTime`, holds it for `holdTime` and
+     *    returns to `initialValue` in `fallTime`;
+     *  - 'chirp': initialValue + amplitude · sin(φ(τ)), with the frequency swept linearly
+     *    from `frequency` to `endFrequency` (Hz) over `duration` seconds, then held;
+     *  - 'prbs': switches between `initialValue` (bit 0) and `amplitude` (bit 1) following a
+     *    maximal-length sequence of `prbsOrder`, one bit every `bitTime` seconds, repeating.
+     * 'piecewise' interpolates linearly through `points` ([[t, value], ...]), see
+     * `interpolatePoints`; 'sine' and 'square' are described in `generateReference`.
+     * @param {object} spec - { type, amplitude, frequency, rampTime, startTime, initialValue, slope,
+     *                        riseTime, holdTime, fallTime, endFrequency, duration, bitTime,
+     *                        prbsOrder, points }.
+     * @returns {object} Reference with a `valueAt(t)` method.
+     */
+    function createReference(spec) {
+        if (typeof spec.valueAt === 'function') return spec;
+
+        const { type = 'step', amplitude = 1, frequency = 0, rampTime = Infinity, startTime = 0, initialValue = 0 } = spec;
+        const delta = amplitude - initialValue;
+        const delayed = (shape) => ({
+            valueAt: (t) => (t < startTime ? initialValue : shape(t - startTime))
+        });
+
+        switch (type) {
+            case 'step':
+                return delayed(() => amplitude);
+            case 'ramp': {
+                if (spec.slope === undefined) return delayed(tau => initialValue + amplitude * Math.min(rampTime, tau));
+                const slope = Math.abs(spec.slope) * Math.sign(delta);
+                return delayed(tau => (slope === 0 ? initialValue : initialValue + slope * Math.min(tau, delta / slope)));
+            }
+            case 'trapezoid': {
+                const { riseTime = 1, holdTime = 1, fallTime = 1 } = spec;
+                return delayed(tau => {
+                    if (tau < riseTime) return initialValue + delta * tau / riseTime;
+                    if (tau < riseTime + holdTime) return amplitude;
+                    if (tau < riseTime + holdTime + fallTime) return amplitude - delta * (tau - riseTime - holdTime) / fallTime;
+                    return initialValue;
+                });
+            }
+            case 'chirp': {
+                const { endFrequency = frequency, duration = 10 } = spec;
+                const rate = (endFrequency - frequency) / duration;
+                return delayed(tau => {
+                    const sweep = Math.min(tau, duration);
+                    // Phase of the linear sweep, continued at the end frequency afterwards
+                    const phase = frequency * sweep + rate * sweep * sweep / 2 + endFrequency * (tau - sweep);
+                    return initialValue + amplitude * Math.sin(2 * Math.PI * phase);
+                });
+            }
+            case 'prbs': {
+                const { bitTime = 1, prbsOrder = 7 } = spec;
+                const bits = prbsSequence(prbsOrder);
+                return delayed(tau => (bits[Math.floor(tau / bitTime) % bits.length] ? amplitude : initialValue));
+            }
+            case 'piecewise': {
+                const points = (spec.points || []).filter(p => Number.isFinite(p[0]) && Number.isFinite(p[1]));
+                if (points.length === 0) throw new Error('A piecewise reference needs at least one time/value point.');
+                points.sort((a, b) => a[0] - b[0]);
+                return { valueAt: (t) => interpolatePoints(points, t) };
+            }
+            default:
+                return { valueAt: (t) => generateReference(t, type, amplitude, frequency, rampTime) };
+        }
+    }
+
+    // --- Plants ---
+
+    /**
+     * Converts a Transfer Function to a State-Space representation (Controllable Canonical Form).
+     *
+     * For G(s) = (b0 s^n + ... + bn) / (a0 s^n + ... + an) the denominator is normalized to
+     * a0 = 1, the direct feedthrough is D = b0 and the strictly proper remainder gives
+     * C[j] = b(n-j) - b0 * a(n-j). State x[j] is the j-th derivative of the partial state,
+     * so A is the companion matrix with the denominator coefficients in its last row.
+     * Leading zero coefficients are ignored and an order-0 denominator yields a pure gain
+     * (empty A, B and C).
+     *
+     * Accuracy: integrating the realization of the closed loops T = L / (1 + L) of
+     * `rlc_controladores.sce` with RK4 reproduces their csim step responses (the exact 'zoh'
+     * solution) within 1e-5 for the P and PI loops at dt = 0.001. The PID loop has a
+     * closed-loop pole near s = -16000 and needs dt = 1e-4 for the same tolerance. The
+     * sampled loop of `simulate` adds a one-step controller lag on top, about 1% at dt = 0.001.
+     * @param {number[]} num - Numerator coefficients, highest power first.
+     * @param {number[]} den - Denominator coefficients, highest power first.
+     * @returns {object} State-space matrices {A, B, C, D}.
+     */
+    function tfToStateSpace(num, den) {
+        num = trimLeadingZeros(num);
+        den = trimLeadingZeros(den);
+
+        if (den.length === 0) throw new Error('The denominator cannot be zero.');
+        if (num.length > den.length) {
+            throw new Error('Improper transfer function: the numerator order exceeds the denominator order.');
+        }
+
+        const n = den.length - 1;
+        const a = den.map(c => c / den[0]);
+        const b = [...new Array(den.length - num.length).fill(0), ...num.map(c => c / den[0])];
+
+        const A = Array.from({ length: n }, () => new Array(n).fill(0));
+        for (let i = 0; i < n - 1; i++) A[i][i + 1] = 1;
+        for (let j = 0; j < n; j++) A[n - 1][j] = -a[n - j];
+
+        const B = new Array(n).fill(0);
+        if (n > 0) B[n - 1] = 1;
+
+        const D = b[0];
+        const C = Array.from({ length: n }, (_, j) => b[n - j] - D * a[n - j]);
+
+        return { A, B, C, D };
+    }
+
+    /**
+     * Creates a linear plant from a state-space model.
+     * @param {object} model - State-space matrices {A, B, C, D}.
+     * @param {object} [solver] - { method: 'euler' | 'rk4' | 'zoh' | 'rk45', rtol, atol }.
+     * @returns {object} Plant with `reset`, `output` and `step` methods.
+     */
+    function createStateSpacePlant(model, solver = {}) {
+        const { A, B, C, D } = model;
+        const exact = solver.method === 'zoh';
+        const integrator = exact ? null : createIntegrator(solver);
+        let discrete = null; // ZOH matrices, cached for the last step size
+        let x = new Array(A.length).fill(0);
+
+        return {
+            A, B, C, D,
+            reset() {
+                x = new Array(A.length).fill(0);
+                if (integrator) integrator.reset();
+            },
+            output(u) {
+                return C.reduce((sum, val, j) => sum + val * x[j], 0) + D * u;
+            },
+            step(u, dt) {
+                if (exact) {
+                    if (!discrete || discrete.dt !== dt) discrete = { dt, ...discretizeZOH(A, B, dt) };
+                    x = matVec(discrete.Ad, x).map((v, i) => v + discrete.Bd[i] * u);
+                } else {
+                    x = integrator.step(xv => matVec(A, xv).map((v, i) => v + B[i] * u), x, dt);
+                }
+            }
+        };
+    }
+
+    /**
+     * Creates a linear plant from transfer function coefficients.
+     * @param {number[]} numerator - Numerator coefficients, highest power first.
+     * @param {number[]} denominator - Denominator coefficients, highest power first.
+     * @param {object} [solver] - Solver description, see `createStateSpacePlant`.
+     * @returns {object} Plant with `reset`, `output` and `step` methods.
+     */
+    function createTransferFunctionPlant(numerator, denominator, solver) {
+        return createStateSpacePlant(tfToStateSpace(numerator, denominator), solver);
+    }
+
+    /**
+     * Adds a transport delay (dead time) to the input of a plant, G(s) e^{-θs}.
+     *
+     * The delay is an exact sample buffer: the plant receives the input applied
+     * round(θ / dt) steps earlier, so it is exact when θ is a multiple of the time step and
+     * off by at most dt/2 otherwise. The buffer length is fixed by the first step's dt.
+     * @param {object} plant - Plant with `reset`, `output` and `step` methods.
+     * @param {number} delay - Dead time θ in seconds.
+     * @returns {object} Plant with `reset`, `output` and `step` methods.
+     */
+    function createDelayedPlant(plant, delay) {
+        let buffer = null; // inputs still in transit, oldest first
+
+        return {
+            delay,
+            reset() {
+                plant.reset();
+                buffer = null;
+            },
+            output(u) {
+                // Before the first step nothing has crossed the delay yet
+                if (!buffer) return plant.output(delay > 0 ? 0 : u);
+                return plant.output(buffer.length > 0 ? buffer[0] : u);
+            },
+            step(u, dt) {
+                if (!buffer) buffer = new Array(Math.round(delay / dt)).fill(0);
+                buffer.push(u);
+                plant.step(buffer.shift(), dt);
+            }
+        };
+    }
+
+    /**
+     * Padé approximation of a pure delay, e^{-θs} ≈ P(-θs) / P(θs) with
+     * P(x) = Σ c_k x^k, c_k = (2n-k)! n! / ((2n)! k! (n-k)!).
+     * @param {number} delay - Dead time θ in seconds.
+     * @param {number} [order=1] - Approximation order n (numerator and denominator degree).
+     * @returns {object} { numerator, denominator }, highest power first.
+     */
+    function padeApproximation(delay, order = 1) {
+        if (!(delay > 0) || order < 1) return { numerator: [1], denominator: [1] };
+
+        const c = [1];
+        for (let k = 1; k <= order; k++) {
+            c.push(c[k - 1] * (order - k + 1) / (k * (2 * order - k + 1)));
+        }
+        // Highest power first: coefficient of s^k is c_k θ^k
+        const denominator = c.map((ck, k) => ck * Math.pow(delay, k)).reverse();
+        const numerator = c.map((ck, k) => ck * Math.pow(-delay, k)).reverse();
+        return { numerator, denominator };
+    }
+
+    /**
+     * Rational model of a plant description, with its delay (if any) replaced by a Padé
+     * approximation. Used wherever polynomial methods are needed (roots, Routh, Ku).
+     * @param {object} spec - { numerator, denominator, delay }.
+     * @param {number} [order=1] - Padé order.
+     * @returns {object} { numerator, denominator }, highest power first.
+     */
+    function rationalPlantModel(spec, order = 1) {
+        const { numerator, denominator, delay = 0 } = spec;
+        if (!(delay > 0)) return { numerator, denominator };
+        const pade = padeApproximation(delay, order);
+        return {
+            numerator: polyMul(trimLeadingZeros(numerator), pade.numerator),
+            denominator: polyMul(trimLeadingZeros(denominator), pade.denominator)
+        };
+    }
+
+    /**
+     * Creates a plant object from a plant description. A description with a `model` is
+     * simulated from its nonlinear equations (`nonlinear_plants.js`, which must then be loaded);
+     * its numerator and denominator are only used by the linear analyses.
+     * @param {object} spec - A plant object, { numerator, denominator, delay } or
+     *                        { model, parameters, delay }.
+     * @param {object} [solver] - Solver used for described plants.
+     * @returns {object} Plant with `reset`, `output` and `step` methods.
+     */
+    function createPlant(spec, solver) {
+        if (typeof spec.step === 'function') return spec;
+        let plant;
+        if (spec.model) {
+            if (typeof deps.createNonlinearPlant !== 'function') {
+                throw new Error(`Plant model "${spec.model}" needs nonlinear_plants.js to be loaded.`);
+            }
+            plant = deps.createNonlinearPlant(spec, solver);
+        } else {
+            plant = createTransferFunctionPlant(spec.numerator, spec.denominator, solver);
+        }
+        return spec.delay > 0 ? createDelayedPlant(plant, spec.delay) : plant;
+    }
+
+    // --- Actuator ---
+
+    /**
+     * Creates an actuator that limits the controller demand: first the slew rate, then
+     * the output range. It starts at rest (0).
+     * @param {object} [spec] - { min, max, rateLimit }; missing or non-finite values mean no limit.
+     * @returns {object} Actuator with `reset` and `apply(demand, dt)` methods.
+     */
+    function createActuator(spec = {}) {
+        const min = Number.isFinite(spec.min) ? spec.min : -Infinity;
+        const max = Number.isFinite(spec.max) ? spec.max : Infinity;
+        const rateLimit = Number.isFinite(spec.rateLimit) && spec.rateLimit > 0 ? spec.rateLimit : Infinity;
+        if (min > max) throw new Error(`Invalid actuator range: min ${min} is above max ${max}.`);
+        let previous = 0;
+
+        return {
+            reset() {
+                previous = 0;
+            },
+            apply(demand, dt) {
+                const maxChange = rateLimit * dt;
+                const slewed = Math.min(previous + maxChange, Math.max(previous - maxChange, demand));
+                previous = Math.min(max, Math.max(min, slewed));
+                return previous;
+            }
+        };
+    }
+
+    // --- Disturbances ---
+
+    /**
+     * Seeded pseudo-random generator (mulberry32), so noisy runs can be repeated exactly.
+     * @param {number} [seed=1] - Integer seed.
+     * @returns {Function} () -> uniform number in [0, 1).
+     */
+    function createRandom(seed = 1) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Standard normal sample from a uniform source (Box-Muller).
+     * @param {Function} random - () -> uniform number in [0, 1).
+     * @returns {number} Gaussian sample with zero mean and unit variance.
+     */
+    function gaussian(random) {
+        const u = 1 - random(); // (0, 1], keeps the logarithm finite
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    }
+
+    /**
+     * Creates a disturbance signal that starts at `startTime` (zero before):
+     *  - 'step': amplitude from t0 on;
+     *  - 'pulse': amplitude for `duration` seconds;
+     *  - 'sine': amplitude sin(2π f (t - t0));
+     *  - 'whiteNoise': Gaussian samples with standard deviation `amplitude`, independent
+     *    at every step;
+     *  - 'coloredNoise': first-order Gauss-Markov noise with the same standard deviation and
+     *    correlation time τ, x[k+1] = a x[k] + σ √(1 - a²) w[k] with a = e^{-dt/τ}.
+     * @param {object} spec - { type, amplitude, startTime, duration, frequency, correlationTime }.
+     * @param {Function} [random] - Uniform random source for the noise types (default: seed 1).
+     * @returns {object} Disturbance with `reset()` and `sample(t, dt)` methods.
+     */
+    function createDisturbance(spec, random = createRandom()) {
+        const { type = 'none', amplitude = 0, startTime = 0, duration = 1, frequency = 1, correlationTime = 1 } = spec;
+        let colored = null;
+
+        return {
+            reset() {
+                colored = null;
+            },
+            sample(t, dt) {
+                if (t < startTime) return 0;
+                switch (type) {
+                    case 'none': return 0;
+                    case 'step': return amplitude;
+                    case 'pulse': return t < startTime + duration ? amplitude : 0;
+                    case 'sine': return amplitude * Math.sin(2 * Math.PI * frequency * (t - startTime));
+                    case 'whiteNoise': return amplitude * gaussian(random);
+                    case 'coloredNoise': {
+                        if (colored === null) {
+                            colored = amplitude * gaussian(random);
+                        } else {
+                            const a = Math.exp(-dt / Math.max(correlationTime, 1e-12));
+                            colored = a * colored + amplitude * Math.sqrt(1 - a * a) * gaussian(random);
+                        }
+                        return colored;
+                    }
+                    default: throw new Error(`Unknown disturbance type: ${type}`);
+                }
+            }
+        };
+    }
+
+    /**
+     * Disturbance rejection measured on the deviation e = r - y of the plant output from the
+     * reference, from `startTime` to the end of the run.
+     * @param {object} result - Signals returned by `simulate`.
+     * @param {object} [options] - { startTime (default 0), band: recovery band as a fraction
+     *                             of the peak deviation (default 0.05) }.
+     * @returns {object|null} { peakDeviation (signed), peakTime (after t0), recoveryTime (after t0,
+     *                        null if the output never stays in the band), iae, rms }, or null
+     *                        when the run ends before t0.
+     */
+    function disturbanceRejectionMetrics(result, options = {}) {
+        const { startTime = 0, band = 0.05 } = options;
+        const { time, output } = result;
+        const reference = result.filteredReference || result.reference;
+        const first = time.findIndex(t => t >= startTime);
+        if (first < 0) return null;
+
+        let peak = 0;
+        let peakIndex = first;
+        let iae = 0;
+        let squares = 0;
+        for (let i = first; i < time.length; i++) {
+            const e = reference[i] - output[i];
+            if (Math.abs(e) > Math.abs(peak)) {
+                peak = e;
+                peakIndex = i;
+            }
+            const dt = i + 1 < time.length ? time[i + 1] - time[i] : time[i] - time[i - 1] || 0;
+            iae += Math.abs(e) * dt;
+            squares += e * e;
+        }
+
+        // Last time outside the band; recovered only if that happens before the end
+        let last = time.length - 1;
+        while (last >= peakIndex && Math.abs(reference[last] - output[last]) <= band * Math.abs(peak)) last--;
+        const recovered = peak !== 0 && last < time.length - 1;
+
+        return {
+            peakDeviation: peak,
+            peakTime: time[peakIndex] - startTime,
+            recoveryTime: recovered ? time[last + 1] - startTime : null,
+            iae,
+            rms: Math.sqrt(squares / (time.length - first))
+        };
+    }
+
+    /**
+     * Step response metrics of the plant output, measured from the step time `startTime`
+     * up to `endTime` (e.g. the start of the first disturbance).
+     * @param {object} result - Signals returned by `simulate`, or by `simulateOpenLoop` (its
+     *                          input is then the reference).
+     * @param {object} [options] - { startTime (default 0), endTime (default: end of the run),
+     *                             initialValue of the step (default 0), band: settling band
+     *                             as a fraction of the step size (default 0.05) }.
+     * @returns {object|null} { overshoot (%), peakTime (null without overshoot), riseTime
+     *                        (10-90%, null if not reached), settlingTime (entry into the band
+     *                        for good, null if the run ends outside it), steadyStateError (at the
+     *                        end), iae }, with times after t0; null for an empty window or a
+     *                        zero step.
+     */
+    function stepResponseMetrics(result, options = {}) {
+        const { startTime = 0, endTime = Infinity, initialValue = 0, band = 0.05 } = options;
+        const reference = result.reference || result.input;
+        const indices = [];
+        result.time.forEach((t, i) => {
+            if (t >= startTime && t < endTime) indices.push(i);
+        });
+        if (indices.length === 0) return null;
+        const last = indices[indices.length - 1];
+        const finalValue = reference[last];
+        const change = finalValue - initialValue;
+        if (change === 0) return null;
+
+        const direction = Math.sign(change);
+        const size = Math.abs(change);
+        const { time, output } = result;
+        let peakIndex = indices[0];
+        let t10 = null;
+        let t90 = null;
+        let iae = 0;
+        indices.forEach((i, k) => {
+            if (direction * output[i] > direction * output[peakIndex]) peakIndex = i;
+            const progress = direction * (output[i] - initialValue);
+            if (t10 === null && progress >= 0.1 * size) t10 = time[i];
+            if (t90 === null && progress >= 0.9 * size) t90 = time[i];
+            const dt = k + 1 < indices.length ? time[indices[k + 1]] - time[i] : time[i] - time[indices[k - 1]] || 0;
+            iae += Math.abs(reference[i] - output[i]) * dt;
+        });
+        const overshoot = Math.max(0, direction * (output[peakIndex] - finalValue) / size * 100);
+
+        // First sample of the final stretch inside the band; settled only if the run ends inside it
+        let entry = indices.length;
+        while (entry > 0 && Math.abs(output[indices[entry - 1]] - finalValue) <= band * size) entry--;
+        const settlingTime = entry === indices.length ? null : time[indices[entry]] - startTime;
+
+        return {
+            overshoot,
+            peakTime: overshoot > 0 ? time[peakIndex] - startTime : null,
+            riseTime: t10 !== null && t90 !== null ? t90 - t10 : null,
+            settlingTime,
+            steadyStateError: Math.abs(finalValue - output[last]),
+            iae
+        };
+    }
+
+    // --- Sampling and discretization ---
+
+    /**
+     * Creates a uniform quantizer modelling an ADC or DAC: values are clipped to the range
+     * and rounded to one of 2^bits levels, a step of (max - min) / (2^bits - 1).
+     * @param {number} [bits] - Resolution; a missing or non-positive value means no quantization.
+     * @param {number[]} [range] - [min, max] full-scale range, required with `bits`.
+     * @returns {Function} value -> quantized value.
+     */
+    function createQuantizer(bits, range) {
+        if (!(bits > 0)) return (value) => value;
+        const [min, max] = range || [];
+        if (!(Number.isFinite(min) && Number.isFinite(max) && max > min)) {
+            throw new Error(`Invalid quantizer range: [${min}, ${max}].`);
+        }
+        const lsb = (max - min) / (Math.pow(2, Math.round(bits)) - 1);
+        return (value) => min + Math.round((Math.min(max, Math.max(min, value)) - min) / lsb) * lsb;
+    }
+
+    /**
+     * Approximation of s in the z domain used by a discretization method:
+     *  - 'forwardEuler':  s ≈ (z - 1) / T
+     *  - 'backwardEuler': s ≈ (z - 1) / (T z)
+     *  - 'tustin':        s ≈ K (z - 1) / (z + 1), with K = 2 / T, or K = ω0 / tan(ω0 T / 2)
+     *                     when prewarped so the discrete response matches exactly at ω0.
+     * @param {string} method - 'forwardEuler' | 'backwardEuler' | 'tustin'.
+     * @param {number} T - Sample period in seconds.
+     * @param {number} [prewarp=0] - Tustin prewarp frequency ω0 in rad/s (0 = none).
+     * @returns {object} { numerator, denominator } in z, highest power first.
+     */
+    function discreteSubstitution(method, T, prewarp = 0) {
+        switch (method) {
+            case 'forwardEuler': return { numerator: [1, -1], denominator: [T] };
+            case 'backwardEuler': return { numerator: [1, -1], denominator: [T, 0] };
+            case 'tustin': {
+                // Beyond the Nyquist frequency the prewarp has no meaning
+                const k = prewarp > 0 && prewarp * T < Math.PI ? prewarp / Math.tan(prewarp * T / 2) : 2 / T;
+                return { numerator: [k, -k], denominator: [1, 1] };
+            }
+            default: throw new Error(`Unknown discretization method: ${method}`);
+        }
+    }
+
+    /**
+     * Discretizes B(s) / A(s) by substituting s ≈ N(z) / D(z) (see `discreteSubstitution`):
+     * H(z) = Σ b_i N^i D^(n-i) / Σ a_i N^i D^(n-i), with n the larger of the two degrees.
+     * @param {number[]} numerator - B(s), highest power first.
+     * @param {number[]} denominator - A(s), highest power first.
+     * @param {string} method - Discretization method.
+     * @param {number} T - Sample period in seconds.
+     * @param {number} [prewarp=0] - Tustin prewarp frequency in rad/s.
+     * @returns {object} { numerator, denominator } in z, highest power first.
+     */
+    function discretizeTransferFunction(numerator, denominator, method, T, prewarp = 0) {
+        const { numerator: N, denominator: D } = discreteSubstitution(method, T, prewarp);
+        const num = trimLeadingZeros(numerator);
+        const den = trimLeadingZeros(denominator);
+        const n = Math.max(num.length, den.length) - 1;
+        const power = (p, k) => Array.from({ length: k }).reduce(acc => polyMul(acc, p), [1]);
+        const substitute = (p) => p.reduce((acc, c, idx) => {
+            const i = p.length - 1 - idx;
+            return polyAdd(acc, polyMul([c], polyMul(power(N, i), power(D, n - i))));
+        }, [0]);
+        return { numerator: trimLeadingZeros(substitute(num)), denominator: trimLeadingZeros(substitute(den)) };
+    }
+
+    /**
+     * Runs a causal H(z) = B(z) / A(z) as a direct-form difference equation,
+     * a0 y[k] = Σ b_j u[k-j] - Σ a_j y[k-j] (j ≥ 1).
+     * @param {number[]} numerator - B(z), highest power first.
+     * @param {number[]} denominator - A(z), highest power first.
+     * @returns {object} Filter with `reset(u0)`, which starts at steady state for a constant
+     *                   input u0 (at 0 when H has a pole at z = 1), and `update(u)`.
+     */
+    function createDifferenceEquation(numerator, denominator) {
+        const a = trimLeadingZeros(denominator);
+        const b = trimLeadingZeros(numerator);
+        if (a.length === 0) throw new Error('The denominator of a difference equation cannot be zero.');
+        if (b.length > a.length) throw new Error('Non-causal difference equation: the numerator degree exceeds the denominator degree.');
+        const bb = [...new Array(a.length - b.length).fill(0), ...b];
+        const inputs = new Array(a.length).fill(0);
+        const outputs = new Array(a.length).fill(0);
+
+        return {
+            reset(u0 = 0) {
+                const sum = (p) => p.reduce((s, c) => s + c, 0);
+                const gain = sum(a) !== 0 ? sum(bb) / sum(a) : 0;
+                inputs.fill(u0);
+                outputs.fill(gain * u0);
+            },
+            update(u) {
+                inputs.pop();
+                inputs.unshift(u);
+                let y = bb.reduce((s, c, j) => s + c * inputs[j], 0);
+                for (let j = 1; j < a.length; j++) y -= a[j] * outputs[j - 1];
+                y /= a[0];
+                outputs.pop();
+                outputs.unshift(y);
+                return y;
+            }
+        };
+    }
+
+    // --- Controllers ---
+
+    /**
+     * Default anti-windup tracking time constant: √(Ti Td) for a PID, Ti for a PI.
+     * @param {object} spec - { kp, ki, kd }.
+     * @returns {number} Tt in seconds (1 when there is no integral time).
+     */
+    function defaultTrackingTime(spec) {
+        const { kp = 0, ki = 0, kd = 0 } = spec;
+        if (!(kp > 0 && ki > 0)) return 1;
+        const ti = kp / ki;
+        const td = kd / kp;
+        return td > 0 ? Math.sqrt(ti * td) : ti;
+    }
+
+    /**
+     * Converts parallel gains to the ISA (standard) form
+     * C(s) = Kp (1 + 1/(Ti s) + Td s): Ti = Kp / Ki and Td = Kd / Kp.
+     * @param {object} gains - { kp, ki, kd }.
+     * @returns {object|null} { kp, ti, td } (ti is Infinity without integral action), or null
+     *                        when Kp = 0 and there is integral or derivative action.
+     */
+    function parallelToIsa({ kp = 0, ki = 0, kd = 0 }) {
+        if (kp === 0) return ki === 0 && kd === 0 ? { kp: 0, ti: Infinity, td: 0 } : null;
+        return { kp, ti: ki === 0 ? Infinity : kp / ki, td: kd / kp };
+    }
+
+    /**
+     * Converts ISA (standard) gains to the parallel form: Ki = Kp / Ti and Kd = Kp Td.
+     * @param {object} gains - { kp, ti, td }; a missing, zero or infinite Ti means no integral action.
+     * @returns {object} { kp, ki, kd }.
+     */
+    function isaToParallel({ kp = 0, ti = Infinity, td = 0 }) {
+        const integral = ti > 0 && isFinite(ti);
+        return { kp, ki: integral ? kp / ti : 0, kd: kp * td };
+    }
+
+    /**
+     * Time constant Tf = Td / N of the derivative filter, with Td = Kd / Kp.
+     * @param {object} spec - { kp, kd, derivativeFilter, filterCoefficient }.
+     * @returns {number} Tf in seconds (0 without a filter).
+     */
+    function derivativeFilterTime(spec) {
+        const { kp = 0, kd = 0, derivativeFilter = 'none', filterCoefficient = DERIVATIVE_FILTER_N } = spec;
+        if (derivativeFilter === 'none' || kd === 0) return 0;
+        const n = filterCoefficient > 0 ? filterCoefficient : DERIVATIVE_FILTER_N;
+        return kp > 0 ? kd / kp / n : DERIVATIVE_FILTER_TIME;
+    }
+
+    /**
+     * Denominator F(s) of the derivative filter, kd s / F(s): Tf s + 1 for 'firstOrder' and
+     * (Tf s)²/2 + Tf s + 1 (damping 1/√2) for 'secondOrder'.
+     * @param {object} spec - PID description.
+     * @returns {number[]} Coefficients of F(s), highest power first.
+     */
+    function derivativeFilterPolynomial(spec) {
+        const tf = derivativeFilterTime(spec);
+        if (tf === 0) return [1];
+        return spec.derivativeFilter === 'secondOrder' ? [tf * tf / 2, tf, 1] : [tf, 1];
+    }
+
+    /**
+     * Creates a parallel-form PID controller. The integral term is stored already
+     * multiplied by Ki, so Ki = 0 simply means no integral action. Anti-windup acts on
+     * the control reported through `track(applied)`:
+     *  - 'clamping': after a saturated step the integral term drops by the excess, so the
+     *    demand lands back on the limit, but never past zero (a proportional or derivative
+     *    kick alone must not wind it the other way);
+     *  - 'conditional': integration stops while the actuator is saturated and the error
+     *    would push it further into saturation;
+     *  - 'backcalculation': the integral term is driven by (applied - demand) / Tt.
+     * Two degrees of freedom: with the reference r and measurement y passed to `update`,
+     * the proportional term acts on b r - y and the derivative on c r - y, while the
+     * integral always acts on the error, so b and c shape setpoint tracking without moving
+     * the closed-loop poles. `derivativeOn: 'measurement'` is the same as c = 0.
+     * The derivative kd s / F(s), see `derivativeFilterPolynomial`, and the integral ki / s
+     * are discretized with the step passed to `update` (the sample period):
+     *  - 'backwardEuler' (default): always stable, lags slightly;
+     *  - 'forwardEuler': the integral uses the previous error and the filter pole moves to
+     *    z = 1 - T/Tf, which leaves the unit circle when T > 2 Tf; an unfiltered derivative
+     *    cannot be discretized this way and falls back to the backward difference;
+     *  - 'tustin': trapezoidal, optionally prewarped at `prewarpFrequency`; an unfiltered
+     *    derivative gets a pole at z = -1 and rings at the Nyquist frequency.
+     * @param {object} spec - { kp, ki, kd, setpointWeight: b, derivativeWeight: c,
+     *                        derivativeFilter: 'none' | 'firstOrder' | 'secondOrder',
+     *                        filterCoefficient: N, derivativeOn: 'error' | 'measurement',
+     *                        antiWindup, trackingTime,
+     *                        discretization: 'backwardEuler' | 'forwardEuler' | 'tustin',
+     *                        prewarpFrequency: ω0 in rad/s }.
+     * @returns {object} Controller with `reset`, `update(error, dt, signals)` and `track(applied)` methods.
+     */
+    function createPIDController(spec) {
+        const { kp = 0, ki = 0, kd = 0, derivativeOn = 'error', antiWindup = 'none' } = spec;
+        const { discretization = 'backwardEuler', prewarpFrequency = 0 } = spec;
+        const b = Number.isFinite(spec.setpointWeight) ? spec.setpointWeight : 1;
+        const c = derivativeOn === 'measurement' ? 0 : Number.isFinite(spec.derivativeWeight) ? spec.derivativeWeight : 1;
+        const trackingTime = spec.trackingTime > 0 ? spec.trackingTime : defaultTrackingTime(spec);
+        const filter = derivativeFilterPolynomial(spec);
+        const derivativeMethod = discretization === 'forwardEuler' && filter.length === 1 ? 'backwardEuler' : discretization;
+        discreteSubstitution(discretization, 1); // rejects unknown methods up front
+        let integralTerm = 0;
+        let prevError = 0;
+        let derivative = null; // difference equation of kd s / F(s), built for the current step
+        let period = null;
+        let demand = 0;
+        let excess = 0; // demand - applied on the last step
+
+        /**
+         * Weights of the current and previous error in the integral increment over a step dt.
+         * @returns {number[]} [current, previous].
+         */
+        const integralWeights = (dt) => {
+            if (discretization === 'forwardEuler') return [0, dt];
+            if (discretization === 'backwardEuler') return [dt, 0];
+            const k = discreteSubstitution('tustin', dt, prewarpFrequency).numerator[0];
+            return [1 / k, 1 / k];
+        };
+
+        return {
+            reset() {
+                integralTerm = 0;
+                prevError = 0;
+                derivative = null;
+                period = null;
+                demand = 0;
+                excess = 0;
+            },
+            update(error, dt, signals) {
+                const weighted = (weight) => (signals ? weight * signals.reference - signals.measurement : error);
+                const signal = weighted(c);
+                if (dt !== period) {
+                    const H = discretizeTransferFunction([kd, 0], filter, derivativeMethod, dt, prewarpFrequency);
+                    derivative = createDifferenceEquation(H.numerator, H.denominator);
+                    // Start at rest on the current signal, so the first sample gives no derivative kick
+                    derivative.reset(signal);
+                    period = dt;
+                }
+
+                let integrate = true;
+                if (antiWindup === 'conditional' && excess !== 0 && Math.sign(error) === Math.sign(excess)) {
+                    integrate = false;
+                }
+                if (integrate) {
+                    const [current, previous] = integralWeights(dt);
+                    integralTerm += ki * (current * error + previous * prevError);
+                }
+                if (antiWindup === 'backcalculation' && ki !== 0) {
+                    integralTerm -= excess / trackingTime * dt;
+                }
+                prevError = error;
+
+                demand = kp * weighted(b) + integralTerm + derivative.update(signal);
+                excess = 0;
+                return demand;
+            },
+            track(applied) {
+                excess = demand - applied;
+                // Without integral action there is nothing to unwind
+                if (antiWindup === 'clamping' && ki !== 0 && Math.sign(integralTerm) === Math.sign(excess)) {
+                    integralTerm -= Math.sign(excess) * Math.min(Math.abs(excess), Math.abs(integralTerm));
+                }
+            }
+        };
+    }
+
+    /**
+     * Continuous-time transfer function of a PID description from the error (feedback
+     * path), C(s) = kp + ki/s + kd s / F(s), see `derivativeFilterPolynomial`.
+     * A common factor s (no integral action) is cancelled, and with every gain zero C(s) is
+     * 0 / 1, so the closed loop keeps the poles of the plant.
+     * @param {object} spec - { kp, ki, kd, derivativeFilter, filterCoefficient }.
+     * @returns {object} { numerator, denominator }, highest power first.
+     */
+    function controllerTransferFunction(spec) {
+        const { kp = 0, ki = 0, kd = 0 } = spec;
+        // Common denominator s F(s)
+        const filter = derivativeFilterPolynomial(spec);
+        let numerator = polyAdd(polyAdd(polyMul([kp, 0], filter), polyMul([ki], filter)), [kd, 0, 0]);
+        let denominator = polyMul([1, 0], filter);
+
+        numerator = trimLeadingZeros(numerator);
+        if (numerator.length === 0) return { numerator: [0], denominator: [1] };
+        denominator = trimLeadingZeros(denominator);
+        while (numerator.length > 1 && numerator[numerator.length - 1] === 0 && denominator[denominator.length - 1] === 0) {
+            numerator = numerator.slice(0, -1);
+            denominator = denominator.slice(0, -1);
+        }
+        return { numerator, denominator };
+    }
+
+    /**
+     * Rational loop transfer function L(s) = C(s) G(s), with the plant delay replaced by
+     * a Padé approximation.
+     * @param {object} plant - { numerator, denominator, delay }.
+     * @param {object} controller - PID description, see `controllerTransferFunction`.
+     * @param {number} [padeOrder=3] - Padé order for the delay.
+     * @returns {object} { numerator, denominator }, highest power first.
+     */
+    function loopTransferFunction(plant, controller, padeOrder = 3) {
+        const G = rationalPlantModel(plant, padeOrder);
+        const C = controllerTransferFunction(controller);
+        return {
+            numerator: polyMul(trimLeadingZeros(C.numerator), trimLeadingZeros(G.numerator)),
+            denominator: polyMul(trimLeadingZeros(C.denominator), trimLeadingZeros(G.denominator))
+        };
+    }
+
+    /**
+     * Closed-loop poles of the unity-feedback loop: roots of den(L) + num(L). The zeros
+     * of T = L / (1 + L) are those of num(L).
+     * @param {object} plant - { numerator, denominator, delay }.
+     * @param {object} controller - PID description.
+     * @param {number} [padeOrder=3] - Padé order for the delay.
+     * @returns {object} { characteristic, poles, zeros, stable }.
+     */
+    function closedLoopPoles(plant, controller, padeOrder = 3) {
+        const L = loopTransferFunction(plant, controller, padeOrder);
+        const characteristic = trimLeadingZeros(polyAdd(L.denominator, L.numerator));
+        return {
+            characteristic,
+            poles: polyRoots(characteristic),
+            zeros: polyRoots(L.numerator),
+            stable: isHurwitzStable(characteristic)
+        };
+    }
+
+    /**
+     * Creates a controller object from a controller description.
+     * @param {object} spec - A controller object, or a PID description.
+     * @returns {object} Controller with `reset` and `update` methods.
+     */
+    function createController(spec) {
+        if (typeof spec.update === 'function') return spec;
+        return createPIDController(spec);
+    }
+
+    // --- Simulation ---
+
+    /**
+     * Runs a closed-loop simulation.
+     *
+     * Without `config.sampling` the controller runs at every integration step. With it, the
+     * loop behaves like a microcontroller: every Ts the measurement is read through the ADC,
+     * the controller computes a demand with step Ts, the actuator limits are applied and the
+     * DAC value reaches the plant after the computation delay, held constant in between (ZOH).
+     * Ts and the delay are rounded to whole integration steps.
+     * @param {object} config - Simulation settings.
+     * @param {object} config.plant - Plant object or description.
+     * @param {object} config.controller - Controller object or description.
+     * @param {object} config.reference - Reference object or description.
+     * @param {number} config.simTime - Simulated time in seconds.
+     * @param {number} config.dt - Simulation (plant integration) time step in seconds.
+     * @param {object} [config.solver] - Plant solver: { method: 'euler' | 'rk4' | 'zoh' | 'rk45', rtol, atol }.
+     * @param {object} [config.prefilter] - Reference prefilter F(s) { numerator, denominator }.
+     * @param {object} [config.actuator] - Actuator limits { min, max, rateLimit }, see `createActuator`.
+     * @param {object} [config.sampling] - Digital controller: { period: Ts, computationDelay (s),
+     *                                     adcBits, adcRange: [min, max], dacBits, dacRange: [min, max] },
+     *                                     see `createQuantizer`.
+     * @param {object} [config.disturbances] - { input, output, measurement } disturbance
+     *                                          descriptions, see `createDisturbance`: the input (load)
+     *                                          disturbance adds to the plant input, the output one to
+     *                                          the plant output and the measurement noise only to what
+     *                                          the controller reads.
+     * @param {number} [config.seed=1] - Seed of the noise generators; each channel has its own stream.
+     * @param {object} [hooks] - Optional callbacks.
+     * @param {Function} [hooks.onProgress] - Called with the completed fraction (0..1).
+     * @returns {object} Signals {time, reference, output, measurement, error, control, demand}:
+     *                   `control` is what the actuator applied, `demand` what the controller asked
+     *                   for and `measurement` the output the controller read. With a prefilter,
+     *                   `filteredReference` is the reference the loop actually follows. With
+     *                   disturbances, `disturbances` holds the injected signal of each active channel.
+     */
+    function simulate(config, hooks = {}) {
+        const { simTime, dt, seed = 1 } = config;
+        const sampling = config.sampling || {};
+        const channels = ['input', 'output', 'measurement'].filter(name => {
+            const spec = (config.disturbances || {})[name];
+            return spec && spec.type && spec.type !== 'none';
+        });
+        const sources = {};
+        channels.forEach((name, k) => {
+            sources[name] = createDisturbance(config.disturbances[name], createRandom(seed + k));
+            sources[name].reset();
+        });
+        const plant = createPlant(config.plant, config.solver);
+        const controller = createController(config.controller);
+        const ref = createReference(config.reference);
+        const actuator = createActuator(config.actuator || {});
+        const prefilter = config.prefilter
+            ? createTransferFunctionPlant(config.prefilter.numerator, config.prefilter.denominator, config.solver)
+            : null;
+        const sampleSteps = Math.max(1, Math.round((sampling.period || dt) / dt));
+        const delaySteps = Math.max(0, Math.round((sampling.computationDelay || 0) / dt));
+        const adc = createQuantizer(sampling.adcBits, sampling.adcRange);
+        const dac = createQuantizer(sampling.dacBits, sampling.dacRange);
+
+        plant.reset();
+        controller.reset();
+        actuator.reset();
+        if (prefilter) prefilter.reset();
+
+        const steps = Math.floor(simTime / dt);
+        const time = Array.from({ length: steps }, (_, i) => i * dt);
+        const reference = new Array(steps).fill(0);
+        const output = new Array(steps).fill(0);
+        const measurement = new Array(steps).fill(0);
+        const error = new Array(steps).fill(0);
+        const control = new Array(steps).fill(0);
+        const demand = new Array(steps).fill(0);
+        const filteredReference = prefilter ? new Array(steps).fill(0) : null;
+        const disturbances = {};
+        channels.forEach(name => { disturbances[name] = new Array(steps).fill(0); });
+        const progressInterval = Math.max(1, Math.floor(steps / 50));
+        const pending = []; // DAC values waiting for the computation delay: { at: step, value }
+        let held = 0;
+        let plantInput = 0; // last input applied to the plant, control plus load disturbance
+
+        for (let i = 0; i < steps; i++) {
+            if (hooks.onProgress && i % progressInterval === 0) hooks.onProgress(i / steps);
+            const t = time[i];
+            reference[i] = ref.valueAt(t);
+            let r = reference[i];
+            if (prefilter) {
+                r = filteredReference[i] = prefilter.output(reference[i]);
+                prefilter.step(reference[i], dt);
+            }
+
+            channels.forEach(name => { disturbances[name][i] = sources[name].sample(t, dt); });
+            const inputDisturbance = disturbances.input ? disturbances.input[i] : 0;
+
+            // Plant output (feedthrough uses the last plant input) plus the output disturbance,
+            // and what the sensor reads of it
+            output[i] = plant.output(plantInput) + (disturbances.output ? disturbances.output[i] : 0);
+            measurement[i] = output[i] + (disturbances.measurement ? disturbances.measurement[i] : 0);
+
+            if (i % sampleSteps === 0) {
+                const measured = adc(measurement[i]);
+                error[i] = r - measured;
+                demand[i] = controller.update(error[i], sampleSteps * dt, { reference: r, measurement: measured });
+                const command = actuator.apply(demand[i], sampleSteps * dt);
+                if (typeof controller.track === 'function') controller.track(command);
+                pending.push({ at: i + delaySteps, value: dac(command) });
+            } else {
+                error[i] = error[i - 1];
+                demand[i] = demand[i - 1];
+            }
+            while (pending.length > 0 && pending[0].at <= i) held = pending.shift().value;
+            control[i] = held;
+
+            plantInput = control[i] + inputDisturbance;
+            plant.step(plantInput, dt);
+        }
+
+        if (hooks.onProgress) hooks.onProgress(1);
+        const result = { time, reference, output, measurement, error, control, demand };
+        if (prefilter) result.filteredReference = filteredReference;
+        if (channels.length > 0) result.disturbances = disturbances;
+        return result;
+    }
+
+    /**
+     * Runs an open-loop simulation: the input signal drives the plant directly.
+     * @param {object} config - { plant, solver, simTime, dt, input }, where `input` is a
+     *                          reference object or description (default: unit step).
+     * @param {object} [hooks] - Optional callbacks, see `simulate`.
+     * @returns {object} Signals {time, input, output}.
+     */
+    function simulateOpenLoop(config, hooks = {}) {
+        const { simTime, dt } = config;
+        const plant = createPlant(config.plant, config.solver);
+        const source = createReference(config.input || { type: 'step', amplitude: 1 });
+        plant.reset();
+
+        const steps = Math.floor(simTime / dt);
+        const time = Array.from({ length: steps }, (_, i) => i * dt);
+        const input = time.map(t => source.valueAt(t));
+        const output = new Array(steps).fill(0);
+        const progressInterval = Math.max(1, Math.floor(steps / 50));
+
+        for (let i = 0; i < steps; i++) {
+            if (hooks.onProgress && i % progressInterval === 0) hooks.onProgress(i / steps);
+            output[i] = plant.output(input[i]);
+            plant.step(input[i], dt);
+        }
+
+        if (hooks.onProgress) hooks.onProgress(1);
+        return { time, input, output };
+    }
+
+    /**
+     * Returns a copy of `config` with the value at a dotted path (e.g. 'controller.kp') replaced.
+     * Only the objects along the path are copied.
+     */
+    function withParameter(config, path, value) {
+        const [key, ...rest] = path.split('.');
+        return {
+            ...config,
+            [key]: rest.length > 0 ? withParameter(config[key] || {}, rest.join('.'), value) : value
+        };
+    }
+
+    /**
+     * Runs one simulation per value of a single parameter.
+     * @param {object} config - Base simulation settings, see `simulate`.
+     * @param {string} parameter - Dotted path of the swept setting (e.g. 'controller.kp').
+     * @param {number[]} values - Values to simulate.
+     * @param {object} [hooks] - Optional callbacks; `onProgress` receives the overall fraction.
+     * @returns {object[]} One { value, result } entry per swept value.
+     */
+    function simulateSweep(config, parameter, values, hooks = {}) {
+        return values.map((value, k) => {
+            const onProgress = hooks.onProgress
+                ? (fraction) => hooks.onProgress((k + fraction) / values.length)
+                : undefined;
+            return { value, result: simulate(withParameter(config, parameter, value), { onProgress }) };
+        });
+    }
+
+    return {
+        generateReference,
+        prbsSequence,
+        interpolatePoints,
+        createReference,
+        tfToStateSpace,
+        createStateSpacePlant,
+        createTransferFunctionPlant,
+        createDelayedPlant,
+        padeApproximation,
+        rationalPlantModel,
+        createPlant,
+        createActuator,
+        createRandom,
+        createDisturbance,
+        disturbanceRejectionMetrics,
+        stepResponseMetrics,
+        createQuantizer,
+        discreteSubstitution,
+        discretizeTransferFunction,
+        createDifferenceEquation,
+        defaultTrackingTime,
+        parallelToIsa,
+        isaToParallel,
+        derivativeFilterTime,
+        derivativeFilterPolynomial,
+        createPIDController,
+        controllerTransferFunction,
+        loopTransferFunction,
+        closedLoopPoles,
+        createController,
+        simulate,
+        simulateOpenLoop,
+        withParameter,
+        simulateSweep
+    };
+});
@@ -0,0 +1,212 @@
+/**
+ * Polynomials and Complex Numbers
+ * Polynomial arithmetic (coefficients highest power first), evaluation at complex points,
+ * root finding and the Routh-Hurwitz stability test. Loaded before `pid_engine.js`;
+ * exposes its functions on `PIDEngine`.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.PIDEngine = Object.assign(root.PIDEngine || {}, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // --- Complex numbers, as { re, im } ---
+
+    const complex = (re, im = 0) => ({ re, im });
+    const cAdd = (a, b) => complex(a.re + b.re, a.im + b.im);
+    const cSub = (a, b) => complex(a.re - b.re, a.im - b.im);
+    const cMul = (a, b) => complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+    const cDiv = (a, b) => {
+        const d = b.re * b.re + b.im * b.im;
+        return complex((a.re * b.re + a.im * b.im) / d, (a.im * b.re - a.re * b.im) / d);
+    };
+    const cAbs = (a) => Math.hypot(a.re, a.im);
+    const cArg = (a) => Math.atan2(a.im, a.re);
+
+    // --- Polynomial arithmetic ---
+
+    /**
+     * Removes leading zero coefficients from a polynomial (highest power first).
+     * @param {number[]} poly - Polynomial coefficients.
+     * @returns {number[]} The trimmed coefficients (empty for the zero polynomial).
+     */
+    function trimLeadingZeros(poly) {
+        const first = poly.findIndex(c => c !== 0);
+        return first === -1 ? [] : poly.slice(first);
+    }
+
+    function polyAdd(p, q) {
+        const n = Math.max(p.length, q.length);
+        const pp = [...new Array(n - p.length).fill(0), ...p];
+        const qq = [...new Array(n - q.length).fill(0), ...q];
+        return pp.map((c, i) => c + qq[i]);
+    }
+
+    function polyScale(p, k) {
+        return p.map(c => c * k);
+    }
+
+    function polyMul(p, q) {
+        if (p.length === 0 || q.length === 0) return [];
+        const r = new Array(p.length + q.length - 1).fill(0);
+        p.forEach((a, i) => q.forEach((b, j) => { r[i + j] += a * b; }));
+        return r;
+    }
+
+    function polyDerivative(p) {
+        const n = p.length - 1;
+        return p.slice(0, -1).map((c, i) => c * (n - i));
+    }
+
+    /**
+     * Evaluates a real polynomial at a complex point with Horner's rule.
+     * @param {number[]} p - Coefficients, highest power first.
+     * @param {object} z - Complex point { re, im }.
+     * @returns {object} p(z) as { re, im }.
+     */
+    function polyEvalComplex(p, z) {
+        let acc = complex(0, 0);
+        for (const c of p) acc = cAdd(cMul(acc, z), complex(c, 0));
+        return acc;
+    }
+
+    /**
+     * Builds a real polynomial from its roots (complex roots must come in conjugate pairs).
+     * @param {object[]} roots - Roots as { re, im }.
+     * @param {number} [gain=1] - Leading coefficient.
+     * @returns {number[]} Coefficients, highest power first.
+     */
+    function polyFromRoots(roots, gain = 1) {
+        let p = [complex(gain, 0)];
+        roots.forEach(r => {
+            const next = new Array(p.length + 1).fill(null).map(() => complex(0, 0));
+            p.forEach((c, i) => {
+                next[i] = cAdd(next[i], c);
+                next[i + 1] = cSub(next[i + 1], cMul(c, r));
+            });
+            p = next;
+        });
+        return p.map(c => c.re);
+    }
+
+    // --- Root finding ---
+
+    function polyEvalWithDerivative(p, z) {
+        let value = complex(p[0], 0);
+        let derivative = complex(0, 0);
+        for (let i = 1; i < p.length; i++) {
+            derivative = cAdd(cMul(derivative, z), value);
+            value = cAdd(cMul(value, z), complex(p[i], 0));
+        }
+        return { value, derivative };
+    }
+
+    /**
+     * Finds all roots of a real polynomial with the Aberth-Ehrlich method.
+     * Roots at the origin are factored out exactly and near-real roots are snapped to the
+     * real axis, so conjugate pairs stay symmetric.
+     * @param {number[]} poly - Coefficients, highest power first.
+     * @returns {object[]} Roots as { re, im }, sorted by real part then imaginary part.
+     */
+    function polyRoots(poly) {
+        let p = trimLeadingZeros(poly);
+        const roots = [];
+        while (p.length > 1 && p[p.length - 1] === 0) {
+            p = p.slice(0, -1);
+            roots.push(complex(0, 0));
+        }
+        const n = p.length - 1;
+        if (n < 1) return roots;
+
+        p = p.map(c => c / p[0]);
+        if (n === 1) {
+            roots.push(complex(-p[1], 0));
+        } else {
+            // Initial guesses on a circle sized by the geometric mean of the roots
+            const radius = Math.pow(Math.abs(p[n]), 1 / n) || 1;
+            let z = Array.from({ length: n }, (_, k) => {
+                const angle = 2 * Math.PI * k / n + 0.4;
+                return complex(radius * Math.cos(angle), radius * Math.sin(angle));
+            });
+
+            for (let iter = 0; iter < 500; iter++) {
+                let maxStep = 0;
+                z = z.map((zk, k) => {
+                    const { value, derivative } = polyEvalWithDerivative(p, zk);
+                    if (cAbs(value) === 0) return zk;
+                    const ratio = cDiv(value, derivative);
+                    let sum = complex(0, 0);
+                    z.forEach((zj, j) => {
+                        if (j !== k) sum = cAdd(sum, cDiv(complex(1, 0), cSub(zk, zj)));
+                    });
+                    const step = cDiv(ratio, cSub(complex(1, 0), cMul(ratio, sum)));
+                    maxStep = Math.max(maxStep, cAbs(step) / Math.max(1, cAbs(zk)));
+                    return cSub(zk, step);
+                });
+                if (maxStep < 1e-15) break;
+            }
+
+            z.forEach(zk => {
+                const snap = Math.abs(zk.im) <= 1e-9 * Math.max(1, cAbs(zk));
+                roots.push(complex(zk.re, snap ? 0 : zk.im));
+            });
+        }
+
+        return roots.sort((a, b) => (a.re - b.re) || (a.im - b.im));
+    }
+
+    // --- Stability ---
+
+    /**
+     * Routh-Hurwitz test for strict stability (all roots in the open left half-plane).
+     * A zero in the first column means a root on or across the imaginary axis, which is
+     * reported as not strictly stable.
+     * @param {number[]} poly - Characteristic polynomial, highest power first.
+     * @returns {boolean} True when every root has a negative real part.
+     */
+    function isHurwitzStable(poly) {
+        const p = trimLeadingZeros(poly);
+        const n = p.length - 1;
+        if (n < 0) return false;
+        if (n === 0) return true;
+
+        const width = Math.ceil((n + 1) / 2);
+        let prev = Array.from({ length: width }, (_, i) => p[2 * i] || 0);
+        let curr = Array.from({ length: width }, (_, i) => p[2 * i + 1] || 0);
+        const sign = Math.sign(prev[0]);
+        const scale = Math.max(...p.map(Math.abs));
+
+        for (let row = 1; row <= n; row++) {
+            if (Math.abs(curr[0]) <= 1e-12 * scale || Math.sign(curr[0]) !== sign) return false;
+            const next = Array.from({ length: width }, (_, i) =>
+                (curr[0] * (prev[i + 1] || 0) - prev[0] * (curr[i + 1] || 0)) / curr[0]
+            );
+            prev = curr;
+            curr = next;
+        }
+        return true;
+    }
+
+    return {
+        complex,
+        cAdd,
+        cSub,
+        cMul,
+        cDiv,
+        cAbs,
+        cArg,
+        trimLeadingZeros,
+        polyAdd,
+        polyScale,
+        polyMul,
+        polyDerivative,
+        polyEvalComplex,
+        polyFromRoots,
+        polyRoots,
+        isHurwitzStable
+    };
+});
@@ -0,0 +1,373 @@
+/**
+ * Report Export
+ * Page-side helpers to get results out of the simulator for lab reports: signals to CSV
+ * and JSON with a metadata header, standalone SVG copies of the block diagram and of a
+ * Chart.js chart, PNG rendering and file downloads. The CSV and JSON serializers do not
+ * need a DOM. Has no dependencies; exposes its functions on `PIDEngine`.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.PIDEngine = Object.assign(root.PIDEngine || {}, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // --- Data export ---
+
+    /**
+     * Collects the export metadata: the time of export, caller-supplied fields and the
+     * simulated configuration (plant, controller, reference and simulation settings).
+     * Empty settings are dropped.
+     * @param {object} config - The configuration passed to `simulate`.
+     * @param {object} [extra] - Fields placed first, e.g. { title }.
+     * @returns {object} The metadata.
+     */
+    function exportMetadata(config, extra = {}) {
+        const metadata = { exportedAt: new Date().toISOString(), ...extra };
+        Object.entries(config || {}).forEach(([key, value]) => {
+            if (value !== null && value !== undefined) metadata[key] = value;
+        });
+        return metadata;
+    }
+
+    /**
+     * Flattens metadata into "key: value" pairs with dotted keys. Numeric arrays are
+     * written space-separated, any other array as JSON.
+     * @param {object} metadata - Nested metadata.
+     * @param {string} [prefix] - Key prefix of the nested level.
+     * @returns {Array<[string, string]>} The pairs, in insertion order.
+     */
+    function flattenMetadata(metadata, prefix = '') {
+        return Object.entries(metadata).flatMap(([key, value]) => {
+            const name = prefix + key;
+            if (value === null || value === undefined) return [];
+            if (Array.isArray(value)) {
+                return [[name, value.every(v => typeof v === 'number') ? value.join(' ') : JSON.stringify(value)]];
+            }
+            if (typeof value === 'object') return flattenMetadata(value, `${name}.`);
+            return [[name, String(value)]];
+        });
+    }
+
+    /**
+     * Writes signals as delimited text. Metadata goes first as '# key: value' comment
+     * lines, which `parseMeasuredData` skips, followed by a header row with the signal
+     * names. Shorter signals and non-finite samples leave empty fields.
+     * @param {object} signals - Ordered { name: samples[] }, time first.
+     * @param {object} [metadata] - Metadata for the comment header.
+     * @param {object} [options] - { delimiter (default ','), decimalComma (default false) }.
+     * @returns {string} The CSV text.
+     */
+    function resultsToCsv(signals, metadata = {}, options = {}) {
+        const { delimiter = ',', decimalComma = false } = options;
+        if (decimalComma && delimiter === ',') {
+            throw new Error('The comma cannot be both the delimiter and the decimal separator.');
+        }
+        const quote = (text) => (text.includes(delimiter) || text.includes('"')
+            ? `"${text.replace(/"/g, '""')}"` : text);
+        const format = (value) => {
+            if (typeof value !== 'number' || !isFinite(value)) return '';
+            return decimalComma ? String(value).replace('.', ',') : String(value);
+        };
+
+        const names = Object.keys(signals);
+        const rows = Math.max(0, ...names.map(name => signals[name].length));
+        const lines = flattenMetadata(metadata).map(([key, value]) => `# ${key}: ${value}`);
+        lines.push(names.map(quote).join(delimiter));
+        for (let i = 0; i < rows; i++) {
+            lines.push(names.map(name => format(signals[name][i])).join(delimiter));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Writes signals and metadata as JSON: { metadata, signals }. Non-finite samples
+     * become null.
+     * @param {object} signals - Ordered { name: samples[] }.
+     * @param {object} [metadata] - Metadata object.
+     * @returns {string} The JSON text.
+     */
+    function resultsToJson(signals, metadata = {}) {
+        return JSON.stringify({ metadata, signals });
+    }
+
+    // --- Graphics export (browser only) ---
+
+    /**
+     * Replaces CSS custom properties, var(--name), with their computed values so the
+     * text can be used outside the page. Nested variables are resolved too.
+     * @param {string} text - Text with var() references, e.g. a color or SVG markup.
+     * @param {Element} [element] - Element whose computed style defines the variables.
+     * @returns {string} The text with the variables substituted.
+     */
+    function resolveCssVariables(text, element = document.documentElement) {
+        if (typeof text !== 'string') return text;
+        const style = getComputedStyle(element);
+        let resolved = text;
+        for (let pass = 0; pass < 5 && resolved.includes('var(--'); pass++) {
+            resolved = resolved.replace(/var\((--[\w-]+)(?:,\s*([^()]*))?\)/g,
+                (match, name, fallback) => style.getPropertyValue(name).trim() || (fallback || '').trim());
+        }
+        return resolved;
+    }
+
+    /**
+     * Escapes text for SVG markup.
+     * @param {string} text - Plain text.
+     * @returns {string} The escaped text.
+     */
+    function escapeXml(text) {
+        return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    }
+
+    /**
+     * Text content of an element with collapsed whitespace; superscripts (e.g. s², e^(-2s))
+     * are kept as Unicode superscripts when possible.
+     * @param {Element|null} element - The element.
+     * @returns {string} Its text.
+     */
+    function plainText(element) {
+        if (!element) return '';
+        const superscripts = { '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹', '-': '⁻', '+': '⁺', 's': 'ˢ' };
+        const copy = element.cloneNode(true);
+        copy.querySelectorAll('sup').forEach(sup => {
+            const text = sup.textContent.trim();
+            sup.textContent = [...text].every(c => superscripts[c]) ? [...text].map(c => superscripts[c]).join('') : `^(${text})`;
+        });
+        return copy.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Draws the HTML content of a diagram foreignObject as SVG text, which image
+     * viewers and canvas rendering support. A fraction (two rows split by an <hr>) is
+     * drawn with a fraction bar; any other content becomes one centred line per row.
+     * @param {Element} foreignObject - The foreignObject element.
+     * @param {string} color - Text color.
+     * @returns {string} SVG markup for the same box.
+     */
+    function foreignObjectMarkup(foreignObject, color) {
+        const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(name => parseFloat(foreignObject.getAttribute(name)) || 0);
+        const cx = x + width / 2, cy = y + height / 2;
+        const text = (value, tx, ty, anchor = 'middle', size = 12) =>
+            `<text x="${tx}" y="${ty}" fill="${color}" font-size="${size}" text-anchor="${anchor}" dominant-baseline="middle">${escapeXml(value)}</text>`;
+
+        const rule = foreignObject.querySelector('hr');
+        if (rule) {
+            // Labels before the fraction (e.g. "G(s) =") and factors after it (e.g. the dead time)
+            const fraction = rule.parentElement;
+            const whole = plainText(foreignObject.firstElementChild || foreignObject);
+            const middle = plainText(fraction);
+            const at = whole.indexOf(middle);
+            const before = at >= 0 ? whole.slice(0, at).trim() : '';
+            const after = at >= 0 ? whole.slice(at + middle.length).trim() : '';
+            const numerator = plainText(rule.previousElementSibling);
+            const denominator = plainText(rule.nextElementSibling);
+            const barWidth = Math.min(width - 8, 7 * Math.max(numerator.length, denominator.length, 3));
+            const barY = before ? cy + 6 : cy;
+            return [
+                before ? text(before, cx, y + 10, 'middle', 11) : '',
+                text(numerator, cx, barY - 10),
+                `<line x1="${cx - barWidth / 2}" y1="${barY}" x2="${cx + barWidth / 2}" y2="${barY}" stroke="${color}" stroke-width="1"/>`,
+                text(denominator, cx, barY + 10),
+                after ? text(after, x + width - 2, barY, 'end', 11) : ''
+            ].join('');
+        }
+
+        const container = foreignObject.firstElementChild || foreignObject;
+        const rows = (container.children.length > 0 ? [...container.children] : [container])
+            .map(row => (row.children.length > 0 ? [...row.children].map(plainText).filter(Boolean).join(' ') : plainText(row)))
+            .filter(Boolean);
+        const lineHeight = Math.min(18, height / Math.max(rows.length, 1));
+        return rows.map((row, i) => text(row, cx, cy + (i - (rows.length - 1) / 2) * lineHeight)).join('');
+    }
+
+    /**
+     * Makes a standalone SVG document from an inline diagram: CSS variables are
+     * resolved, HTML inside foreignObjects is redrawn as SVG text and a background is
+     * added.
+     * @param {SVGSVGElement} svg - The diagram element.
+     * @param {object} [options] - { background (default: the page's --card-bg) }.
+     * @returns {string} The SVG document.
+     */
+    function diagramToSvg(svg, options = {}) {
+        const [, , width, height] = (svg.getAttribute('viewBox') || `0 0 ${svg.clientWidth} ${svg.clientHeight}`).split(/[\s,]+/).map(Number);
+        const color = getComputedStyle(svg).color || '#000';
+        const background = options.background || resolveCssVariables('var(--card-bg)', svg) || '#ffffff';
+
+        const clone = svg.cloneNode(true);
+        clone.setAttribute('width', width);
+        clone.setAttribute('height', height);
+        clone.setAttribute('font-family', 'sans-serif');
+        clone.removeAttribute('class');
+        clone.querySelectorAll('foreignObject').forEach((foreignObject) => {
+            const group = document.createElementNS(SVG_NS, 'g');
+            group.innerHTML = foreignObjectMarkup(foreignObject, color);
+            foreignObject.replaceWith(group);
+        });
+        const backdrop = document.createElementNS(SVG_NS, 'rect');
+        ['x', 'y'].forEach(name => backdrop.setAttribute(name, 0));
+        backdrop.setAttribute('width', width);
+        backdrop.setAttribute('height', height);
+        backdrop.setAttribute('fill', background);
+        clone.insertBefore(backdrop, clone.firstChild);
+
+        return resolveCssVariables(new XMLSerializer().serializeToString(clone), svg);
+    }
+
+    /**
+     * Redraws a Chart.js line chart as an SVG document from its laid-out elements:
+     * axes with their ticks, grid and titles, the visible datasets and a legend.
+     * @param {object} chart - The Chart.js instance.
+     * @param {object} [options] - { background (default white), color (text color,
+     *                             default the legend label color) }.
+     * @returns {string} The SVG document.
+     */
+    function chartToSvg(chart, options = {}) {
+        const { width, height, chartArea: area } = chart;
+        const canvas = chart.canvas;
+        const resolve = (value) => resolveCssVariables(value, canvas);
+        const legendOptions = chart.options.plugins && chart.options.plugins.legend;
+        const color = options.color || resolve(legendOptions && legendOptions.labels && legendOptions.labels.color) || '#333';
+        const background = options.background || '#ffffff';
+        const parts = [`<rect x="0" y="0" width="${width}" height="${height}" fill="${background}"/>`];
+        const label = (value, x, y, anchor, extra = '') =>
+            `<text x="${x.toFixed(1)}" y="${y.toFixed(1)}" fill="${color}" font-size="11" text-anchor="${anchor}"${extra}>${escapeXml(value)}</text>`;
+
+        Object.values(chart.scales).forEach(scale => {
+            if (scale.options.display === false) return;
+            const horizontal = scale.isHorizontal();
+            const grid = scale.options.grid || {};
+            const gridColor = resolve(typeof grid.color === 'string' ? grid.color : 'rgba(128, 128, 128, 0.2)');
+            scale.ticks.forEach((tick, i) => {
+                const p = scale.getPixelForTick(i);
+                const text = Array.isArray(tick.label) ? tick.label.join(' ') : String(tick.label);
+                if (horizontal) {
+                    if (grid.drawOnChartArea !== false) parts.push(`<line x1="${p}" y1="${area.top}" x2="${p}" y2="${area.bottom}" stroke="${gridColor}"/>`);
+                    parts.push(label(text, p, area.bottom + 14, 'middle'));
+                } else {
+                    if (grid.drawOnChartArea !== false) parts.push(`<line x1="${area.left}" y1="${p}" x2="${area.right}" y2="${p}" stroke="${gridColor}"/>`);
+                    const left = scale.position === 'left';
+                    parts.push(label(text, left ? area.left - 6 : area.right + 6, p + 4, left ? 'end' : 'start'));
+                }
+            });
+            const title = scale.options.title;
+            if (title && title.display && title.text) {
+                if (horizontal) {
+                    parts.push(label(title.text, (area.left + area.right) / 2, height - 6, 'middle'));
+                } else {
+                    const x = scale.position === 'left' ? 12 : width - 8;
+                    const y = (area.top + area.bottom) / 2;
+                    parts.push(label(title.text, x, y, 'middle', ` transform="rotate(-90 ${x} ${y})"`));
+                }
+            }
+        });
+
+        parts.push(`<clipPath id="plotArea"><rect x="${area.left}" y="${area.top}" width="${area.right - area.left}" height="${area.bottom - area.top}"/></clipPath>`);
+        const legend = [];
+        chart.data.datasets.forEach((dataset, i) => {
+            if (!chart.isDatasetVisible(i)) return;
+            let path = '';
+            let pen = 'M';
+            chart.getDatasetMeta(i).data.forEach(point => {
+                if (point.skip || !isFinite(point.x) || !isFinite(point.y)) {
+                    pen = 'M';
+                    return;
+                }
+                path += `${pen}${point.x.toFixed(1)} ${point.y.toFixed(1)}`;
+                pen = 'L';
+            });
+            const stroke = resolve(dataset.borderColor) || color;
+            const dash = dataset.borderDash && dataset.borderDash.length ? ` stroke-dasharray="${dataset.borderDash.join(' ')}"` : '';
+            parts.push(`<path d="${path}" fill="none" stroke="${stroke}" stroke-width="${dataset.borderWidth || 1}"${dash} clip-path="url(#plotArea)"/>`);
+            legend.push({ text: dataset.label || `Dataset ${i + 1}`, stroke, dash });
+        });
+
+        // Legend on top, wrapped to the chart width
+        let x = area.left, y = 14;
+        legend.forEach(item => {
+            const itemWidth = 30 + 6.5 * item.text.length;
+            if (x + itemWidth > width && x > area.left) {
+                x = area.left;
+                y += 16;
+            }
+            parts.push(`<line x1="${x}" y1="${y - 4}" x2="${x + 22}" y2="${y - 4}" stroke="${item.stroke}" stroke-width="2"${item.dash}/>`);
+            parts.push(label(item.text, x + 26, y, 'start'));
+            x += itemWidth + 10;
+        });
+
+        return `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">${parts.join('')}</svg>`;
+    }
+
+    /**
+     * Copies a canvas over a solid background, since chart canvases are transparent.
+     * @param {HTMLCanvasElement} canvas - The source canvas.
+     * @param {string} [background] - Background color (default white).
+     * @returns {string} PNG data URL.
+     */
+    function canvasToPng(canvas, background = '#ffffff') {
+        const copy = document.createElement('canvas');
+        copy.width = canvas.width;
+        copy.height = canvas.height;
+        const ctx = copy.getContext('2d');
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, copy.width, copy.height);
+        ctx.drawImage(canvas, 0, 0);
+        return copy.toDataURL('image/png');
+    }
+
+    /**
+     * Renders an SVG document to PNG.
+     * @param {string} svgText - A standalone SVG document, e.g. from `diagramToSvg`.
+     * @param {number} [scale] - Pixels per SVG unit (default 2, for print resolution).
+     * @returns {Promise<string>} PNG data URL.
+     */
+    function svgToPng(svgText, scale = 2) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.width * scale);
+                canvas.height = Math.round(image.height * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                resolve(canvas.toDataURL('image/png'));
+            };
+            image.onerror = () => reject(new Error('The SVG could not be rendered.'));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgText)}`;
+        });
+    }
+
+    /**
+     * Saves text or a data URL as a file through a temporary download link.
+     * @param {string} filename - Suggested file name.
+     * @param {string} content - File contents, or a data URL when `type` is omitted.
+     * @param {string} [type] - MIME type of text contents, e.g. 'text/csv'.
+     */
+    function downloadFile(filename, content, type) {
+        const url = type ? URL.createObjectURL(new Blob([content], { type })) : content;
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        if (type) setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    return {
+        exportMetadata,
+        flattenMetadata,
+        resultsToCsv,
+        resultsToJson,
+        resolveCssVariables,
+        diagramToSvg,
+        chartToSvg,
+        canvasToPng,
+        svgToPng,
+        downloadFile
+    };
+});
@@ -0,0 +1,184 @@
+/**
+ * Root Locus and Pole Analysis
+ * Closed-loop pole locations of 1 + K L(s) = 0 as the loop gain K goes from 0 to a
+ * maximum, with the roots tracked into continuous branches, and the per-pole and
+ * dominant-pole characteristics used to read a pole map. Loaded after `pid_engine.js`;
+ * exposes its functions on `PIDEngine`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./pid_engine.js'));
+    } else {
+        root.PIDEngine = Object.assign(root.PIDEngine || {}, factory(root.PIDEngine));
+    }
+})(typeof self !== 'undefined' ? self : this, function (engine) {
+    'use strict';
+
+    const distance = (a, b) => Math.hypot(a.re - b.re, a.im - b.im);
+
+    /**
+     * Closed-loop poles for one gain: roots of den(s) + K num(s).
+     * @param {object} loop - { numerator, denominator } of L(s).
+     * @param {number} gain - Loop gain K.
+     * @returns {object[]} Poles as { re, im }.
+     */
+    function locusPolesAt(loop, gain) {
+        const num = engine.trimLeadingZeros(loop.numerator);
+        const den = engine.trimLeadingZeros(loop.denominator);
+        return engine.polyRoots(engine.polyAdd(den, engine.polyScale(num, gain)));
+    }
+
+    /**
+     * Orders `next` so that each root follows the closest root of `previous`
+     * (greedy matching on the shortest distances).
+     * @returns {object[]} `next` reordered to match `previous`.
+     */
+    function matchRoots(previous, next) {
+        const pairs = [];
+        previous.forEach((p, i) => next.forEach((q, j) => pairs.push({ i, j, d: distance(p, q) })));
+        pairs.sort((a, b) => a.d - b.d);
+
+        const ordered = new Array(previous.length).fill(null);
+        const used = new Set();
+        pairs.forEach(({ i, j }) => {
+            if (ordered[i] === null && !used.has(j)) {
+                ordered[i] = next[j];
+                used.add(j);
+            }
+        });
+        return ordered;
+    }
+
+    /**
+     * Computes the root locus of 1 + K L(s) = 0 for K in [0, kMax]. Gains are
+     * log-spaced and refined wherever a branch jumps by more than 2% of the plot scale,
+     * so branches stay smooth near breakaway points.
+     * @param {object} loop - { numerator, denominator } of L(s), highest power first.
+     * @param {object} [options] - { kMax (default 1000), points (default 300), maxPoints (default 3000) }.
+     * @returns {object} { gains, branches: one array of poles per branch, poles, zeros }.
+     */
+    function rootLocus(loop, options = {}) {
+        const { kMax = 1000, points = 300, maxPoints = 3000 } = options;
+        const num = engine.trimLeadingZeros(loop.numerator);
+        const den = engine.trimLeadingZeros(loop.denominator);
+        if (num.length === 0) throw new Error('The loop gain is zero.');
+        if (num.length > den.length) {
+            throw new Error('Improper loop transfer function: add a derivative filter or remove the derivative term.');
+        }
+
+        const poles = engine.polyRoots(den);
+        const zeros = engine.polyRoots(num);
+        const scale = Math.max(1, ...poles.concat(zeros).map(p => Math.hypot(p.re, p.im)));
+        const step = 0.02 * scale;
+
+        const gains = [0];
+        for (let i = 0; i < points; i++) gains.push(kMax * Math.pow(10, -6 + 6 * i / (points - 1)));
+
+        const samples = [{ gain: 0, roots: poles }];
+        let total = gains.length;
+        for (let i = 1; i < gains.length; i++) {
+            let low = samples[samples.length - 1];
+            let target = gains[i];
+            // Bisect the gain interval until the roots move by less than `step`
+            while (true) {
+                const roots = matchRoots(low.roots, locusPolesAt(loop, target));
+                const jump = Math.max(...roots.map((r, k) => distance(r, low.roots[k])));
+                if (jump <= step || total >= maxPoints || target - low.gain < 1e-12 * kMax) {
+                    samples.push({ gain: target, roots });
+                    if (target === gains[i]) break;
+                    low = samples[samples.length - 1];
+                    target = gains[i];
+                } else {
+                    target = low.gain === 0 ? target / 10 : Math.sqrt(low.gain * target);
+                    total++;
+                }
+            }
+        }
+
+        return {
+            gains: samples.map(s => s.gain),
+            branches: poles.map((_, b) => samples.map(s => s.roots[b])),
+            poles,
+            zeros
+        };
+    }
+
+    /**
+     * Finds the locus point closest to a point of the s-plane.
+     * @param {object} locus - Result of `rootLocus`.
+     * @param {object} point - { re, im }.
+     * @returns {object} { gain, pole, distance }.
+     */
+    function nearestLocusGain(locus, point) {
+        let best = { gain: 0, pole: null, distance: Infinity };
+        locus.branches.forEach(branch => {
+            branch.forEach((p, k) => {
+                const d = distance(p, point);
+                if (d < best.distance) best = { gain: locus.gains[k], pole: p, distance: d };
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Damping ratio, natural frequency and time constant of a pole.
+     * @param {object} pole - { re, im }.
+     * @returns {object} { zeta, wn, tau } (tau is Infinity for poles on or right of the axis).
+     */
+    function poleCharacteristics(pole) {
+        const wn = Math.hypot(pole.re, pole.im);
+        return {
+            zeta: wn > 0 ? -pole.re / wn : 1,
+            wn,
+            tau: pole.re < 0 ? -1 / pole.re : Infinity
+        };
+    }
+
+    /**
+     * Second-order (or first-order) approximation from the dominant pole, the one closest
+     * to the imaginary axis. For a pair with damping ζ < 1 and natural frequency ωn:
+     * overshoot = e^{-πζ/√(1-ζ²)}, peak time = π / (ωn √(1-ζ²)) and settling time
+     * = -ln(band √(1-ζ²)) / (ζ ωn). A real pole gives no overshoot and -ln(band) τ.
+     * The separation is how many times faster the next pole decays; the approximation
+     * is usually trusted above 5 (ignoring zeros near the dominant poles).
+     * @param {object[]} poles - Closed-loop poles { re, im }.
+     * @param {object} [options] - { settlingBand: settling tolerance (default 0.05) }.
+     * @returns {object|null} { pole, zeta, wn, overshoot (%), peakTime, settlingTime, separation },
+     *                        or null when there are no poles or the loop is not stable.
+     */
+    function dominantPoleApproximation(poles, options = {}) {
+        const { settlingBand = 0.05 } = options;
+        if (poles.length === 0) return null;
+        const sorted = [...poles].sort((a, b) => b.re - a.re);
+        const pole = sorted[0];
+        if (pole.re >= 0) return null;
+
+        const { zeta, wn } = poleCharacteristics(pole);
+        // The conjugate of a complex dominant pole is not a separate pole
+        const conjugate = { re: pole.re, im: -pole.im };
+        const others = sorted.filter(p => p !== pole && !(pole.im !== 0 && distance(p, conjugate) <= 1e-9 * Math.max(1, wn)));
+        const separation = others.length > 0 ? others[0].re / pole.re : Infinity;
+
+        if (pole.im === 0) {
+            return { pole, zeta: 1, wn, overshoot: 0, peakTime: null, settlingTime: -Math.log(settlingBand) / -pole.re, separation };
+        }
+        const damped = Math.sqrt(1 - zeta * zeta);
+        return {
+            pole,
+            zeta,
+            wn,
+            overshoot: 100 * Math.exp(-Math.PI * zeta / damped),
+            peakTime: Math.PI / (wn * damped),
+            settlingTime: -Math.log(settlingBand * damped) / (zeta * wn),
+            separation
+        };
+    }
+
+    return {
+        locusPolesAt,
+        rootLocus,
+        nearestLocusGain,
+        poleCharacteristics,
+        dominantPoleApproximation
+    };
+});
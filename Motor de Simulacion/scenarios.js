@@ -0,0 +1,103 @@
+/**
+ * Built-in Scenarios
+ * Course studies that compare several controllers on one plant, ported from the Scilab
+ * scripts in `Sist. De Control/`. A scenario describes the plant by its physical parameters,
+ * the reference, the time grid and the controllers; `runScenario` simulates every case and
+ * measures its step response. Depends on `physical_plants.js` and `pid_engine.js`, which must
+ * be loaded first in the browser; exposes its functions on `PIDEngine`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./physical_plants.js'), require('./pid_engine.js')));
+    } else {
+        root.PIDEngine = Object.assign(root.PIDEngine || {}, factory(root.PIDEngine));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    'use strict';
+
+    const { physicalPlantTransferFunction, simulateOpenLoop, loopTransferFunction, polyAdd, trimLeadingZeros, stepResponseMetrics } = deps;
+
+    // Labels follow the legends of the original scripts
+    const SCENARIOS = {
+        // rlc_controladores.sce: underdamped RLC, G(s) = (1/LC) / (s² + (R/L) s + 1/LC),
+        // unit step on t = 0:0.01:10. The script writes the controllers in the ideal form
+        // Gc = Kp (1 + Ki/s + Kd s), so the parallel gains are ki = Kp·Ki and kd = Kp·Kd.
+        rlcControllers: {
+            title: 'Circuito RLC subamortiguado: P, PI y PID',
+            source: 'Sist. De Control/rlc_controladores.sce',
+            plant: { model: 'rlc', parameters: { resistance: 0.5, inductance: 0.05, capacitance: 0.05 }, delay: 0 },
+            reference: { type: 'step', amplitude: 1 },
+            simTime: 10,
+            dt: 0.01,
+            solver: { method: 'zoh' },
+            controllers: [
+                { label: 'Controlador P', kp: 10, ki: 0, kd: 0 },
+                { label: 'Controlador PI', kp: 15, ki: 15 * 5, kd: 0 },
+                { label: 'Controlador PID', kp: 20, ki: 20 * 10, kd: 20 * 2 }
+            ],
+            openLoop: { label: 'Sistema sin control' }
+        }
+    };
+
+    /**
+     * Available scenarios.
+     * @returns {object[]} { id, title, source } of each scenario.
+     */
+    function scenarioList() {
+        return Object.entries(SCENARIOS).map(([id, { title, source }]) => ({ id, title, source }));
+    }
+
+    /**
+     * Description of a scenario, as a copy the caller may modify.
+     * @param {string} id - Scenario id, see `scenarioList`.
+     * @returns {object} { title, source, plant: { model, parameters, delay }, reference, simTime,
+     *                   dt, solver, controllers: [{ label, kp, ki, kd }], openLoop: { label } | null }.
+     */
+    function scenarioDefinition(id) {
+        const scenario = SCENARIOS[id];
+        if (!scenario) throw new Error(`Unknown scenario: ${id}`);
+        return JSON.parse(JSON.stringify(scenario));
+    }
+
+    /**
+     * Simulates every controller of a scenario and, if requested, the plant in open loop.
+     *
+     * As Scilab's csim does, each case is the continuous closed loop T = L / (1 + L) with an
+     * ideal derivative, simulated as one linear system on the scenario's time grid. The sampled
+     * loop of `simulate` would need a much finer step: the PID of the RLC study puts a closed-loop
+     * pole near s = -16000.
+     * @param {string|object} scenario - Scenario id or description, see `scenarioDefinition`.
+     * @returns {object} { definition, plant: { numerator, denominator, delay }, cases:
+     *                   [{ label, controller, closedLoop: { numerator, denominator }, result,
+     *                   metrics }], openLoop: { label, result, metrics } | null }. Results hold
+     *                   { time, input, output } and `metrics` come from `stepResponseMetrics`.
+     */
+    function runScenario(scenario) {
+        const definition = typeof scenario === 'string' ? scenarioDefinition(scenario) : scenario;
+        const { numerator, denominator } = physicalPlantTransferFunction(definition.plant.model, definition.plant.parameters);
+        const plant = { numerator, denominator, delay: definition.plant.delay || 0 };
+        const { reference, simTime, dt, solver } = definition;
+        const metricOptions = { startTime: reference.startTime || 0, initialValue: reference.initialValue || 0 };
+
+        const cases = definition.controllers.map(({ label, ...gains }) => {
+            const controller = { ...gains, derivativeFilter: 'none' };
+            const loop = loopTransferFunction(plant, controller);
+            const closedLoop = { numerator: loop.numerator, denominator: trimLeadingZeros(polyAdd(loop.denominator, loop.numerator)) };
+            const result = simulateOpenLoop({ plant: closedLoop, solver, simTime, dt, input: reference });
+            return { label, controller, closedLoop, result, metrics: stepResponseMetrics(result, metricOptions) };
+        });
+
+        let openLoop = null;
+        if (definition.openLoop) {
+            const result = simulateOpenLoop({ plant, solver, simTime, dt, input: reference });
+            openLoop = { label: definition.openLoop.label, result, metrics: stepResponseMetrics(result, metricOptions) };
+        }
+        return { definition, plant, cases, openLoop };
+    }
+
+    return {
+        scenarioList,
+        scenarioDefinition,
+        runScenario
+    };
+});
@@ -0,0 +1,196 @@
+/**
+ * Simulation Runner
+ * Page-side helper that sends simulations to `simulation_worker.js`. Only the latest
+ * request is kept: starting a new run cancels the previous one by terminating a busy
+ * worker. When workers are unavailable (e.g. pages opened from file://) runs fall back
+ * to the main thread, deferred with setTimeout so loading indicators can paint first.
+ * Loaded after `tuning.js`; exposes its functions on `PIDEngine`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./pid_engine.js'), require('./architectures.js'), require('./tuning.js')));
+    } else {
+        root.PIDEngine = Object.assign(root.PIDEngine || {}, factory(root.PIDEngine));
+    }
+})(typeof self !== 'undefined' ? self : this, function (engine) {
+    'use strict';
+
+    // Engine entry points that can run as jobs, keyed by message type. Configurations with an
+    // `architecture` need `architectures.js`
+    const JOBS = {
+        simulate: (msg, hooks) => (msg.config.architecture ? engine.simulateArchitecture : engine.simulate)(msg.config, hooks),
+        sweep: (msg, hooks) => engine.simulateSweep(msg.config, msg.parameter, msg.values, hooks),
+        ultimateGain: (msg, hooks) => engine.findUltimateGain(msg.config, msg.options, hooks),
+        stepTest: (msg, hooks) => engine.stepTest(msg.config, msg.options, hooks)
+    };
+
+    /**
+     * Runs a job message on the current thread. Used by the worker and by the fallback.
+     * @param {object} msg - { type, ...arguments }.
+     * @param {object} [hooks] - Optional callbacks, e.g. `onProgress`.
+     * @returns {*} The job result.
+     */
+    function runJob(msg, hooks = {}) {
+        const job = JOBS[msg.type];
+        if (!job) throw new Error(`Unknown simulation job: ${msg.type}`);
+        return job(msg, hooks);
+    }
+
+    /**
+     * Creates the error used to reject superseded runs.
+     * @returns {Error} Error flagged with `cancelled = true`.
+     */
+    function cancelledError() {
+        const err = new Error('Simulation cancelled by a newer run.');
+        err.cancelled = true;
+        return err;
+    }
+
+    /**
+     * Creates a runner that executes simulations in a Web Worker.
+     * @param {object} options - { workerUrl }.
+     * @returns {object} Runner with `run`, `sweep`, `cancel` and `dispose` methods.
+     */
+    function createSimulationRunner(options = {}) {
+        const { workerUrl } = options;
+        let worker = null; // null: not created yet, false: unavailable
+        let pending = null; // { id, message, resolve, reject, onProgress }
+        let nextId = 0;
+
+        function runLocally(job) {
+            setTimeout(() => {
+                if (pending !== job) return;
+                try {
+                    const result = runJob(job.message, { onProgress: job.onProgress });
+                    pending = null;
+                    job.resolve(result);
+                } catch (err) {
+                    pending = null;
+                    job.reject(err);
+                }
+            }, 0);
+        }
+
+        function handleMessage(e) {
+            const msg = e.data;
+            if (!pending || msg.id !== pending.id) return;
+
+            const job = pending;
+            if (msg.type === 'progress') {
+                if (job.onProgress) job.onProgress(msg.fraction);
+            } else if (msg.type === 'result') {
+                pending = null;
+                job.resolve(msg.result);
+            } else if (msg.type === 'error') {
+                pending = null;
+                job.reject(new Error(msg.message));
+            }
+        }
+
+        function handleWorkerFailure() {
+            // The worker script could not load: switch to the main thread for good
+            if (worker) worker.terminate();
+            worker = false;
+            if (pending) runLocally(pending);
+        }
+
+        function getWorker() {
+            if (worker === null) {
+                try {
+                    if (!workerUrl || typeof Worker === 'undefined') throw new Error('Workers unavailable.');
+                    worker = new Worker(workerUrl);
+                    worker.onmessage = handleMessage;
+                    worker.onerror = handleWorkerFailure;
+                } catch (err) {
+                    worker = false;
+                }
+            }
+            return worker || null;
+        }
+
+        function cancel() {
+            if (!pending) return;
+            const job = pending;
+            pending = null;
+            // A busy worker cannot be interrupted; replace it
+            if (worker) {
+                worker.terminate();
+                worker = null;
+            }
+            job.reject(cancelledError());
+        }
+
+        function request(message, onProgress) {
+            cancel();
+            return new Promise((resolve, reject) => {
+                const job = { id: ++nextId, message, resolve, reject, onProgress };
+                pending = job;
+                const w = getWorker();
+                if (w) {
+                    w.postMessage({ id: job.id, ...message });
+                } else {
+                    runLocally(job);
+                }
+            });
+        }
+
+        return {
+            /**
+             * Runs one simulation. Rejects with `err.cancelled` when superseded.
+             * @param {object} config - Serializable simulation settings, see `simulate`.
+             * @param {Function} [onProgress] - Called with the completed fraction.
+             * @returns {Promise<object>} The simulation signals.
+             */
+            run(config, onProgress) {
+                return request({ type: 'simulate', config }, onProgress);
+            },
+            /**
+             * Runs a parameter sweep, see `simulateSweep`.
+             * @returns {Promise<object[]>} One { value, result } entry per swept value.
+             */
+            sweep(config, parameter, values, onProgress) {
+                return request({ type: 'sweep', config, parameter, values }, onProgress);
+            },
+            /**
+             * Runs the Ziegler-Nichols ultimate gain search, see `findUltimateGain`.
+             * @returns {Promise<object>} The search result with Ku and Tu.
+             */
+            findUltimateGain(config, options, onProgress) {
+                return request({ type: 'ultimateGain', config, options }, onProgress);
+            },
+            /**
+             * Runs the open-loop step test with FOPDT identification, see `stepTest`.
+             * @returns {Promise<object>} The measured and fitted responses and the model.
+             */
+            stepTest(config, options, onProgress) {
+                return request({ type: 'stepTest', config, options }, onProgress);
+            },
+            cancel,
+            dispose() {
+                cancel();
+                if (worker) worker.terminate();
+                worker = false;
+            }
+        };
+    }
+
+    /**
+     * Delays calls to `fn` until `wait` ms have passed without a new call.
+     * @param {Function} fn - Function to debounce.
+     * @param {number} wait - Quiet period in milliseconds.
+     * @returns {Function} The debounced function.
+     */
+    function debounce(fn, wait) {
+        let timer = null;
+        return (...args) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => fn(...args), wait);
+        };
+    }
+
+    return {
+        runJob,
+        createSimulationRunner,
+        debounce
+    };
+});
@@ -0,0 +1,31 @@
+/**
+ * Simulation Web Worker
+ * Runs the simulation engine off the main thread. Messages:
+ *  - { id, type: 'simulate', config }
+ *  - { id, type: 'sweep', config, parameter, values }
+ *  - { id, type: 'ultimateGain', config, options }
+ *  - { id, type: 'stepTest', config, options }
+ * Replies with { id, type: 'progress', fraction }, then { id, type: 'result', result }
+ * or { id, type: 'error', message }. Stale runs are cancelled by the page terminating
+ * the worker, see `simulation_runner.js`.
+ */
+importScripts('integrators.js', 'polynomials.js', 'nonlinear_plants.js', 'pid_engine.js', 'architectures.js', 'tuning.js', 'simulation_runner.js');
+
+self.onmessage = (e) => {
+    const { id, ...message } = e.data;
+    let lastReported = -1;
+    const onProgress = (fraction) => {
+        // Throttle to whole percents to keep the message queue short
+        const percent = Math.floor(fraction * 100);
+        if (percent === lastReported) return;
+        lastReported = percent;
+        self.postMessage({ id, type: 'progress', fraction });
+    };
+
+    try {
+        const result = PIDEngine.runJob(message, { onProgress });
+        self.postMessage({ id, type: 'result', result });
+    } catch (err) {
+        self.postMessage({ id, type: 'error', message: err.message });
+    }
+};
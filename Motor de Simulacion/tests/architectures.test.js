@@ -0,0 +1,19 @@
+'use strict';
+
+const test = require('node:test');
+const engine = Object.assign({}, require('../pid_engine.js'), require('../architectures.js'));
+const { close } = require('./helpers.js');
+
+test('a Smith predictor with a perfect model delays the delay-free loop', () => {
+    const base = { controller: { kp: 1, ki: 0.5 }, reference: { type: 'step' }, simTime: 10, dt: 0.01, solver: { method: 'rk4' } };
+    const smith = engine.simulateArchitecture({
+        ...base,
+        plant: { numerator: [1], denominator: [1, 1], delay: 1 },
+        architecture: { type: 'smithPredictor' }
+    });
+    const delayFree = engine.simulate({ ...base, plant: { numerator: [1], denominator: [1, 1], delay: 0 } });
+    const shift = Math.round(1 / base.dt);
+    for (let i = 0; i < smith.output.length; i++) {
+        close(smith.output[i], i < shift ? 0 : delayFree.output[i - shift], 1e-9, `y(${smith.time[i]})`);
+    }
+});
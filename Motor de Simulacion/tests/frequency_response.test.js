@@ -0,0 +1,15 @@
+'use strict';
+
+const test = require('node:test');
+const engine = Object.assign({}, require('../pid_engine.js'), require('../frequency_response.js'));
+const { close } = require('./helpers.js');
+
+test('stabilityMargins of Kp = 2 on 1/(s+1)^3', () => {
+    const margins = engine.stabilityMargins({ numerator: [1], denominator: [1, 3, 3, 1], delay: 0 }, { kp: 2 });
+    close(margins.gainMargin, 4, 1e-6, 'gain margin');
+    close(margins.phaseCrossover, Math.sqrt(3), 1e-6, 'phase crossover');
+    // |L(jωc)| = 2 / (1 + ωc²)^(3/2) = 1
+    const wc = Math.sqrt(Math.pow(2, 2 / 3) - 1);
+    close(margins.gainCrossover, wc, 1e-6, 'gain crossover');
+    close(margins.phaseMargin, 180 - 3 * Math.atan(wc) * 180 / Math.PI, 1e-4, 'phase margin');
+});
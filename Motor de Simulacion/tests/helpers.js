@@ -0,0 +1,32 @@
+/**
+ * Shared assertions for the engine tests. Run every test file from the repository root with
+ * Node 18 or later:
+ *
+ *     node --test "Motor de Simulacion/tests"
+ */
+'use strict';
+
+const assert = require('node:assert/strict');
+
+/**
+ * Asserts that a number is within `tolerance` of the expected value.
+ * @param {number} actual - Computed value.
+ * @param {number} expected - Expected value.
+ * @param {number} tolerance - Largest accepted absolute difference.
+ * @param {string} label - Name shown when the assertion fails.
+ */
+function close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+/**
+ * Largest absolute difference between two signals over the samples of the first one.
+ * @param {number[]} a - First signal.
+ * @param {number[]} b - Second signal, at least as long.
+ * @returns {number} max |a[i] - b[i]|.
+ */
+function maxDeviation(a, b) {
+    return a.reduce((max, value, i) => Math.max(max, Math.abs(value - b[i])), 0);
+}
+
+module.exports = { close, maxDeviation };
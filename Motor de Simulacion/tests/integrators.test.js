@@ -0,0 +1,15 @@
+'use strict';
+
+const test = require('node:test');
+const engine = require('../pid_engine.js');
+const { close } = require('./helpers.js');
+
+test('every solver follows the step response 1 - e^-t of 1/(s+1)', () => {
+    const tolerances = { euler: 5e-3, rk4: 1e-9, zoh: 1e-12, rk45: 1e-9 };
+    Object.entries(tolerances).forEach(([method, tolerance]) => {
+        const plant = engine.createPlant({ numerator: [1], denominator: [1, 1] }, { method });
+        plant.reset();
+        for (let i = 0; i < 100; i++) plant.step(1, 0.01);
+        close(plant.output(1), 1 - Math.exp(-1), tolerance, method);
+    });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMeasuredData, resampleSignal, fitMetrics } = require('../measured_data.js');
+const { close } = require('./helpers.js');
+
+test('parseMeasuredData reads a header, comments and the selected columns', () => {
+    const text = '# logged at 100 Hz\ntime,setpoint,y,u\n0,1,0,2\n\n0.1,1,0.2,1.5\r\n0.2,1,0.35,1.2\n';
+    const data = parseMeasuredData(text, { columns: { control: 3 } });
+    assert.deepEqual(data, {
+        time: [0, 0.1, 0.2],
+        reference: [1, 1, 1],
+        output: [0, 0.2, 0.35],
+        control: [2, 1.5, 1.2],
+        header: ['time', 'setpoint', 'y', 'u']
+    });
+    // Without a reference column only time and output are needed
+    const outputOnly = parseMeasuredData('0 0\n1 0.5\n', { columns: { reference: null, output: 1 } });
+    assert.equal(outputOnly.reference, null);
+    assert.deepEqual(outputOnly.output, [0, 0.5]);
+});
+
+test('parseMeasuredData reads decimal commas with semicolons, tabs and quotes', () => {
+    const expected = { time: [0, 0.5], reference: [1, 1], output: [0.25, 0.75], control: null, header: null };
+    assert.deepEqual(parseMeasuredData('0;1;0,25\n0,5;1;0,75', { decimalComma: true }), expected);
+    assert.deepEqual(parseMeasuredData('"0"\t"1"\t"0,25"\n0,5\t1\t0,75', { decimalComma: true }), expected);
+    assert.throws(() => parseMeasuredData('0,1,2', { delimiter: ',', decimalComma: true }), /both the delimiter and the decimal separator/);
+});
+
+test('parseMeasuredData rejects time that does not increase and invalid fields', () => {
+    assert.throws(() => parseMeasuredData('0,1,0\n0.2,1,0.1\n0.2,1,0.3'), /Line 3: time 0.2 does not increase \(previous 0.2\)/);
+    assert.throws(() => parseMeasuredData('0,1,0\n0.1,1,0.1\n0.05,1,0.3'), /Line 3: time 0.05 does not increase/);
+    assert.throws(() => parseMeasuredData('t,r,y\n0,1,0\n0.1,1,abc'), /Line 3, column 3 \(output\): "abc" is not a number/);
+    assert.throws(() => parseMeasuredData('0,1,0\n0.1,1'), /Line 2: expected at least 3 columns, found 2/);
+    assert.throws(() => parseMeasuredData('t,r,y\n0,1,0'), /at least two data rows/);
+    assert.throws(() => parseMeasuredData('0,1,0\n1,1,1', { columns: { output: -1 } }), /Invalid output column/);
+});
+
+test('resampleSignal interpolates inside the span and gives NaN outside it', () => {
+    const values = resampleSignal([0, 1, 3], [0, 2, 6], [-0.5, 0, 0.5, 2, 3, 3.5]);
+    assert.ok(Number.isNaN(values[0]) && Number.isNaN(values[5]));
+    assert.deepEqual(values.slice(1, 5), [0, 1, 4, 6]);
+});
+
+test('fitMetrics compares measured and simulated samples where both are finite', () => {
+    const time = [0, 1, 2, 3, 4];
+    const measured = [0, 1, 2, 3, NaN];
+    const perfect = fitMetrics(measured, [0, 1, 2, 3, 10], time);
+    assert.deepEqual(perfect, { rmse: 0, fit: 100, maxDeviation: 0, maxDeviationTime: 0, samples: 4 });
+
+    // The mean of the measurement scores 0%
+    const mean = fitMetrics(measured, [1.5, 1.5, 1.5, 1.5, 1.5], time);
+    close(mean.fit, 0, 1e-12, 'fit of the mean');
+    assert.equal(mean.maxDeviationTime, 0);
+
+    const offset = fitMetrics(measured, [0, 1, 2.5, 3, 3], time);
+    close(offset.rmse, 0.25, 1e-12, 'rmse');
+    assert.equal(offset.maxDeviationTime, 2);
+    assert.equal(fitMetrics([1, 1], [1, 2]).fit, null);
+    assert.equal(fitMetrics([NaN], [1]), null);
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../pid_engine.js');
+const { close, maxDeviation } = require('./helpers.js');
+
+const openLoop = (plant, input, simTime, solver = { method: 'rk4' }) =>
+    engine.simulateOpenLoop({ plant, input, simTime, dt: 0.01, solver }).output;
+
+test('nonlinearPlantParameters falls back to the defaults for anything but a finite number', () => {
+    const parameters = engine.nonlinearPlantParameters('pendulum', { mass: 2, length: NaN, damping: null, gravity: '9.8', spring: 3 });
+    assert.deepEqual(parameters, { mass: 2, length: 1, damping: 0.1, gravity: 9.81, initialAngle: 0 });
+    assert.deepEqual(engine.nonlinearPlantModels(), ['pendulum', 'invertedPendulum', 'dcMotor', 'tank', 'thermal']);
+    assert.throws(() => engine.nonlinearPlantParameters('crane'), /Unknown plant model: crane/);
+});
+
+test('linearizeNonlinearPlant gives the small-angle pendulums and the tank resistance', () => {
+    const pendulum = engine.linearizeNonlinearPlant({ model: 'pendulum', parameters: { mass: 2, length: 0.5 } });
+    // m L² = 0.5: θ / τ = 2 / (s² + 0.2 s + 19.62)
+    assert.deepEqual(pendulum, { numerator: [2], denominator: [1, 0.2, 19.62], units: { input: 'N·m', output: 'rad' } });
+    const inverted = engine.linearizeNonlinearPlant({ model: 'invertedPendulum', parameters: {} });
+    assert.deepEqual(inverted.denominator, [1, 0.1, -9.81]);
+    // R = 2 √h0 / k = 40 at h0 = 4
+    const tank = engine.linearizeNonlinearPlant({ model: 'tank', parameters: { operatingLevel: 4 } });
+    assert.deepEqual([tank.numerator, tank.denominator], [[40], [40, 1]]);
+    const spec = engine.nonlinearPlantSpec('thermal', { maxPower: 20 }, 0.5);
+    assert.deepEqual(spec, {
+        model: 'thermal',
+        parameters: { heatCapacity: 10, thermalResistance: 0.5, maxPower: 20 },
+        numerator: [0.5],
+        denominator: [5, 1],
+        delay: 0.5
+    });
+});
+
+test('a small swing of the pendulum matches its linearization, a large one does not', () => {
+    const pendulum = { model: 'pendulum', parameters: {} };
+    const linear = engine.linearizeNonlinearPlant(pendulum);
+    // A constant torque τ = m g L θ0 swings the pendulum around θ0
+    const swing = (angle) => {
+        const input = { type: 'step', amplitude: 9.81 * angle };
+        return [openLoop(pendulum, input, 10), openLoop(linear, input, 10)];
+    };
+    const [small, smallLinear] = swing(0.01);
+    assert.ok(maxDeviation(small, smallLinear) < 1e-3 * Math.max(...smallLinear));
+    const [large, largeLinear] = swing(0.8);
+    assert.ok(maxDeviation(large, largeLinear) > 0.05 * Math.max(...largeLinear));
+});
+
+test('the nonlinear models keep their physical limits', () => {
+    // Outflow k √h balances an inflow q at h = (q / k)², and a pump cannot empty the tank
+    const tank = openLoop({ model: 'tank', parameters: {} }, { type: 'step', amplitude: 0.1 }, 200);
+    close(tank[tank.length - 1], 1, 1e-3, 'tank level');
+    const draining = openLoop({ model: 'tank', parameters: { initialLevel: 0.5 } }, { type: 'step', amplitude: -1 }, 30);
+    assert.ok(draining.every(h => h >= 0) && draining[0] === 0.5 && draining[draining.length - 1] < 0.01);
+    // The heater saturates at maxPower: T = R P = 5 K however large the demand
+    const thermal = openLoop({ model: 'thermal', parameters: {} }, { type: 'step', amplitude: 100 }, 60);
+    close(thermal[thermal.length - 1], 5, 1e-3, 'temperature');
+    // The exact ZOH solver is not available for a nonlinear model and falls back to RK4
+    const motor = { model: 'dcMotor', parameters: {} };
+    assert.deepEqual(openLoop(motor, { type: 'step' }, 5, { method: 'zoh' }), openLoop(motor, { type: 'step' }, 5));
+});
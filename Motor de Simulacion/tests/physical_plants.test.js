@@ -0,0 +1,36 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = Object.assign({}, require('../pid_engine.js'), require('../physical_plants.js'));
+const { close } = require('./helpers.js');
+
+test('physicalPlantParameters falls back to the defaults for anything but a finite number', () => {
+    const parameters = engine.physicalPlantParameters('rlc', { resistance: 2, inductance: null, capacitance: '', gain: 3 });
+    assert.deepEqual(parameters, { resistance: 2, inductance: 0.05, capacitance: 0.05 });
+    assert.deepEqual(engine.physicalPlantParameters('massSpring', { mass: NaN, damping: Infinity }), { mass: 1, stiffness: 1, damping: 0.5 });
+    assert.deepEqual(engine.physicalPlantModels(), ['dcMotor', 'massSpring', 'thermal', 'tank', 'rlc']);
+    assert.throws(() => engine.physicalPlantParameters('boiler'), /Unknown physical plant model: boiler/);
+});
+
+test('physicalPlantTransferFunction derives G(s) from the physical constants', () => {
+    // Vc / V = 1 / (L C s² + R C s + 1)
+    const rlc = engine.physicalPlantTransferFunction('rlc', { resistance: 2, inductance: 0.1, capacitance: 0.5 });
+    assert.deepEqual(rlc, { numerator: [1], denominator: [0.05, 1, 1], units: { input: 'V', output: 'V' } });
+    assert.deepEqual(engine.physicalPlantTransferFunction('massSpring', { mass: 2, stiffness: 8, damping: 1 }).denominator, [2, 1, 8]);
+    const thermal = engine.physicalPlantTransferFunction('thermal', { heatCapacity: 4, thermalResistance: 0.5 });
+    assert.deepEqual([thermal.numerator, thermal.denominator], [[0.5], [2, 1]]);
+    const tank = engine.physicalPlantTransferFunction('tank', {});
+    assert.deepEqual([tank.numerator, tank.denominator, tank.units.output], [[1], [10, 1], 'm']);
+    // (J s + b)(L s + R) + Kt Ke with the defaults
+    const motor = engine.physicalPlantTransferFunction('dcMotor', {});
+    assert.deepEqual(motor.numerator, [0.01]);
+    [0.005, 0.06, 0.1001].forEach((a, k) => close(motor.denominator[k], a, 1e-15, `a${k}`));
+});
+
+test('the DC motor builder settles at its static gain', () => {
+    const { numerator, denominator } = engine.physicalPlantTransferFunction('dcMotor', {});
+    const result = engine.simulateOpenLoop({ plant: { numerator, denominator }, simTime: 10, dt: 0.001, solver: { method: 'zoh' } });
+    // ω = Kt V / (b R + Kt Ke); the slowest pole is at s ≈ -2
+    close(result.output[result.output.length - 1], 0.01 / 0.1001, 1e-6, 'final speed');
+});
@@ -0,0 +1,364 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../pid_engine.js');
+const { close, maxDeviation } = require('./helpers.js');
+
+test('tfToStateSpace builds the controllable canonical form', () => {
+    assert.deepEqual(engine.tfToStateSpace([1], [1, 3, 2]), { A: [[0, 1], [-2, -3]], B: [0, 1], C: [1, 0], D: 0 });
+    // (s + 2) / (s + 1) = 1 + 1 / (s + 1): the feedthrough is split off
+    assert.deepEqual(engine.tfToStateSpace([1, 2], [1, 1]), { A: [[-1]], B: [1], C: [1], D: 1 });
+});
+
+test('RK4 on the realization follows the csim step responses of rlc_controladores.sce', () => {
+    // G = (1/LC) / (s² + (R/L) s + 1/LC) with R = 0.5, L = C = 0.05; Gc = Kp (1 + Ki/s + Kd s)
+    const plant = { numerator: [400], denominator: [1, 10, 400], delay: 0 };
+    const loops = [
+        { controller: { kp: 10 }, dt: 0.001 },
+        { controller: { kp: 15, ki: 75 }, dt: 0.001 },
+        { controller: { kp: 20, ki: 200, kd: 40 }, dt: 1e-4 }
+    ];
+    loops.forEach(({ controller, dt }) => {
+        const loop = engine.loopTransferFunction(plant, { ...controller, derivativeFilter: 'none' });
+        const closedLoop = { numerator: loop.numerator, denominator: engine.polyAdd(loop.denominator, loop.numerator) };
+        // csim integrates the continuous system exactly, as the 'zoh' solver does for a step
+        const csim = engine.simulateOpenLoop({ plant: closedLoop, solver: { method: 'zoh' }, simTime: 10, dt: 0.01 });
+        const rk4 = engine.simulateOpenLoop({ plant: closedLoop, solver: { method: 'rk4' }, simTime: 10, dt });
+        const stride = Math.round(0.01 / dt);
+        const sampled = csim.output.map((_, i) => rk4.output[i * stride]);
+        assert.ok(maxDeviation(csim.output, sampled) < 1e-5, `Kp = ${controller.kp}`);
+    });
+});
+
+test('padeApproximation builds the all-pass (1 - θs/2 + ...) / (1 + θs/2 + ...)', () => {
+    assert.deepEqual(engine.padeApproximation(2, 1), { numerator: [-1, 1], denominator: [1, 1] });
+    const second = engine.padeApproximation(1, 2);
+    [[1 / 12, 0.5, 1], [1 / 12, -0.5, 1]].forEach((expected, k) => {
+        const actual = k === 0 ? second.denominator : second.numerator;
+        expected.forEach((c, i) => close(actual[i], c, 1e-15, `coefficient ${i}`));
+    });
+    assert.deepEqual(engine.padeApproximation(0, 3), { numerator: [1], denominator: [1] });
+});
+
+test('rationalPlantModel replaces the delay with its Padé approximation', () => {
+    assert.deepEqual(engine.rationalPlantModel({ numerator: [1], denominator: [1, 1], delay: 2 }, 1),
+        { numerator: [-1, 1], denominator: [1, 2, 1] });
+    assert.deepEqual(engine.rationalPlantModel({ numerator: [1], denominator: [1, 1], delay: 0 }),
+        { numerator: [1], denominator: [1, 1] });
+});
+
+test('the delay buffer shifts the response by round(θ / dt) steps', () => {
+    const run = (delay) => engine.simulateOpenLoop({
+        plant: { numerator: [1], denominator: [1, 1], delay }, solver: { method: 'zoh' }, simTime: 5, dt: 0.01
+    }).output;
+    const delayFree = run(0);
+    // 0.996 s rounds to 100 steps, like 1 s
+    [1, 0.996].forEach(delay => {
+        const delayed = run(delay);
+        delayed.forEach((y, i) => close(y, i < 100 ? 0 : delayFree[i - 100], 1e-12, `θ = ${delay}, y[${i}]`));
+    });
+});
+
+test('controllerTransferFunction cancels the common factor s', () => {
+    assert.deepEqual(engine.controllerTransferFunction({ kp: 2, ki: 3 }), { numerator: [2, 3], denominator: [1, 0] });
+    assert.deepEqual(engine.controllerTransferFunction({ kp: 2, kd: 1 }), { numerator: [1, 2], denominator: [1] });
+    assert.deepEqual(engine.controllerTransferFunction({ kp: 0, ki: 0, kd: 0 }), { numerator: [0], denominator: [1] });
+});
+
+test('closedLoopPoles with zero gains keeps the plant poles', () => {
+    // Z-N tuning starts from Kp = Ki = Kd = 0: no fake pole at s = 0
+    const result = engine.closedLoopPoles({ numerator: [1], denominator: [1, 3, 3, 1], delay: 0 }, { kp: 0, ki: 0, kd: 0 });
+    assert.deepEqual(result.characteristic, [1, 3, 3, 1]);
+    assert.equal(result.stable, true);
+    result.poles.forEach(p => close(Math.hypot(p.re + 1, p.im), 0, 1e-4, 'pole'));
+});
+
+test('closedLoopPoles of Kp = 8 on 1/(s+1)^3 sit on the imaginary axis', () => {
+    const result = engine.closedLoopPoles({ numerator: [1], denominator: [1, 3, 3, 1], delay: 0 }, { kp: 8 });
+    assert.deepEqual(result.characteristic, [1, 3, 3, 9]);
+    assert.equal(result.stable, false);
+    const imaginary = result.poles.filter(p => Math.abs(p.re) < 1e-9).map(p => Math.abs(p.im));
+    imaginary.forEach(w => close(w, Math.sqrt(3), 1e-9, 'ω'));
+    assert.equal(imaginary.length, 2);
+});
+
+test('createActuator limits the slew rate, then the range', () => {
+    const actuator = engine.createActuator({ min: -1, max: 2, rateLimit: 10 });
+    assert.deepEqual([5, 5, 5, -5].map(u => actuator.apply(u, 0.1)), [1, 2, 2, 1]);
+    actuator.reset();
+    close(actuator.apply(-5, 0.05), -0.5, 1e-12, 'first step after reset');
+    assert.throws(() => engine.createActuator({ min: 2, max: 1 }), /Invalid actuator range/);
+});
+
+test('every anti-windup method cuts the overshoot of a saturated PI', () => {
+    // 1/(s+1)² under Kp = 3, Ki = 2 with the actuator limited to ±1.2
+    const base = {
+        plant: { numerator: [1], denominator: [1, 2, 1], delay: 0 },
+        reference: { type: 'step' },
+        simTime: 60,
+        dt: 0.01,
+        solver: { method: 'rk4' },
+        actuator: { min: -1.2, max: 1.2 }
+    };
+    const run = (antiWindup) => engine.simulate({ ...base, controller: { kp: 3, ki: 2, antiWindup } });
+    const windup = run('none');
+    assert.ok(engine.stepResponseMetrics(windup).overshoot > 15);
+    ['clamping', 'conditional', 'backcalculation'].forEach(method => {
+        const result = run(method);
+        const metrics = engine.stepResponseMetrics(result);
+        assert.ok(metrics.overshoot < 5, `${method}: ${metrics.overshoot}%`);
+        assert.ok(result.control.every(u => Math.abs(u) <= 1.2), method);
+        close(result.output[result.output.length - 1], 1, 1e-3, `${method} final value`);
+        // The demand runs past the limit only while the actuator is saturated
+        assert.ok(Math.max(...result.demand) > 1.2, method);
+    });
+});
+
+test('derivativeFilterTime is Kd / (Kp N), with a fixed Tf when Kp = 0', () => {
+    close(engine.derivativeFilterTime({ kp: 2, kd: 1, derivativeFilter: 'firstOrder', filterCoefficient: 5 }), 0.1, 1e-15, 'N = 5');
+    close(engine.derivativeFilterTime({ kp: 2, kd: 1, derivativeFilter: 'firstOrder' }), 0.05, 1e-15, 'default N = 10');
+    close(engine.derivativeFilterTime({ kp: 0, kd: 1, derivativeFilter: 'secondOrder' }), 0.05, 1e-15, 'Kp = 0');
+    assert.equal(engine.derivativeFilterTime({ kp: 2, kd: 1, derivativeFilter: 'none' }), 0);
+    // C(s) = 2 + s / (0.1 s + 1) = (1.2 s + 2) / (0.1 s + 1)
+    const C = engine.controllerTransferFunction({ kp: 2, kd: 1, derivativeFilter: 'firstOrder', filterCoefficient: 5 });
+    [[1.2, 2], [0.1, 1]].forEach((expected, k) => expected.forEach((c, i) => {
+        close((k === 0 ? C.numerator : C.denominator)[i], c, 1e-12, `coefficient ${i}`);
+    }));
+});
+
+test('the derivative kick on a setpoint step: unfiltered, filtered and on measurement', () => {
+    // Pure D with Kd = 1 and dt = 0.01; the reference steps from 0 to 1 with y = 0
+    const kick = (spec) => {
+        const controller = engine.createPIDController({ kd: 1, ...spec });
+        controller.reset();
+        controller.update(0, 0.01, { reference: 0, measurement: 0 });
+        return controller.update(1, 0.01, { reference: 1, measurement: 0 });
+    };
+    close(kick({}), 100, 1e-9, 'unfiltered: Kd / dt');
+    // Backward Euler on Kd s / (Tf s + 1) with Tf = 0.05: Kd / (Tf + dt)
+    close(kick({ derivativeFilter: 'firstOrder' }), 1 / 0.06, 1e-9, 'filtered');
+    assert.equal(kick({ derivativeOn: 'measurement' }), 0);
+    assert.equal(kick({ derivativeWeight: 0 }), 0);
+});
+
+test('derivative on measurement removes the kick and keeps the final value', () => {
+    const base = { plant: { numerator: [1], denominator: [1, 0.5, 1], delay: 0 }, reference: { type: 'step', startTime: 1 }, simTime: 40, dt: 0.01 };
+    const controller = { kp: 1, ki: 0.5, kd: 0.5, derivativeFilter: 'firstOrder' };
+    const onError = engine.simulate({ ...base, controller });
+    const onMeasurement = engine.simulate({ ...base, controller: { ...controller, derivativeOn: 'measurement' } });
+    assert.ok(Math.max(...onMeasurement.control) < Math.max(...onError.control));
+    close(onMeasurement.output[onMeasurement.output.length - 1], 1, 1e-3, 'final value');
+});
+
+test('isaToParallel and parallelToIsa convert between the PID forms', () => {
+    assert.deepEqual(engine.isaToParallel({ kp: 2, ti: 4, td: 0.5 }), { kp: 2, ki: 0.5, kd: 1 });
+    assert.deepEqual(engine.isaToParallel({ kp: 2, ti: Infinity, td: 0 }), { kp: 2, ki: 0, kd: 0 });
+    assert.deepEqual(engine.parallelToIsa({ kp: 2, ki: 0.5, kd: 1 }), { kp: 2, ti: 4, td: 0.5 });
+    assert.deepEqual(engine.parallelToIsa({ kp: 2, ki: 0, kd: 0 }), { kp: 2, ti: Infinity, td: 0 });
+    // Without Kp there is no ISA form for integral or derivative action
+    assert.equal(engine.parallelToIsa({ kp: 0, ki: 1, kd: 0 }), null);
+});
+
+test('the setpoint weight b scales the proportional kick but not the final value', () => {
+    const kick = (setpointWeight) => {
+        const controller = engine.createPIDController({ kp: 2, setpointWeight });
+        controller.reset();
+        return controller.update(1, 0.01, { reference: 1, measurement: 0 });
+    };
+    assert.equal(kick(1), 2);
+    assert.equal(kick(0.5), 1);
+    assert.equal(kick(0), 0);
+
+    const base = { plant: { numerator: [1], denominator: [1, 0.5, 1], delay: 0 }, reference: { type: 'step' }, simTime: 60, dt: 0.01 };
+    const run = (setpointWeight) => engine.simulate({ ...base, controller: { kp: 2, ki: 1, setpointWeight } });
+    const full = run(1);
+    const weighted = run(0);
+    assert.ok(engine.stepResponseMetrics(weighted).overshoot < engine.stepResponseMetrics(full).overshoot);
+    close(weighted.output[weighted.output.length - 1], 1, 5e-3, 'final value');
+});
+
+test('the prefilter F(s) shapes the reference the loop follows', () => {
+    const result = engine.simulate({
+        plant: { numerator: [1], denominator: [1, 0.5, 1], delay: 0 },
+        controller: { kp: 1, ki: 0.5 },
+        reference: { type: 'step' },
+        prefilter: { numerator: [1], denominator: [1, 1] },
+        simTime: 5,
+        dt: 0.01
+    });
+    result.time.forEach((t, i) => close(result.filteredReference[i], 1 - Math.exp(-t), 1e-9, `F r(${t})`));
+    assert.ok(result.reference.every(r => r === 1));
+});
+
+test('createQuantizer clips to the range and rounds to 2^bits levels', () => {
+    // 3 bits over [0, 7]: one unit per level
+    const quantize = engine.createQuantizer(3, [0, 7]);
+    assert.deepEqual([2.4, 2.6, -5, 10].map(quantize), [2, 3, 0, 7]);
+    assert.equal(engine.createQuantizer(0, null)(0.123), 0.123);
+    assert.throws(() => engine.createQuantizer(8, [1, 1]), /Invalid quantizer range/);
+});
+
+test('discretizeTransferFunction substitutes Tustin and Euler approximations of s', () => {
+    // 1/s with s ≈ 20 (z - 1) / (z + 1) at T = 0.1: (z + 1) / (20 z - 20)
+    assert.deepEqual(engine.discretizeTransferFunction([1], [1, 0], 'tustin', 0.1), { numerator: [1, 1], denominator: [20, -20] });
+    // Backward Euler, s ≈ (z - 1) / (T z): 1/s = T z / (z - 1)
+    const backward = engine.discretizeTransferFunction([1], [1, 0], 'backwardEuler', 0.1);
+    assert.deepEqual(backward, { numerator: [0.1, 0], denominator: [1, -1] });
+    // Prewarping matches the analog response at ω0: K = ω0 / tan(ω0 T / 2)
+    const prewarped = engine.discreteSubstitution('tustin', 0.1, 5);
+    close(prewarped.numerator[0], 5 / Math.tan(0.25), 1e-12, 'K');
+    assert.throws(() => engine.discreteSubstitution('midpoint', 0.1), /Unknown discretization method/);
+});
+
+test('createDifferenceEquation runs H(z) and starts at steady state', () => {
+    // Tustin integrator of 1/s at T = 0.1: y[k] = y[k-1] + 0.05 (u[k] + u[k-1])
+    const integrator = engine.createDifferenceEquation([1, 1], [20, -20]);
+    integrator.reset(0);
+    assert.deepEqual([1, 1, 1].map(u => Math.round(integrator.update(u) * 1e12) / 1e12), [0.05, 0.15, 0.25]);
+    // A low-pass with unit gain reset on 3 stays at 3
+    const lowPass = engine.createDifferenceEquation([0.5], [1, -0.5]);
+    lowPass.reset(3);
+    assert.equal(lowPass.update(3), 3);
+    assert.throws(() => engine.createDifferenceEquation([1, 0, 0], [1, 1]), /Non-causal/);
+});
+
+test('the integral of the discrete PID follows its discretization method', () => {
+    // Pure integral, ki = 1, fed with the error sequence 1, 1, 1 at dt = 0.1
+    const integrate = (discretization) => {
+        const pid = engine.createPIDController({ ki: 1, discretization });
+        pid.reset();
+        return [1, 1, 1].map(e => Math.round(pid.update(e, 0.1) * 1e12) / 1e12);
+    };
+    assert.deepEqual(integrate('backwardEuler'), [0.1, 0.2, 0.3]);
+    assert.deepEqual(integrate('forwardEuler'), [0, 0.1, 0.2]);
+    assert.deepEqual(integrate('tustin'), [0.05, 0.15, 0.25]);
+});
+
+test('a sampled PID holds its output between samples and quantizes the DAC', () => {
+    const result = engine.simulate({
+        plant: { numerator: [1], denominator: [1, 0.5, 1], delay: 0 },
+        controller: { kp: 1, ki: 0.5, discretization: 'tustin' },
+        reference: { type: 'step' },
+        simTime: 20,
+        dt: 0.01,
+        sampling: { period: 0.1, computationDelay: 0.02, dacBits: 4, dacRange: [-1.5, 1.5] }
+    });
+    const lsb = 3 / 15;
+    result.control.forEach((u, i) => {
+        // The DAC value reaches the plant 2 steps after each sample and is held for 10 steps;
+        // before the first one arrives the plant sees the initial control 0
+        if (i % 10 !== 2) assert.equal(u, i === 0 ? 0 : result.control[i - 1], `u[${i}]`);
+        if (i >= 2) close(Math.abs(Math.round((u + 1.5) / lsb) * lsb - 1.5 - u), 0, 1e-12, `level of u[${i}]`);
+    });
+    // The steady-state control 1 falls between two levels, so the loop cycles between them
+    const levels = [...new Set(result.control.slice(-500).map(u => u.toFixed(6)))].sort();
+    assert.deepEqual(levels, ['0.900000', '1.100000']);
+});
+
+test('createDisturbance shapes deterministic disturbances from their start time', () => {
+    const pulse = engine.createDisturbance({ type: 'pulse', amplitude: 2, startTime: 1, duration: 0.5 });
+    assert.deepEqual([0.9, 1, 1.4, 1.5].map(t => pulse.sample(t, 0.1)), [0, 2, 2, 0]);
+    const sine = engine.createDisturbance({ type: 'sine', amplitude: 3, startTime: 1, frequency: 0.25 });
+    close(sine.sample(2, 0.1), 3, 1e-12, 'quarter period');
+    assert.throws(() => engine.createDisturbance({ type: 'gust' }).sample(0, 0.1), /Unknown disturbance type/);
+});
+
+test('seeded noise repeats with the same seed and keeps its standard deviation', () => {
+    const noisy = (seed) => engine.simulate({
+        plant: { numerator: [1], denominator: [1, 1], delay: 0 },
+        controller: { kp: 1, ki: 1 },
+        reference: { type: 'step' },
+        simTime: 50,
+        dt: 0.01,
+        seed,
+        disturbances: {
+            measurement: { type: 'whiteNoise', amplitude: 0.1 },
+            input: { type: 'coloredNoise', amplitude: 0.2, correlationTime: 0.5 }
+        }
+    });
+    const first = noisy(7);
+    assert.deepEqual(noisy(7), first);
+    assert.notDeepEqual(noisy(8).disturbances.measurement, first.disturbances.measurement);
+    // Each channel draws from its own stream
+    assert.notDeepEqual(first.disturbances.input, first.disturbances.measurement);
+
+    const rms = (x) => Math.sqrt(x.reduce((s, v) => s + v * v, 0) / x.length);
+    close(rms(first.disturbances.measurement), 0.1, 0.005, 'white noise σ');
+    close(rms(first.disturbances.input), 0.2, 0.04, 'colored noise σ');
+    // Colored noise is correlated from one step to the next, white noise is not
+    const lagOne = (x) => x.slice(1).reduce((s, v, k) => s + v * x[k], 0) / x.reduce((s, v) => s + v * v, 0);
+    assert.ok(lagOne(first.disturbances.input) > 0.95);
+    assert.ok(Math.abs(lagOne(first.disturbances.measurement)) < 0.05);
+});
+
+test('each disturbance channel enters the loop where it should', () => {
+    // Open loop (zero gains) on 1/(s + 1), so only the disturbances move the output
+    const run = (disturbances) => engine.simulate({
+        plant: { numerator: [1], denominator: [1, 1], delay: 0 },
+        controller: { kp: 0 },
+        reference: { type: 'step' },
+        simTime: 10,
+        dt: 0.01,
+        disturbances
+    });
+    const step = { type: 'step', amplitude: 0.5, startTime: 1 };
+    const last = (x) => x[x.length - 1];
+
+    // A load disturbance is filtered by the plant
+    const input = run({ input: step });
+    assert.equal(input.output[100], 0);
+    close(input.output[105], 0.5 * (1 - Math.exp(-0.05)), 1e-4, 'y just after the load step');
+    close(last(input.output), 0.5, 1e-3, 'y after the load step');
+    // An output disturbance shows up immediately
+    const output = run({ output: step });
+    assert.equal(output.output[100], 0.5);
+    assert.deepEqual(output.measurement, output.output);
+    // Measurement noise reaches only what the controller reads
+    const measurement = run({ measurement: step });
+    assert.ok(measurement.output.every(y => y === 0));
+    assert.equal(last(measurement.measurement), 0.5);
+    close(last(measurement.error), 0.5, 1e-12, 'e = r - measured');
+});
+
+test('createReference delays the step, saturates the ramp and shapes the trapezoid', () => {
+    const at = (spec, times) => times.map(t => engine.createReference(spec).valueAt(t));
+    assert.deepEqual(at({ type: 'step', amplitude: 3, initialValue: 1, startTime: 2 }, [1.9, 2, 5]), [1, 3, 3]);
+    // From 1 towards 3 at 0.5 per second: reaches 3 after 4 s and stays there
+    assert.deepEqual(at({ type: 'ramp', amplitude: 3, initialValue: 1, slope: 0.5 }, [0, 2, 4, 10]), [1, 2, 3, 3]);
+    // A falling target descends with the same speed whatever the sign of the slope
+    assert.deepEqual(at({ type: 'ramp', amplitude: -1, initialValue: 1, slope: 0.5 }, [2, 6]), [0, -1]);
+    const trapezoid = { type: 'trapezoid', amplitude: 2, riseTime: 1, holdTime: 2, fallTime: 1, startTime: 1 };
+    assert.deepEqual(at(trapezoid, [0.5, 1.5, 3, 4.5, 6]), [0, 1, 2, 1, 0]);
+});
+
+test('the chirp sweeps its frequency linearly and then holds it', () => {
+    const chirp = engine.createReference({ type: 'chirp', amplitude: 1, frequency: 0.1, endFrequency: 1.1, duration: 10 });
+    // φ(τ) = 0.1 τ + 0.05 τ², so the instantaneous frequency is 0.1 + 0.1 τ
+    close(chirp.valueAt(5), Math.sin(2 * Math.PI * (0.5 + 1.25)), 1e-12, 'r(5)');
+    close(chirp.valueAt(12), Math.sin(2 * Math.PI * (1 + 5 + 1.1 * 2)), 1e-9, 'r(12)');
+});
+
+test('the PRBS reference follows a maximal-length sequence, one bit per bitTime', () => {
+    const bits = engine.prbsSequence(4);
+    assert.equal(bits.length, 15);
+    // A maximal-length sequence has 2^(n-1) ones per period
+    assert.equal(bits.filter(b => b === 1).length, 8);
+    assert.throws(() => engine.prbsSequence(2), /Unsupported PRBS order/);
+
+    const prbs = engine.createReference({ type: 'prbs', amplitude: 2, initialValue: -1, bitTime: 0.5, prbsOrder: 4, startTime: 1 });
+    assert.equal(prbs.valueAt(0.5), -1);
+    bits.forEach((bit, k) => {
+        const value = bit ? 2 : -1;
+        assert.equal(prbs.valueAt(1 + 0.5 * k + 0.25), value, `bit ${k}`);
+        // The sequence repeats every 15 bits
+        assert.equal(prbs.valueAt(1 + 0.5 * (k + 15)), value, `bit ${k + 15}`);
+    });
+});
+
+test('the piecewise reference interpolates its points and jumps on a repeated time', () => {
+    const points = [[4, 0], [0, 0], [1, 2], [3, 2], [3, 1]];
+    const piecewise = engine.createReference({ type: 'piecewise', points: points.concat([[NaN, 5]]) });
+    assert.deepEqual([-1, 0.5, 2, 2.9, 3, 3.5, 10].map(t => piecewise.valueAt(t)), [0, 1, 2, 2, 1, 0.5, 0]);
+    assert.throws(() => engine.createReference({ type: 'piecewise', points: [] }), /at least one time\/value point/);
+});
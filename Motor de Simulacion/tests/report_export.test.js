@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { exportMetadata, flattenMetadata, resultsToCsv, resultsToJson } = require('../report_export.js');
+const { parseMeasuredData } = require('../measured_data.js');
+
+const signals = { time: [0, 0.5, 1], reference: [1, 1, 1], output: [0, 0.25, NaN], control: [2, 1.5] };
+
+test('flattenMetadata writes dotted keys and space-separated numeric arrays', () => {
+    const metadata = { title: 'Lab 3', plant: { numerator: [1], denominator: [1, 3, 2], delay: 0 }, points: [[0, 1]], note: null };
+    assert.deepEqual(flattenMetadata(metadata), [
+        ['title', 'Lab 3'],
+        ['plant.numerator', '1'],
+        ['plant.denominator', '1 3 2'],
+        ['plant.delay', '0'],
+        ['points', '[[0,1]]']
+    ]);
+    const exported = exportMetadata({ plant: { delay: 0 }, prefilter: null }, { title: 'Run' });
+    assert.deepEqual(Object.keys(exported), ['exportedAt', 'title', 'plant']);
+    assert.ok(!Number.isNaN(Date.parse(exported.exportedAt)));
+});
+
+test('resultsToCsv writes the metadata comments, a header and empty cells for missing samples', () => {
+    const csv = resultsToCsv(signals, { title: 'Step; Kp = 2', controller: { kp: 2 } });
+    assert.equal(csv, [
+        '# title: Step; Kp = 2',
+        '# controller.kp: 2',
+        'time,reference,output,control',
+        '0,1,0,2',
+        '0.5,1,0.25,1.5',
+        '1,1,,',
+        ''
+    ].join('\n'));
+});
+
+test('resultsToCsv writes decimal commas and quotes names that hold the delimiter', () => {
+    const csv = resultsToCsv({ 't;s': [0, 0.5], 'y "plant"': [0.25, 1] }, {}, { delimiter: ';', decimalComma: true });
+    assert.equal(csv, '"t;s";"y ""plant"""\n0;0,25\n0,5;1\n');
+    assert.throws(() => resultsToCsv(signals, {}, { decimalComma: true }), /both the delimiter and the decimal separator/);
+});
+
+test('parseMeasuredData reads back what resultsToCsv writes', () => {
+    const logged = { time: [0, 0.5, 1], reference: [1, 1, 1], output: [0, 0.25, 0.5], control: [2, 1.5, 1.25] };
+    const csv = resultsToCsv(logged, { title: 'Round trip' }, { delimiter: '\t', decimalComma: true });
+    const data = parseMeasuredData(csv, { decimalComma: true, columns: { control: 3 } });
+    assert.deepEqual(data, { ...logged, header: Object.keys(logged) });
+});
+
+test('resultsToJson keeps the metadata and turns non-finite samples into null', () => {
+    const parsed = JSON.parse(resultsToJson(signals, { controller: { kp: 2 } }));
+    assert.deepEqual(parsed.metadata, { controller: { kp: 2 } });
+    assert.deepEqual(Object.keys(parsed.signals), ['time', 'reference', 'output', 'control']);
+    assert.deepEqual(parsed.signals.output, [0, 0.25, null]);
+});
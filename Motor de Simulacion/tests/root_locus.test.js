@@ -0,0 +1,66 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = Object.assign({}, require('../pid_engine.js'), require('../root_locus.js'));
+const { close } = require('./helpers.js');
+
+// L(s) = 1 / (s (s + 2)): the branches meet at s = -1 for K = 1, then go to -1 ± j√(K-1)
+const loop = { numerator: [1], denominator: [1, 2, 0] };
+
+test('rootLocus starts at the open-loop poles and every point solves 1 + K L = 0', () => {
+    const locus = engine.rootLocus(loop, { kMax: 100 });
+    assert.equal(locus.branches.length, 2);
+    assert.equal(locus.zeros.length, 0);
+    const start = locus.branches.map(branch => branch[0].re).sort((a, b) => a - b);
+    assert.deepEqual(start.map(re => Math.round(re * 1e9) / 1e9), [-2, 0]);
+    locus.branches.forEach(branch => branch.forEach((p, k) => {
+        // s² + 2s + K at the pole
+        const re = p.re * p.re - p.im * p.im + 2 * p.re + locus.gains[k];
+        const im = 2 * p.re * p.im + 2 * p.im;
+        close(Math.hypot(re, im), 0, 1e-6 * Math.max(1, locus.gains[k]), `K = ${locus.gains[k]}`);
+    }));
+    assert.equal(locus.gains[locus.gains.length - 1], 100);
+});
+
+test('locusPolesAt and nearestLocusGain agree on K = 5 at -1 ± 2j', () => {
+    const poles = engine.locusPolesAt(loop, 5);
+    poles.forEach(p => {
+        close(p.re, -1, 1e-9, 'Re');
+        close(Math.abs(p.im), 2, 1e-9, '|Im|');
+    });
+    const nearest = engine.nearestLocusGain(engine.rootLocus(loop, { kMax: 100 }), { re: -1, im: 2 });
+    close(nearest.gain, 5, 0.25, 'K');
+});
+
+test('rootLocus rejects a zero or improper loop', () => {
+    assert.throws(() => engine.rootLocus({ numerator: [0], denominator: [1, 1] }), /loop gain is zero/);
+    assert.throws(() => engine.rootLocus({ numerator: [1, 0, 0], denominator: [1, 1] }), /Improper/);
+});
+
+test('poleCharacteristics gives ζ, ωn and τ of a pole', () => {
+    const pair = engine.poleCharacteristics({ re: -3, im: 4 });
+    close(pair.zeta, 0.6, 1e-12, 'ζ');
+    close(pair.wn, 5, 1e-12, 'ωn');
+    close(pair.tau, 1 / 3, 1e-12, 'τ');
+    assert.equal(engine.poleCharacteristics({ re: 0, im: 2 }).tau, Infinity);
+});
+
+test('dominantPoleApproximation reads the second-order figures from -1 ± j', () => {
+    const approximation = engine.dominantPoleApproximation([{ re: -10, im: 0 }, { re: -1, im: 1 }, { re: -1, im: -1 }]);
+    close(approximation.zeta, Math.SQRT1_2, 1e-12, 'ζ');
+    close(approximation.wn, Math.SQRT2, 1e-12, 'ωn');
+    close(approximation.overshoot, 100 * Math.exp(-Math.PI), 1e-9, 'overshoot');
+    close(approximation.peakTime, Math.PI, 1e-12, 'peak time');
+    close(approximation.settlingTime, -Math.log(0.05 * Math.SQRT1_2), 1e-12, 'settling time');
+    close(approximation.separation, 10, 1e-12, 'separation');
+});
+
+test('dominantPoleApproximation handles a real dominant pole and an unstable loop', () => {
+    const real = engine.dominantPoleApproximation([{ re: -2, im: 0 }, { re: -20, im: 0 }]);
+    assert.equal(real.overshoot, 0);
+    close(real.settlingTime, Math.log(20) / 2, 1e-12, 'settling time');
+    close(real.separation, 10, 1e-12, 'separation');
+    assert.equal(engine.dominantPoleApproximation([{ re: 0.5, im: 0 }, { re: -1, im: 0 }]), null);
+    assert.equal(engine.dominantPoleApproximation([]), null);
+});
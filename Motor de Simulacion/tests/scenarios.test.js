@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = Object.assign({}, require('../pid_engine.js'), require('../scenarios.js'));
+const { close } = require('./helpers.js');
+
+const last = (x) => x[x.length - 1];
+
+test('scenarioDefinition returns a copy of the built-in scenario', () => {
+    assert.deepEqual(engine.scenarioList(), [{
+        id: 'rlcControllers',
+        title: 'Circuito RLC subamortiguado: P, PI y PID',
+        source: 'Sist. De Control/rlc_controladores.sce'
+    }]);
+    const definition = engine.scenarioDefinition('rlcControllers');
+    definition.controllers[0].kp = 1;
+    assert.equal(engine.scenarioDefinition('rlcControllers').controllers[0].kp, 10);
+    assert.throws(() => engine.scenarioDefinition('tankLevel'), /Unknown scenario: tankLevel/);
+});
+
+test('runScenario closes the loop of each controller of the RLC study', () => {
+    const { plant, cases, openLoop } = engine.runScenario('rlcControllers');
+    // G(s) = 1 / (L C s² + R C s + 1) with L C = 0.0025 and R C = 0.025
+    close(plant.denominator[0], 0.0025, 1e-15, 'L C');
+    assert.deepEqual([plant.numerator, plant.denominator.slice(1), plant.delay], [[1], [0.025, 1], 0]);
+
+    assert.deepEqual(cases.map(c => c.label), ['Controlador P', 'Controlador PI', 'Controlador PID']);
+    assert.deepEqual(cases[2].controller, { kp: 20, ki: 200, kd: 40, derivativeFilter: 'none' });
+    // 1 + C G over the common denominator: the gains add to the plant's coefficients
+    const expected = [
+        { numerator: [10], denominator: [0.0025, 0.025, 11] },
+        { numerator: [15, 75], denominator: [0.0025, 0.025, 16, 75] },
+        { numerator: [40, 20, 200], denominator: [0.0025, 40.025, 21, 200] }
+    ];
+    cases.forEach(({ closedLoop }, k) => {
+        assert.deepEqual(closedLoop.numerator, expected[k].numerator);
+        closedLoop.denominator.forEach((a, j) => close(a, expected[k].denominator[j], 1e-12, `case ${k} a${j}`));
+    });
+
+    // The P loop keeps the error 1 / (1 + Kp), integral action removes it
+    cases.forEach(({ result }) => assert.equal(result.time.length, 1000));
+    close(last(cases[0].result.output), 10 / 11, 1e-6, 'P final value');
+    close(cases[0].metrics.steadyStateError, 1 / 11, 1e-6, 'P error');
+    close(last(cases[1].result.output), 1, 1e-6, 'PI final value');
+    // The ideal derivative cancels most of the resonance
+    assert.ok(cases[2].metrics.overshoot < 1 && cases[0].metrics.overshoot > 50);
+
+    // Open loop: ζ = R C / (2 √(L C)) = 0.25, overshoot e^{-πζ/√(1-ζ²)}
+    assert.equal(openLoop.label, 'Sistema sin control');
+    close(openLoop.metrics.overshoot, 100 * Math.exp(-Math.PI * 0.25 / Math.sqrt(1 - 0.25 ** 2)), 0.1, 'open-loop overshoot');
+    close(last(openLoop.result.output), 1, 1e-6, 'open-loop final value');
+});
+
+test('runScenario accepts an edited description', () => {
+    const definition = engine.scenarioDefinition('rlcControllers');
+    definition.controllers = [{ label: 'P', kp: 4, ki: 0, kd: 0 }];
+    definition.openLoop = null;
+    definition.reference = { type: 'step', amplitude: 2, startTime: 1 };
+    const { cases, openLoop } = engine.runScenario(definition);
+    assert.equal(openLoop, null);
+    assert.equal(cases[0].result.output[99], 0);
+    close(last(cases[0].result.output), 2 * 4 / 5, 1e-6, 'final value');
+    close(cases[0].metrics.steadyStateError, 2 / 5, 1e-6, 'steady-state error');
+});
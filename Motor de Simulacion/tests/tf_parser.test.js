@@ -0,0 +1,30 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../tf_parser.js');
+
+test('parseTransferFunction reports the position of the first problem', () => {
+    const cases = [
+        ['', 0, /empty/],
+        ['1/(s+1', 6, /expected "\)"/],
+        ['1/(s+)', 5, /unexpected "\)"/],
+        ['K/(s+1)', 0, /unknown parameter "K"/]
+    ];
+    cases.forEach(([text, position, message]) => {
+        assert.throws(() => engine.parseTransferFunction(text), error => {
+            assert.equal(error.position, position, text);
+            assert.match(error.message, message);
+            return true;
+        });
+    });
+});
+
+test('parseParameters rejects a name defined twice', () => {
+    assert.deepEqual(engine.parseParameters('K = 2, tau = K + 1'), { K: 2, tau: 3 });
+    assert.throws(() => engine.parseParameters('K=2, K=3'), error => {
+        assert.equal(error.position, 5);
+        assert.match(error.message, /"K" is already defined/);
+        return true;
+    });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = Object.assign({}, require('../pid_engine.js'), require('../tuning.js'));
+const { close } = require('./helpers.js');
+
+test('ultimateGainFromModel finds Ku = 8 and ωu = √3 for 1/(s+1)^3', () => {
+    const result = engine.ultimateGainFromModel([1], [1, 3, 3, 1]);
+    assert.equal(result.finite, true);
+    close(result.ku, 8, 1e-9, 'Ku');
+    close(result.wu, Math.sqrt(3), 1e-9, 'ωu');
+    close(result.tu, 2 * Math.PI / Math.sqrt(3), 1e-9, 'Tu');
+});
+
+test('analyzeOscillation classifies the envelope and measures the period', () => {
+    const time = Array.from({ length: 2001 }, (_, i) => i * 0.01);
+    const sine = engine.analyzeOscillation(time, time.map(t => Math.sin(Math.PI * t)));
+    assert.equal(sine.sustained, true);
+    close(sine.period, 2, 1e-9, 'period');
+    // The envelope e^-0.3t shrinks by e^-0.6 per period
+    const decaying = engine.analyzeOscillation(time, time.map(t => Math.exp(-0.3 * t) * Math.sin(Math.PI * t)));
+    assert.equal(decaying.decaying, true);
+    close(decaying.ratio, Math.exp(-0.6), 1e-6, 'ratio');
+});
+
+test('findUltimateGain finds Ku ≈ 8 and Tu ≈ 2π/√3 by simulation on 1/(s+1)^3', () => {
+    const plant = { numerator: [1], denominator: [1, 3, 3, 1], delay: 0 };
+    const result = engine.findUltimateGain({ plant, simTime: 60, dt: 0.01, solver: { method: 'rk4' } });
+    assert.equal(result.found, true);
+    assert.equal(result.sustained, true);
+    close(result.ku, 8, 0.1, 'Ku');
+    close(result.tu, 2 * Math.PI / Math.sqrt(3), 0.05, 'Tu');
+});
+
+test('findUltimateGain reports that a first-order plant never oscillates', () => {
+    const plant = { numerator: [1], denominator: [1, 1], delay: 0 };
+    const result = engine.findUltimateGain({ plant, simTime: 20, dt: 0.01, solver: { method: 'rk4' } }, { kpMax: 100 });
+    assert.equal(result.found, false);
+    assert.match(result.message, /up to 100/);
+});
+
+test('stepTest identifies θ = 2 and τ = 1 on 3 e^-2s / (s+1) with both methods', () => {
+    const config = { plant: { numerator: [3], denominator: [1, 1], delay: 2 }, simTime: 15, dt: 0.01, solver: { method: 'zoh' } };
+    ['tangent', 'two-point'].forEach(method => {
+        const { model, fitted, output } = engine.stepTest(config, { method });
+        assert.equal(model.settled, true, method);
+        close(model.gain, 3, 1e-3, `${method} K`);
+        close(model.theta, 2, 0.01, `${method} θ`);
+        close(model.tau, 1, 0.01, `${method} τ`);
+        close(fitted[fitted.length - 1], output[output.length - 1], 1e-3, `${method} fitted final value`);
+    });
+});
+
+test('stepTest rejects a plant that is not open-loop stable', () => {
+    const { model, fitted } = engine.stepTest({ plant: { numerator: [1], denominator: [1, -1], delay: 0 }, simTime: 15, dt: 0.01 });
+    assert.equal(model.reason, 'unstable');
+    assert.equal(fitted, null);
+});
+
+test('identifyFOPDT reports an output that does not respond', () => {
+    const time = [0, 1, 2, 3];
+    assert.equal(engine.identifyFOPDT(time, [1, 1, 1, 1]).reason, 'no-response');
+});
+
+test('fopdtTuning applies the Cohen-Coon, IMC, SIMC and CHR formulas', () => {
+    // K = 2, τ = 4, θ = 1 (θ/τ = 0.25); λ defaults to θ
+    const model = { gain: 2, tau: 4, theta: 1 };
+    const expect = (rule, options, kc, ti, td, structure) => {
+        const gains = engine.fopdtTuning(model, rule, options);
+        assert.equal(gains.structure, structure, rule);
+        close(gains.kc, kc, 1e-12, `${rule} Kc`);
+        close(gains.ti, ti, 1e-12, `${rule} Ti`);
+        close(gains.td, td, 1e-12, `${rule} Td`);
+        close(gains.ki, kc / ti, 1e-12, `${rule} Ki`);
+        close(gains.kd, kc * td, 1e-12, `${rule} Kd`);
+    };
+    expect('cohen-coon', {}, 2 * (4 / 3 + 0.25 / 4), 33.5 / 15, 4 / 11.5, 'PID');
+    expect('cohen-coon', { structure: 'PI' }, 2 * (0.9 + 0.25 / 12), 30.75 / 14, 0, 'PI');
+    expect('imc', {}, 9 / 6, 4.5, 4 / 9, 'PID');
+    expect('imc', { structure: 'PI' }, 1, 4, 0, 'PI');
+    expect('simc', { lambda: 0.5 }, 4 / 3, 4, 0, 'PI');
+    expect('chr', {}, 1.2, 4, 0.5, 'PID');
+    expect('chr', { structure: 'PI' }, 0.7, 4.68, 0, 'PI');
+    assert.throws(() => engine.fopdtTuning(model, 'unknown'), /Unknown FOPDT tuning rule/);
+});
+
+test('fopdtStepResponse holds the initial value during the dead time', () => {
+    const response = engine.fopdtStepResponse({ gain: 2, tau: 1, theta: 1 }, [0, 0.5, 1, 2], 3, 1);
+    assert.deepEqual(response.slice(0, 3), [1, 1, 1]);
+    close(response[3], 1 + 6 * (1 - Math.exp(-1)), 1e-12, 'y(2)');
+});
@@ -0,0 +1,458 @@
+/**
+ * Transfer Function Parser
+ * Reads transfer functions typed as expressions in s, such as `10/(s^2+2*s+10)`,
+ * `(s+1)*(s+3)`, `K/(tau*s+1)` with named parameters, `zpk([-1], [-2, -1+2j, -1-2j], 5)`
+ * or `e^(-2s)/(s+1)`, and expands them to polynomials. Comma-separated coefficient lists
+ * (`1, 0.5, 1`) are still accepted. Errors give the column of the offending character.
+ * Depends on `polynomials.js`, which must be loaded first in the browser; exposes its
+ * functions on `PIDEngine`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./polynomials.js'));
+    } else {
+        root.PIDEngine = Object.assign(root.PIDEngine || {}, factory(root.PIDEngine));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    'use strict';
+
+    const { trimLeadingZeros, polyAdd, polyMul, polyFromRoots } = deps;
+
+    // Names with a meaning of their own, which parameters cannot take
+    const RESERVED_NAMES = ['s', 'e', 'exp', 'zpk'];
+
+    /**
+     * Error at a position of the parsed text.
+     * @param {number} position - Zero-based index of the offending character.
+     * @param {string} message - Description of the problem.
+     * @returns {Error} Error with the one-based column in its message and `position` set.
+     */
+    function syntaxError(position, message) {
+        return Object.assign(new Error(`Column ${position + 1}: ${message}`), { position });
+    }
+
+    /**
+     * Splits an expression into tokens.
+     * @param {string} text - The expression.
+     * @returns {object[]} Tokens { type: 'number' | 'name' | 'symbol' | 'end', value, position }.
+     * @throws {Error} At the first character that starts no token.
+     */
+    function tokenize(text) {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            const rest = text.slice(i);
+            const space = /^\s+/.exec(rest);
+            // The exponent of a number needs digits after the e: `2e-3` is a number, `2e^(-s)` is not
+            const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(rest);
+            const name = /^[A-Za-z_][A-Za-z_0-9]*/.exec(rest);
+            if (space) {
+                i += space[0].length;
+            } else if (number) {
+                tokens.push({ type: 'number', value: parseFloat(number[0]), position: i });
+                i += number[0].length;
+            } else if (name) {
+                tokens.push({ type: 'name', value: name[0], position: i });
+                i += name[0].length;
+            } else if ('+-*/^()[],'.includes(text[i])) {
+                tokens.push({ type: 'symbol', value: text[i], position: i });
+                i++;
+            } else {
+                throw syntaxError(i, `unexpected character "${text[i]}".`);
+            }
+        }
+        tokens.push({ type: 'end', value: null, position: text.length });
+        return tokens;
+    }
+
+    // --- Rational functions in s, with a dead time: { numerator, denominator, delay } ---
+
+    const constant = (value) => ({ numerator: [value], denominator: [1], delay: 0 });
+    const isConstant = (r) => r.delay === 0 && degree(r.numerator) <= 0 && degree(r.denominator) === 0;
+    const constantValue = (r) => valueAtZeroDegree(r.numerator) / r.denominator[r.denominator.length - 1];
+
+    function degree(poly) {
+        return trimLeadingZeros(poly).length - 1;
+    }
+
+    function valueAtZeroDegree(poly) {
+        return poly.length === 0 ? 0 : poly[poly.length - 1];
+    }
+
+    function multiply(a, b) {
+        return {
+            numerator: polyMul(a.numerator, b.numerator),
+            denominator: polyMul(a.denominator, b.denominator),
+            delay: a.delay + b.delay
+        };
+    }
+
+    function reciprocal(r, position) {
+        if (degree(r.numerator) < 0) throw syntaxError(position, 'division by zero.');
+        return { numerator: r.denominator, denominator: r.numerator, delay: -r.delay };
+    }
+
+    function add(a, b, position) {
+        if (a.delay !== b.delay) {
+            throw syntaxError(position, 'terms with different dead times cannot be added; e^(-θs) must multiply the whole transfer function.');
+        }
+        return {
+            numerator: polyAdd(polyMul(a.numerator, b.denominator), polyMul(b.numerator, a.denominator)),
+            denominator: polyMul(a.denominator, b.denominator),
+            delay: a.delay
+        };
+    }
+
+    function negate(r) {
+        return { ...r, numerator: r.numerator.map(c => -c) };
+    }
+
+    /**
+     * Recursive-descent parser over the tokens of one expression.
+     *
+     * Grammar (implicit multiplication binds like `*`, so `2s`, `(s+1)(s+3)` and `10e^(-s)` work):
+     *   list    := sum (',' sum)*
+     *   sum     := product (('+' | '-') product)*
+     *   product := unary (('*' | '/')? unary)*
+     *   unary   := ('+' | '-') unary | power
+     *   power   := primary ('^' unary)?
+     *   primary := number | 's' | name | '(' sum ')' | exp '(' sum ')' | e '^' exponent
+     *            | zpk '(' roots ',' roots ',' sum ')'
+     * @param {string} text - The expression.
+     * @param {object} parameters - Values of the named parameters.
+     * @returns {object} Parser with `list`, `sum`, `peek` and `expectEnd`.
+     */
+    function createParser(text, parameters) {
+        const tokens = tokenize(text);
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const isSymbol = (token, symbol) => token.type === 'symbol' && token.value === symbol;
+        const describe = (token) => (token.type === 'end' ? 'end of input' : `"${token.value}"`);
+
+        function expect(symbol) {
+            const token = next();
+            if (!isSymbol(token, symbol)) throw syntaxError(token.position, `expected "${symbol}" but found ${describe(token)}.`);
+            return token;
+        }
+
+        function expectEnd() {
+            const token = peek();
+            if (token.type !== 'end') throw syntaxError(token.position, `unexpected ${describe(token)}.`);
+        }
+
+        // A token that can begin a factor, for implicit multiplication
+        function startsFactor(token) {
+            return token.type === 'number' || token.type === 'name' || isSymbol(token, '(');
+        }
+
+        function list() {
+            const items = [{ value: sum(), position: tokens[0].position }];
+            while (isSymbol(peek(), ',')) {
+                next();
+                const position = peek().position;
+                items.push({ value: sum(), position });
+            }
+            return items;
+        }
+
+        function sum() {
+            let value = product();
+            while (isSymbol(peek(), '+') || isSymbol(peek(), '-')) {
+                const operator = next();
+                const term = product();
+                value = add(value, operator.value === '-' ? negate(term) : term, operator.position);
+            }
+            return value;
+        }
+
+        function product() {
+            let value = unary();
+            for (;;) {
+                const token = peek();
+                if (isSymbol(token, '*')) {
+                    next();
+                    value = multiply(value, unary());
+                } else if (isSymbol(token, '/')) {
+                    next();
+                    value = multiply(value, reciprocal(unary(), token.position));
+                } else if (startsFactor(token)) {
+                    // `1 2` is a missing comma or operator, not a product
+                    if (token.type === 'number' && tokens[index - 1].type === 'number') {
+                        throw syntaxError(token.position, 'missing operator or comma between two numbers.');
+                    }
+                    value = multiply(value, unary());
+                } else {
+                    return value;
+                }
+            }
+        }
+
+        function unary() {
+            if (isSymbol(peek(), '-')) {
+                next();
+                return negate(unary());
+            }
+            if (isSymbol(peek(), '+')) {
+                next();
+                return unary();
+            }
+            return power();
+        }
+
+        function power() {
+            const base = primary();
+            if (!isSymbol(peek(), '^')) return base;
+            next();
+            const position = peek().position;
+            const exponent = unary();
+            if (!isConstant(exponent) || !Number.isInteger(constantValue(exponent))) {
+                throw syntaxError(position, 'exponents must be whole numbers (only e^(...) takes an expression).');
+            }
+            const n = constantValue(exponent);
+            let result = constant(1);
+            const factor = n < 0 ? reciprocal(base, position) : base;
+            for (let k = 0; k < Math.abs(n); k++) result = multiply(result, factor);
+            return result;
+        }
+
+        function primary() {
+            const token = next();
+            if (token.type === 'number') return constant(token.value);
+            if (isSymbol(token, '(')) {
+                const value = sum();
+                expect(')');
+                return value;
+            }
+            if (token.type !== 'name') throw syntaxError(token.position, `unexpected ${describe(token)}.`);
+
+            switch (token.value) {
+                case 's':
+                    return { numerator: [1, 0], denominator: [1], delay: 0 };
+                case 'exp': {
+                    expect('(');
+                    const position = peek().position;
+                    const argument = sum();
+                    expect(')');
+                    return exponential(argument, position);
+                }
+                case 'e':
+                    if (parameters.e === undefined && isSymbol(peek(), '^')) {
+                        next();
+                        const position = peek().position;
+                        return exponential(exponent(), position);
+                    }
+                    break;
+                case 'zpk':
+                    return zeroPoleGain();
+                default:
+                    break;
+            }
+            if (Object.prototype.hasOwnProperty.call(parameters, token.value)) return constant(parameters[token.value]);
+            if (token.value === 'e') return constant(Math.E);
+            throw syntaxError(token.position, `unknown parameter "${token.value}"; define it in the parameters field.`);
+        }
+
+        // Exponent of e: a parenthesized sum, or a signed implicit product such as -2s
+        function exponent() {
+            if (isSymbol(peek(), '(')) return primary();
+            let sign = 1;
+            while (isSymbol(peek(), '-') || isSymbol(peek(), '+')) {
+                if (next().value === '-') sign = -sign;
+            }
+            let value = primary();
+            while (peek().type === 'number' || peek().type === 'name') value = multiply(value, primary());
+            return sign < 0 ? negate(value) : value;
+        }
+
+        // e^(a s + b) = e^b · e^(-θs) with θ = -a, which must not be negative
+        function exponential(argument, position) {
+            if (argument.delay !== 0 || degree(argument.denominator) !== 0 || degree(argument.numerator) > 1) {
+                throw syntaxError(position, 'the exponent of e must be of the form -θ·s (plus a constant).');
+            }
+            const d = argument.denominator[argument.denominator.length - 1];
+            const [a, b] = degree(argument.numerator) === 1 ? trimLeadingZeros(argument.numerator) : [0, valueAtZeroDegree(argument.numerator)];
+            if (a / d > 0) throw syntaxError(position, `e^(${a / d}s) is a prediction, not a dead time; use a negative exponent.`);
+            return { numerator: [Math.exp(b / d)], denominator: [1], delay: -a / d };
+        }
+
+        // zpk([zeros], [poles], gain): complex roots, written a+bj, need their conjugate
+        function zeroPoleGain() {
+            expect('(');
+            const zeros = roots('zero');
+            expect(',');
+            const poles = roots('pole');
+            expect(',');
+            const position = peek().position;
+            const gain = sum();
+            expect(')');
+            if (!isConstant(gain)) throw syntaxError(position, 'the gain of zpk must be a constant.');
+            return { numerator: polyFromRoots(zeros, constantValue(gain)), denominator: polyFromRoots(poles), delay: 0 };
+        }
+
+        function roots(kind) {
+            expect('[');
+            const values = [];
+            while (!isSymbol(peek(), ']')) {
+                if (values.length > 0) expect(',');
+                values.push(complexLiteral());
+            }
+            next();
+            values.forEach((root, k) => {
+                if (root.value.im === 0) return;
+                const pair = values.findIndex((other, m) => m !== k
+                    && Math.abs(other.value.re - root.value.re) <= 1e-9 * Math.max(1, Math.abs(root.value.re))
+                    && Math.abs(other.value.im + root.value.im) <= 1e-9 * Math.max(1, Math.abs(root.value.im)));
+                if (pair < 0) {
+                    const { re, im } = root.value;
+                    throw syntaxError(root.position, `the complex ${kind} ${re}${im < 0 ? '+' : '-'}${Math.abs(im)}j needs its conjugate ${re}${im < 0 ? '-' : '+'}${Math.abs(im)}j.`);
+                }
+            });
+            return values.map(root => root.value);
+        }
+
+        // a, bj, a+bj, a-j ...: each part is a number, a parameter or a parenthesized constant
+        function complexLiteral() {
+            const position = peek().position;
+            const value = { re: 0, im: 0 };
+            let parts = 0;
+            while (parts === 0 || isSymbol(peek(), '+') || isSymbol(peek(), '-')) {
+                let sign = 1;
+                if (isSymbol(peek(), '+') || isSymbol(peek(), '-')) sign = next().value === '-' ? -1 : 1;
+                let magnitude = 1;
+                const isUnit = (token) => token.type === 'name' && (token.value === 'j' || token.value === 'i') && parameters[token.value] === undefined;
+                if (!isUnit(peek())) {
+                    const atomPosition = peek().position;
+                    const atom = primary();
+                    if (!isConstant(atom)) throw syntaxError(atomPosition, 'roots must be constants.');
+                    magnitude = constantValue(atom);
+                    if (isSymbol(peek(), '*') && isUnit(tokens[index + 1])) next();
+                }
+                if (isUnit(peek())) {
+                    next();
+                    value.im += sign * magnitude;
+                } else {
+                    value.re += sign * magnitude;
+                }
+                parts++;
+            }
+            return { value, position };
+        }
+
+        return { list, sum, peek, expectEnd };
+    }
+
+    /**
+     * Parses a transfer function written as an expression in s, or as a comma-separated list
+     * of coefficients (highest power first, each one a constant expression).
+     * @param {string} text - E.g. `10/(s^2+2*s+10)`, `K/(tau*s+1)`, `zpk([-1],[-2,-3],5)`,
+     *                        `e^(-2s)/(s+1)` or `1, 0.5, 1`.
+     * @param {object} [parameters] - Values of the names used in the expression, e.g. { K: 2 }.
+     * @returns {object} { numerator, denominator, delay }, coefficients highest power first.
+     * @throws {Error} With the column (and `position`, zero-based) of the first problem.
+     */
+    function parseTransferFunction(text, parameters = {}) {
+        if (text.trim() === '') throw syntaxError(0, 'the expression is empty.');
+        const parser = createParser(text, parameters);
+        const items = parser.list();
+        parser.expectEnd();
+
+        let result;
+        if (items.length === 1) {
+            result = items[0].value;
+        } else {
+            const coefficients = items.map(({ value, position }) => {
+                if (!isConstant(value)) throw syntaxError(position, 'in a list of coefficients every item must be a constant.');
+                return constantValue(value);
+            });
+            result = { numerator: coefficients, denominator: [1], delay: 0 };
+        }
+
+        const numerator = trimLeadingZeros(result.numerator);
+        const denominator = trimLeadingZeros(result.denominator);
+        if (denominator.length === 0) throw syntaxError(0, 'the denominator is zero.');
+        if (numerator.some(c => !isFinite(c)) || denominator.some(c => !isFinite(c))) {
+            throw syntaxError(0, 'the expansion gives non-finite coefficients.');
+        }
+        return { numerator: numerator.length > 0 ? numerator : [0], denominator, delay: result.delay };
+    }
+
+    /**
+     * Parses the parameter definitions of a transfer function, e.g. `K = 2, tau = 5`.
+     * A value may use the parameters defined before it (`w = 2, wn2 = w^2`); each name may
+     * be defined only once.
+     * @param {string} text - Definitions `name = value`, separated by commas or semicolons.
+     * @returns {object} { name: value }.
+     * @throws {Error} With the column of the first invalid definition.
+     */
+    function parseParameters(text) {
+        const parameters = {};
+        let offset = 0;
+        text.split(/[,;]/).forEach(definition => {
+            const start = offset + definition.search(/\S|$/);
+            offset += definition.length + 1;
+            if (definition.trim() === '') return;
+            const match = /^\s*([A-Za-z_][A-Za-z_0-9]*)\s*=(.*)$/.exec(definition);
+            if (!match) throw syntaxError(start, 'expected a definition such as "K = 2".');
+            const [, name, valueText] = match;
+            if (RESERVED_NAMES.includes(name)) throw syntaxError(start, `"${name}" is reserved and cannot be a parameter.`);
+            if (Object.prototype.hasOwnProperty.call(parameters, name)) throw syntaxError(start, `"${name}" is already defined.`);
+            const valueStart = start + definition.trim().indexOf('=') + 1;
+            let value;
+            try {
+                value = parseTransferFunction(valueText, parameters);
+            } catch (err) {
+                throw err.position === undefined ? err : syntaxError(valueStart + err.position, err.message.replace(/^Column \d+: /, ''));
+            }
+            if (value.delay !== 0 || value.numerator.length > 1 || value.denominator.length > 1) {
+                throw syntaxError(valueStart, `the value of "${name}" must be a constant.`);
+            }
+            parameters[name] = value.numerator[0] / value.denominator[0];
+        });
+        return parameters;
+    }
+
+    /**
+     * Plant transfer function from a numerator and a denominator field, each parsed with
+     * `parseTransferFunction`: G(s) = N(s) / D(s). A complete expression may also be typed
+     * in the numerator with the denominator left as 1.
+     * @param {string} numeratorText - Numerator field.
+     * @param {string} denominatorText - Denominator field.
+     * @param {object} [parameters] - Named parameter values.
+     * @returns {object} { numerator, denominator, delay }.
+     * @throws {Error} With `field` ('numerator' or 'denominator') and `position` set when the
+     *                 problem is in one field, or for an improper or non-causal result.
+     */
+    function parsePlantTransferFunction(numeratorText, denominatorText, parameters = {}) {
+        const parseField = (text, field) => {
+            try {
+                return parseTransferFunction(text, parameters);
+            } catch (err) {
+                err.field = field;
+                throw err;
+            }
+        };
+        const n = parseField(numeratorText, 'numerator');
+        const d = parseField(denominatorText, 'denominator');
+        if (d.numerator.length === 1 && d.numerator[0] === 0) {
+            throw Object.assign(new Error('The denominator is zero.'), { field: 'denominator' });
+        }
+        const numerator = trimLeadingZeros(polyMul(n.numerator, d.denominator));
+        const denominator = trimLeadingZeros(polyMul(n.denominator, d.numerator));
+        const delay = n.delay - d.delay;
+        if (delay < 0) {
+            throw Object.assign(new Error('A dead time e^(-θs) in the denominator would be a prediction; move it to the numerator.'), { field: 'denominator' });
+        }
+        if (numerator.length > denominator.length) {
+            throw new Error(`The transfer function is improper: the numerator has degree ${numerator.length - 1} and the denominator ${denominator.length - 1}.`);
+        }
+        return { numerator: numerator.length > 0 ? numerator : [0], denominator, delay };
+    }
+
+    return {
+        parseTransferFunction,
+        parseParameters,
+        parsePlantTransferFunction
+    };
+});
@@ -0,0 +1,435 @@
+/**
+ * PID Tuning Experiments
+ * Tuning experiments built on the simulation engine: the closed-loop Ziegler-Nichols
+ * ultimate-sensitivity test with its analytical counterpart computed from the plant
+ * model, and the open-loop step test with FOPDT identification and tuning rules. Loaded
+ * after `pid_engine.js`; exposes its functions on `PIDEngine`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./pid_engine.js'));
+    } else {
+        root.PIDEngine = Object.assign(root.PIDEngine || {}, factory(root.PIDEngine));
+    }
+})(typeof self !== 'undefined' ? self : this, function (engine) {
+    'use strict';
+
+    /**
+     * Analyzes the oscillation of a signal with an amplitude-envelope test.
+     *
+     * The swings between consecutive extrema (half peak-to-peak amplitudes) form the
+     * envelope. Their growth per full period, measured after the first swing to skip the
+     * initial transient, classifies the response as decaying, sustained or growing.
+     * @param {number[]} time - Time samples.
+     * @param {number[]} signal - Signal samples.
+     * @param {object} [options] - { tolerance: allowed per-period envelope change (default 2%) }.
+     * @returns {object} { oscillating, growing, sustained, decaying, ratio, period, amplitude }.
+     */
+    function analyzeOscillation(time, signal, options = {}) {
+        const { tolerance = 0.02 } = options;
+        const result = { oscillating: false, growing: false, sustained: false, decaying: true, ratio: 0, period: null, amplitude: 0 };
+
+        if (signal.some(v => !isFinite(v))) {
+            return { ...result, growing: true, decaying: false, ratio: Infinity };
+        }
+
+        // Local extrema, treating plateaus as a single point
+        const extrema = [];
+        let direction = 0;
+        for (let i = 1; i < signal.length; i++) {
+            const delta = signal[i] - signal[i - 1];
+            if (delta === 0) continue;
+            const newDirection = Math.sign(delta);
+            if (direction !== 0 && newDirection !== direction) extrema.push(i - 1);
+            direction = newDirection;
+        }
+
+        const scale = Math.max(1e-12, ...signal.map(Math.abs));
+        const swings = [];
+        for (let k = 1; k < extrema.length; k++) {
+            swings.push(Math.abs(signal[extrema[k]] - signal[extrema[k - 1]]) / 2);
+        }
+        // Drop numerical ripple that is negligible compared to the signal
+        while (swings.length > 0 && swings[swings.length - 1] < 1e-9 * scale) {
+            swings.pop();
+            extrema.pop();
+        }
+
+        if (swings.length < 4) {
+            // No usable oscillation: detect monotonic divergence instead
+            const n = signal.length;
+            const tail = Math.abs(signal[n - 1]);
+            const earlier = Math.abs(signal[Math.floor(n * 0.8)]);
+            const diverging = tail > 1e6 || (tail > 10 * Math.abs(signal[Math.floor(n * 0.2)]) && tail > 1.05 * earlier);
+            return { ...result, growing: diverging, decaying: !diverging, ratio: diverging ? Infinity : 0 };
+        }
+
+        const used = swings.slice(1);
+        const first = used[0];
+        const last = used[used.length - 1];
+        // Two swings make one period
+        const ratio = first > 0 ? Math.pow(last / first, 2 / (used.length - 1)) : Infinity;
+
+        const periods = [];
+        for (let k = extrema.length - 1; k >= 3 && periods.length < 6; k--) {
+            periods.push(time[extrema[k]] - time[extrema[k - 2]]);
+        }
+        const period = periods.reduce((sum, p) => sum + p, 0) / periods.length;
+
+        return {
+            oscillating: true,
+            growing: ratio > 1 + tolerance,
+            sustained: Math.abs(ratio - 1) <= tolerance,
+            decaying: ratio < 1 - tolerance,
+            ratio,
+            period,
+            amplitude: last
+        };
+    }
+
+    /**
+     * Finds the ultimate gain Ku and period Tu with the Ziegler-Nichols closed-loop test:
+     * proportional-only control (Ki = Kd = 0) on a step, with Kp bracketed by doubling and
+     * then bisected on the envelope growth until the oscillation is sustained.
+     * @param {object} config - Simulation settings for the current plant, see `simulate`.
+     *                          Controller, reference, actuator and disturbance settings are replaced.
+     * @param {object} [options] - { kpStart, kpMax, tolerance, maxIterations, envelopeTolerance }.
+     * @param {object} [hooks] - Optional callbacks; `onProgress` receives the search progress.
+     * @returns {object} { found, ku, tu, ratio, sustained, iterations, message }.
+     */
+    function findUltimateGain(config, options = {}, hooks = {}) {
+        const { kpStart = 1, kpMax = 1e4, tolerance = 1e-3, maxIterations = 60, envelopeTolerance = 0.02 } = options;
+        const base = {
+            ...config,
+            controller: { kp: 0, ki: 0, kd: 0 },
+            reference: { type: 'step', amplitude: 1 },
+            actuator: null,
+            disturbances: null
+        };
+        let iterations = 0;
+        const report = (fraction) => {
+            if (hooks.onProgress) hooks.onProgress(Math.min(1, fraction));
+        };
+        const evaluate = (kp) => {
+            iterations++;
+            const { time, output } = engine.simulate(engine.withParameter(base, 'controller.kp', kp));
+            return analyzeOscillation(time, output, { tolerance: envelopeTolerance });
+        };
+
+        // Bracket Ku between a non-growing and a growing gain
+        let lo = 0;
+        let hi = kpStart;
+        let hiResult = evaluate(hi);
+        while (!hiResult.growing) {
+            if (hi >= kpMax) {
+                report(1);
+                return { found: false, ku: null, tu: null, iterations, message: `No sustained oscillation for Kp up to ${kpMax}.` };
+            }
+            lo = hi;
+            hi = Math.min(kpMax, hi * 2);
+            hiResult = evaluate(hi);
+            report(0.1 * Math.log2(hi / kpStart + 1) / Math.log2(kpMax / kpStart + 1));
+        }
+
+        // Bisect on the envelope growth
+        let best = hiResult.oscillating ? { kp: hi, result: hiResult } : null;
+        const bisections = Math.ceil(Math.log2(1 / tolerance)) + 1;
+        for (let k = 0; k < bisections && iterations < maxIterations && (hi - lo) > tolerance * hi; k++) {
+            const mid = (lo + hi) / 2;
+            const midResult = evaluate(mid);
+            if (midResult.oscillating && (!best || Math.abs(midResult.ratio - 1) < Math.abs(best.result.ratio - 1))) {
+                best = { kp: mid, result: midResult };
+            }
+            if (midResult.growing) {
+                hi = mid;
+            } else {
+                lo = mid;
+            }
+            report(0.1 + 0.9 * (k + 1) / bisections);
+        }
+        report(1);
+
+        if (!best) {
+            return { found: false, ku: null, tu: null, iterations, message: 'The loop diverges without oscillating.' };
+        }
+        if (best.result.period <= 4 * config.dt) {
+            // A period of a few samples comes from the discretization, not from the plant
+            return { found: false, ku: null, tu: null, iterations, message: 'Only a sampling-rate oscillation was found (numerical artifact).' };
+        }
+        const ku = (lo + hi) / 2;
+        return {
+            found: true,
+            ku,
+            tu: best.result.period,
+            ratio: best.result.ratio,
+            sustained: best.result.sustained,
+            iterations,
+            message: best.result.sustained ? '' : 'The simulation is too short to confirm a sustained oscillation.'
+        };
+    }
+
+    /**
+     * Splits p(jω) into real and imaginary parts, each a real polynomial in ω.
+     * @param {number[]} p - Polynomial in s, highest power first.
+     * @returns {object} { re, im } polynomials in ω, highest power first.
+     */
+    function splitOnImaginaryAxis(p) {
+        const n = p.length - 1;
+        const re = new Array(n + 1).fill(0);
+        const im = new Array(n + 1).fill(0);
+        p.forEach((c, i) => {
+            const k = n - i; // power of s; (jω)^k = j^k ω^k
+            switch (k % 4) {
+                case 0: re[i] = c; break;
+                case 1: im[i] = c; break;
+                case 2: re[i] = -c; break;
+                case 3: im[i] = -c; break;
+            }
+        });
+        return { re, im };
+    }
+
+    /**
+     * Computes the ultimate gain and period of a plant under proportional control from its
+     * transfer function. Closed-loop poles are the roots of den(s) + K num(s); a pole pair
+     * sits on the imaginary axis at s = jω when K = -den(jω) / num(jω) is real and positive,
+     * i.e. at the phase crossovers of G(jω). Each candidate is checked with Routh-Hurwitz:
+     * Ku is the first gain where the closed loop goes from stable to unstable.
+     * @param {number[]} numerator - Plant numerator, highest power first.
+     * @param {number[]} denominator - Plant denominator, highest power first.
+     * @returns {object} { finite, ku, tu, wu, reason: '' | 'zero-gain' | 'unstable' | 'no-crossing', message }.
+     */
+    function ultimateGainFromModel(numerator, denominator) {
+        const num = engine.trimLeadingZeros(numerator);
+        const den = engine.trimLeadingZeros(denominator);
+        const closedLoop = (k) => engine.polyAdd(den, engine.polyScale(num, k));
+        const margin = 1e-4;
+
+        if (num.length === 0 || den.length === 0) {
+            return { finite: false, ku: null, tu: null, wu: null, reason: 'zero-gain', message: 'The plant gain is zero.' };
+        }
+        if (!engine.isHurwitzStable(closedLoop(1e-9))) {
+            return { finite: false, ku: null, tu: null, wu: null, reason: 'unstable', message: 'The closed loop is unstable even for very small gains.' };
+        }
+
+        // Im{den(jω) * conj(num(jω))} = 0 at the phase crossovers
+        const D = splitOnImaginaryAxis(den);
+        const N = splitOnImaginaryAxis(num);
+        const imaginary = engine.polyAdd(engine.polyMul(D.im, N.re), engine.polyScale(engine.polyMul(D.re, N.im), -1));
+        const real = engine.polyAdd(engine.polyMul(D.re, N.re), engine.polyMul(D.im, N.im));
+        const numMagnitude = engine.polyAdd(engine.polyMul(N.re, N.re), engine.polyMul(N.im, N.im));
+        const evalReal = (p, w) => engine.polyEvalComplex(p, engine.complex(w, 0)).re;
+
+        const candidates = engine.polyRoots(imaginary)
+            .filter(r => r.im === 0 && r.re > 0)
+            .map(r => ({ wu: r.re, ku: -evalReal(real, r.re) / evalReal(numMagnitude, r.re) }))
+            .filter(c => isFinite(c.ku) && c.ku > 0)
+            .sort((a, b) => a.ku - b.ku);
+
+        const crossing = candidates.find(c =>
+            engine.isHurwitzStable(closedLoop(c.ku * (1 - margin))) && !engine.isHurwitzStable(closedLoop(c.ku * (1 + margin)))
+        );
+        if (!crossing) {
+            return { finite: false, ku: null, tu: null, wu: null, reason: 'no-crossing', message: 'No finite Ku: the closed-loop poles never cross the imaginary axis.' };
+        }
+        return { finite: true, ku: crossing.ku, tu: 2 * Math.PI / crossing.wu, wu: crossing.wu, reason: '', message: '' };
+    }
+
+    /**
+     * Time at which a sampled signal first reaches `level`, linearly interpolated.
+     * @returns {number|null} The crossing time, or null if the level is never reached.
+     */
+    function crossingTime(time, signal, level) {
+        for (let i = 1; i < signal.length; i++) {
+            if (signal[i] >= level) {
+                const span = signal[i] - signal[i - 1];
+                return span > 0 ? time[i - 1] + (level - signal[i - 1]) / span * (time[i] - time[i - 1]) : time[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Fits a first-order-plus-dead-time model K e^{-θs} / (τs + 1) to an open-loop step
+     * response (process reaction curve).
+     *  - 'two-point': Smith's method, with the 28.3% and 63.2% crossing times t1, t2:
+     *    τ = 1.5 (t2 - t1), θ = t2 - τ.
+     *  - 'tangent': Ziegler-Nichols tangent at the inflection point (steepest slope); θ is
+     *    where it leaves the initial value and θ + τ where it reaches the final value.
+     * The final value is the last sample, so the response must have settled.
+     * @param {number[]} time - Time samples.
+     * @param {number[]} output - Plant output for a step applied at t = 0.
+     * @param {number} [stepSize=1] - Input step amplitude.
+     * @param {string} [method='two-point'] - 'two-point' or 'tangent'.
+     * @returns {object} { gain, tau, theta, method, settled, reason: '' | 'unstable' | 'no-response' | 'no-rise', message }.
+     */
+    function identifyFOPDT(time, output, stepSize = 1, method = 'two-point') {
+        const n = output.length;
+        const y0 = output[0];
+        const change = output[n - 1] - y0;
+        const failed = (reason, message) => ({ gain: null, tau: null, theta: null, method, settled: false, reason, message });
+
+        if (n < 3 || output.some(v => !isFinite(v))) return failed('unstable', 'The open-loop response diverges.');
+        if (Math.abs(change) < 1e-9 * Math.max(1, Math.abs(y0))) return failed('no-response', 'The output does not respond to the input step.');
+
+        // Work on the normalized response, rising from 0 to 1
+        const normalized = output.map(v => (v - y0) / change);
+        const tailStart = Math.floor(0.9 * (n - 1));
+        const tailDrift = Math.max(...normalized.slice(tailStart).map(v => Math.abs(v - 1)));
+        const settled = tailDrift < 0.02;
+
+        let tau;
+        let theta;
+        if (method === 'tangent') {
+            let slope = 0;
+            let at = 0;
+            for (let i = 1; i < n; i++) {
+                const s = (normalized[i] - normalized[i - 1]) / (time[i] - time[i - 1]);
+                if (s > slope) {
+                    slope = s;
+                    at = i;
+                }
+            }
+            if (slope <= 0) return failed('no-rise', 'The response never rises.');
+            const tMid = (time[at] + time[at - 1]) / 2;
+            const yMid = (normalized[at] + normalized[at - 1]) / 2;
+            theta = Math.max(0, tMid - yMid / slope);
+            tau = 1 / slope;
+        } else {
+            const t1 = crossingTime(time, normalized, 0.283);
+            const t2 = crossingTime(time, normalized, 0.632);
+            if (t1 === null || t2 === null) return failed('no-rise', 'The response never reaches 63.2% of its final value.');
+            tau = 1.5 * (t2 - t1);
+            theta = Math.max(0, t2 - tau);
+        }
+
+        return {
+            gain: change / stepSize,
+            tau,
+            theta,
+            method,
+            settled,
+            reason: '',
+            message: settled ? '' : 'The response has not settled: increase the simulation time.'
+        };
+    }
+
+    /**
+     * Step response of a FOPDT model, y(t) = K A (1 - e^{-(t-θ)/τ}) for t ≥ θ.
+     * @param {object} model - { gain, tau, theta }.
+     * @param {number[]} time - Time samples.
+     * @param {number} [stepSize=1] - Input step amplitude.
+     * @param {number} [initial=0] - Output value before the step.
+     * @returns {number[]} Model output samples.
+     */
+    function fopdtStepResponse(model, time, stepSize = 1, initial = 0) {
+        const { gain, tau, theta } = model;
+        return time.map(t => {
+            if (t < theta) return initial;
+            const decay = tau > 0 ? Math.exp(-(t - theta) / tau) : 0;
+            return initial + gain * stepSize * (1 - decay);
+        });
+    }
+
+    /**
+     * PID gains from a FOPDT model. Rules give the ideal form Kc (1 + 1/(Ti s) + Td s),
+     * returned as parallel gains kp = Kc, ki = Kc/Ti, kd = Kc Td.
+     *  - 'cohen-coon': Cohen-Coon (PID; PI when `structure` is 'PI').
+     *  - 'imc': IMC / lambda tuning, Kc = (2τ+θ) / (K(2λ+θ)), Ti = τ + θ/2, Td = τθ/(2τ+θ)
+     *    (PI: Kc = τ / (K(λ+θ)), Ti = τ).
+     *  - 'simc': Skogestad SIMC PI, Kc = τ / (K(τc+θ)), Ti = min(τ, 4(τc+θ)).
+     *  - 'chr': Chien-Hrones-Reswick, 0% overshoot on setpoint changes.
+     * @param {object} model - { gain, tau, theta }.
+     * @param {string} rule - 'cohen-coon', 'imc', 'simc' or 'chr'.
+     * @param {object} [options] - { structure: 'PID' | 'PI', lambda: closed-loop time
+     *                             constant for IMC/SIMC (default θ, or τ/10 without delay) }.
+     * @returns {object} { kp, ki, kd, kc, ti, td, structure }.
+     */
+    function fopdtTuning(model, rule, options = {}) {
+        const { gain: K, tau } = model;
+        // Delay-based rules need θ > 0; a tiny delay stands in for a delay-free plant
+        const theta = Math.max(model.theta, 1e-3 * tau);
+        const lambda = options.lambda > 0 ? options.lambda : Math.max(model.theta, 0.1 * tau);
+        let structure = options.structure === 'PI' ? 'PI' : 'PID';
+        const r = theta / tau;
+        let kc;
+        let ti;
+        let td = 0;
+
+        switch (rule) {
+            case 'cohen-coon':
+                if (structure === 'PI') {
+                    kc = (tau / (K * theta)) * (0.9 + r / 12);
+                    ti = theta * (30 + 3 * r) / (9 + 20 * r);
+                } else {
+                    kc = (tau / (K * theta)) * (4 / 3 + r / 4);
+                    ti = theta * (32 + 6 * r) / (13 + 8 * r);
+                    td = 4 * theta / (11 + 2 * r);
+                }
+                break;
+            case 'imc':
+                if (structure === 'PI') {
+                    kc = tau / (K * (lambda + theta));
+                    ti = tau;
+                } else {
+                    kc = (2 * tau + theta) / (K * (2 * lambda + theta));
+                    ti = tau + theta / 2;
+                    td = tau * theta / (2 * tau + theta);
+                }
+                break;
+            case 'simc':
+                // SIMC gives PI for first-order models; derivative action is for second order
+                structure = 'PI';
+                kc = tau / (K * (lambda + theta));
+                ti = Math.min(tau, 4 * (lambda + theta));
+                break;
+            case 'chr':
+                if (structure === 'PI') {
+                    kc = 0.35 * tau / (K * theta);
+                    ti = 1.17 * tau;
+                } else {
+                    kc = 0.6 * tau / (K * theta);
+                    ti = tau;
+                    td = 0.5 * theta;
+                }
+                break;
+            default:
+                throw new Error(`Unknown FOPDT tuning rule: ${rule}`);
+        }
+
+        return { kp: kc, ki: kc / ti, kd: kc * td, kc, ti, td, structure };
+    }
+
+    /**
+     * Open-loop step test: applies a step to the plant alone, fits a FOPDT model and
+     * returns the fitted curve for plotting against the measured response. Plants whose
+     * transfer function is not open-loop stable are rejected without simulating.
+     * @param {object} config - Simulation settings for the current plant, see `simulateOpenLoop`.
+     * @param {object} [options] - { stepSize (default 1), method: 'two-point' | 'tangent' }.
+     * @param {object} [hooks] - Optional callbacks, e.g. `onProgress`.
+     * @returns {object} { time, output, fitted, model }.
+     */
+    function stepTest(config, options = {}, hooks = {}) {
+        const { stepSize = 1, method = 'two-point' } = options;
+        const { denominator } = config.plant;
+        if (denominator && !engine.isHurwitzStable(denominator)) {
+            // Integrating or unstable plants have no steady state for the model to match
+            const model = { gain: null, tau: null, theta: null, method, settled: false, reason: 'unstable', message: 'The plant is not open-loop stable.' };
+            return { time: [], output: [], fitted: null, model };
+        }
+        const { time, output } = engine.simulateOpenLoop({ ...config, input: { type: 'step', amplitude: stepSize } }, hooks);
+        const model = identifyFOPDT(time, output, stepSize, method);
+        const fitted = model.gain === null ? null : fopdtStepResponse(model, time, stepSize, output[0]);
+        return { time, output, fitted, model };
+    }
+
+    return {
+        analyzeOscillation,
+        findUltimateGain,
+        ultimateGainFromModel,
+        identifyFOPDT,
+        fopdtStepResponse,
+        fopdtTuning,
+        stepTest
+    };
+});
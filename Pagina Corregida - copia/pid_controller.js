@@ -7,6 +7,12 @@
 // Global variables to hold chart instances to prevent memory leaks
 let responseChart = null;
 let signalPreviewChart = null;
+let bodeMagnitudeChart = null;
+let bodePhaseChart = null;
+let nyquistChart = null;
+let nicholsChart = null;
+let rootLocusChart = null;
+let poleZeroChart = null;
 
 // Store simulation data globally for easy access by different functions
 let simulationData = {};
@@ -14,6 +20,200 @@ let simulationData = {};
 // Almacena los datasets de comparación
 let comparisonDatasets = [];
 
+// Curvas de la prueba de escalón en lazo abierto (planta y modelo FOPDT ajustado)
+let identificationDatasets = [];
+
+// Configuración de la última simulación mostrada, para los metadatos de la exportación
+let simulationConfig = null;
+
+// Registro medido importado desde CSV: texto del archivo y datos leídos { time, reference, output, control }
+let measuredText = null;
+let measuredData = null;
+
+// Escenario del curso cargado (ver `PIDEngine.runScenario`), para su tabla de métricas
+let scenarioResult = null;
+
+// Colores de las curvas de un escenario, en el orden de sus casos y la respuesta sin control
+// (los de la gráfica de Scilab: azul, verde, rojo y magenta, sin chocar con la salida principal)
+const SCENARIO_COLORS = ['#06b6d4', '#22c55e', '#ef4444', '#d946ef'];
+
+// Último modelo FOPDT identificado { gain, tau, theta }, para recalcular las reglas de sintonía
+let identifiedModel = null;
+
+// Métricas medidas en la última simulación { overshoot, peakTime, settlingTime, isStep },
+// para compararlas con la aproximación por polos dominantes
+let measuredMetrics = null;
+
+// Ejecuta las simulaciones en un Web Worker; cada ejecución nueva cancela la anterior
+const simulationRunner = PIDEngine.createSimulationRunner({
+    workerUrl: '../Motor de Simulacion/simulation_worker.js'
+});
+
+// Curvas del análisis en frecuencia: etiqueta y color de cada función de transferencia
+const FREQUENCY_CURVES = {
+    G: { label: 'G(jω) Planta', color: '#f59e0b' },
+    C: { label: 'C(jω) Controlador', color: '#8b5cf6' },
+    L: { label: 'L(jω) = C·G', color: '#3b82f6' },
+    T: { label: 'T(jω) = L/(1+L)', color: '#10b981' },
+    S: { label: 'S(jω) = 1/(1+L)', color: '#ef4444' }
+};
+
+// Puntos [t, valor] de la referencia por tramos, editados en la tabla de la referencia
+let referencePoints = [[0, 0], [2, 1], [10, 1], [12, 0.5], [20, 0.5]];
+
+// Canales de perturbación del motor y prefijo de sus campos en la interfaz
+const DISTURBANCE_CHANNELS = {
+    input: 'inputDisturbance',
+    output: 'outputDisturbance',
+    measurement: 'measurementNoise'
+};
+
+// Prefijo de los campos de la perturbación medida que compensa la prealimentación
+const MEASURED_DISTURBANCE = 'measuredDisturbance';
+
+// Campos de la arquitectura de control que se guardan con la configuración
+const ARCHITECTURE_FIELDS = ['architecture', 'innerNumerator', 'innerDenominator', 'innerDelay', 'innerKp', 'innerKi', 'innerKd',
+    'disturbanceNumerator', 'disturbanceDenominator', 'disturbanceDelay', 'feedforwardMode',
+    'smithNumerator', 'smithDenominator', 'smithDelay'];
+
+// Arquitecturas de control (ver `PIDEngine.simulateArchitecture`): grupo de sus campos, señales
+// internas que se exportan, curva interna de la gráfica y nombre de cada lazo de sus métricas
+const ARCHITECTURE_DETAILS = {
+    single: { group: null, signals: [], curve: null, loops: { output: 'Lazo simple' } },
+    cascade: {
+        group: 'cascadeGroup',
+        signals: ['innerReference', 'innerError', 'innerOutput'],
+        curve: { key: 'innerOutput', label: 'Salida Interna y₁ (G₁)' },
+        loops: { outer: 'Externo (r → y)', inner: 'Interno (r₁ → y₁)' }
+    },
+    feedforward: {
+        group: 'feedforwardGroup',
+        signals: ['measuredDisturbance', 'feedback', 'feedforward', 'feedbackOnlyOutput', 'feedbackOnlyControl'],
+        curve: { key: 'feedbackOnlyOutput', label: 'Salida sin Prealimentación' },
+        loops: { feedforward: 'Con prealimentación', feedbackOnly: 'Solo realimentación' }
+    },
+    smithPredictor: {
+        group: 'smithGroup',
+        signals: ['prediction', 'modelOutput', 'feedbackSignal'],
+        curve: { key: 'prediction', label: 'Predicción sin Retardo ŷ' },
+        loops: { output: 'Salida (r → y)', prediction: 'Predicción (r → ŷ)' }
+    }
+};
+
+// Motivo por el que la prealimentación ideal −Gd/G se reduce a su ganancia estática
+const FEEDFORWARD_REASONS = {
+    static: 'elegida en el selector',
+    improper: 'porque −Gd/G es impropia',
+    unstable: 'porque −Gd/G es inestable (G tiene ceros en el semiplano derecho)',
+    noncausal: 'porque Gd tiene menos retardo que G y la compensación no sería causal'
+};
+
+// Parámetros físicos compartidos por varias plantas predefinidas
+const DC_MOTOR_FIELDS = [
+    { key: 'resistance', label: 'Resistencia R (Ω)', positive: true },
+    { key: 'inductance', label: 'Inductancia L (H)', positive: true },
+    { key: 'inertia', label: 'Inercia J (kg·m²)', positive: true },
+    { key: 'viscousFriction', label: 'Fricción viscosa b (N·m·s/rad)', nonNegative: true },
+    { key: 'torqueConstant', label: 'Constante de par Kt (N·m/A)', positive: true },
+    { key: 'backEmfConstant', label: 'Constante FCEM Ke (V·s/rad)' }
+];
+const PENDULUM_FIELDS = [
+    { key: 'mass', label: 'Masa m (kg)', positive: true },
+    { key: 'length', label: 'Longitud L (m)', positive: true },
+    { key: 'damping', label: 'Amortiguamiento b (N·m·s/rad)', nonNegative: true },
+    { key: 'gravity', label: 'Gravedad g (m/s²)', positive: true },
+    { key: 'initialAngle', label: 'Ángulo inicial θ₀ (rad)' }
+];
+
+// Plantas predefinidas del selector: modelo del motor, retardo inicial, señales de entrada y
+// salida, y campos de sus parámetros físicos (`positive` exige un valor > 0; `nonNegative`, en
+// resistencias y rozamientos, uno ≥ 0; el resto admite negativos, como las condiciones
+// iniciales). En las lineales G(s) se deriva de los parámetros; las no lineales (`nonlinear`)
+// se simulan con su ecuación y G(s) es su linealización
+const PLANT_PRESETS = {
+    motorDC: {
+        model: 'dcMotor', delay: 0, input: 'V', output: 'ω',
+        fields: DC_MOTOR_FIELDS
+    },
+    termico: {
+        model: 'thermal', delay: 2, input: 'P', output: 'ΔT',
+        fields: [
+            { key: 'heatCapacity', label: 'Capacidad térmica C (J/K)', positive: true },
+            { key: 'thermalResistance', label: 'Resistencia térmica R (K/W)', positive: true }
+        ]
+    },
+    'masa-resorte': {
+        model: 'massSpring', delay: 0, input: 'F', output: 'x',
+        fields: [
+            { key: 'mass', label: 'Masa m (kg)', positive: true },
+            { key: 'stiffness', label: 'Rigidez del resorte k (N/m)', positive: true },
+            { key: 'damping', label: 'Amortiguamiento c (N·s/m)', nonNegative: true }
+        ]
+    },
+    tanque: {
+        model: 'tank', delay: 1, input: 'Q', output: 'h',
+        fields: [
+            { key: 'area', label: 'Área A (m²)', positive: true },
+            { key: 'outletResistance', label: 'Resistencia de salida R (s/m²)', positive: true }
+        ]
+    },
+    rlc: {
+        model: 'rlc', delay: 0, input: 'V', output: 'Vc',
+        fields: [
+            { key: 'resistance', label: 'Resistencia R (Ω)', nonNegative: true },
+            { key: 'inductance', label: 'Inductancia L (H)', positive: true },
+            { key: 'capacitance', label: 'Capacitancia C (F)', positive: true }
+        ]
+    },
+    'pendulo-nl': {
+        model: 'pendulum', nonlinear: true, delay: 0, input: 'τ', output: 'θ',
+        fields: PENDULUM_FIELDS
+    },
+    'pendulo-invertido': {
+        model: 'invertedPendulum', nonlinear: true, delay: 0, input: 'τ', output: 'θ',
+        fields: PENDULUM_FIELDS
+    },
+    'motorDC-coulomb': {
+        model: 'dcMotor', nonlinear: true, delay: 0, input: 'V', output: 'ω',
+        fields: DC_MOTOR_FIELDS.concat([
+            { key: 'coulombFriction', label: 'Fricción de Coulomb Tc (N·m)', nonNegative: true },
+            { key: 'frictionSmoothing', label: 'Suavizado ωs (rad/s)', positive: true }
+        ])
+    },
+    'tanque-torricelli': {
+        model: 'tank', nonlinear: true, delay: 0, input: 'Q', output: 'h',
+        fields: [
+            { key: 'area', label: 'Área A (m²)', positive: true },
+            { key: 'outflowCoefficient', label: 'Coef. de descarga k (m²·⁵/s)', positive: true },
+            { key: 'operatingLevel', label: 'Nivel de operación h₀ (m)', positive: true },
+            { key: 'initialLevel', label: 'Nivel inicial (m)' }
+        ]
+    },
+    'termico-saturado': {
+        model: 'thermal', nonlinear: true, delay: 0, input: 'P', output: 'ΔT',
+        fields: [
+            { key: 'heatCapacity', label: 'Capacidad térmica C (J/K)', positive: true },
+            { key: 'thermalResistance', label: 'Resistencia térmica R (K/W)', positive: true },
+            { key: 'maxPower', label: 'Potencia máxima (W)', positive: true }
+        ]
+    }
+};
+
+// Lugar de raíces calculado: { locus, loop, ratios: { kp, ki, kd }, gainName }, y si se está arrastrando el marcador
+let rootLocusState = null;
+let locusDragging = false;
+
+// Número de la última simulación lanzada, para ignorar resultados obsoletos en la UI
+let simulationRunId = 0;
+
+// Re-simulación agrupada para los sliders, que disparan muchos eventos 'input' seguidos
+const scheduleSimulation = PIDEngine.debounce(() => runSimulation(), 150);
+
+// Worker aparte para la búsqueda de Ku, así no cancela la simulación principal
+const tuningRunner = PIDEngine.createSimulationRunner({
+    workerUrl: '../Motor de Simulacion/simulation_worker.js'
+});
+
 /**
  * Initializes the entire application after the DOM is fully loaded.
  * It sets up the diagram, event listeners, and runs an initial simulation.
@@ -34,69 +234,236 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 /**
- * Creates the interactive PID control loop diagram using SVG.
- * Each key component (arrows, blocks) is given a unique ID for interactivity.
+ * Creates the interactive control loop diagram using SVG, with the layout of the chosen
+ * architecture. Each key component (arrows, blocks) is given a unique ID for interactivity:
+ * the PID block holds the Kp/Ki/Kd sliders, the plant block the G(s) of `updatePlantDisplay`,
+ * and every arrow with `data-signal` previews that signal of the last simulation.
+ * @param {string} [architecture='single'] - Tipo de arquitectura, ver `ARCHITECTURE_DETAILS`.
  */
-function createPIDDiagram() {
+function createPIDDiagram(architecture = 'single') {
     const diagramContainer = document.getElementById('pidDiagram');
     if (!diagramContainer) return;
 
+    const { width, height, parts } = DIAGRAM_LAYOUTS[architecture]();
     const diagramSVG = `
-        <svg viewBox="0 0 800 250" preserveAspectRatio="xMidYMid meet" class="w-full h-full">
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" class="w-full h-full">
             <defs>
                 <marker id="arrow" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
                     <path d="M 0 0 L 10 5 L 0 10 z" fill="var(--diagram-text-color)"></path>
                 </marker>
             </defs>
-
-            <g class="signal-arrow" data-signal="reference" id="ref-signal">
-                <line x1="20" y1="100" x2="100" y2="100" stroke="var(--diagram-text-color)" stroke-width="2" marker-end="url(#arrow)" />
-                <text x="40" y="90" fill="var(--diagram-text-color)" font-size="14">R(s)</text>
-            </g>
-
-            <circle cx="125" cy="100" r="25" fill="none" stroke="var(--accent-color)" stroke-width="2" />
-            <text x="120" y="95" fill="var(--diagram-text-color)" font-size="20">+</text>
-            <text x="120" y="125" fill="var(--diagram-text-color)" font-size="20">-</text>
-
-            <g class="signal-arrow" data-signal="error" id="error-signal">
-                <line x1="150" y1="100" x2="220" y2="100" stroke="var(--diagram-text-color)" stroke-width="2" marker-end="url(#arrow)" />
-                <text x="170" y="90" fill="var(--diagram-text-color)" font-size="14">E(s)</text>
-            </g>
-
-            <g id="pid-block-container">
-                <rect x="220" y="60" width="160" height="80" fill="var(--card-bg)" stroke="var(--secondary-color)" stroke-width="2" rx="5" />
-                <foreignObject x="225" y="65" width="150" height="70">
-                    <div id="pid-controls-container" class="p-1 text-xs text-white">
-                        <div class="flex items-center justify-between"><span>Kp:</span><input type="range" id="kpSlider" min="0" max="20" step="0.1" value="1" class="w-2/3"><span id="kpValue" class="w-1/4 text-right">1</span></div>
-                        <div class="flex items-center justify-between"><span>Ki:</span><input type="range" id="kiSlider" min="0" max="10" step="0.1" value="0.5" class="w-2/3"><span id="kiValue" class="w-1/4 text-right">0.5</span></div>
-                        <div class="flex items-center justify-between"><span>Kd:</span><input type="range" id="kdSlider" min="0" max="5" step="0.1" value="0.1" class="w-2/3"><span id="kdValue" class="w-1/4 text-right">0.1</span></div>
-                    </div>
-                </foreignObject>
-            </g>
-
-            <g class="signal-arrow" data-signal="control" id="control-signal">
-                <line x1="380" y1="100" x2="450" y2="100" stroke="var(--diagram-text-color)" stroke-width="2" marker-end="url(#arrow)" />
-                <text x="400" y="90" fill="var(--diagram-text-color)" font-size="14">U(s)</text>
-            </g>
-
-            <g id="plant-block-container">
-                 <rect x="450" y="60" width="160" height="80" fill="var(--card-bg)" stroke="var(--secondary-color)" stroke-width="2" rx="5" />
-                 <foreignObject x="455" y="65" width="150" height="70">
-                    <div id="plant-display" class="w-full h-full flex flex-col items-center justify-center text-center p-1"></div>
-                 </foreignObject>
-            </g>
-
-            <g class="signal-arrow" data-signal="output" id="output-signal">
-                <line x1="610" y1="100" x2="700" y2="100" stroke="var(--diagram-text-color)" stroke-width="2" marker-end="url(#arrow)" />
-                <text x="630" y="90" fill="var(--diagram-text-color)" font-size="14">Y(s)</text>
-            </g>
-
-            <path d="M 650 100 L 650 175 L 125 175 L 125 125" stroke="var(--diagram-text-color)" stroke-width="2" fill="none" marker-end="url(#arrow)" id="feedback-signal"/>
+            ${parts.join('\n            ')}
         </svg>
     `;
     diagramContainer.innerHTML = diagramSVG;
 }
 
+// Disposición del diagrama de cada arquitectura: { width, height, parts: fragmentos SVG }.
+// Las señales internas usan los nombres de `PIDEngine.simulateArchitecture`
+const DIAGRAM_LAYOUTS = {
+    single: () => ({
+        width: 800,
+        height: 250,
+        parts: [
+            diagramSignal('reference', 'R(s)', [40, 90], [[20, 100], [100, 100]]),
+            diagramSum(125, 100, { top: '+', bottom: '-' }, 25),
+            diagramSignal('error', 'E(s)', [170, 90], [[150, 100], [220, 100]]),
+            diagramBlock('pid-block-container', 220, 60, 160, 80, pidControlsHtml()),
+            diagramSignal('control', 'U(s)', [400, 90], [[380, 100], [450, 100]]),
+            diagramBlock('plant-block-container', 450, 60, 160, 80, PLANT_DISPLAY_HTML),
+            diagramSignal('output', 'Y(s)', [630, 90], [[610, 100], [700, 100]]),
+            diagramPath('feedback-signal', [[650, 100], [650, 175], [125, 175], [125, 125]])
+        ]
+    }),
+    // C₂ fija la referencia r₁ de C₁, que cierra su lazo sobre la sección interna G₁
+    cascade: () => ({
+        width: 1000,
+        height: 240,
+        parts: [
+            diagramSignal('reference', 'R(s)', [15, 90], [[10, 100], [58, 100]]),
+            diagramSum(80, 100, { left: '+', bottom: '-' }),
+            diagramSignal('error', 'E', [108, 90], [[100, 100], [140, 100]]),
+            diagramText(205, 50, 'C₂(s)'),
+            diagramBlock('pid-block-container', 140, 60, 160, 80, pidControlsHtml()),
+            diagramSignal('innerReference', 'R₁', [312, 90], [[300, 100], [348, 100]]),
+            diagramSum(370, 100, { left: '+', bottom: '-' }),
+            diagramSignal('innerError', 'E₁', [398, 90], [[390, 100], [430, 100]]),
+            diagramBlock('inner-controller-block', 430, 60, 120, 80, diagramLabel('innerControllerDisplay', 'C₁(s)')),
+            diagramSignal('control', 'U', [562, 90], [[550, 100], [590, 100]]),
+            diagramBlock('inner-plant-block', 590, 60, 120, 80, diagramLabel('innerPlantDisplay', 'G₁(s)')),
+            diagramSignal('innerOutput', 'Y₁', [718, 90], [[710, 100], [750, 100]]),
+            diagramBlock('plant-block-container', 750, 60, 160, 80, PLANT_DISPLAY_HTML),
+            diagramSignal('output', 'Y(s)', [930, 90], [[910, 100], [990, 100]]),
+            diagramPath('inner-feedback-signal', [[730, 100], [730, 170], [370, 170], [370, 122]]),
+            diagramPath('feedback-signal', [[950, 100], [950, 215], [80, 215], [80, 122]])
+        ]
+    }),
+    // La perturbación medida d llega a la salida por Gd y se compensa con Gff sumada al PID
+    feedforward: () => ({
+        width: 900,
+        height: 290,
+        parts: [
+            diagramSignal('measuredDisturbance', 'D(s)', [205, 40], [[200, 50], [480, 50]], [[260, 50], [260, 105], [320, 105]]),
+            diagramBlock('disturbance-plant-block', 480, 20, 140, 60, diagramLabel('disturbancePlantDisplay', 'Gd(s)')),
+            diagramPath('disturbance-path', [[620, 50], [700, 50], [700, 168]]),
+            diagramBlock('feedforward-block', 320, 80, 120, 50, diagramLabel('feedforwardDisplay', 'Gff(s)')),
+            diagramSignal('feedforward', 'Uff', [388, 155], [[380, 130], [380, 168]]),
+            diagramSignal('reference', 'R(s)', [15, 180], [[10, 190], [58, 190]]),
+            diagramSum(80, 190, { left: '+', bottom: '-' }),
+            diagramSignal('error', 'E', [108, 180], [[100, 190], [140, 190]]),
+            diagramBlock('pid-block-container', 140, 150, 160, 80, pidControlsHtml()),
+            diagramSignal('feedback', 'Ufb', [310, 180], [[300, 190], [358, 190]]),
+            diagramSum(380, 190, { left: '+', top: '+' }),
+            diagramSignal('control', 'U', [415, 180], [[400, 190], [450, 190]]),
+            diagramBlock('plant-block-container', 450, 150, 160, 80, PLANT_DISPLAY_HTML),
+            diagramPath('plant-output-path', [[610, 190], [678, 190]]),
+            diagramSum(700, 190, { left: '+', top: '+' }),
+            diagramSignal('output', 'Y(s)', [780, 180], [[720, 190], [880, 190]]),
+            diagramPath('feedback-signal', [[800, 190], [800, 270], [80, 270], [80, 212]])
+        ]
+    }),
+    // El PID realimenta y + ŷ − ŷθ: la predicción sin retardo corregida por el error del modelo
+    smithPredictor: () => ({
+        width: 900,
+        height: 290,
+        parts: [
+            diagramSignal('reference', 'R(s)', [15, 70], [[10, 80], [58, 80]]),
+            diagramSum(80, 80, { left: '+', bottom: '-' }),
+            diagramSignal('error', 'E', [108, 70], [[100, 80], [140, 80]]),
+            diagramBlock('pid-block-container', 140, 40, 160, 80, pidControlsHtml()),
+            diagramSignal('control', 'U(s)', [370, 70], [[300, 80], [450, 80]], [[360, 80], [360, 180], [400, 180]]),
+            diagramBlock('plant-block-container', 450, 40, 160, 80, PLANT_DISPLAY_HTML),
+            diagramSignal('output', 'Y(s)', [800, 70], [[610, 80], [880, 80]], [[780, 80], [780, 158]]),
+            diagramBlock('smith-model-block', 400, 155, 110, 50, diagramLabel('smithModelDisplay', 'Gm(s)')),
+            diagramSignal('prediction', 'Ŷ', [520, 172], [[510, 180], [570, 180]], [[540, 180], [540, 232]]),
+            diagramBlock('smith-delay-block', 570, 155, 110, 50, diagramLabel('smithDelayDisplay', 'Retardo')),
+            diagramSignal('modelOutput', 'Ŷθ', [700, 170], [[680, 180], [758, 180]]),
+            diagramSum(780, 180, { top: '+', left: '-' }),
+            diagramPath('model-error-path', [[780, 200], [780, 250], [560, 250]]),
+            diagramSum(540, 250, { top: '+', right: '+' }),
+            diagramSignal('feedbackSignal', 'Y + Ŷ − Ŷθ', [250, 270], [[520, 250], [80, 250], [80, 102]])
+        ]
+    })
+};
+
+// Contenido del bloque de la planta, que rellena `updatePlantDisplay`
+const PLANT_DISPLAY_HTML = '<div id="plant-display" class="w-full h-full flex flex-col items-center justify-center text-center p-1"></div>';
+
+/**
+ * Texto del diagrama.
+ * @param {number} x - Posición horizontal.
+ * @param {number} y - Línea base.
+ * @param {string} text - Contenido.
+ * @param {number} [size=14] - Tamaño de la fuente.
+ * @returns {string} Elemento SVG.
+ */
+function diagramText(x, y, text, size = 14) {
+    return `<text x="${x}" y="${y}" fill="var(--diagram-text-color)" font-size="${size}">${text}</text>`;
+}
+
+/**
+ * Atributo `d` de una polilínea.
+ * @param {number[][]} points - Vértices [x, y].
+ * @returns {string} Comandos M/L del trazado.
+ */
+function diagramPoints(points) {
+    return points.map(([x, y], k) => `${k === 0 ? 'M' : 'L'} ${x} ${y}`).join(' ');
+}
+
+/**
+ * Flecha de una señal con su etiqueta; al pasar el ratón muestra `simulationData[signal]`.
+ * @param {string} signal - Nombre de la señal en los resultados de la simulación.
+ * @param {string} label - Etiqueta.
+ * @param {number[]} labelAt - Posición [x, y] de la etiqueta.
+ * @param {...number[][]} lines - Polilíneas de la señal: el trazado principal y sus ramas.
+ * @returns {string} Grupo SVG.
+ */
+function diagramSignal(signal, label, [x, y], ...lines) {
+    const paths = lines.map(points => `<path d="${diagramPoints(points)}" stroke="var(--diagram-text-color)" stroke-width="2" fill="none" marker-end="url(#arrow)" />`);
+    return `<g class="signal-arrow" data-signal="${signal}" id="${signal}-signal">
+                ${paths.join('\n                ')}
+                ${diagramText(x, y, label)}
+            </g>`;
+}
+
+/**
+ * Trazado sin señal propia (realimentaciones y salidas de bloques que no se registran).
+ * @param {string} id - Id del trazado.
+ * @param {number[][]} points - Vértices [x, y].
+ * @returns {string} Elemento SVG.
+ */
+function diagramPath(id, points) {
+    return `<path d="${diagramPoints(points)}" stroke="var(--diagram-text-color)" stroke-width="2" fill="none" marker-end="url(#arrow)" class="feedback-path" id="${id}"/>`;
+}
+
+/**
+ * Sumador con el signo de cada entrada junto al lado por el que entra.
+ * @param {number} cx - Centro horizontal.
+ * @param {number} cy - Centro vertical.
+ * @param {object} signs - { left, top, right, bottom }: '+' o '-' de las entradas.
+ * @param {number} [r=20] - Radio.
+ * @returns {string} Elementos SVG.
+ */
+function diagramSum(cx, cy, signs, r = 20) {
+    const positions = {
+        left: [cx - r + 4, cy + 6],
+        top: [cx - 5, cy - r + 17],
+        right: [cx + r - 15, cy + 6],
+        bottom: [cx - 5, cy + r - 3]
+    };
+    const texts = Object.entries(signs).map(([side, sign]) => diagramText(...positions[side], sign, 18));
+    return [`<circle cx="${cx}" cy="${cy}" r="${r}" fill="none" stroke="var(--accent-color)" stroke-width="2" />`, ...texts].join('\n            ');
+}
+
+/**
+ * Bloque rectangular con contenido HTML.
+ * @param {string} id - Id del grupo.
+ * @param {number} x - Esquina superior izquierda.
+ * @param {number} y - Esquina superior izquierda.
+ * @param {number} width - Ancho.
+ * @param {number} height - Alto.
+ * @param {string} content - HTML del interior.
+ * @returns {string} Grupo SVG.
+ */
+function diagramBlock(id, x, y, width, height, content) {
+    return `<g id="${id}">
+                <rect x="${x}" y="${y}" width="${width}" height="${height}" fill="var(--card-bg)" stroke="var(--secondary-color)" stroke-width="2" rx="5" />
+                <foreignObject x="${x + 5}" y="${y + 5}" width="${width - 10}" height="${height - 10}">
+                    ${content}
+                </foreignObject>
+            </g>`;
+}
+
+/**
+ * Interior de un bloque con título y un contenido que rellena `updateArchitectureDisplay`.
+ * @param {string} id - Id del contenido.
+ * @param {string} title - Título del bloque.
+ * @returns {string} HTML.
+ */
+function diagramLabel(id, title) {
+    return `<div class="w-full h-full flex flex-col items-center justify-center text-center text-xs">
+                        <div class="text-blue-300">${title}</div>
+                        <div id="${id}" class="text-white"></div>
+                    </div>`;
+}
+
+/**
+ * Sliders de Kp, Ki y Kd del bloque PID, con los valores y rangos actuales de la interfaz
+ * para que el diagrama pueda redibujarse sin perderlos.
+ * @returns {string} HTML del bloque.
+ */
+function pidControlsHtml() {
+    const rows = [['kp', 'Kp'], ['ki', 'Ki'], ['kd', 'Kd']].map(([param, label]) => {
+        const value = parseFloat(document.getElementById(param).value);
+        const min = document.getElementById(`${param}Min`).value;
+        const max = document.getElementById(`${param}Max`).value;
+        return `<div class="flex items-center justify-between"><span>${label}:</span><input type="range" id="${param}Slider" min="${min}" max="${max}" step="0.1" value="${value}" class="w-2/3"><span id="${param}Value" class="w-1/4 text-right">${parseFloat(value.toFixed(3))}</span></div>`;
+    });
+    return `<div id="pid-controls-container" class="p-1 text-xs text-white">
+                        ${rows.join('\n                        ')}
+                    </div>`;
+}
+
 /**
  * Sets up all necessary event listeners for the UI components.
  */
@@ -106,6 +473,21 @@ function setupEventListeners() {
     document.getElementById('addComparison').addEventListener('click', addComparison);
     document.getElementById('clearComparisons').addEventListener('click', clearComparisons);
 
+    // Datos medidos: al cambiar el formato se vuelve a leer el mismo archivo
+    document.getElementById('measuredFile').addEventListener('change', importMeasuredFile);
+    ['csvDelimiter', 'csvDecimalComma', 'csvTimeColumn', 'csvReferenceColumn', 'csvOutputColumn', 'csvControlColumn'].forEach(id => {
+        document.getElementById(id).addEventListener('change', loadMeasuredData);
+    });
+    document.getElementById('clearMeasured').addEventListener('click', clearMeasuredData);
+
+    // Exportación de resultados, gráfico y diagrama
+    document.getElementById('exportCsv').addEventListener('click', () => exportResults('csv'));
+    document.getElementById('exportJson').addEventListener('click', () => exportResults('json'));
+    document.getElementById('exportChartPng').addEventListener('click', () => exportChart('png'));
+    document.getElementById('exportChartSvg').addEventListener('click', () => exportChart('svg'));
+    document.getElementById('exportDiagramPng').addEventListener('click', () => exportDiagram('png'));
+    document.getElementById('exportDiagramSvg').addEventListener('click', () => exportDiagram('svg'));
+
     // Theme toggle
     document.getElementById('themeToggle').addEventListener('click', () => {
         document.body.classList.toggle('light-theme');
@@ -113,6 +495,8 @@ function setupEventListeners() {
         if (responseChart) {
             plotResults();
         }
+        updateFrequencyAnalysis();
+        updatePoleZeroMap();
     });
 
     // Help panel
@@ -126,34 +510,41 @@ function setupEventListeners() {
     // Save/Load configuration
     document.getElementById('saveConfig').addEventListener('click', saveConfig);
     document.getElementById('loadConfig').addEventListener('click', loadConfig);
+    document.getElementById('scenarioSelect').innerHTML = PIDEngine.scenarioList()
+        .map(({ id, title }) => `<option value="${id}">${title}</option>`).join('');
+    document.getElementById('loadScenario').addEventListener('click', loadScenario);
     document.getElementById('plantModel').addEventListener('change', handlePlantModelChange);
 
     // PID and simulation parameter inputs
-    ['simTime', 'dt', 'amplitude', 'frequency', 'antiWindup', 'derivativeFilter'].forEach(id => {
+    ['simTime', 'dt', 'amplitude', 'frequency', 'antiWindup', 'derivativeFilter', 'rtol', 'atol',
+        'uMin', 'uMax', 'rateLimit', 'trackingTime', 'filterCoefficient', 'derivativeOn',
+        'setpointWeight', 'derivativeWeight', 'prefilterNumerator', 'prefilterDenominator',
+        'samplePeriod', 'computationDelay', 'discretization', 'prewarpFrequency', 'adcBits', 'adcMin', 'adcMax',
+        'dacBits', 'dacMin', 'dacMax', 'compareContinuous', 'noiseSeed'].forEach(id => {
         const element = document.getElementById(id);
         if (element) {
             element.addEventListener('change', runSimulation);
         }
     });
 
-    // PID and disturbance sliders
-    ['kp', 'ki', 'kd'].forEach(param => {
-        const slider = document.getElementById(`${param}Slider`);
-        const valueSpan = document.getElementById(`${param}Value`);
-        const hiddenInput = document.getElementById(`${param}`);
+    // PID sliders
+    setupPIDSliders();
 
-        slider.addEventListener('input', () => {
-            const val = slider.value;
-            valueSpan.textContent = val;
-            hiddenInput.value = val;
-            runSimulation();
-        });
+    // Arquitectura de control: cada una tiene su diagrama y sus campos
+    document.getElementById('architecture').addEventListener('change', handleArchitectureChange);
+    ARCHITECTURE_FIELDS.filter(id => id !== 'architecture').forEach(id => {
+        document.getElementById(id).addEventListener('change', runSimulation);
     });
 
-    const disturbanceSlider = document.getElementById('disturbance');
-    disturbanceSlider.addEventListener('input', () => {
-        document.getElementById('disturbanceValue').textContent = `${(disturbanceSlider.value * 100).toFixed(0)}%`;
-        runSimulation();
+    // Perturbaciones: cada forma de onda muestra solo sus parámetros
+    [...Object.values(DISTURBANCE_CHANNELS), MEASURED_DISTURBANCE].forEach(prefix => {
+        document.getElementById(`${prefix}Type`).addEventListener('change', () => {
+            updateDisturbanceFields(prefix);
+            runSimulation();
+        });
+        ['Amplitude', 'Start', 'Duration', 'Frequency', 'CorrelationTime'].forEach(field => {
+            document.getElementById(`${prefix}${field}`).addEventListener('change', runSimulation);
+        });
     });
 
     // Plant parameter inputs
@@ -165,13 +556,85 @@ function setupEventListeners() {
         updatePlantDisplay();
         runSimulation();
     });
+    document.getElementById('tfParameters').addEventListener('change', () => {
+        updatePlantDisplay();
+        runSimulation();
+    });
+    document.getElementById('delay').addEventListener('change', () => {
+        updatePlantDisplay();
+        runSimulation();
+    });
+    // El orden de Padé solo afecta a los cálculos sobre el modelo racional, no a la simulación
+    document.getElementById('padeOrder').addEventListener('change', updatePlantDisplay);
+    document.getElementById('plantParamFields').addEventListener('change', () => {
+        applyPlantParameters();
+        updatePlantDisplay();
+        runSimulation();
+    });
 
     // Reference signal configuration
     document.getElementById('controlType').addEventListener('change', handleControlTypeChange);
+    ['initialValue', 'referenceStart', 'rampSlope', 'trapezoidRise', 'trapezoidHold', 'trapezoidFall',
+        'endFrequency', 'chirpDuration', 'prbsBitTime', 'prbsOrder'].forEach(id => {
+        document.getElementById(id).addEventListener('change', runSimulation);
+    });
+    const piecewiseBody = document.getElementById('piecewiseBody');
+    piecewiseBody.addEventListener('change', handlePiecewiseEdit);
+    piecewiseBody.addEventListener('click', handlePiecewiseEdit);
+    document.getElementById('addPiecewisePoint').addEventListener('click', addPiecewisePoint);
+    renderPiecewiseTable();
+
+    // Método de integración
+    document.getElementById('solver').addEventListener('change', handleSolverChange);
+
+    // Tt solo se usa con back-calculation; N solo con filtro derivativo
+    document.getElementById('antiWindup').addEventListener('change', updateTrackingTimeVisibility);
+    document.getElementById('derivativeFilter').addEventListener('change', updateFilterCoefficientVisibility);
+    // ω0 solo se usa con Tustin
+    document.getElementById('discretization').addEventListener('change', updatePrewarpVisibility);
+
+    // Forma ISA: Ti y Td se convierten a Ki y Kd; la derivada sobre la medición fija c = 0
+    document.getElementById('pidForm').addEventListener('change', updatePidFormHint);
+    ['integralTime', 'derivativeTime'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            applyIsaTimes();
+            updateFrequencyAnalysis();
+            runSimulation();
+        });
+    });
+    document.getElementById('derivativeOn').addEventListener('change', updateDerivativeWeightState);
+    syncIsaTimes();
+    updatePidFormHint();
+
+    // Pestañas de respuesta temporal / análisis en frecuencia
+    document.getElementById('timeTabButton').addEventListener('click', () => showResponseTab('time'));
+    document.getElementById('frequencyTabButton').addEventListener('click', () => showResponseTab('frequency'));
+    document.getElementById('rootLocusTabButton').addEventListener('click', () => showResponseTab('rootLocus'));
+    document.getElementById('poleZeroTabButton').addEventListener('click', () => showResponseTab('poleZero'));
+    document.getElementById('frequencyPlot').addEventListener('change', handleFrequencyPlotChange);
+    document.querySelectorAll('.frequency-curve').forEach(checkbox => {
+        checkbox.addEventListener('change', () => updateFrequencyAnalysis());
+    });
+
+    // Lugar de raíces
+    ['locusStructure', 'locusKMax'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => updateRootLocus());
+    });
+    setupRootLocusDrag();
+
+    // Herramientas de sintonía
+    document.getElementById('startTuningButton').addEventListener('click', startTuning);
+    document.getElementById('tuningMethod').addEventListener('change', handleTuningMethodChange);
 
     // Sintonía de Ziegler-Nichols
-    document.getElementById('startTuningButton').addEventListener('click', startZieglerNicholsTuning);
-    document.getElementById('tuningKpSlider').addEventListener('input', handleZnKpChange);
+    document.getElementById('tuningKpSlider').addEventListener('input', PIDEngine.debounce(handleZnKpChange, 150));
+    document.getElementById('findKuButton').addEventListener('click', findUltimateGainAutomatically);
+
+    // Sintonía por curva de reacción (modelo FOPDT)
+    document.getElementById('runStepTestButton').addEventListener('click', runStepTest);
+    ['tuningStructure', 'tuningLambda'].forEach(id => {
+        document.getElementById(id).addEventListener('change', showStepTestSuggestions);
+    });
 
     // Setup interactivity for the diagram arrows
     setupDiagramInteractivity();
@@ -180,6 +643,33 @@ function setupEventListeners() {
     setupSliderRangeListeners();
 }
 
+/**
+ * Conecta los sliders del bloque PID con los campos ocultos de las ganancias. Se vuelve a
+ * llamar cada vez que el diagrama se redibuja.
+ */
+function setupPIDSliders() {
+    ['kp', 'ki', 'kd'].forEach(param => {
+        const slider = document.getElementById(`${param}Slider`);
+        const valueSpan = document.getElementById(`${param}Value`);
+        const hiddenInput = document.getElementById(`${param}`);
+
+        slider.addEventListener('input', () => {
+            const val = slider.value;
+            valueSpan.textContent = val;
+            hiddenInput.value = val;
+            // En forma ISA, Kp escala Ki y Kd manteniendo Ti y Td
+            if (param === 'kp' && document.getElementById('pidForm').value === 'isa') {
+                applyIsaTimes();
+            } else {
+                syncIsaTimes();
+            }
+            // El análisis en frecuencia es barato: se actualiza sin esperar a la simulación
+            updateFrequencyAnalysis();
+            scheduleSimulation();
+        });
+    });
+}
+
 /**
  * Sets up event listeners for the slider range input fields.
  * This function allows users to dynamically change the min/max of PID sliders.
@@ -188,9 +678,10 @@ function setupSliderRangeListeners() {
     ['kp', 'ki', 'kd'].forEach(param => {
         const minInput = document.getElementById(`${param}Min`);
         const maxInput = document.getElementById(`${param}Max`);
-        const slider = document.getElementById(`${param}Slider`);
 
         const updateRange = () => {
+            // El slider se busca en cada cambio: el diagrama lo recrea al cambiar de arquitectura
+            const slider = document.getElementById(`${param}Slider`);
             const min = parseFloat(minInput.value);
             const max = parseFloat(maxInput.value);
 
@@ -217,12 +708,269 @@ function setupSliderRangeListeners() {
  * Handles changes to the reference signal type selector.
  */
 function handleControlTypeChange() {
+    updateReferenceFields();
+    runSimulation();
+}
+
+/**
+ * Muestra solo los parámetros que usa el tipo de referencia elegido.
+ */
+function updateReferenceFields() {
+    const type = document.getElementById('controlType').value;
+    const delayed = ['step', 'ramp', 'trapezoid', 'chirp', 'prbs'].includes(type);
+    const groups = {
+        amplitudeGroup: type !== 'piecewise',
+        frequencyGroup: ['sine', 'square', 'chirp'].includes(type),
+        initialValueGroup: delayed,
+        referenceStartGroup: delayed,
+        rampSlopeGroup: type === 'ramp',
+        trapezoidGroup: type === 'trapezoid',
+        chirpGroup: type === 'chirp',
+        prbsGroup: type === 'prbs',
+        piecewiseGroup: type === 'piecewise'
+    };
+    Object.entries(groups).forEach(([id, visible]) => {
+        document.getElementById(id).classList.toggle('hidden', !visible);
+    });
+}
+
+/**
+ * Dibuja la tabla de puntos de la referencia por tramos.
+ */
+function renderPiecewiseTable() {
+    document.getElementById('piecewiseBody').innerHTML = referencePoints.map(([t, value], index) => `
+        <tr>
+            <td class="pr-2"><input type="number" step="any" value="${t}" data-index="${index}" data-column="0"></td>
+            <td class="pr-2"><input type="number" step="any" value="${value}" data-index="${index}" data-column="1"></td>
+            <td><button class="btn btn-secondary text-xs" data-remove="${index}" title="Quitar punto"><i class="fas fa-times"></i></button></td>
+        </tr>`).join('');
+}
+
+/**
+ * Aplica a `referencePoints` los cambios de la tabla: edición de celdas y borrado de filas.
+ * @param {Event} event - Evento 'change' o 'click' de la tabla.
+ */
+function handlePiecewiseEdit(event) {
+    const target = event.target.closest ? event.target.closest('[data-index], [data-remove]') : event.target;
+    if (!target) return;
+    if (event.type === 'click' && target.dataset.remove !== undefined) {
+        if (referencePoints.length <= 1) return;
+        referencePoints.splice(parseInt(target.dataset.remove, 10), 1);
+    } else if (event.type === 'change' && target.dataset.index !== undefined) {
+        referencePoints[parseInt(target.dataset.index, 10)][parseInt(target.dataset.column, 10)] = parseFloat(target.value);
+    } else {
+        return;
+    }
+    renderPiecewiseTable();
+    runSimulation();
+}
+
+/**
+ * Añade un punto a la secuencia por tramos, un segundo después del último.
+ */
+function addPiecewisePoint() {
+    const [t, value] = referencePoints[referencePoints.length - 1] || [-1, 0];
+    referencePoints.push([(isFinite(t) ? t : 0) + 1, isFinite(value) ? value : 0]);
+    renderPiecewiseTable();
+    runSimulation();
+}
+
+/**
+ * Lee la señal de referencia de la interfaz. Una secuencia por tramos sin puntos válidos se
+ * marca bajo su tabla.
+ * @returns {object|null} Descripción para `createReference`, o null si no es válida.
+ */
+function readReference() {
     const type = document.getElementById('controlType').value;
-    const freqGroup = document.getElementById('frequencyGroup');
-    freqGroup.style.display = (type === 'sine' || type === 'square') ? 'block' : 'none';
+    const number = (id, fallback) => {
+        const value = readOptionalNumber(id);
+        return value === null ? fallback : value;
+    };
+
+    const points = referencePoints.filter(([t, value]) => isFinite(t) && isFinite(value));
+    const empty = type === 'piecewise' && points.length === 0;
+    if (!showFieldError('piecewiseError', empty ? 'La secuencia necesita al menos un punto con tiempo y valor numéricos.' : null)) return null;
+    if (type === 'piecewise') return { type, points };
+    return {
+        type,
+        amplitude: number('amplitude', 1),
+        frequency: number('frequency', 0),
+        initialValue: number('initialValue', 0),
+        startTime: Math.max(0, number('referenceStart', 0)),
+        slope: Math.abs(number('rampSlope', 1)),
+        riseTime: Math.max(0, number('trapezoidRise', 1)),
+        holdTime: Math.max(0, number('trapezoidHold', 1)),
+        fallTime: Math.max(0, number('trapezoidFall', 1)),
+        endFrequency: number('endFrequency', 1),
+        duration: Math.max(1e-6, number('chirpDuration', 10)),
+        bitTime: Math.max(1e-6, number('prbsBitTime', 1)),
+        prbsOrder: Math.min(16, Math.max(3, Math.round(number('prbsOrder', 7))))
+    };
+}
+
+/**
+ * Maneja el cambio de método de integración.
+ * Las tolerancias solo aplican al método adaptativo.
+ */
+function handleSolverChange() {
+    const solver = document.getElementById('solver').value;
+    document.getElementById('toleranceGroup').style.display = solver === 'rk45' ? 'grid' : 'none';
     runSimulation();
 }
 
+/**
+ * Muestra el tiempo de seguimiento Tt solo con anti-windup por back-calculation.
+ */
+function updateTrackingTimeVisibility() {
+    const backCalculation = document.getElementById('antiWindup').value === 'backcalculation';
+    document.getElementById('trackingTimeGroup').classList.toggle('hidden', !backCalculation);
+}
+
+/**
+ * Escribe Ti y Td equivalentes a las ganancias paralelas actuales (Ti vacío = sin integral).
+ */
+function syncIsaTimes() {
+    const isa = PIDEngine.parallelToIsa({
+        kp: parseFloat(document.getElementById('kp').value),
+        ki: parseFloat(document.getElementById('ki').value),
+        kd: parseFloat(document.getElementById('kd').value)
+    });
+    const integralTime = document.getElementById('integralTime');
+    const derivativeTime = document.getElementById('derivativeTime');
+    if (!isa) {
+        // Con Kp = 0 no hay forma ISA equivalente
+        integralTime.value = '';
+        derivativeTime.value = '';
+        return;
+    }
+    integralTime.value = isFinite(isa.ti) ? parseFloat(isa.ti.toPrecision(4)) : '';
+    derivativeTime.value = parseFloat(isa.td.toPrecision(4));
+}
+
+/**
+ * Convierte Ti y Td (con el Kp actual) a Ki y Kd y actualiza los sliders.
+ */
+function applyIsaTimes() {
+    const kp = parseFloat(document.getElementById('kp').value);
+    const ti = parseFloat(document.getElementById('integralTime').value);
+    const td = parseFloat(document.getElementById('derivativeTime').value);
+    const gains = PIDEngine.isaToParallel({ kp, ti: isFinite(ti) ? ti : Infinity, td: isFinite(td) ? td : 0 });
+    setPIDGains(gains.kp, gains.ki, gains.kd);
+}
+
+/**
+ * Explica qué parámetros quedan fijos al mover Kp en la forma elegida.
+ */
+function updatePidFormHint() {
+    const isa = document.getElementById('pidForm').value === 'isa';
+    document.getElementById('pidFormHint').textContent = isa
+        ? 'Forma ISA, C = Kp(1 + 1/(Ti·s) + Td·s): al mover Kp se mantienen Ti y Td (Ki = Kp/Ti, Kd = Kp·Td).'
+        : 'Forma paralela, C = Kp + Ki/s + Kd·s: al mover Kp se mantienen Ki y Kd (Ti = Kp/Ki, Td = Kd/Kp).';
+}
+
+/**
+ * Con la derivada sobre la medición el peso c es 0 y no se puede editar.
+ */
+function updateDerivativeWeightState() {
+    const onMeasurement = document.getElementById('derivativeOn').value === 'measurement';
+    const weight = document.getElementById('derivativeWeight');
+    weight.disabled = onMeasurement;
+    if (onMeasurement) weight.value = '0';
+}
+
+/**
+ * Muestra el coeficiente N solo cuando hay filtro derivativo.
+ */
+function updateFilterCoefficientVisibility() {
+    const filtered = document.getElementById('derivativeFilter').value !== 'none';
+    document.getElementById('filterCoefficientGroup').classList.toggle('hidden', !filtered);
+}
+
+/**
+ * Muestra los parámetros que usa la forma de onda elegida para un canal de perturbación.
+ * @param {string} prefix - Prefijo de los campos del canal, ver `DISTURBANCE_CHANNELS`.
+ */
+function updateDisturbanceFields(prefix) {
+    const type = document.getElementById(`${prefix}Type`).value;
+    document.getElementById(`${prefix}Parameters`).classList.toggle('hidden', type === 'none');
+    document.getElementById(`${prefix}DurationGroup`).classList.toggle('hidden', type !== 'pulse');
+    document.getElementById(`${prefix}FrequencyGroup`).classList.toggle('hidden', type !== 'sine');
+    document.getElementById(`${prefix}CorrelationTimeGroup`).classList.toggle('hidden', type !== 'coloredNoise');
+}
+
+/**
+ * Lee la perturbación de un canal.
+ * @param {string} prefix - Prefijo de los campos del canal, ver `DISTURBANCE_CHANNELS`.
+ * @returns {object|null} Descripción para `createDisturbance`, o null si el canal está desactivado.
+ */
+function readDisturbance(prefix) {
+    const type = document.getElementById(`${prefix}Type`).value;
+    if (type === 'none') return null;
+    return {
+        type,
+        amplitude: readOptionalNumber(`${prefix}Amplitude`) || 0,
+        startTime: Math.max(0, readOptionalNumber(`${prefix}Start`) || 0),
+        duration: readOptionalNumber(`${prefix}Duration`) || 0,
+        frequency: readOptionalNumber(`${prefix}Frequency`) || 0,
+        correlationTime: readOptionalNumber(`${prefix}CorrelationTime`) || 1
+    };
+}
+
+/**
+ * Instante en que empieza la primera perturbación de carga, de salida o medida (la de la
+ * prealimentación); el ruido de medición solo cuenta cuando es la única perturbación.
+ * @param {object} config - Configuración simulada, ver `readSimulationConfig`.
+ * @returns {number|null} t0 en segundos, o null sin perturbaciones.
+ */
+function disturbanceStartTime(config) {
+    const { input, output, measurement } = config.disturbances;
+    const measured = config.architecture ? config.architecture.disturbance : null;
+    const starts = [input, output, measured].filter(Boolean).map(d => d.startTime);
+    if (starts.length === 0 && measurement) starts.push(measurement.startTime);
+    return starts.length > 0 ? Math.min(...starts) : null;
+}
+
+/**
+ * Muestra la frecuencia de prewarping solo con la discretización de Tustin.
+ */
+function updatePrewarpVisibility() {
+    const tustin = document.getElementById('discretization').value === 'tustin';
+    document.getElementById('prewarpGroup').classList.toggle('hidden', !tustin);
+}
+
+/**
+ * Resume cuánto empeora el muestreo la sintonía continua: el ZOH equivale a un retardo de
+ * Ts/2 que, sumado al retardo de cómputo, resta fase en la frecuencia de cruce ωc.
+ * @param {object} config - Configuración simulada, ver `readSimulationConfig`.
+ */
+function updateSamplingHint(config) {
+    const hint = document.getElementById('samplingHint');
+    if (config.architecture) {
+        hint.textContent = 'Arquitectura multilazo: los controladores se ejecutan en cada paso de simulación; el muestreo solo se modela en el lazo simple.';
+        return;
+    }
+    if (!config.sampling) {
+        hint.textContent = 'Sin muestreo: el PID se ejecuta en cada paso de simulación.';
+        return;
+    }
+    const { period, computationDelay } = config.sampling;
+    const equivalentDelay = period / 2 + computationDelay;
+    let text = `Muestreo a ${(1 / period).toPrecision(3)} Hz: el ZOH y el cómputo equivalen a un retardo de ${equivalentDelay.toPrecision(3)} s.`;
+
+    const margins = PIDEngine.stabilityMargins(loopPlant(config), config.controller);
+    if (margins.gainCrossover !== null) {
+        const phaseLoss = margins.gainCrossover * equivalentDelay * 180 / Math.PI;
+        text += ` En ωc = ${margins.gainCrossover.toFixed(2)} rad/s restan ${phaseLoss.toFixed(1)}° al margen de fase`
+            + ` (≈${(margins.phaseMargin - phaseLoss).toFixed(1)}°); ωc·Ts = ${(margins.gainCrossover * period).toFixed(2)}, se recomienda ≤ 0.2.`;
+    }
+
+    const filterTime = PIDEngine.derivativeFilterTime(config.controller);
+    if (config.controller.discretization === 'forwardEuler' && filterTime > 0 && period > 2 * filterTime) {
+        text += ` Euler hacia adelante hace inestable el filtro derivativo: Ts > 2·Tf = ${(2 * filterTime).toPrecision(3)} s.`;
+    }
+    hint.textContent = text;
+}
+
 /**
  * Sets up mouseover/mouseout events on diagram arrows to show/hide signal plots.
  */
@@ -299,212 +1047,564 @@ function showSignalPlot(signalName) {
 }
 
 /**
- * Core simulation function. Gathers parameters, runs the simulation,
- * and triggers plotting and metric calculations.
+ * Lee los parámetros de la interfaz y arma la configuración del motor de simulación.
+ * @returns {object|null} Configuración serializable, o null si la planta no es válida.
  */
-function runSimulation() {
-    const loadingIndicator = document.getElementById('simulationLoading');
-    loadingIndicator.classList.remove('hidden');
-
+function readSimulationConfig() {
     // Get parameters from UI
-    const numStr = document.getElementById('numerator').value;
-    const denStr = document.getElementById('denominator').value;
     const kp = parseFloat(document.getElementById('kp').value);
     const ki = parseFloat(document.getElementById('ki').value);
     const kd = parseFloat(document.getElementById('kd').value);
     const simTime = parseFloat(document.getElementById('simTime').value);
     const dt = parseFloat(document.getElementById('dt').value);
-    const controlType = document.getElementById('controlType').value;
-    const amplitude = parseFloat(document.getElementById('amplitude').value);
-    const frequency = parseFloat(document.getElementById('frequency').value);
+    const reference = readReference();
     const antiWindupType = document.getElementById('antiWindup').value;
+    const trackingTime = readOptionalNumber('trackingTime');
     const derivativeFilterType = document.getElementById('derivativeFilter').value;
-    const disturbanceAmplitude = parseFloat(document.getElementById('disturbance').value);
-
-    // Parse transfer function coefficients
-    const numerator = numStr.split(',').map(s => parseFloat(s.trim()));
-    const denominator = denStr.split(',').map(s => parseFloat(s.trim()));
-
-    if (denominator.length === 0 || numerator.length === 0 || denominator.some(isNaN) || numerator.some(isNaN)) {
-        console.error("Invalid transfer function coefficients.");
-        loadingIndicator.classList.add('hidden');
-        return;
-    }
-
-    // Convert TF to State-Space representation
-    const { A, B, C, D } = tfToStateSpace(numerator, denominator);
-
-    // Initialize simulation variables
-    const steps = Math.floor(simTime / dt);
-    const time = Array.from({ length: steps }, (_, i) => i * dt);
-    let x = new Array(A.length).fill(0); // State vector
-    let integral = 0;
-    let prevError = 0;
-    let filteredDerivative = 0;
-
-    // Arrays to store results
-    const reference = new Array(steps).fill(0);
-    const output = new Array(steps).fill(0);
-    const error = new Array(steps).fill(0);
-    const control = new Array(steps).fill(0);
-
-    // Main simulation loop
-    for (let i = 0; i < steps; i++) {
-        const t = time[i];
-
-        // Generate reference signal
-        reference[i] = generateReference(t, controlType, amplitude, frequency);
-
-        // Calculate current system output
-        let y_plant = C.reduce((sum, val, j) => sum + val * x[j], 0) + D * (control[i-1] || 0);
-
-        // Add disturbance
-        let y_disturbance = y_plant + (Math.random() - 0.5) * 2 * disturbanceAmplitude;
-        output[i] = y_disturbance;
-
-        // Calculate error
-        const currentError = reference[i] - output[i]; // Error is calculated from the disturbed output
-        error[i] = currentError;
-
-        // PID controller logic
-        integral += currentError * dt;
+    const filterCoefficient = readOptionalNumber('filterCoefficient');
+    const derivativeOn = document.getElementById('derivativeOn').value;
+    const setpointWeight = readOptionalNumber('setpointWeight');
+    const derivativeWeight = readOptionalNumber('derivativeWeight');
+    const prefilterNumStr = document.getElementById('prefilterNumerator').value.trim();
+    const prefilterDenStr = document.getElementById('prefilterDenominator').value.trim();
+    const discretization = document.getElementById('discretization').value;
+    const prewarpFrequency = readOptionalNumber('prewarpFrequency');
+    const samplePeriod = readOptionalNumber('samplePeriod');
+    const computationDelay = Math.max(0, readOptionalNumber('computationDelay') || 0);
+    const adcBits = readOptionalNumber('adcBits');
+    const dacBits = readOptionalNumber('dacBits');
+    const adcRange = [readOptionalNumber('adcMin'), readOptionalNumber('adcMax')];
+    const dacRange = [readOptionalNumber('dacMin'), readOptionalNumber('dacMax')];
+    const actuator = {
+        min: readOptionalNumber('uMin'),
+        max: readOptionalNumber('uMax'),
+        rateLimit: readOptionalNumber('rateLimit')
+    };
+    const disturbances = {};
+    Object.entries(DISTURBANCE_CHANNELS).forEach(([channel, prefix]) => {
+        disturbances[channel] = readDisturbance(prefix);
+    });
+    const seed = Math.round(readOptionalNumber('noiseSeed') || 0);
+    const transferFunction = readPlantTransferFunction();
+    const preset = PLANT_PRESETS[document.getElementById('plantModel').value];
+    const solver = {
+        method: document.getElementById('solver').value,
+        rtol: parseFloat(document.getElementById('rtol').value),
+        atol: parseFloat(document.getElementById('atol').value)
+    };
 
-        let derivative;
-        if (i > 0) {
-            derivative = (currentError - prevError) / dt;
-        } else {
-            derivative = 0;
+    // El error de G(s) ya se muestra bajo los campos de la planta
+    if (!transferFunction) return null;
+    // Plantas predefinidas: G(s) se deriva de los parámetros físicos, sin el redondeo de los campos
+    let plant = transferFunction;
+    const delay = transferFunction.delay;
+    if (preset) {
+        const parameters = readPlantParameters();
+        if (!parameters) {
+            // Como los errores de G(s), bajo los campos de la planta
+            const errorText = document.getElementById('plantError');
+            errorText.textContent = plantParametersError();
+            errorText.classList.remove('hidden');
+            return null;
         }
-
-        // Derivative Filter (first-order low-pass filter)
-        if (derivativeFilterType === 'firstOrder') {
-            const tau_d = 0.05; // Filter time constant (valor ajustado)
-            const alpha = dt / (tau_d + dt);
-            filteredDerivative = alpha * derivative + (1 - alpha) * filteredDerivative;
-            derivative = filteredDerivative;
+        if (preset.nonlinear) {
+            plant = PIDEngine.nonlinearPlantSpec(preset.model, parameters, delay);
+        } else {
+            const { numerator, denominator } = presetTransferFunction(preset, parameters);
+            plant = { numerator, denominator, delay };
         }
+    }
+    const controller = {
+        kp, ki, kd,
+        derivativeFilter: derivativeFilterType,
+        filterCoefficient,
+        derivativeOn,
+        setpointWeight,
+        derivativeWeight,
+        antiWindup: antiWindupType,
+        trackingTime,
+        discretization,
+        prewarpFrequency
+    };
+    // El error de la arquitectura ya se muestra bajo sus campos
+    const architecture = readArchitecture(plant, controller);
+    if (!architecture) return null;
+    // El error de la secuencia por tramos ya se muestra bajo su tabla
+    if (!reference) return null;
+    const crossedLimits = actuator.min !== null && actuator.max !== null && actuator.min > actuator.max;
+    if (!showFieldError('actuatorError', crossedLimits ? 'Límites no válidos: u min es mayor que u max.' : null)) return null;
+
+    // Implementación digital: todos los campos vacíos = PID continuo (se ejecuta en cada paso).
+    // Las arquitecturas multilazo ejecutan siempre sus controladores en cada paso
+    let sampling = null;
+    const digital = samplePeriod !== null || computationDelay > 0 || adcBits !== null || dacBits !== null;
+    if (digital && architecture.type === 'single') {
+        const validRange = ([min, max]) => min !== null && max !== null && max > min;
+        const message = samplePeriod !== null && samplePeriod < dt
+            ? `Ts no válido: no puede ser menor que el paso de simulación (${dt} s).`
+            : adcBits !== null && !validRange(adcRange) ? 'Rango del ADC no válido: el mínimo debe ser menor que el máximo.'
+            : dacBits !== null && !validRange(dacRange) ? 'Rango del DAC no válido: el mínimo debe ser menor que el máximo.'
+            : null;
+        if (!showFieldError('samplingError', message)) return null;
+        sampling = { period: samplePeriod || dt, computationDelay, adcBits, adcRange, dacBits, dacRange };
+    } else {
+        showFieldError('samplingError', null);
+    }
 
-        let u_unclamped = kp * currentError + ki * integral + kd * derivative;
-        let u = u_unclamped;
-
-        // Anti-Windup
-        if (antiWindupType === 'clamping') {
-            const u_max = 5;
-            const u_min = -5;
-            if (u > u_max) {
-                u = u_max;
-                if (u_unclamped > u_max) {
-                    integral -= (u_unclamped - u) / ki;
-                }
-            } else if (u < u_min) {
-                u = u_min;
-                if (u_unclamped < u_min) {
-                    integral -= (u_unclamped - u) / ki;
-                }
-            }
+    // Prefiltro de la referencia: ambos campos vacíos = sin prefiltro. Admite las mismas
+    // expresiones y parámetros que G(s), salvo el retardo
+    let prefilter = null;
+    if (prefilterNumStr || prefilterDenStr) {
+        const fieldNames = { numerator: 'el numerador de F(s)', denominator: 'el denominador de F(s)' };
+        let message = null;
+        try {
+            const parameters = PIDEngine.parseParameters(document.getElementById('tfParameters').value);
+            const { numerator, denominator, delay } = PIDEngine.parsePlantTransferFunction(prefilterNumStr, prefilterDenStr, parameters);
+            if (delay > 0) message = 'Error en F(s): el prefiltro no admite retardo.';
+            prefilter = { numerator, denominator };
+        } catch (err) {
+            message = `Error en ${fieldNames[err.field] || 'F(s)'}: ${err.message}`;
         }
-        control[i] = u;
-
-        prevError = currentError;
-
-        // Update state vector using Runge-Kutta 4th order method
-        x = rungeKutta(A, B, x, u, dt);
+        if (!showFieldError('prefilterError', message)) return null;
+    } else {
+        showFieldError('prefilterError', null);
     }
 
-    // Store all data for other functions to use
-    simulationData = { time, reference, output, error, control };
-
-    // Update UI
-    plotResults();
-    displayMetrics(simulationData);
+    const config = {
+        plant,
+        controller,
+        reference,
+        prefilter,
+        actuator,
+        sampling,
+        simTime,
+        dt,
+        solver,
+        disturbances,
+        seed
+    };
+    // Sin `architecture` la configuración es la del lazo simple de `PIDEngine.simulate`
+    if (architecture.type !== 'single') config.architecture = architecture;
+    return config;
+}
 
-    loadingIndicator.classList.add('hidden');
+/**
+ * Muestra bajo un grupo de campos por qué sus valores no son válidos, o lo oculta.
+ * @param {string} id - Id del párrafo de error del grupo.
+ * @param {string|null} message - Error a mostrar, o null si los valores son válidos.
+ * @returns {boolean} True si no hay error.
+ */
+function showFieldError(id, message) {
+    const errorText = document.getElementById(id);
+    errorText.textContent = message || '';
+    errorText.classList.toggle('hidden', !message);
+    return !message;
 }
 
 /**
- * Generates the reference signal for a given time `t`.
- * @param {number} t - Current time.
- * @param {string} type - Signal type ('step', 'ramp', 'sine', 'square').
- * @param {number} amp - Amplitude.
- * @param {number} freq - Frequency (for sine/square).
- * @returns {number} The value of the reference signal at time t.
+ * Lee un campo numérico opcional.
+ * @param {string} id - Id del input.
+ * @returns {number|null} El valor, o null si está vacío o no es un número.
  */
-function generateReference(t, type, amp, freq) {
-    switch (type) {
-        case 'step': return amp;
-        case 'ramp': return amp * t;
-        case 'sine': return amp * Math.sin(2 * Math.PI * freq * t);
-        case 'square': return amp * Math.sign(Math.sin(2 * Math.PI * freq * t));
-        default: return amp;
-    }
+function readOptionalNumber(id) {
+    const value = parseFloat(document.getElementById(id).value);
+    return isFinite(value) ? value : null;
 }
 
 /**
- * Converts a Transfer Function to a State-Space representation (Controllable Canonical Form).
- * @param {number[]} num - Numerator coefficients.
- * @param {number[]} den - Denominator coefficients.
- * @returns {object} State-space matrices {A, B, C, D}.
+ * Dibuja los campos de los parámetros físicos de la planta predefinida seleccionada.
+ * @param {object} [parameters] - Valores a mostrar; los que falten toman los del modelo.
  */
-function tfToStateSpace(num, den) {
-    const den_norm = den[0];
-    if (den_norm === 0) throw new Error('Denominator highest order coefficient cannot be zero.');
+function renderPlantParams(parameters = {}) {
+    const preset = PLANT_PRESETS[document.getElementById('plantModel').value];
+    const values = preset.nonlinear
+        ? PIDEngine.nonlinearPlantParameters(preset.model, parameters)
+        : PIDEngine.physicalPlantParameters(preset.model, parameters);
+    document.getElementById('plantParamFields').innerHTML = preset.fields.map(({ key, label, positive, nonNegative }) => `
+        <div>
+            <label for="plantParam-${key}">${label}</label>
+            <input type="number" id="plantParam-${key}" data-parameter="${key}" value="${values[key]}" step="any"${positive || nonNegative ? ' min="0"' : ''}>
+        </div>`).join('');
+    document.getElementById('nonlinearNote').classList.toggle('hidden', !preset.nonlinear);
+}
 
-    den = den.map(d => d / den_norm);
-    num = num.map(n => n / den_norm);
+/**
+ * Lee los parámetros físicos de la planta predefinida seleccionada.
+ * @returns {object|null} { nombre: valor }, o null si alguno no es válido.
+ */
+function readPlantParameters() {
+    const preset = PLANT_PRESETS[document.getElementById('plantModel').value];
+    const parameters = {};
+    for (const field of preset.fields) {
+        const value = readOptionalNumber(`plantParam-${field.key}`);
+        if (plantParameterProblem(field, value)) return null;
+        parameters[field.key] = value;
+    }
+    return parameters;
+}
 
-    const n = den.length - 1;
-    if (n < 0) throw new Error('Invalid denominator.');
+/**
+ * Comprueba el valor de un parámetro físico de una planta predefinida.
+ * @param {object} field - Campo de `PLANT_PRESETS`.
+ * @param {number|null} value - Valor leído, ver `readOptionalNumber`.
+ * @returns {string|null} Por qué no es válido, o null si lo es.
+ */
+function plantParameterProblem({ positive, nonNegative }, value) {
+    if (value === null) return 'debe ser un número';
+    if (positive && !(value > 0)) return 'debe ser mayor que cero';
+    if (nonNegative && value < 0) return 'no puede ser negativo';
+    return null;
+}
 
-    let num_padded = [...Array(n - num.length + 1).fill(0), ...num];
+/**
+ * Error del primer parámetro físico no válido de la planta predefinida seleccionada.
+ * @returns {string|null} Mensaje con el nombre del parámetro, o null si todos son válidos.
+ */
+function plantParametersError() {
+    const preset = PLANT_PRESETS[document.getElementById('plantModel').value];
+    for (const field of preset.fields) {
+        const problem = plantParameterProblem(field, readOptionalNumber(`plantParam-${field.key}`));
+        if (problem) return `Parámetro no válido: ${field.label} ${problem}.`;
+    }
+    return null;
+}
 
-    const A = Array(n).fill(0).map(() => Array(n).fill(0));
-    for (let i = 0; i < n - 1; i++) A[i][i+1] = 1;
-    for (let i = 0; i < n; i++) A[n-1][i] = -den[n-i];
+/**
+ * Función de transferencia de una planta predefinida: la derivada de los parámetros en las
+ * lineales y la linealización en las no lineales.
+ * @param {object} preset - Entrada de `PLANT_PRESETS`.
+ * @param {object} parameters - Parámetros físicos.
+ * @returns {object} { numerator, denominator, units: { input, output } }.
+ */
+function presetTransferFunction(preset, parameters) {
+    const { numerator, denominator, units } = preset.nonlinear
+        ? PIDEngine.linearizeNonlinearPlant({ model: preset.model, parameters })
+        : PIDEngine.physicalPlantTransferFunction(preset.model, parameters);
+    return { numerator, denominator, units };
+}
 
-    const B = new Array(n).fill(0);
-    B[n-1] = 1;
+/**
+ * Escribe en el numerador y el denominador la G(s) que resulta de los parámetros físicos, con
+ * sus unidades y su ganancia estática, para el diagrama y los análisis lineales.
+ */
+function applyPlantParameters() {
+    const preset = PLANT_PRESETS[document.getElementById('plantModel').value];
+    const parameters = readPlantParameters();
+    const unitsText = document.getElementById('plantUnits');
+    if (!parameters) {
+        unitsText.textContent = plantParametersError();
+        return;
+    }
+    const { numerator, denominator, units } = presetTransferFunction(preset, parameters);
+    const format = (coefficients) => coefficients.map(c => parseFloat(c.toPrecision(6))).join(', ');
+    document.getElementById('numerator').value = format(numerator);
+    document.getElementById('denominator').value = format(denominator);
+
+    // Unidades compuestas entre paréntesis: (rad/s)/V, rad/(N·m)
+    const group = (unit) => (/[/·]/.test(unit) ? `(${unit})` : unit);
+    const gainUnits = `${group(units.output)}/${group(units.input)}`;
+    const constant = denominator[denominator.length - 1];
+    const gain = constant !== 0 ? `K = G(0) = ${parseFloat((numerator[numerator.length - 1] / constant).toPrecision(4))} ${gainUnits}` : 'integrador (G(0) → ∞)';
+    unitsText.textContent = `G(s) = ${preset.output}(s) / ${preset.input}(s): entrada en ${units.input}, salida en ${units.output}; ${gain}`;
+}
 
-    const C = num_padded.slice(1);
-    const D = num_padded[0];
+/**
+ * Muestra u oculta los parámetros físicos según el modelo seleccionado. Con una planta
+ * predefinida, el numerador y el denominador pasan a ser de solo lectura.
+ */
+function updatePlantParamsVisibility() {
+    const isPreset = document.getElementById('plantModel').value in PLANT_PRESETS;
+    document.getElementById('plantParams').classList.toggle('hidden', !isPreset);
+    ['numerator', 'denominator', 'tfParameters'].forEach(id => {
+        document.getElementById(id).readOnly = isPreset;
+    });
+}
 
-    return { A, B, C, D };
+/**
+ * Lee el retardo de la planta; valores vacíos o negativos equivalen a sin retardo.
+ * @returns {number} Tiempo muerto θ en segundos.
+ */
+function readPlantDelay() {
+    const delay = parseFloat(document.getElementById('delay').value);
+    return delay > 0 ? delay : 0;
+}
+
+/**
+ * Lee G(s) de los campos de la planta. Cada campo admite una lista de coeficientes
+ * ("1, 0.5, 1") o una expresión en s con los parámetros de G(s): "K/(tau*s+1)",
+ * "(s+1)*(s+3)", "zpk([-1], [-2, -3], 5)" o "e^(-2s)". El retardo escrito en la expresión
+ * se suma al del campo θ. Si hay un error, lo muestra bajo los campos con su columna.
+ * @returns {object|null} { numerator, denominator, delay }, o null si G(s) no es válida.
+ */
+function readPlantTransferFunction() {
+    const errorText = document.getElementById('plantError');
+    const fieldNames = { parameters: 'los parámetros de G(s)', numerator: 'el numerador', denominator: 'el denominador' };
+    try {
+        let parameters;
+        try {
+            parameters = PIDEngine.parseParameters(document.getElementById('tfParameters').value);
+        } catch (err) {
+            err.field = 'parameters';
+            throw err;
+        }
+        const { numerator, denominator, delay } = PIDEngine.parsePlantTransferFunction(
+            document.getElementById('numerator').value,
+            document.getElementById('denominator').value,
+            parameters
+        );
+        errorText.classList.add('hidden');
+        return { numerator, denominator, delay: delay + readPlantDelay() };
+    } catch (err) {
+        errorText.textContent = `Error en ${fieldNames[err.field] || 'G(s)'}: ${err.message}`;
+        errorText.classList.remove('hidden');
+        return null;
+    }
 }
 
 /**
- * 4th Order Runge-Kutta method for integrating state-space systems.
- * @param {number[][]} A - State matrix.
- * @param {number[]} B - Input matrix.
- * @param {number[]} x - Current state vector.
- * @param {number} u - Current input signal.
- * @param {number} dt - Time step.
- * @returns {number[]} The new state vector.
+ * Lee la arquitectura de control elegida. Sus funciones de transferencia admiten las mismas
+ * expresiones y parámetros que G(s), y el retardo de cada campo θ se suma al de la expresión.
+ * Si hay un error, lo muestra bajo los campos de la arquitectura.
+ * @param {object} plant - Planta del lazo principal, ver `readSimulationConfig`.
+ * @param {object} controller - PID del diagrama; el PID interno de la cascada comparte su
+ *                              forma, filtro y anti-windup con sus propias ganancias.
+ * @returns {object|null} Descripción para `PIDEngine.simulateArchitecture` ({ type: 'single' }
+ *                        en el lazo simple), o null si no es válida.
  */
-function rungeKutta(A, B, x, u, dt) {
-    const n = x.length;
-    const f = (x_vec) => {
-        const res = new Array(n).fill(0);
-        for (let i = 0; i < n; i++) {
-            for (let j = 0; j < n; j++) {
-                res[i] += A[i][j] * x_vec[j];
+function readArchitecture(plant, controller) {
+    const type = document.getElementById('architecture').value;
+    const errorText = document.getElementById('architectureError');
+    const names = { inner: 'G₁(s)', disturbance: 'Gd(s)', smith: 'el modelo Gm(s)' };
+    const parts = { numerator: 'el numerador de ', denominator: 'el denominador de ' };
+    const parameters = PIDEngine.parseParameters(document.getElementById('tfParameters').value);
+    const parse = (prefix) => {
+        try {
+            return PIDEngine.parsePlantTransferFunction(
+                document.getElementById(`${prefix}Numerator`).value,
+                document.getElementById(`${prefix}Denominator`).value,
+                parameters
+            );
+        } catch (err) {
+            err.section = prefix;
+            throw err;
+        }
+    };
+    const fieldDelay = (prefix) => Math.max(0, readOptionalNumber(`${prefix}Delay`) || 0);
+
+    try {
+        let architecture = { type };
+        if (type === 'cascade') {
+            const innerPlant = parse('inner');
+            innerPlant.delay += fieldDelay('inner');
+            const [kp, ki, kd] = ['innerKp', 'innerKi', 'innerKd'].map(id => readOptionalNumber(id) || 0);
+            architecture = { type, innerPlant, innerController: { ...controller, kp, ki, kd } };
+        } else if (type === 'feedforward') {
+            const disturbancePlant = parse('disturbance');
+            disturbancePlant.delay += fieldDelay('disturbance');
+            const mode = document.getElementById('feedforwardMode').value;
+            architecture = {
+                type,
+                disturbancePlant,
+                disturbance: readDisturbance(MEASURED_DISTURBANCE),
+                feedforward: mode === 'none' ? null : PIDEngine.idealFeedforward(plant, disturbancePlant, mode === 'static')
+            };
+        } else if (type === 'smithPredictor') {
+            // Campos vacíos = modelo exacto; sin θm se usa el retardo escrito en Gm o, si no
+            // tiene, el de la planta
+            const custom = ['smithNumerator', 'smithDenominator'].some(id => document.getElementById(id).value.trim() !== '');
+            const delay = readOptionalNumber('smithDelay');
+            if (custom || delay !== null) {
+                const model = custom ? parse('smith') : { numerator: plant.numerator, denominator: plant.denominator, delay: 0 };
+                model.delay = delay !== null ? model.delay + Math.max(0, delay) : (model.delay || plant.delay || 0);
+                architecture = { type, model };
             }
-            res[i] += B[i] * u;
         }
-        return res;
+        errorText.classList.add('hidden');
+        return architecture;
+    } catch (err) {
+        errorText.textContent = `Error en ${parts[err.field] || ''}${names[err.section]}: ${err.message}`;
+        errorText.classList.remove('hidden');
+        return null;
+    }
+}
+
+/**
+ * Planta que ve el PID del diagrama en los análisis lineales (márgenes, polos, lugar de raíces
+ * y respuesta en frecuencia), ver `PIDEngine.architectureLoopPlant`.
+ * @param {object} config - Configuración simulada, ver `readSimulationConfig`.
+ * @returns {object} { numerator, denominator, delay }.
+ */
+function loopPlant(config) {
+    const padeOrder = parseInt(document.getElementById('padeOrder').value, 10);
+    return PIDEngine.architectureLoopPlant(config, padeOrder);
+}
+
+/**
+ * Maneja el cambio de arquitectura de control.
+ */
+function handleArchitectureChange() {
+    renderArchitectureDiagram();
+    updatePlantDisplay();
+    runSimulation();
+}
+
+/**
+ * Muestra los campos de la arquitectura elegida y redibuja su diagrama, volviendo a conectar
+ * los sliders del PID y las vistas previas de las señales.
+ */
+function renderArchitectureDiagram() {
+    const architecture = document.getElementById('architecture').value;
+    Object.entries(ARCHITECTURE_DETAILS).forEach(([type, { group }]) => {
+        if (group) document.getElementById(group).classList.toggle('hidden', type !== architecture);
+    });
+    updateDisturbanceFields(MEASURED_DISTURBANCE);
+    createPIDDiagram(architecture);
+    setupPIDSliders();
+    setupDiagramInteractivity();
+    animateSignalFlow();
+}
+
+/**
+ * Rellena los bloques propios de la arquitectura en el diagrama y explica bajo sus campos qué
+ * ve el análisis lineal: la estabilidad del lazo interno de la cascada, la prealimentación
+ * realizable o el modelo del predictor de Smith.
+ * @param {object} config - Configuración simulada, ver `readSimulationConfig`.
+ */
+function updateArchitectureDisplay(config) {
+    const architecture = config.architecture || { type: 'single' };
+    const note = document.getElementById('architectureNote');
+    const setBlock = (id, html) => {
+        const block = document.getElementById(id);
+        if (block) block.innerHTML = html;
+    };
+    const gain = (value) => parseFloat(value.toPrecision(4));
+    const padeOrder = parseInt(document.getElementById('padeOrder').value, 10);
+    let text = '';
+
+    if (architecture.type === 'cascade') {
+        const { innerPlant, innerController } = architecture;
+        setBlock('innerControllerDisplay', `Kp ${gain(innerController.kp)}<br>Ki ${gain(innerController.ki)}<br>Kd ${gain(innerController.kd)}`);
+        setBlock('innerPlantDisplay', transferFunctionHtml(innerPlant));
+        const inner = PIDEngine.closedLoopPoles(innerPlant, innerController, padeOrder);
+        text = inner.stable
+            ? 'Lazo interno estable. Los análisis del lazo externo usan G₂(s) en serie con el lazo interno cerrado T₁(s).'
+            : 'El lazo interno C₁·G₁ es inestable por sí solo: ajusta C₁ antes que el lazo externo.';
+    } else if (architecture.type === 'feedforward') {
+        const { disturbancePlant, feedforward } = architecture;
+        setBlock('disturbancePlantDisplay', transferFunctionHtml(disturbancePlant));
+        if (!feedforward) {
+            setBlock('feedforwardDisplay', 'Desactivada');
+            text = 'Sin prealimentación: solo actúa el PID.';
+        } else if (feedforward.exact) {
+            setBlock('feedforwardDisplay', '−Gd(s)/G(s)');
+            text = 'Compensación dinámica ideal Gff(s) = −Gd(s)/G(s)'
+                + (feedforward.delay > 0 ? ` con un retardo de ${gain(feedforward.delay)} s.` : '.')
+                + ' La prealimentación no cambia los polos del lazo.';
+        } else {
+            setBlock('feedforwardDisplay', String(gain(feedforward.numerator[0])));
+            text = `Ganancia estática Gff = −Gd(0)/G(0) = ${gain(feedforward.numerator[0])}, ${FEEDFORWARD_REASONS[feedforward.reason]}: solo se cancela el efecto permanente de d.`;
+        }
+    } else if (architecture.type === 'smithPredictor') {
+        const model = architecture.model || config.plant;
+        setBlock('smithModelDisplay', architecture.model ? transferFunctionHtml({ ...model, delay: 0 }) : '= G(s)');
+        setBlock('smithDelayDisplay', `e<sup>−${gain(model.delay || 0)}s</sup>`);
+        text = architecture.model
+            ? `Modelo distinto de la planta: los análisis usan Gm + G·e^(−θs) − Gm·e^(−θm·s), con Padé de orden ${padeOrder}.`
+            : 'Modelo exacto: el PID ve la planta sin retardo y los análisis usan G(s) sin e^(−θs).';
+    }
+    note.textContent = text;
+    note.classList.toggle('hidden', text === '');
+}
+
+/**
+ * Función de transferencia como fracción HTML, con el retardo como factor e^{-θs}.
+ * @param {object} transferFunction - { numerator, denominator, delay }.
+ * @returns {string} HTML.
+ */
+function transferFunctionHtml({ numerator, denominator, delay = 0 }) {
+    const delayHtml = delay > 0 ? `<span class="ml-1">e<sup>-${parseFloat(delay.toFixed(3))}s</sup></span>` : '';
+    return `<div class="flex items-center justify-center">
+        <div class="font-semibold"><span>${formatPolynomial(numerator)}</span><hr class="border-white my-0.5" /><span>${formatPolynomial(denominator)}</span></div>
+        ${delayHtml}
+    </div>`;
+}
+
+/**
+ * Core simulation function. Gathers parameters from the UI, sends them to the
+ * simulation worker, and triggers plotting and metric calculations when it finishes.
+ * @returns {Promise<boolean>} Resolves to true when this run's results were displayed.
+ */
+function runSimulation() {
+    const loadingIndicator = document.getElementById('simulationLoading');
+    const progressText = document.getElementById('simulationProgress');
+    const runId = ++simulationRunId;
+
+    const config = readSimulationConfig();
+    if (!config) {
+        simulationRunner.cancel();
+        loadingIndicator.classList.add('hidden');
+        return Promise.resolve(false);
+    }
+
+    updateFrequencyAnalysis(config);
+    if (!locusDragging) updateRootLocus(config);
+    updateSamplingHint(config);
+    updateArchitectureDisplay(config);
+
+    progressText.textContent = 'Calculando simulación...';
+    loadingIndicator.classList.remove('hidden');
+
+    const onProgress = (fraction) => {
+        progressText.textContent = `Calculando simulación... ${Math.round(fraction * 100)}%`;
     };
 
-    const k1 = f(x).map(v => v * dt);
-    const k2 = f(x.map((v, i) => v + 0.5 * k1[i])).map(v => v * dt);
-    const k3 = f(x.map((v, i) => v + 0.5 * k2[i])).map(v => v * dt);
-    const k4 = f(x.map((v, i) => v + k3[i])).map(v => v * dt);
+    return simulationRunner.run(config, onProgress)
+        .then(result => {
+            // Con muestreo se superpone la misma sintonía ejecutada en tiempo continuo
+            if (!config.sampling || !document.getElementById('compareContinuous').checked) return result;
+            const continuousConfig = { ...config, sampling: null, controller: { ...config.controller, discretization: 'backwardEuler' } };
+            return simulationRunner.run(continuousConfig)
+                .then(continuous => ({ ...result, continuousOutput: continuous.output }));
+        })
+        .then(result => {
+            // Store all data for other functions to use
+            simulationData = { ...result, sampled: config.sampling !== null, architecture: config.architecture ? config.architecture.type : 'single' };
+            simulationConfig = config;
+
+            // Update UI
+            showSimulationError(null);
+            plotResults();
+            displayMetrics(simulationData, config);
+            displayFitMetrics();
+            updatePoleZeroMap(config);
+            return true;
+        })
+        .catch(err => {
+            if (!err.cancelled) showSimulationError(err.message);
+            return false;
+        })
+        .finally(() => {
+            if (runId === simulationRunId) loadingIndicator.classList.add('hidden');
+        });
+}
 
-    return x.map((v, i) => v + (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]) / 6);
+/**
+ * Muestra bajo la gráfica el error de una simulación que el motor rechazó y atenúa la gráfica,
+ * que sigue mostrando la última simulación válida; sin mensaje, los quita.
+ * @param {string|null} message - Error del motor, o null tras una simulación correcta.
+ */
+function showSimulationError(message) {
+    const errorText = document.getElementById('simulationError');
+    errorText.textContent = message ? `La simulación falló: ${message} La gráfica muestra la última simulación válida.` : '';
+    errorText.classList.toggle('hidden', !message);
+    document.getElementById('responseChart').classList.toggle('opacity-40', Boolean(message));
 }
 
 /**
  * Plots the main simulation results on the primary chart.
  */
 function plotResults() {
-    const { time, reference, output, control } = simulationData;
+    const { time, reference, output, measurement, control, demand, filteredReference, continuousOutput, sampled, disturbances, architecture } = simulationData;
     const ctx = document.getElementById('responseChart').getContext('2d');
 
     // Determinar colores basados en el tema actual
@@ -512,11 +1612,14 @@ function plotResults() {
     const refColor = isLightTheme ? '#1e40af' : '#e0e7ff';
     const outputColor = isLightTheme ? '#2563eb' : '#3b82f6';
     const controlColor = isLightTheme ? '#7c3aed' : '#8b5cf6';
+    const demandColor = isLightTheme ? '#db2777' : '#f472b6';
     const gridColor = isLightTheme ? 'rgba(30, 41, 59, 0.1)' : 'rgba(224, 231, 255, 0.2)';
     const textColor = isLightTheme ? '#1e293b' : '#e0e7ff';
 
     const datasets = [
         ...comparisonDatasets,
+        ...identificationDatasets,
+        ...measuredDatasets(time),
         {
             label: 'Señal de Referencia',
             data: reference,
@@ -547,6 +1650,90 @@ function plotResults() {
         }
     ];
 
+    if (filteredReference) {
+        datasets.splice(datasets.length - 2, 0, {
+            label: 'Referencia Filtrada F(s)',
+            data: filteredReference,
+            borderColor: refColor,
+            borderDash: [2, 3],
+            borderWidth: 1.5,
+            pointRadius: 0,
+            yAxisID: 'y'
+        });
+    }
+
+    // La medición solo difiere de la salida con ruido de medición
+    if (disturbances && disturbances.measurement) {
+        datasets.splice(datasets.length - 1, 0, {
+            label: 'Medición (con ruido)',
+            data: measurement,
+            borderColor: isLightTheme ? 'rgba(100, 116, 139, 0.6)' : 'rgba(148, 163, 184, 0.6)',
+            borderWidth: 1,
+            pointRadius: 0,
+            yAxisID: 'y'
+        });
+    }
+
+    // Señal interna de la arquitectura: salida del lazo interno, del lazo sin prealimentación o
+    // predicción sin retardo
+    const architectureCurve = ARCHITECTURE_DETAILS[architecture || 'single'].curve;
+    if (architectureCurve && simulationData[architectureCurve.key]) {
+        datasets.splice(datasets.length - 1, 0, {
+            label: architectureCurve.label,
+            data: simulationData[architectureCurve.key],
+            borderColor: isLightTheme ? '#0d9488' : '#2dd4bf',
+            borderDash: [6, 3],
+            borderWidth: 1.5,
+            pointRadius: 0,
+            yAxisID: 'y'
+        });
+    }
+
+    if (continuousOutput) {
+        datasets.splice(datasets.length - 1, 0, {
+            label: 'Salida con PID Continuo',
+            data: continuousOutput,
+            borderColor: outputColor,
+            borderDash: [6, 3],
+            borderWidth: 1.5,
+            pointRadius: 0,
+            yAxisID: 'y'
+        });
+    }
+
+    // Con el actuador saturado (o el DAC y el retardo de cómputo) se muestran la señal
+    // aplicada y la pedida por el controlador
+    const saturated = demand && demand.some((v, i) => Math.abs(v - control[i]) > 1e-9 * Math.max(1, Math.abs(v)));
+    if (saturated) {
+        const controlDataset = datasets[datasets.length - 1];
+        controlDataset.label = sampled ? 'Señal de Control (aplicada)' : 'Señal de Control (saturada)';
+        controlDataset.hidden = false;
+        datasets.push({
+            label: sampled ? 'Señal de Control (calculada)' : 'Señal de Control (sin saturar)',
+            data: demand,
+            borderColor: demandColor,
+            borderDash: [4, 4],
+            borderWidth: 1.5,
+            pointRadius: 0,
+            yAxisID: 'y1'
+        });
+    }
+
+    // Perturbaciones de carga y de salida, en el eje de la señal de control
+    [['input', 'Perturbación de Carga', '#f59e0b'], ['output', 'Perturbación en la Salida', '#ef4444']].forEach(([channel, label, color]) => {
+        if (disturbances && disturbances[channel]) {
+            datasets.push({
+                label,
+                data: disturbances[channel],
+                borderColor: color,
+                borderDash: [3, 3],
+                borderWidth: 1.5,
+                pointRadius: 0,
+                yAxisID: 'y1'
+            });
+        }
+    });
+
     if (responseChart) {
         responseChart.data.labels = time;
         responseChart.data.datasets = datasets;
@@ -634,6 +1821,535 @@ function plotResults() {
     }
 }
 
+/**
+ * Muestra una pestaña del panel de respuesta.
+ * @param {string} tab - 'time', 'frequency' o 'rootLocus'.
+ */
+function showResponseTab(tab) {
+    const tabs = {
+        time: ['timePanel', 'timeTabButton'],
+        frequency: ['frequencyPanel', 'frequencyTabButton'],
+        rootLocus: ['rootLocusPanel', 'rootLocusTabButton'],
+        poleZero: ['poleZeroPanel', 'poleZeroTabButton']
+    };
+    Object.entries(tabs).forEach(([name, [panelId, buttonId]]) => {
+        const active = name === tab;
+        document.getElementById(panelId).classList.toggle('hidden', !active);
+        document.getElementById(buttonId).classList.toggle('btn-primary', active);
+        document.getElementById(buttonId).classList.toggle('btn-secondary', !active);
+    });
+    // Comparar y Limpiar solo actúan sobre la respuesta temporal
+    document.getElementById('addComparison').classList.toggle('hidden', tab !== 'time');
+    document.getElementById('clearComparisons').classList.toggle('hidden', tab !== 'time');
+    document.getElementById('exportBar').classList.toggle('hidden', tab !== 'time');
+    document.getElementById('scenarioPanel').classList.toggle('hidden', tab !== 'time' || !scenarioResult);
+    updateFrequencyAnalysis();
+    updateRootLocus();
+    updatePoleZeroMap();
+}
+
+/**
+ * Cambia entre los diagramas de Bode, Nyquist y Nichols.
+ */
+function handleFrequencyPlotChange() {
+    const plot = document.getElementById('frequencyPlot').value;
+    document.getElementById('bodePlots').classList.toggle('hidden', plot !== 'bode');
+    document.getElementById('nyquistPlot').classList.toggle('hidden', plot !== 'nyquist');
+    document.getElementById('nicholsPlot').classList.toggle('hidden', plot !== 'nichols');
+    updateFrequencyAnalysis();
+}
+
+/**
+ * Recalcula G, C, L, T y S sobre el eje imaginario y dibuja el diagrama elegido.
+ * No hace nada si la pestaña de frecuencia está oculta.
+ * @param {object} [config] - Configuración ya leída de la interfaz, ver `readSimulationConfig`.
+ */
+function updateFrequencyAnalysis(config) {
+    if (document.getElementById('frequencyPanel').classList.contains('hidden')) return;
+    config = config || readSimulationConfig();
+    if (!config) return;
+
+    const response = PIDEngine.loopFrequencyResponse(loopPlant(config), config.controller);
+    const curves = Array.from(document.querySelectorAll('.frequency-curve:checked')).map(c => c.value);
+    const finite = (v) => (isFinite(v) ? v : null);
+
+    switch (document.getElementById('frequencyPlot').value) {
+        case 'bode': {
+            const series = (key, field) => response.omega.map((w, i) => ({ x: w, y: finite(response[key][field][i]) }));
+            bodeMagnitudeChart = drawScatterChart(bodeMagnitudeChart, 'bodeMagnitudeChart',
+                curves.map(key => frequencyDataset(key, series(key, 'magnitudeDb'))),
+                { type: 'logarithmic', title: 'ω (rad/s)' }, { title: 'Magnitud (dB)' });
+            bodePhaseChart = drawScatterChart(bodePhaseChart, 'bodePhaseChart',
+                curves.map(key => frequencyDataset(key, series(key, 'phase'))),
+                { type: 'logarithmic', title: 'ω (rad/s)' }, { title: 'Fase (°)' });
+            break;
+        }
+        case 'nyquist': {
+            const datasets = curves.map(key => frequencyDataset(key,
+                response[key].re.map((re, i) => ({ x: finite(re), y: finite(response[key].im[i]) }))));
+            // Rama de frecuencias negativas (conjugada) del lazo, para contar rodeos a -1
+            if (curves.includes('L')) {
+                datasets.push({
+                    ...frequencyDataset('L', response.L.re.map((re, i) => ({ x: finite(re), y: finite(-response.L.im[i]) }))),
+                    label: 'L(jω), ω < 0',
+                    borderDash: [5, 5]
+                });
+            }
+            datasets.push(criticalPointDataset(-1, 0, 'Punto crítico −1'));
+
+            // Acota los ejes: cerca de ω = 0 un integrador lleva la curva al infinito
+            const largest = Math.max(0, ...datasets.flatMap(d => d.data.map(p => Math.hypot(p.x || 0, p.y || 0))));
+            const limit = Math.min(10, Math.max(1.5, 1.05 * largest));
+            nyquistChart = drawScatterChart(nyquistChart, 'nyquistChart', datasets,
+                { title: 'Re', min: -limit, max: limit }, { title: 'Im', min: -limit, max: limit });
+            break;
+        }
+        case 'nichols': {
+            const datasets = curves.map(key => frequencyDataset(key,
+                response[key].phase.map((p, i) => ({ x: finite(p), y: finite(response[key].magnitudeDb[i]) }))));
+            datasets.push(criticalPointDataset(-180, 0, 'Punto crítico (−180°, 0 dB)'));
+            nicholsChart = drawScatterChart(nicholsChart, 'nicholsChart', datasets,
+                { title: 'Fase (°)' }, { title: 'Magnitud (dB)' });
+            break;
+        }
+    }
+}
+
+/**
+ * Dataset de Chart.js para una de las curvas de `FREQUENCY_CURVES`.
+ * @param {string} key - 'G', 'C', 'L', 'T' o 'S'.
+ * @param {object[]} data - Puntos { x, y }.
+ * @returns {object} Dataset de línea sin marcadores.
+ */
+function frequencyDataset(key, data) {
+    return {
+        label: FREQUENCY_CURVES[key].label,
+        data,
+        borderColor: FREQUENCY_CURVES[key].color,
+        backgroundColor: FREQUENCY_CURVES[key].color,
+        borderWidth: 2,
+        pointRadius: 0,
+        showLine: true,
+        fill: false
+    };
+}
+
+/**
+ * Dataset con el punto crítico de estabilidad marcado con una cruz.
+ * @returns {object} Dataset de un solo punto.
+ */
+function criticalPointDataset(x, y, label) {
+    return {
+        label,
+        data: [{ x, y }],
+        borderColor: '#ef4444',
+        backgroundColor: '#ef4444',
+        pointStyle: 'crossRot',
+        pointRadius: 8,
+        borderWidth: 3,
+        showLine: false
+    };
+}
+
+/**
+ * Crea o actualiza un gráfico de dispersión con líneas (análisis en frecuencia y lugar de raíces).
+ * Los datasets marcados con `legendHidden: true` no aparecen en la leyenda.
+ * @param {object|null} chart - Gráfico existente, o null para crearlo.
+ * @param {string} canvasId - Id del canvas.
+ * @param {object[]} datasets - Datasets a mostrar.
+ * @param {object} xAxis - { title, type, min, max }.
+ * @param {object} yAxis - { title, min, max }.
+ * @returns {object} El gráfico.
+ */
+function drawScatterChart(chart, canvasId, datasets, xAxis, yAxis) {
+    const isLightTheme = document.body.classList.contains('light-theme');
+    const gridColor = isLightTheme ? 'rgba(30, 41, 59, 0.1)' : 'rgba(224, 231, 255, 0.2)';
+    const textColor = isLightTheme ? '#1e293b' : '#e0e7ff';
+    const axis = ({ title, type = 'linear', min, max }) => ({
+        type,
+        min,
+        max,
+        title: { display: true, text: title, color: textColor },
+        ticks: { color: textColor },
+        grid: { color: gridColor }
+    });
+
+    if (chart) {
+        chart.data.datasets = datasets;
+        chart.options.scales.x = axis(xAxis);
+        chart.options.scales.y = axis(yAxis);
+        chart.options.plugins.legend.labels.color = textColor;
+        chart.update();
+        return chart;
+    }
+
+    return new Chart(document.getElementById(canvasId).getContext('2d'), {
+        type: 'scatter',
+        data: { datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: { duration: 0 },
+            scales: { x: axis(xAxis), y: axis(yAxis) },
+            plugins: {
+                legend: {
+                    labels: {
+                        color: textColor,
+                        filter: (item, data) => !data.datasets[item.datasetIndex].legendHidden
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Calcula el lugar de raíces de la planta con el controlador de la estructura elegida.
+ * La ganancia del lugar es Kp, o la primera de Ki y Kd que no sea cero cuando Kp = 0 (un
+ * lugar en Kp no movería nada); las otras ganancias guardan su proporción con ella. No hace
+ * nada si la pestaña está oculta.
+ * @param {object} [config] - Configuración ya leída de la interfaz, ver `readSimulationConfig`.
+ */
+function updateRootLocus(config) {
+    if (document.getElementById('rootLocusPanel').classList.contains('hidden')) return;
+    config = config || readSimulationConfig();
+    if (!config) return;
+
+    const { kp, ki, kd } = config.controller;
+    const structure = document.getElementById('locusStructure').value;
+    const gains = { kp, ki: structure.includes('I') ? ki : 0, kd: structure.includes('D') ? kd : 0 };
+    const variable = ['kp', 'ki', 'kd'].find(name => gains[name] > 0) || 'kp';
+    const reference = gains[variable] > 0 ? gains[variable] : 1;
+    const ratios = {};
+    Object.keys(gains).forEach(name => {
+        ratios[name] = name === variable ? 1 : gains[name] / reference;
+    });
+    const padeOrder = parseInt(document.getElementById('padeOrder').value, 10);
+    const kMax = parseFloat(document.getElementById('locusKMax').value) || 100;
+    const loop = PIDEngine.loopTransferFunction(loopPlant(config), { ...config.controller, ...ratios }, padeOrder);
+
+    let locus;
+    try {
+        locus = PIDEngine.rootLocus(loop, { kMax });
+    } catch (err) {
+        rootLocusState = null;
+        if (rootLocusChart) {
+            rootLocusChart.data.datasets = [];
+            rootLocusChart.update();
+        }
+        document.getElementById('locusInfo').textContent = err.message.startsWith('Improper')
+            ? 'Lazo impropio: activa el filtro derivativo o quita la acción derivativa.'
+            : 'La ganancia del lazo es cero.';
+        return;
+    }
+    rootLocusState = { locus, loop, ratios, gainName: { kp: 'Kp', ki: 'Ki', kd: 'Kd' }[variable] };
+    drawRootLocus(gains[variable]);
+}
+
+/**
+ * Dibuja el lugar de raíces con la rejilla ζ/ωn, los polos y ceros de lazo abierto
+ * y el marcador con los polos de lazo cerrado para la ganancia actual.
+ * @param {number} gain - Valor actual de la ganancia del lugar.
+ */
+function drawRootLocus(gain) {
+    const { locus } = rootLocusState;
+    const landmarks = locus.poles.concat(locus.zeros, PIDEngine.locusPolesAt(rootLocusState.loop, gain));
+    const extent = Math.max(1, ...landmarks.map(p => Math.hypot(p.re, p.im)));
+    const limit = 1.5 * extent;
+    const finite = (p) => ({ x: isFinite(p.re) ? p.re : null, y: isFinite(p.im) ? p.im : null });
+
+    const datasets = [
+        ...dampingGridDatasets(limit),
+        ...locus.branches.map((branch, i) => ({
+            label: i === 0 ? 'Ramas del lugar' : `Rama ${i + 1}`,
+            legendHidden: i > 0,
+            data: branch.map(finite),
+            borderColor: '#3b82f6',
+            borderWidth: 2,
+            pointRadius: 0,
+            showLine: true
+        })),
+        {
+            label: 'Polos de lazo abierto',
+            data: locus.poles.map(finite),
+            borderColor: '#f59e0b',
+            backgroundColor: '#f59e0b',
+            pointStyle: 'crossRot',
+            pointRadius: 8,
+            borderWidth: 3,
+            showLine: false
+        },
+        {
+            label: 'Ceros de lazo abierto',
+            data: locus.zeros.map(finite),
+            borderColor: '#10b981',
+            backgroundColor: 'transparent',
+            pointStyle: 'circle',
+            pointRadius: 7,
+            borderWidth: 2,
+            showLine: false
+        },
+        {
+            label: `Polos de lazo cerrado (${rootLocusState.gainName} actual)`,
+            locusMarker: true,
+            data: [],
+            borderColor: '#ef4444',
+            backgroundColor: '#ef4444',
+            pointRadius: 7,
+            pointHoverRadius: 9,
+            showLine: false
+        }
+    ];
+
+    rootLocusChart = drawScatterChart(rootLocusChart, 'rootLocusChart', datasets,
+        { title: 'Re(s)', min: -limit, max: limit / 2 }, { title: 'Im(s)', min: -limit, max: limit });
+    updateLocusMarker(gain);
+}
+
+/**
+ * Rejilla de amortiguamiento constante (rectas ζ) y frecuencia natural constante (semicírculos ωn).
+ * @param {number} limit - Radio del área visible.
+ * @returns {object[]} Datasets de rejilla, ocultos en la leyenda.
+ */
+function dampingGridDatasets(limit) {
+    const isLightTheme = document.body.classList.contains('light-theme');
+    const color = isLightTheme ? 'rgba(30, 41, 59, 0.25)' : 'rgba(224, 231, 255, 0.25)';
+    const gridLine = (label, data) => ({ label, legendHidden: true, data, borderColor: color, borderWidth: 1, borderDash: [4, 4], pointRadius: 0, showLine: true });
+
+    const rays = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9].map(zeta => {
+        const x = -zeta * 2 * limit;
+        const y = Math.sqrt(1 - zeta * zeta) * 2 * limit;
+        return gridLine(`ζ = ${zeta}`, [{ x, y }, { x: 0, y: 0 }, { x, y: -y }]);
+    });
+
+    // Semicírculos en el semiplano izquierdo con un paso "redondo"
+    const raw = limit / 4;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const stepSize = [1, 2, 5, 10].map(m => m * magnitude).find(v => v >= raw);
+    const circles = [1, 2, 3, 4].map(k => {
+        const wn = k * stepSize;
+        const data = Array.from({ length: 61 }, (_, i) => {
+            const angle = Math.PI / 2 + Math.PI * i / 60;
+            return { x: wn * Math.cos(angle), y: wn * Math.sin(angle) };
+        });
+        return gridLine(`ωn = ${parseFloat(wn.toPrecision(3))} rad/s`, data);
+    });
+
+    return rays.concat(circles);
+}
+
+/**
+ * Mueve el marcador a los polos de lazo cerrado para una ganancia del lugar y muestra ζ y ωn
+ * del polo dominante.
+ * @param {number} gain - Valor de la ganancia del lugar (Kp, o Ki o Kd si Kp = 0).
+ */
+function updateLocusMarker(gain) {
+    if (!rootLocusState || !rootLocusChart) return;
+    const poles = PIDEngine.locusPolesAt(rootLocusState.loop, gain);
+    const marker = rootLocusChart.data.datasets.find(d => d.locusMarker);
+    marker.data = poles.map(p => ({ x: p.re, y: p.im }));
+    rootLocusChart.update();
+
+    // Polo dominante: el más cercano al eje imaginario
+    const dominant = poles.reduce((a, b) => (b.re > a.re ? b : a), poles[0]);
+    const info = document.getElementById('locusInfo');
+    const value = `${rootLocusState.gainName} = ${gain.toFixed(3)}`;
+    if (!dominant) {
+        info.textContent = value;
+        return;
+    }
+    const { zeta, wn } = PIDEngine.poleCharacteristics(dominant);
+    info.textContent = dominant.re >= 0
+        ? `${value}: lazo cerrado inestable (Re = ${dominant.re.toFixed(3)}).`
+        : `${value}: polo dominante ζ = ${zeta.toFixed(3)}, ωn = ${wn.toFixed(3)} rad/s.`;
+}
+
+/**
+ * Permite arrastrar el marcador: el punto del lugar más cercano al puntero fija la ganancia
+ * del lugar (y las demás con sus proporciones) y vuelve a simular.
+ */
+function setupRootLocusDrag() {
+    const canvas = document.getElementById('rootLocusChart');
+    const pickGain = (e) => {
+        if (!rootLocusState || !rootLocusChart) return;
+        const point = {
+            re: rootLocusChart.scales.x.getValueForPixel(e.offsetX),
+            im: rootLocusChart.scales.y.getValueForPixel(e.offsetY)
+        };
+        const { gain } = PIDEngine.nearestLocusGain(rootLocusState.locus, point);
+        const { ratios } = rootLocusState;
+        setPIDGains(gain * ratios.kp, gain * ratios.ki, gain * ratios.kd);
+        updateLocusMarker(gain);
+        updateFrequencyAnalysis();
+        scheduleSimulation();
+    };
+
+    canvas.addEventListener('mousedown', (e) => {
+        locusDragging = true;
+        pickGain(e);
+    });
+    canvas.addEventListener('mousemove', (e) => {
+        if (locusDragging) pickGain(e);
+    });
+    ['mouseup', 'mouseleave'].forEach(type => {
+        canvas.addEventListener(type, () => {
+            locusDragging = false;
+        });
+    });
+}
+
+/**
+ * Dibuja el mapa de polos y ceros de lazo cerrado (retardo con Padé), la tabla de polos
+ * con ζ, ωn y τ, y la aproximación por polos dominantes frente a la simulación.
+ * No hace nada si la pestaña está oculta.
+ * @param {object} [config] - Configuración ya leída de la interfaz, ver `readSimulationConfig`.
+ */
+function updatePoleZeroMap(config) {
+    if (document.getElementById('poleZeroPanel').classList.contains('hidden')) return;
+    config = config || readSimulationConfig();
+    if (!config) return;
+
+    const padeOrder = parseInt(document.getElementById('padeOrder').value, 10);
+    const loop = PIDEngine.closedLoopPoles(loopPlant(config), config.controller, padeOrder);
+    const dominant = PIDEngine.dominantPoleApproximation(loop.poles, { settlingBand: 0.05 });
+    const isDominant = (p) => dominant !== null
+        && Math.hypot(p.re - dominant.pole.re, Math.abs(p.im) - Math.abs(dominant.pole.im)) <= 1e-9 * Math.max(1, dominant.wn);
+
+    document.getElementById('characteristicPolynomial').textContent = formatPolynomial(loop.characteristic);
+
+    // Tabla de polos: un par conjugado ocupa una sola fila (los polos reales tienen im = 0 exacto)
+    const rows = loop.poles
+        .filter(p => p.im >= 0)
+        .sort((a, b) => b.re - a.re)
+        .map(p => {
+            const { zeta, wn, tau } = PIDEngine.poleCharacteristics(p);
+            const highlight = isDominant(p) ? ' class="text-yellow-300 font-semibold"' : '';
+            return `<tr${highlight}>
+                <td class="py-1 font-mono">${formatComplexPair(p)}</td>
+                <td class="py-1">${zeta.toFixed(3)}</td>
+                <td class="py-1">${wn.toFixed(3)}</td>
+                <td class="py-1">${isFinite(tau) ? tau.toFixed(3) : '∞'}</td>
+            </tr>`;
+        });
+    document.getElementById('poleTableBody').innerHTML = rows.join('');
+
+    displayDominantPoleComparison(dominant);
+
+    const points = loop.poles.concat(loop.zeros);
+    const limit = 1.5 * Math.max(1, ...points.map(p => Math.hypot(p.re, p.im)));
+    const toPoint = (p) => ({ x: p.re, y: p.im });
+    const datasets = [
+        ...dampingGridDatasets(limit),
+        {
+            label: 'Polos de lazo cerrado',
+            data: loop.poles.map(toPoint),
+            borderColor: '#ef4444',
+            backgroundColor: '#ef4444',
+            pointStyle: 'crossRot',
+            pointRadius: 8,
+            borderWidth: 3,
+            showLine: false
+        },
+        {
+            label: 'Ceros de lazo cerrado',
+            data: loop.zeros.map(toPoint),
+            borderColor: '#10b981',
+            backgroundColor: 'transparent',
+            pointStyle: 'circle',
+            pointRadius: 7,
+            borderWidth: 2,
+            showLine: false
+        },
+        {
+            label: 'Polos dominantes',
+            data: loop.poles.filter(isDominant).map(toPoint),
+            borderColor: '#facc15',
+            backgroundColor: 'transparent',
+            pointStyle: 'circle',
+            pointRadius: 12,
+            borderWidth: 2,
+            showLine: false
+        }
+    ];
+
+    poleZeroChart = drawScatterChart(poleZeroChart, 'poleZeroChart', datasets,
+        { title: 'Re(s)', min: -limit, max: limit / 2 }, { title: 'Im(s)', min: -limit, max: limit });
+}
+
+/**
+ * Compara sobreimpulso, tiempo de pico y tiempo de establecimiento (5%) estimados con el
+ * polo dominante con los medidos en la última simulación.
+ * @param {object|null} dominant - Resultado de `PIDEngine.dominantPoleApproximation`.
+ */
+function displayDominantPoleComparison(dominant) {
+    const info = document.getElementById('dominantPoleInfo');
+    const body = document.getElementById('dominantPoleTableBody');
+    if (!dominant) {
+        info.textContent = 'El lazo cerrado no es estable: no hay polo dominante.';
+        body.innerHTML = '';
+        return;
+    }
+
+    const kind = dominant.pole.im === 0 ? 'Polo real' : 'Par complejo';
+    let note = `${kind} ${formatComplexPair(dominant.pole)} (ζ = ${dominant.zeta.toFixed(3)}, ωn = ${dominant.wn.toFixed(3)} rad/s).`;
+    note += isFinite(dominant.separation)
+        ? ` El siguiente polo es ${dominant.separation.toFixed(1)} veces más rápido`
+        : ' No hay más polos';
+    if (isFinite(dominant.separation) && dominant.separation < 5) {
+        note += ': la aproximación es poco fiable (se recomienda una separación de 5 o más).';
+    } else {
+        note += '.';
+    }
+    if (measuredMetrics && !measuredMetrics.isStep) {
+        note += ' La simulación no usa una referencia escalón, así que no es comparable.';
+    }
+    info.textContent = note;
+
+    const measured = measuredMetrics && measuredMetrics.isStep ? measuredMetrics : null;
+    const seconds = (t) => (t === null || t === undefined ? '-' : `${t.toFixed(2)}s`);
+    const rows = [
+        ['Sobreimpulso', `${dominant.overshoot.toFixed(1)}%`, measured ? `${measured.overshoot.toFixed(1)}%` : '-'],
+        ['Tiempo de pico', seconds(dominant.peakTime), seconds(measured && measured.peakTime)],
+        ['Tiempo de establecimiento (5%)', seconds(dominant.settlingTime), seconds(measured && measured.settlingTime)]
+    ];
+    body.innerHTML = rows.map(([label, estimate, value]) => `<tr>
+        <td class="py-1">${label}</td>
+        <td class="py-1">${estimate}</td>
+        <td class="py-1">${value}</td>
+    </tr>`).join('');
+}
+
+/**
+ * Escribe un polinomio con potencias de s, p. ej. "s³ + 3s² + 2s + 1".
+ * @param {number[]} coefficients - Coeficientes, potencia mayor primero.
+ * @returns {string} El polinomio.
+ */
+function formatPolynomial(coefficients) {
+    const superscripts = { 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+    const degree = coefficients.length - 1;
+    const terms = [];
+    coefficients.forEach((c, i) => {
+        if (c === 0) return;
+        const power = degree - i;
+        const magnitude = parseFloat(Math.abs(c).toPrecision(4));
+        const variable = power === 0 ? '' : power === 1 ? 's' : 's' + String(power).split('').map(d => superscripts[d]).join('');
+        const coefficient = magnitude === 1 && power > 0 ? '' : String(magnitude);
+        const sign = c < 0 ? '-' : '+';
+        terms.push(terms.length === 0 ? (c < 0 ? '-' : '') + coefficient + variable : ` ${sign} ${coefficient}${variable}`);
+    });
+    return terms.length > 0 ? terms.join('') : '0';
+}
+
+/**
+ * Escribe un polo como "a ± jb" (par conjugado) o "a" (real).
+ * @param {object} pole - { re, im }.
+ * @returns {string} El polo formateado.
+ */
+function formatComplexPair(pole) {
+    const re = pole.re.toFixed(3);
+    return pole.im === 0 ? re : `${re} ± j${Math.abs(pole.im).toFixed(3)}`;
+}
+
 /**
  * Agrega la simulación actual como un dataset de comparación.
  */
@@ -651,6 +2367,7 @@ const addComparison = () => {
     comparisonDatasets.push({
         label: `Comparación (Kp=${kp}, Ki=${ki}, Kd=${kd})`,
         data: [...simulationData.output],
+        time: simulationData.time,
         borderColor: randomColor,
         borderWidth: 2,
         pointRadius: 0,
@@ -666,15 +2383,361 @@ const addComparison = () => {
  */
 const clearComparisons = () => {
     comparisonDatasets = [];
+    identificationDatasets = [];
+    scenarioResult = null;
+    document.getElementById('scenarioPanel').classList.add('hidden');
     plotResults();
 };
 
 /**
- * Calculates and displays key performance metrics from the simulation data.
+ * Carga un escenario del curso: ajusta la planta desde sus parámetros físicos, la referencia
+ * y la malla de tiempo, superpone la respuesta de cada controlador y la del sistema sin
+ * control, y muestra su tabla de métricas. Las ganancias de los sliders no cambian, para
+ * poder ajustarlas sobre las curvas del estudio.
+ */
+function loadScenario() {
+    const result = PIDEngine.runScenario(document.getElementById('scenarioSelect').value);
+    const { definition } = result;
+
+    const presetKey = Object.keys(PLANT_PRESETS)
+        .find(key => !PLANT_PRESETS[key].nonlinear && PLANT_PRESETS[key].model === definition.plant.model);
+    document.getElementById('plantModel').value = presetKey;
+    renderPlantParams(definition.plant.parameters);
+    applyPlantParameters();
+    updatePlantParamsVisibility();
+    document.getElementById('delay').value = String(definition.plant.delay || 0);
+
+    const { reference } = definition;
+    document.getElementById('controlType').value = reference.type;
+    document.getElementById('amplitude').value = reference.amplitude;
+    document.getElementById('initialValue').value = reference.initialValue || 0;
+    document.getElementById('referenceStart').value = reference.startTime || 0;
+    updateReferenceFields();
+    document.getElementById('simTime').value = definition.simTime;
+    document.getElementById('dt').value = definition.dt;
+    document.getElementById('solver').value = definition.solver.method;
+    document.getElementById('toleranceGroup').style.display = definition.solver.method === 'rk45' ? 'grid' : 'none';
+
+    const curves = result.openLoop ? result.cases.concat([result.openLoop]) : result.cases;
+    comparisonDatasets = curves.map((curve, k) => ({
+        label: curve.label,
+        data: curve.result.output,
+        time: curve.result.time,
+        borderColor: SCENARIO_COLORS[k % SCENARIO_COLORS.length],
+        borderDash: curve === result.openLoop ? [8, 4] : [],
+        borderWidth: 2,
+        pointRadius: 0,
+        yAxisID: 'y',
+        fill: false
+    }));
+    scenarioResult = result;
+    displayScenarioMetrics();
+
+    showResponseTab('time');
+    updatePlantDisplay();
+    runSimulation();
+}
+
+/**
+ * Muestra la tabla de métricas del escenario cargado: una fila por controlador y otra
+ * para el sistema sin control.
+ */
+function displayScenarioMetrics() {
+    const { definition, cases, openLoop } = scenarioResult;
+    const dt = definition.dt;
+    // Un tiempo por debajo del paso de la malla solo puede acotarse
+    const formatTime = (value) => (value === null ? '-' : value < dt ? `&lt; ${dt} s` : `${value.toFixed(2)} s`);
+    const rows = (openLoop ? cases.concat([openLoop]) : cases).map((curve, k) => {
+        const metrics = curve.metrics;
+        const gains = curve.controller
+            ? ` <span class="text-gray-400">(Kp=${curve.controller.kp}, Ki=${curve.controller.ki}, Kd=${curve.controller.kd})</span>`
+            : '';
+        return `<tr>
+            <td class="py-1"><span style="color: ${SCENARIO_COLORS[k % SCENARIO_COLORS.length]}">■</span> ${curve.label}${gains}</td>
+            <td class="py-1">${metrics ? `${metrics.overshoot.toFixed(1)}%` : '-'}</td>
+            <td class="py-1">${metrics ? formatTime(metrics.riseTime) : '-'}</td>
+            <td class="py-1">${metrics ? formatTime(metrics.peakTime) : '-'}</td>
+            <td class="py-1">${metrics ? formatTime(metrics.settlingTime) : '-'}</td>
+            <td class="py-1">${metrics ? metrics.steadyStateError.toFixed(3) : '-'}</td>
+            <td class="py-1">${metrics ? metrics.iae.toFixed(3) : '-'}</td>
+        </tr>`;
+    });
+    document.getElementById('scenarioTitle').textContent = definition.title;
+    document.getElementById('scenarioSource').textContent =
+        `Portado de ${definition.source}. Cada caso es el lazo cerrado continuo con derivada ideal, como csim en Scilab.`;
+    document.getElementById('scenarioMetricsBody').innerHTML = rows.join('');
+    document.getElementById('scenarioPanel').classList.remove('hidden');
+}
+
+/**
+ * Señales a exportar: las de la simulación actual, en el orden de `simulate`, seguidas
+ * de cada comparación remuestreada desde su propio tiempo a la rejilla actual (vacía
+ * fuera de su duración). Las etiquetas repetidas se numeran para no pisar columnas.
+ * @returns {object} { nombre: muestras[] }.
+ */
+function exportSignals() {
+    const { time, reference, output, error, control, demand, measurement, filteredReference, continuousOutput, disturbances } = simulationData;
+    const signals = { time, reference, output, error, control };
+    if (demand.some((v, i) => v !== control[i])) signals.demand = demand;
+    if (disturbances && disturbances.measurement) signals.measurement = measurement;
+    if (filteredReference) signals.filteredReference = filteredReference;
+    if (continuousOutput) signals.continuousOutput = continuousOutput;
+    Object.entries(disturbances || {}).forEach(([channel, values]) => {
+        signals[`${channel}Disturbance`] = values;
+    });
+    ARCHITECTURE_DETAILS[simulationData.architecture || 'single'].signals.forEach(name => {
+        signals[name] = simulationData[name];
+    });
+    comparisonDatasets.forEach((dataset, k) => {
+        const name = dataset.label in signals ? `${dataset.label} (${k + 1})` : dataset.label;
+        signals[name] = PIDEngine.resampleSignal(dataset.time, dataset.data, time);
+    });
+    return signals;
+}
+
+/**
+ * Nombre de archivo con la fecha y hora actuales, p. ej. "pid_simulacion_2024-05-01_10-30-00.csv".
+ * @param {string} name - Prefijo del archivo.
+ * @param {string} extension - Extensión sin punto.
+ * @returns {string} El nombre del archivo.
+ */
+function exportFilename(name, extension) {
+    const stamp = new Date().toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-');
+    return `${name}_${stamp}.${extension}`;
+}
+
+/**
+ * Descarga la simulación y las comparaciones en CSV o JSON, con la planta, las ganancias y
+ * los ajustes de la simulación como metadatos. El CSV usa el separador y la coma decimal
+ * elegidos para importar datos medidos, así que puede volver a importarse.
+ * @param {string} format - 'csv' o 'json'.
+ */
+function exportResults(format) {
+    if (!simulationData.output || simulationData.output.length === 0) {
+        alert("Ejecuta una simulación primero.");
+        return;
+    }
+    const metadata = PIDEngine.exportMetadata(simulationConfig, { title: document.title });
+    if (format === 'json') {
+        PIDEngine.downloadFile(exportFilename('pid_simulacion', 'json'), PIDEngine.resultsToJson(exportSignals(), metadata), 'application/json');
+        return;
+    }
+    const decimalComma = document.getElementById('csvDecimalComma').checked;
+    const chosen = readCsvOptions().delimiter;
+    const delimiter = chosen === 'auto' || (decimalComma && chosen === ',') ? (decimalComma ? ';' : ',') : chosen;
+    const csv = PIDEngine.resultsToCsv(exportSignals(), metadata, { delimiter, decimalComma });
+    PIDEngine.downloadFile(exportFilename('pid_simulacion', 'csv'), csv, 'text/csv');
+}
+
+/**
+ * Descarga el gráfico de respuesta como PNG o SVG, sobre el fondo de la tarjeta.
+ * @param {string} format - 'png' o 'svg'.
+ */
+function exportChart(format) {
+    if (!responseChart) return;
+    const background = PIDEngine.resolveCssVariables('var(--card-bg)', responseChart.canvas);
+    if (format === 'svg') {
+        PIDEngine.downloadFile(exportFilename('pid_respuesta', 'svg'), PIDEngine.chartToSvg(responseChart, { background }), 'image/svg+xml');
+    } else {
+        PIDEngine.downloadFile(exportFilename('pid_respuesta', 'png'), PIDEngine.canvasToPng(responseChart.canvas, background));
+    }
+}
+
+/**
+ * Descarga el diagrama de bloques como SVG o PNG. Las ganancias y la planta, que en la
+ * página son HTML, se redibujan como texto SVG.
+ * @param {string} format - 'svg' o 'png'.
+ */
+function exportDiagram(format) {
+    const svg = document.querySelector('#pidDiagram svg');
+    if (!svg) return;
+    const svgText = PIDEngine.diagramToSvg(svg);
+    if (format === 'svg') {
+        PIDEngine.downloadFile(exportFilename('pid_diagrama', 'svg'), svgText, 'image/svg+xml');
+        return;
+    }
+    PIDEngine.svgToPng(svgText)
+        .then(url => PIDEngine.downloadFile(exportFilename('pid_diagrama', 'png'), url))
+        .catch(err => alert(`No se pudo exportar el diagrama: ${err.message}`));
+}
+
+/**
+ * Lee el archivo CSV elegido y carga sus datos.
+ * @param {Event} event - Evento 'change' del campo de archivo.
+ */
+function importMeasuredFile(event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        measuredText = reader.result;
+        loadMeasuredData();
+    };
+    reader.onerror = () => {
+        document.getElementById('measuredStatus').textContent = `No se pudo leer ${file.name}.`;
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Lee el formato del CSV de la interfaz. Las columnas se numeran desde 1.
+ * @returns {object} Opciones para `parseMeasuredData`.
+ */
+function readCsvOptions() {
+    const column = (id) => {
+        const value = readOptionalNumber(id);
+        return value === null ? null : Math.round(value) - 1;
+    };
+    const delimiters = { tab: '\t', space: ' ' };
+    const delimiter = document.getElementById('csvDelimiter').value;
+    return {
+        delimiter: delimiters[delimiter] || delimiter,
+        decimalComma: document.getElementById('csvDecimalComma').checked,
+        columns: {
+            time: column('csvTimeColumn'),
+            reference: column('csvReferenceColumn'),
+            output: column('csvOutputColumn'),
+            control: column('csvControlColumn')
+        }
+    };
+}
+
+/**
+ * Interpreta el archivo importado con el formato actual y repinta el gráfico.
+ * Un error de formato se muestra con la línea y la columna que lo causan.
+ */
+function loadMeasuredData() {
+    if (measuredText === null) return;
+    const status = document.getElementById('measuredStatus');
+    try {
+        const options = readCsvOptions();
+        if (options.columns.time === null || options.columns.output === null) {
+            throw new Error('Indica las columnas de tiempo y de salida.');
+        }
+        measuredData = PIDEngine.parseMeasuredData(measuredText, options);
+        const { time, header } = measuredData;
+        const names = header ? ` Encabezado: ${header.join(', ')}.` : '';
+        status.textContent = `${time.length} muestras, t = ${time[0]} – ${time[time.length - 1]} s.${names}`;
+    } catch (err) {
+        measuredData = null;
+        status.textContent = `Error en el archivo: ${err.message}`;
+    }
+    if (simulationData.time) plotResults();
+    displayFitMetrics();
+}
+
+/**
+ * Quita los datos medidos del gráfico y de las métricas.
+ */
+function clearMeasuredData() {
+    measuredText = null;
+    measuredData = null;
+    document.getElementById('measuredFile').value = '';
+    document.getElementById('measuredStatus').textContent = '';
+    if (simulationData.time) plotResults();
+    displayFitMetrics();
+}
+
+/**
+ * Datasets de los datos medidos, interpolados sobre la rejilla de tiempo de la simulación.
+ * Fuera del intervalo medido quedan huecos.
+ * @param {number[]} time - Tiempos de la simulación.
+ * @returns {object[]} Datasets de Chart.js (vacío sin datos medidos).
+ */
+function measuredDatasets(time) {
+    if (!measuredData || !time) return [];
+    const resample = (values) => PIDEngine.resampleSignal(measuredData.time, values, time).map(v => (isFinite(v) ? v : null));
+    const datasets = [{
+        label: 'Salida Medida',
+        data: resample(measuredData.output),
+        borderColor: '#10b981',
+        borderWidth: 2,
+        pointRadius: 0,
+        yAxisID: 'y'
+    }];
+    if (measuredData.reference) {
+        datasets.push({
+            label: 'Referencia Medida',
+            data: resample(measuredData.reference),
+            borderColor: '#10b981',
+            borderDash: [5, 5],
+            borderWidth: 1.5,
+            pointRadius: 0,
+            yAxisID: 'y'
+        });
+    }
+    if (measuredData.control) {
+        datasets.push({
+            label: 'Control Medido',
+            data: resample(measuredData.control),
+            borderColor: '#14b8a6',
+            borderDash: [2, 2],
+            borderWidth: 1.5,
+            pointRadius: 0,
+            hidden: true,
+            yAxisID: 'y1'
+        });
+    }
+    return datasets;
+}
+
+/**
+ * Muestra el ajuste entre la salida medida y la simulada (RMSE, ajuste NRMSE y
+ * desviación máxima) en el intervalo común de ambas.
+ */
+function displayFitMetrics() {
+    const panel = document.getElementById('fitMetrics');
+    const { time, output } = simulationData;
+    if (!measuredData || !time) {
+        panel.classList.add('hidden');
+        return;
+    }
+    panel.classList.remove('hidden');
+
+    const measured = PIDEngine.resampleSignal(measuredData.time, measuredData.output, time);
+    const fit = PIDEngine.fitMetrics(measured, output, time);
+    if (!fit) {
+        document.getElementById('fitWindow').textContent = 'Los datos medidos no se solapan con el intervalo simulado.';
+        ['fitRmse', 'fitPercent', 'fitMaxDeviation', 'fitMaxDeviationTime'].forEach(id => {
+            document.getElementById(id).textContent = '-';
+        });
+        return;
+    }
+    const common = time.filter((t, i) => isFinite(measured[i]) && isFinite(output[i]));
+    document.getElementById('fitWindow').textContent =
+        `Comparado en ${fit.samples} muestras, de t = ${common[0].toFixed(2)} s a t = ${common[common.length - 1].toFixed(2)} s.`;
+    document.getElementById('fitRmse').textContent = fit.rmse.toPrecision(3);
+    document.getElementById('fitPercent').textContent = fit.fit === null ? '-' : `${fit.fit.toFixed(1)}%`;
+    document.getElementById('fitMaxDeviation').textContent = fit.maxDeviation.toPrecision(3);
+    document.getElementById('fitMaxDeviationTime').textContent = `t = ${fit.maxDeviationTime.toFixed(2)} s`;
+}
+
+/**
+ * Calculates and displays key performance metrics from the simulation data, and the
+ * stability margins of the loop. Time metrics are hidden when the closed loop is unstable.
+ * With disturbances, the setpoint metrics only use the response before the first one starts.
  * @param {object} data - The simulation data object.
+ * @param {object} config - Configuración simulada, ver `readSimulationConfig`.
  */
-function displayMetrics(data) {
-    const { time, output, reference } = data;
+function displayMetrics(data, config) {
+    // La respuesta al escalón se analiza desde t0 hasta la primera perturbación
+    const stepTime = config.reference.startTime || 0;
+    const startTime = disturbanceStartTime(config);
+    const from = Math.max(0, data.time.findIndex(t => t >= stepTime));
+    const to = startTime > stepTime ? Math.max(from + 1, data.time.findIndex(t => t >= startTime)) : data.time.length;
+    const [time, output, reference] = [data.time, data.output, data.reference].map(signal => signal.slice(from, to));
+
+    if (!displayStabilityMetrics(config)) {
+        ['overshoot', 'riseTime', 'settlingTime', 'steadyStateError'].forEach(id => {
+            document.getElementById(id).textContent = '-';
+        });
+        document.getElementById('rejectionMetrics').classList.add('hidden');
+        document.getElementById('loopMetrics').classList.add('hidden');
+        measuredMetrics = null;
+        return;
+    }
+    displayRejectionMetrics(data, startTime);
+    displayLoopMetrics(data, config, startTime);
 
     // Métricas del sistema
     let overshoot = 0;
@@ -682,33 +2745,36 @@ function displayMetrics(data) {
     let riseTime = '-';
     let steadyStateError = '-';
 
+    // El escalón puede partir de un valor inicial y empezar en t0: los tiempos se miden desde t0
     const finalValue = reference[reference.length - 1];
-    const peakValue = Math.max(...output);
+    const initialValue = config.reference.initialValue || 0;
+    const change = finalValue - initialValue;
+    const direction = change < 0 ? -1 : 1;
+    const peakValue = direction > 0 ? Math.max(...output) : Math.min(...output);
 
-    if (finalValue > 0) {
-        overshoot = (peakValue - finalValue) / finalValue * 100;
+    if (change !== 0) {
+        overshoot = direction * (peakValue - finalValue) / Math.abs(change) * 100;
         if (overshoot < 0) overshoot = 0; // No overshoot si es menor que el valor final
     }
 
     // Calcular Settling Time (criterio 5%)
-    const tolerance = 0.05 * finalValue;
+    const tolerance = 0.05 * Math.abs(change);
     let isSettling = false;
     for (let i = output.length - 1; i >= 0; i--) {
         if (Math.abs(output[i] - finalValue) > tolerance) {
-            settlingTime = time[i];
+            settlingTime = time[i] - stepTime;
             isSettling = true;
             break;
         }
     }
-    if (!isSettling) settlingTime = time[time.length - 1]; // si no se estabiliza
+    if (!isSettling) settlingTime = time[time.length - 1] - stepTime; // si no se estabiliza
 
     // Calcular Rise Time (10% a 90%)
     let t10 = -1, t90 = -1;
-    const val10 = 0.1 * finalValue;
-    const val90 = 0.9 * finalValue;
+    const progress = (value) => direction * (value - initialValue);
     for (let i = 0; i < output.length; i++) {
-        if (t10 === -1 && output[i] >= val10) t10 = time[i];
-        if (t90 === -1 && output[i] >= val90) t90 = time[i];
+        if (t10 === -1 && progress(output[i]) >= 0.1 * Math.abs(change)) t10 = time[i];
+        if (t90 === -1 && progress(output[i]) >= 0.9 * Math.abs(change)) t90 = time[i];
         if (t10 !== -1 && t90 !== -1) break;
     }
     if (t10 !== -1 && t90 !== -1) {
@@ -725,66 +2791,152 @@ function displayMetrics(data) {
     document.getElementById('riseTime').textContent = riseTime !== '-' ? `${riseTime.toFixed(2)}s` : '-';
     document.getElementById('settlingTime').textContent = settlingTime !== '-' ? `${settlingTime.toFixed(2)}s` : '-';
     document.getElementById('steadyStateError').textContent = steadyStateError.toFixed(2);
+
+    measuredMetrics = {
+        overshoot,
+        peakTime: overshoot > 0 ? time[output.indexOf(peakValue)] - stepTime : null,
+        settlingTime: isSettling ? settlingTime : null,
+        isStep: config.reference.type === 'step'
+    };
+}
+
+/**
+ * Muestra las métricas de rechazo de perturbaciones, medidas sobre r - y desde t0.
+ * @param {object} data - Señales de la simulación.
+ * @param {number|null} startTime - Inicio de la primera perturbación, ver `disturbanceStartTime`.
+ */
+function displayRejectionMetrics(data, startTime) {
+    const panel = document.getElementById('rejectionMetrics');
+    const metrics = startTime === null ? null : PIDEngine.disturbanceRejectionMetrics(data, { startTime });
+    panel.classList.toggle('hidden', !metrics);
+    if (!metrics) return;
+
+    document.getElementById('rejectionWindow').textContent = startTime > 0
+        ? `Medido sobre r − y desde t0 = ${startTime} s.`
+        : 'Medido sobre r − y desde t = 0 s: incluye la respuesta a la referencia.';
+    document.getElementById('rejectionPeak').textContent = metrics.peakDeviation.toFixed(3);
+    document.getElementById('rejectionPeakTime').textContent = `t0 + ${metrics.peakTime.toFixed(2)} s`;
+    document.getElementById('rejectionRecovery').textContent = metrics.recoveryTime === null ? 'No se recupera' : `${metrics.recoveryTime.toFixed(2)}s`;
+    document.getElementById('rejectionIae').textContent = metrics.iae.toFixed(3);
+    document.getElementById('rejectionRms').textContent = metrics.rms.toFixed(4);
+}
+
+/**
+ * Muestra las métricas de cada lazo de una arquitectura multilazo, ver
+ * `PIDEngine.architectureLoopMetrics`: la respuesta a la referencia hasta la primera
+ * perturbación y la desviación máxima desde ella.
+ * @param {object} data - Señales de la simulación.
+ * @param {object} config - Configuración simulada, ver `readSimulationConfig`.
+ * @param {number|null} startTime - Inicio de la primera perturbación, ver `disturbanceStartTime`.
+ */
+function displayLoopMetrics(data, config, startTime) {
+    const panel = document.getElementById('loopMetrics');
+    panel.classList.toggle('hidden', !config.architecture);
+    if (!config.architecture) return;
+
+    const { type } = config.architecture;
+    const loops = PIDEngine.architectureLoopMetrics(data, type, {
+        startTime: config.reference.startTime || 0,
+        initialValue: config.reference.initialValue || 0,
+        disturbanceTime: startTime
+    });
+    const format = (value, digits, unit = '') => (value === null || value === undefined ? '-' : `${value.toFixed(digits)}${unit}`);
+    document.getElementById('loopMetricsWindow').textContent = startTime === null
+        ? 'Sin perturbaciones: solo se mide la respuesta a la referencia.'
+        : `Respuesta a la referencia hasta t0 = ${startTime} s y rechazo de perturbaciones desde t0.`;
+    document.getElementById('loopMetricsBody').innerHTML = loops.map(({ loop, overshoot, settlingTime, iae, rejection }) => `
+        <tr>
+            <td class="py-1">${ARCHITECTURE_DETAILS[type].loops[loop]}</td>
+            <td class="py-1">${format(overshoot, 1, '%')}</td>
+            <td class="py-1">${format(settlingTime, 2, 's')}</td>
+            <td class="py-1">${iae.toFixed(3)}</td>
+            <td class="py-1">${rejection ? rejection.peakDeviation.toFixed(3) : '-'}</td>
+            <td class="py-1">${!rejection ? '-' : rejection.recoveryTime === null ? 'No se recupera' : `${rejection.recoveryTime.toFixed(2)}s`}</td>
+        </tr>`).join('');
+}
+
+/**
+ * Muestra los márgenes de estabilidad y el aviso de lazo cerrado inestable.
+ * Con retardo, los polos se calculan con la aproximación de Padé elegida.
+ * @param {object} config - Configuración simulada, ver `readSimulationConfig`.
+ * @returns {boolean} True si el lazo cerrado es estable.
+ */
+function displayStabilityMetrics(config) {
+    const padeOrder = parseInt(document.getElementById('padeOrder').value, 10);
+    const plant = loopPlant(config);
+    const loop = PIDEngine.closedLoopPoles(plant, config.controller, padeOrder);
+    const margins = PIDEngine.stabilityMargins(plant, config.controller);
+    const frequencyText = (w) => (w === null ? '-' : `ω = ${w.toFixed(3)} rad/s`);
+
+    document.getElementById('gainMargin').textContent = isFinite(margins.gainMarginDb) ? `${margins.gainMarginDb.toFixed(2)} dB` : '∞';
+    document.getElementById('phaseCrossover').textContent = frequencyText(margins.phaseCrossover);
+    document.getElementById('phaseMargin').textContent = isFinite(margins.phaseMargin) ? `${margins.phaseMargin.toFixed(1)}°` : '∞';
+    document.getElementById('gainCrossover').textContent = frequencyText(margins.gainCrossover);
+    document.getElementById('delayMargin').textContent = isFinite(margins.delayMargin) ? `${margins.delayMargin.toFixed(3)}s` : '∞';
+    document.getElementById('maxSensitivity').textContent = `${margins.ms.toFixed(2)} (${(20 * Math.log10(margins.ms)).toFixed(1)} dB)`;
+    document.getElementById('bandwidth').textContent = margins.bandwidth === null ? '-' : `${margins.bandwidth.toFixed(3)} rad/s`;
+
+    const warning = document.getElementById('stabilityWarning');
+    if (loop.stable) {
+        warning.classList.add('hidden');
+        return true;
+    }
+    // Ms y ancho de banda solo describen un lazo cerrado estable
+    ['maxSensitivity', 'bandwidth'].forEach(id => {
+        document.getElementById(id).textContent = '-';
+    });
+    const maxReal = Math.max(...loop.poles.map(p => p.re));
+    document.getElementById('stabilityWarningText').textContent = maxReal > 1e-9
+        ? `Lazo cerrado inestable: hay polos con parte real positiva (máx. Re = ${maxReal.toFixed(3)}). Las métricas temporales no tienen sentido para una respuesta que diverge.`
+        : 'Lazo cerrado marginalmente estable: hay polos sobre el eje imaginario y la respuesta no converge.';
+    warning.classList.remove('hidden');
+    return false;
 }
 
 /**
  * Updates the plant block in the diagram to display a nicely formatted transfer function.
  */
 function updatePlantDisplay() {
-    const numStr = document.getElementById('numerator').value;
-    const denStr = document.getElementById('denominator').value;
-    const numerator = numStr.split(',').map(s => s.trim());
-    const denominator = denStr.split(',').map(s => s.trim());
+    // Genera la representación de la función de transferencia, con las expresiones ya expandidas
+    const transferFunction = readPlantTransferFunction();
+    const num_html = transferFunction ? formatPolynomial(transferFunction.numerator) : '?';
+    const den_html = transferFunction ? formatPolynomial(transferFunction.denominator) : '?';
 
-    // Genera la representación de la función de transferencia
-    const num_html = numerator.length > 1 ? `(${numerator.join('s + ')})` : numerator[0];
-    const den_html = denominator.length > 1 ? `(${denominator.join('s + ')})` : denominator[0];
+    // Tiempo muerto como factor e^{-θs} junto a la fracción
+    const delay = transferFunction ? transferFunction.delay : 0;
+    const delay_html = delay > 0 ? `<span class="text-xs ml-1">e<sup>-${parseFloat(delay.toFixed(3))}s</sup></span>` : '';
 
+    // En la cascada, G(s) es la sección externa G₂ que sigue al lazo interno
+    const name = document.getElementById('architecture').value === 'cascade' ? 'G₂(s)' : 'G(s)';
     const plantDisplay = document.getElementById('plant-display');
     plantDisplay.innerHTML = `
-        <div class="text-xs text-center text-blue-300">G(s) =</div>
-        <div class="text-sm font-semibold text-white mt-1">
-            <span class="numerator-display">${num_html}</span>
-            <hr class="border-white my-0.5" />
-            <span class="denominator-display">${den_html}</span>
+        <div class="text-xs text-center text-blue-300">${name} =</div>
+        <div class="flex items-center mt-1">
+            <div class="text-sm font-semibold text-white">
+                <span class="numerator-display">${num_html}</span>
+                <hr class="border-white my-0.5" />
+                <span class="denominator-display">${den_html}</span>
+            </div>
+            ${delay_html}
         </div>
     `;
+
+    // Ku y Tu teóricos dependen solo de la planta
+    updateAnalyticalUltimateGain();
 }
 
 /**
  * Maneja el cambio de modelo de planta predefinido.
  */
 function handlePlantModelChange() {
-    const model = document.getElementById('plantModel').value;
-    const numInput = document.getElementById('numerator');
-    const denInput = document.getElementById('denominator');
-    const customParamsDiv = document.getElementById('customPlantParams');
-
-    switch (model) {
-        case 'motorDC':
-            numInput.value = '1';
-            denInput.value = '1, 10, 20';
-            customParamsDiv.classList.remove('hidden');
-            break;
-        case 'termico':
-            numInput.value = '1';
-            denInput.value = '10, 1';
-            customParamsDiv.classList.remove('hidden');
-            break;
-        case 'masa-resorte':
-            numInput.value = '1';
-            denInput.value = '1, 0.5, 1';
-            customParamsDiv.classList.remove('hidden');
-            break;
-        case 'tanque':
-            numInput.value = '1';
-            denInput.value = '10, 1';
-            customParamsDiv.classList.remove('hidden');
-            break;
-        case 'custom':
-            customParamsDiv.classList.remove('hidden');
-            break;
+    // Plantas predefinidas: G(s) se deriva de los parámetros físicos; 'custom' deja los coeficientes
+    const preset = PLANT_PRESETS[document.getElementById('plantModel').value];
+    if (preset) {
+        document.getElementById('delay').value = String(preset.delay);
+        renderPlantParams();
+        applyPlantParameters();
     }
+    updatePlantParamsVisibility();
     updatePlantDisplay();
     runSimulation();
 }
@@ -794,8 +2946,13 @@ function handlePlantModelChange() {
  */
 function saveConfig() {
     const config = {
+        plantModel: document.getElementById('plantModel').value,
+        plantParameters: document.getElementById('plantModel').value in PLANT_PRESETS ? readPlantParameters() : null,
         numerator: document.getElementById('numerator').value,
         denominator: document.getElementById('denominator').value,
+        tfParameters: document.getElementById('tfParameters').value,
+        delay: document.getElementById('delay').value,
+        padeOrder: document.getElementById('padeOrder').value,
         kp: document.getElementById('kpSlider').value,
         ki: document.getElementById('kiSlider').value,
         kd: document.getElementById('kdSlider').value,
@@ -804,10 +2961,60 @@ function saveConfig() {
         controlType: document.getElementById('controlType').value,
         amplitude: document.getElementById('amplitude').value,
         frequency: document.getElementById('frequency').value,
+        initialValue: document.getElementById('initialValue').value,
+        referenceStart: document.getElementById('referenceStart').value,
+        rampSlope: document.getElementById('rampSlope').value,
+        trapezoidRise: document.getElementById('trapezoidRise').value,
+        trapezoidHold: document.getElementById('trapezoidHold').value,
+        trapezoidFall: document.getElementById('trapezoidFall').value,
+        endFrequency: document.getElementById('endFrequency').value,
+        chirpDuration: document.getElementById('chirpDuration').value,
+        prbsBitTime: document.getElementById('prbsBitTime').value,
+        prbsOrder: document.getElementById('prbsOrder').value,
+        referencePoints,
         antiWindup: document.getElementById('antiWindup').value,
+        trackingTime: document.getElementById('trackingTime').value,
+        uMin: document.getElementById('uMin').value,
+        uMax: document.getElementById('uMax').value,
+        rateLimit: document.getElementById('rateLimit').value,
         derivativeFilter: document.getElementById('derivativeFilter').value,
-        disturbance: document.getElementById('disturbance').value,
+        filterCoefficient: document.getElementById('filterCoefficient').value,
+        derivativeOn: document.getElementById('derivativeOn').value,
+        pidForm: document.getElementById('pidForm').value,
+        setpointWeight: document.getElementById('setpointWeight').value,
+        derivativeWeight: document.getElementById('derivativeWeight').value,
+        prefilterNumerator: document.getElementById('prefilterNumerator').value,
+        prefilterDenominator: document.getElementById('prefilterDenominator').value,
+        samplePeriod: document.getElementById('samplePeriod').value,
+        computationDelay: document.getElementById('computationDelay').value,
+        discretization: document.getElementById('discretization').value,
+        prewarpFrequency: document.getElementById('prewarpFrequency').value,
+        adcBits: document.getElementById('adcBits').value,
+        adcMin: document.getElementById('adcMin').value,
+        adcMax: document.getElementById('adcMax').value,
+        dacBits: document.getElementById('dacBits').value,
+        dacMin: document.getElementById('dacMin').value,
+        dacMax: document.getElementById('dacMax').value,
+        compareContinuous: document.getElementById('compareContinuous').checked,
+        noiseSeed: document.getElementById('noiseSeed').value,
+        csvDelimiter: document.getElementById('csvDelimiter').value,
+        csvDecimalComma: document.getElementById('csvDecimalComma').checked,
+        csvTimeColumn: document.getElementById('csvTimeColumn').value,
+        csvReferenceColumn: document.getElementById('csvReferenceColumn').value,
+        csvOutputColumn: document.getElementById('csvOutputColumn').value,
+        csvControlColumn: document.getElementById('csvControlColumn').value,
+        solver: document.getElementById('solver').value,
+        rtol: document.getElementById('rtol').value,
+        atol: document.getElementById('atol').value,
     };
+    ARCHITECTURE_FIELDS.forEach(id => {
+        config[id] = document.getElementById(id).value;
+    });
+    [...Object.values(DISTURBANCE_CHANNELS), MEASURED_DISTURBANCE].forEach(prefix => {
+        ['Type', 'Amplitude', 'Start', 'Duration', 'Frequency', 'CorrelationTime'].forEach(field => {
+            config[`${prefix}${field}`] = document.getElementById(`${prefix}${field}`).value;
+        });
+    });
     localStorage.setItem('pidConfig', JSON.stringify(config));
     alert('Configuración guardada!');
 }
@@ -820,8 +3027,23 @@ function loadConfig() {
     if (savedConfig) {
         const config = JSON.parse(savedConfig);
 
+        document.getElementById('plantModel').value = config.plantModel || 'custom';
         document.getElementById('numerator').value = config.numerator;
         document.getElementById('denominator').value = config.denominator;
+        document.getElementById('tfParameters').value = config.tfParameters || '';
+        document.getElementById('delay').value = config.delay || '0';
+        if (config.plantModel in PLANT_PRESETS) {
+            renderPlantParams(config.plantParameters || {});
+            applyPlantParameters();
+        }
+        updatePlantParamsVisibility();
+        document.getElementById('padeOrder').value = config.padeOrder || '3';
+        // El diagrama de la arquitectura se redibuja antes de poner los valores de los sliders
+        ARCHITECTURE_FIELDS.forEach(id => {
+            if (config[id] !== undefined) document.getElementById(id).value = config[id];
+        });
+        if (config.architecture === undefined) document.getElementById('architecture').value = 'single';
+        renderArchitectureDiagram();
         document.getElementById('kpSlider').value = config.kp;
         document.getElementById('kiSlider').value = config.ki;
         document.getElementById('kdSlider').value = config.kd;
@@ -830,18 +3052,80 @@ function loadConfig() {
         document.getElementById('controlType').value = config.controlType;
         document.getElementById('amplitude').value = config.amplitude;
         document.getElementById('frequency').value = config.frequency;
+        document.getElementById('initialValue').value = config.initialValue || '0';
+        document.getElementById('referenceStart').value = config.referenceStart || '0';
+        document.getElementById('rampSlope').value = config.rampSlope || '0.2';
+        document.getElementById('trapezoidRise').value = config.trapezoidRise || '2';
+        document.getElementById('trapezoidHold').value = config.trapezoidHold || '6';
+        document.getElementById('trapezoidFall').value = config.trapezoidFall || '2';
+        document.getElementById('endFrequency').value = config.endFrequency || '1';
+        document.getElementById('chirpDuration').value = config.chirpDuration || '20';
+        document.getElementById('prbsBitTime').value = config.prbsBitTime || '1';
+        document.getElementById('prbsOrder').value = config.prbsOrder || '7';
+        if (Array.isArray(config.referencePoints) && config.referencePoints.length > 0) {
+            referencePoints = config.referencePoints;
+        }
+        renderPiecewiseTable();
         document.getElementById('antiWindup').value = config.antiWindup;
+        document.getElementById('trackingTime').value = config.trackingTime || '';
+        document.getElementById('uMin').value = config.uMin || '';
+        document.getElementById('uMax').value = config.uMax || '';
+        document.getElementById('rateLimit').value = config.rateLimit || '';
         document.getElementById('derivativeFilter').value = config.derivativeFilter;
-        document.getElementById('disturbance').value = config.disturbance;
+        document.getElementById('filterCoefficient').value = config.filterCoefficient || '10';
+        document.getElementById('derivativeOn').value = config.derivativeOn || 'error';
+        document.getElementById('pidForm').value = config.pidForm || 'parallel';
+        document.getElementById('setpointWeight').value = config.setpointWeight || '1';
+        document.getElementById('derivativeWeight').value = config.derivativeWeight || '1';
+        document.getElementById('prefilterNumerator').value = config.prefilterNumerator || '';
+        document.getElementById('prefilterDenominator').value = config.prefilterDenominator || '';
+        document.getElementById('samplePeriod').value = config.samplePeriod || '';
+        document.getElementById('computationDelay').value = config.computationDelay || '0';
+        document.getElementById('discretization').value = config.discretization || 'backwardEuler';
+        document.getElementById('prewarpFrequency').value = config.prewarpFrequency || '';
+        document.getElementById('adcBits').value = config.adcBits || '';
+        document.getElementById('adcMin').value = config.adcMin || '-2';
+        document.getElementById('adcMax').value = config.adcMax || '2';
+        document.getElementById('dacBits').value = config.dacBits || '';
+        document.getElementById('dacMin').value = config.dacMin || '-10';
+        document.getElementById('dacMax').value = config.dacMax || '10';
+        document.getElementById('compareContinuous').checked = config.compareContinuous !== false;
+        document.getElementById('noiseSeed').value = config.noiseSeed || '1';
+        document.getElementById('csvDelimiter').value = config.csvDelimiter || 'auto';
+        document.getElementById('csvDecimalComma').checked = config.csvDecimalComma === true;
+        document.getElementById('csvTimeColumn').value = config.csvTimeColumn || '1';
+        document.getElementById('csvReferenceColumn').value = config.csvReferenceColumn !== undefined ? config.csvReferenceColumn : '2';
+        document.getElementById('csvOutputColumn').value = config.csvOutputColumn || '3';
+        document.getElementById('csvControlColumn').value = config.csvControlColumn || '';
+        document.getElementById('solver').value = config.solver || 'rk4';
+        document.getElementById('rtol').value = config.rtol || '1e-6';
+        document.getElementById('atol').value = config.atol || '1e-9';
 
         // Actualizar valores de display
         document.getElementById('kpValue').textContent = config.kp;
         document.getElementById('kiValue').textContent = config.ki;
         document.getElementById('kdValue').textContent = config.kd;
-        document.getElementById('disturbanceValue').textContent = `${(config.disturbance * 100).toFixed(0)}%`;
+
+        [...Object.values(DISTURBANCE_CHANNELS), MEASURED_DISTURBANCE].forEach(prefix => {
+            ['Type', 'Amplitude', 'Start', 'Duration', 'Frequency', 'CorrelationTime'].forEach(field => {
+                const value = config[`${prefix}${field}`];
+                if (value !== undefined) document.getElementById(`${prefix}${field}`).value = value;
+            });
+            if (config[`${prefix}Type`] === undefined) document.getElementById(`${prefix}Type`).value = 'none';
+            updateDisturbanceFields(prefix);
+        });
+
+        document.getElementById('toleranceGroup').style.display = config.solver === 'rk45' ? 'grid' : 'none';
 
         handleControlTypeChange();
+        updateTrackingTimeVisibility();
+        updateFilterCoefficientVisibility();
+        updatePrewarpVisibility();
+        updateDerivativeWeightState();
+        updatePidFormHint();
+        syncIsaTimes();
         updatePlantDisplay();
+        loadMeasuredData();
         runSimulation();
         alert('Configuración cargada!');
     } else {
@@ -849,91 +3133,363 @@ function loadConfig() {
     }
 }
 
+/**
+ * Inicia el proceso de sintonía del método elegido: Ziegler-Nichols usa el experimento
+ * en lazo cerrado (Ku, Tu); los demás métodos usan la curva de reacción en lazo abierto.
+ */
+function startTuning() {
+    if (document.getElementById('tuningMethod').value === 'ziegler-nichols') {
+        startZieglerNicholsTuning();
+    } else {
+        startStepTestTuning();
+    }
+}
+
+/**
+ * Cambia de método de sintonía. Si un proceso ya está abierto, muestra los controles
+ * del nuevo método; entre métodos FOPDT solo se recalculan las sugerencias.
+ */
+function handleTuningMethodChange() {
+    const znOpen = !document.getElementById('tuningControls').classList.contains('hidden');
+    const stepTestOpen = !document.getElementById('stepTestControls').classList.contains('hidden');
+    const isZN = document.getElementById('tuningMethod').value === 'ziegler-nichols';
+
+    if (stepTestOpen && !isZN) {
+        updateLambdaVisibility();
+        showStepTestSuggestions();
+    } else if (znOpen || stepTestOpen) {
+        startTuning();
+    }
+}
+
 /**
  * Inicia el proceso de sintonía de Ziegler-Nichols.
  */
 function startZieglerNicholsTuning() {
+    document.getElementById('stepTestControls').classList.add('hidden');
     document.getElementById('tuningControls').classList.remove('hidden');
     document.getElementById('tuningKpSlider').value = 0;
     document.getElementById('tuningKpValue').textContent = '0';
     document.getElementById('kuValue').textContent = '-';
     document.getElementById('tuValue').textContent = '-';
+    document.getElementById('tuningStatus').textContent =
+        'Aumenta Kp (con Ki = Kd = 0) hasta ver una oscilación sostenida, o usa la búsqueda automática.';
+    document.getElementById('tuningSuggestions').innerHTML = '';
+    updateAnalyticalUltimateGain();
+}
+
+/**
+ * Calcula Ku y Tu teóricos a partir de la función de transferencia de la planta
+ * (cruce de los polos de lazo cerrado por el eje imaginario) y los muestra junto a los simulados.
+ * Si la planta tiene retardo, se usa su aproximación de Padé del orden elegido.
+ */
+function updateAnalyticalUltimateGain() {
+    const transferFunction = readPlantTransferFunction();
+    const kuAnalytic = document.getElementById('kuAnalytic');
+    const tuAnalytic = document.getElementById('tuAnalytic');
+    const note = document.getElementById('analyticNote');
+
+    if (!transferFunction) {
+        kuAnalytic.textContent = '-';
+        tuAnalytic.textContent = '-';
+        note.textContent = '';
+        return;
+    }
+
+    const delay = transferFunction.delay;
+    const padeOrder = parseInt(document.getElementById('padeOrder').value, 10);
+    const model = PIDEngine.rationalPlantModel(transferFunction, padeOrder);
+    const result = PIDEngine.ultimateGainFromModel(model.numerator, model.denominator);
+    if (result.finite) {
+        kuAnalytic.textContent = result.ku.toFixed(3);
+        tuAnalytic.textContent = result.tu.toFixed(3);
+        note.textContent = `Los polos de lazo cerrado cruzan el eje imaginario en ω = ${result.wu.toFixed(3)} rad/s.` +
+            (delay > 0 ? ` Retardo aproximado con Padé de orden ${padeOrder}.` : '');
+    } else {
+        kuAnalytic.textContent = '∞';
+        tuAnalytic.textContent = '-';
+        note.textContent = {
+            'zero-gain': 'La ganancia de la planta es cero.',
+            'unstable': 'Sin Ku: el lazo cerrado es inestable incluso con ganancias muy pequeñas.',
+            'no-crossing': 'Sin Ku finito: los polos de lazo cerrado nunca cruzan el eje imaginario (p. ej. plantas de primer orden).'
+        }[result.reason];
+    }
 }
 
 /**
  * Maneja los cambios del slider de Kp para la sintonía de Z-N.
+ * Ejecuta el experimento en lazo cerrado con control solo proporcional y analiza la oscilación.
  */
 function handleZnKpChange() {
     const kp = parseFloat(document.getElementById('tuningKpSlider').value);
     document.getElementById('tuningKpValue').textContent = kp.toFixed(1);
 
-    // Aquí iría la lógica para encontrar Ku y Tu
-    // Por ahora solo actualizamos los valores de ejemplo
-    if (kp > 5) {
-        document.getElementById('kuValue').textContent = kp.toFixed(1);
-        document.getElementById('tuValue').textContent = (2.5 + Math.random()).toFixed(2);
+    // Experimento de Z-N: solo acción proporcional
+    setPIDGains(kp, 0, 0);
+    document.getElementById('controlType').value = 'step';
+    updateReferenceFields();
+
+    runSimulation().then(done => {
+        if (!done) return;
+
+        const oscillation = findTu(simulationData.output, simulationData.time);
+        const status = document.getElementById('tuningStatus');
+        if (oscillation.sustained) {
+            document.getElementById('kuValue').textContent = kp.toFixed(2);
+            document.getElementById('tuValue').textContent = oscillation.period.toFixed(3);
+            status.textContent = 'Oscilación sostenida: Kp es la ganancia última.';
+            showTuningSuggestions(kp, oscillation.period);
+        } else if (oscillation.growing) {
+            status.textContent = 'La oscilación crece: Kp está por encima de Ku.';
+        } else {
+            status.textContent = 'La respuesta se amortigua: Kp está por debajo de Ku.';
+        }
+    });
+}
+
+/**
+ * Busca Ku y Tu automáticamente (bisección sobre Kp con Ki = Kd = 0) en el worker.
+ */
+function findUltimateGainAutomatically() {
+    const config = readSimulationConfig();
+    const status = document.getElementById('tuningStatus');
+    if (!config) {
+        status.textContent = 'La función de transferencia de la planta no es válida.';
+        return;
     }
+
+    const button = document.getElementById('findKuButton');
+    button.disabled = true;
+    status.textContent = 'Buscando Ku...';
+
+    const onProgress = (fraction) => {
+        status.textContent = `Buscando Ku... ${Math.round(fraction * 100)}%`;
+    };
+
+    tuningRunner.findUltimateGain(config, {}, onProgress)
+        .then(result => {
+            if (!result.found) {
+                document.getElementById('kuValue').textContent = '∞';
+                document.getElementById('tuValue').textContent = '-';
+                document.getElementById('tuningSuggestions').innerHTML = '';
+                status.textContent = 'No se encontró una oscilación sostenida: la planta no tiene Ku finito en la simulación.';
+                return;
+            }
+
+            document.getElementById('kuValue').textContent = result.ku.toFixed(3);
+            document.getElementById('tuValue').textContent = result.tu.toFixed(3);
+            status.textContent = result.sustained
+                ? `Ku encontrado en ${result.iterations} simulaciones.`
+                : 'Ku aproximado: aumenta el tiempo de simulación para confirmar la oscilación sostenida.';
+            showTuningSuggestions(result.ku, result.tu);
+        })
+        .catch(err => {
+            if (!err.cancelled) status.textContent = `Error en la búsqueda: ${err.message}`;
+        })
+        .finally(() => {
+            button.disabled = false;
+        });
 }
 
 /**
  * Analiza la señal de salida para encontrar el período de oscilación (Tu).
+ * Usa la prueba de envolvente de amplitud del motor de simulación.
  * @param {number[]} output - Los datos de salida del sistema.
  * @param {number[]} time - Los datos de tiempo.
+ * @returns {object} Análisis de la oscilación; `period` es Tu cuando `sustained` es verdadero.
  */
 function findTu(output, time) {
-    // Implementación básica para encontrar el período de oscilación
-    // Esto debería mejorarse con un algoritmo más robusto
-    let peaks = [];
-    let prevValue = output[0];
-    let rising = false;
-
-    for (let i = 1; i < output.length; i++) {
-        if (output[i] > prevValue) {
-            rising = true;
-        } else if (output[i] < prevValue && rising) {
-            peaks.push(time[i]);
-            rising = false;
-        }
-        prevValue = output[i];
+    return PIDEngine.analyzeOscillation(time, output);
+}
+
+/**
+ * Muestra las ganancias sugeridas para Ku y Tu con un botón para aplicarlas.
+ * @param {number} Ku - Ganancia Última.
+ * @param {number} Tu - Período Último.
+ */
+function showTuningSuggestions(Ku, Tu) {
+    renderTuningSuggestions(document.getElementById('tuningSuggestions'), 'Ziegler-Nichols', suggestZNPIDValues(Ku, Tu));
+}
+
+/**
+ * Dibuja unas ganancias sugeridas con un botón para aplicarlas.
+ * @param {HTMLElement} container - Contenedor donde se muestran.
+ * @param {string} methodName - Nombre del método de sintonía.
+ * @param {object} gains - { kp, ki, kd }.
+ * @param {string} [note] - Aviso opcional bajo las ganancias.
+ */
+function renderTuningSuggestions(container, methodName, gains, note = '') {
+    const { kp, ki, kd } = gains;
+    container.innerHTML = `
+        <h4 class="font-bold mt-2 text-blue-300">Valores Sugeridos (${methodName}):</h4>
+        <p class="text-sm mt-1">Kp=${kp.toFixed(3)}, Ki=${ki.toFixed(3)}, Kd=${kd.toFixed(3)}</p>
+        ${note ? `<p class="text-xs text-yellow-400 mt-1">${note}</p>` : ''}
+        <button class="btn btn-primary w-full mt-2">
+            <i class="fas fa-check"></i> Aplicar
+        </button>
+    `;
+    container.querySelector('button').addEventListener('click', () => {
+        setPIDGains(kp, ki, kd);
+        runSimulation();
+    });
+}
+
+/**
+ * Inicia la sintonía por curva de reacción (Cohen-Coon, IMC, SIMC, CHR).
+ */
+function startStepTestTuning() {
+    document.getElementById('tuningControls').classList.add('hidden');
+    document.getElementById('stepTestControls').classList.remove('hidden');
+    updateLambdaVisibility();
+    document.getElementById('stepTestStatus').textContent = identifiedModel
+        ? 'Modelo FOPDT de la última prueba de escalón.'
+        : 'Aplica un escalón unitario a la planta sola para identificar K, τ y θ.';
+    showStepTestSuggestions();
+}
+
+/**
+ * Muestra el campo λ solo para las reglas que lo usan (IMC y SIMC).
+ */
+function updateLambdaVisibility() {
+    const method = document.getElementById('tuningMethod').value;
+    document.getElementById('lambdaGroup').classList.toggle('hidden', method !== 'imc' && method !== 'simc');
+}
+
+/**
+ * Ejecuta la prueba de escalón en lazo abierto, ajusta el modelo FOPDT y superpone
+ * la respuesta de la planta y la del modelo en el gráfico principal.
+ */
+function runStepTest() {
+    const config = readSimulationConfig();
+    const status = document.getElementById('stepTestStatus');
+    if (!config) {
+        status.textContent = 'La función de transferencia de la planta no es válida.';
+        return;
+    }
+
+    const button = document.getElementById('runStepTestButton');
+    const method = document.getElementById('identificationMethod').value;
+    button.disabled = true;
+    status.textContent = 'Simulando la planta en lazo abierto...';
+
+    const onProgress = (fraction) => {
+        status.textContent = `Simulando la planta en lazo abierto... ${Math.round(fraction * 100)}%`;
+    };
+
+    tuningRunner.stepTest(config, { stepSize: 1, method }, onProgress)
+        .then(result => {
+            const { model } = result;
+            identificationDatasets = result.output.length === 0 ? [] : [{
+                label: 'Planta en Lazo Abierto (escalón unitario)',
+                data: result.output,
+                borderColor: '#f59e0b',
+                borderWidth: 2,
+                pointRadius: 0,
+                yAxisID: 'y',
+                fill: false
+            }];
+
+            if (model.gain === null) {
+                identifiedModel = null;
+                ['fopdtGain', 'fopdtTau', 'fopdtTheta'].forEach(id => {
+                    document.getElementById(id).textContent = '-';
+                });
+                status.textContent = {
+                    'unstable': 'La planta no es estable en lazo abierto (o es integradora): no se puede ajustar un modelo FOPDT.',
+                    'no-response': 'La salida no responde al escalón.',
+                    'no-rise': 'La respuesta no se parece a la de un sistema de primer orden con retardo.'
+                }[model.reason];
+                showStepTestSuggestions();
+            } else {
+                identifiedModel = model;
+                identificationDatasets.push({
+                    label: `Modelo FOPDT (K=${model.gain.toFixed(3)}, τ=${model.tau.toFixed(3)}, θ=${model.theta.toFixed(3)})`,
+                    data: result.fitted,
+                    borderColor: '#10b981',
+                    borderDash: [8, 4],
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    yAxisID: 'y',
+                    fill: false
+                });
+                document.getElementById('fopdtGain').textContent = model.gain.toFixed(3);
+                document.getElementById('fopdtTau').textContent = model.tau.toFixed(3);
+                document.getElementById('fopdtTheta').textContent = model.theta.toFixed(3);
+                status.textContent = model.settled
+                    ? 'Modelo identificado. Las curvas aparecen en el gráfico de respuesta.'
+                    : 'La respuesta no llegó a estabilizarse: aumenta el tiempo de simulación para un ajuste fiable.';
+                showStepTestSuggestions();
+            }
+
+            // Re-simula para que el gráfico comparta la misma malla de tiempo
+            runSimulation();
+        })
+        .catch(err => {
+            if (!err.cancelled) status.textContent = `Error en la prueba de escalón: ${err.message}`;
+        })
+        .finally(() => {
+            button.disabled = false;
+        });
+}
+
+/**
+ * Calcula y muestra las ganancias de la regla elegida a partir del modelo FOPDT identificado.
+ */
+function showStepTestSuggestions() {
+    const container = document.getElementById('stepTestSuggestions');
+    const methodSelect = document.getElementById('tuningMethod');
+    if (!identifiedModel || methodSelect.value === 'ziegler-nichols') {
+        container.innerHTML = '';
+        return;
     }
 
-    if (peaks.length >= 2) {
-        return peaks[peaks.length - 1] - peaks[peaks.length - 2];
+    const rule = methodSelect.value;
+    const structure = document.getElementById('tuningStructure').value;
+    const lambda = parseFloat(document.getElementById('tuningLambda').value);
+    const gains = PIDEngine.fopdtTuning(identifiedModel, rule, { structure, lambda });
+
+    let note = '';
+    if ((rule === 'cohen-coon' || rule === 'chr') && identifiedModel.theta < 0.05 * identifiedModel.tau) {
+        note = 'El retardo identificado es casi nulo: esta regla da ganancias muy agresivas. Prueba IMC o SIMC.';
+    } else if (rule === 'simc' && structure === 'PID') {
+        note = 'SIMC para un modelo de primer orden da un PI (la acción derivativa es para modelos de segundo orden).';
     }
-    return 0;
+
+    const methodName = `${methodSelect.options[methodSelect.selectedIndex].text}, ${gains.structure}`;
+    renderTuningSuggestions(container, methodName, gains, note);
+}
+
+/**
+ * Fija las ganancias del PID en los sliders, sus etiquetas y los inputs ocultos.
+ * Amplía el rango de un slider si el valor no cabe en él.
+ * @param {number} kp - Ganancia proporcional.
+ * @param {number} ki - Ganancia integral.
+ * @param {number} kd - Ganancia derivativa.
+ */
+function setPIDGains(kp, ki, kd) {
+    Object.entries({ kp, ki, kd }).forEach(([param, value]) => {
+        const slider = document.getElementById(`${param}Slider`);
+        if (value > parseFloat(slider.max)) {
+            slider.max = Math.ceil(value);
+            document.getElementById(`${param}Max`).value = slider.max;
+        }
+        slider.value = value;
+        document.getElementById(`${param}Value`).textContent = parseFloat(value.toFixed(3));
+        document.getElementById(param).value = value;
+    });
+    syncIsaTimes();
 }
 
 /**
  * Sugiere parámetros PID basados en Ku y Tu usando las reglas clásicas de Z-N.
+ * Cohen-Coon, IMC, SIMC y CHR parten del modelo FOPDT, ver `showStepTestSuggestions`.
  * @param {number} Ku - Ganancia Última.
  * @param {number} Tu - Período Último.
  */
 function suggestZNPIDValues(Ku, Tu) {
-    const tuningMethod = document.getElementById('tuningMethod').value;
-    let kp, ki, kd;
-
-    switch (tuningMethod) {
-        case 'ziegler-nichols':
-            kp = 0.6 * Ku;
-            ki = 1.2 * Ku / Tu;
-            kd = 0.075 * Ku * Tu;
-            break;
-        case 'cohen-coon':
-            kp = (0.9 * Ku) / 1.35;
-            ki = (1.35 * Ku) / (2.5 * Tu);
-            kd = (0.27 * Ku * Tu) / 1.35;
-            break;
-        case 'imc':
-            kp = 0.5 * Ku;
-            ki = 0.5 * Ku / Tu;
-            kd = 0.125 * Ku * Tu;
-            break;
-        default:
-            kp = 0.6 * Ku;
-            ki = 1.2 * Ku / Tu;
-            kd = 0.075 * Ku * Tu;
-    }
-
+    const kp = 0.6 * Ku;
+    const ki = 1.2 * Ku / Tu;
+    const kd = 0.075 * Ku * Tu;
     return { kp, ki, kd };
 }
 
@@ -941,7 +3497,7 @@ function suggestZNPIDValues(Ku, Tu) {
  * Crea una animación visual del flujo de señal en el diagrama.
  */
 function animateSignalFlow() {
-    const arrows = document.querySelectorAll('.signal-arrow line, #feedback-signal');
+    const arrows = document.querySelectorAll('.signal-arrow path, .feedback-path');
 
     // Elimina la clase de animación para resetearla
     arrows.forEach(arrow => arrow.classList.remove('animated-arrow'));
@@ -2,9 +2,23 @@ document.addEventListener('DOMContentLoaded', () => {
     const kpInput = document.getElementById('kp');
     const kiInput = document.getElementById('ki');
     const kdInput = document.getElementById('kd');
+    const pidFormInput = document.getElementById('pidForm');
+    const tiInput = document.getElementById('ti');
+    const tdInput = document.getElementById('td');
+    const setpointWeightInput = document.getElementById('setpointWeight');
+    const derivativeWeightInput = document.getElementById('derivativeWeight');
+    const prefilterNumeratorInput = document.getElementById('prefilterNumerator');
+    const prefilterDenominatorInput = document.getElementById('prefilterDenominator');
     const setpointInput = document.getElementById('setpoint');
+    const pendulumModelInput = document.getElementById('pendulumModel');
+    const massInput = document.getElementById('mass');
+    const lengthInput = document.getElementById('length');
+    const dampingInput = document.getElementById('damping');
+    const initialAngleInput = document.getElementById('initialAngle');
+    const delayInput = document.getElementById('delay');
     const timeStepInput = document.getElementById('timeStep');
     const simulationTimeInput = document.getElementById('simulationTime');
+    const solverInput = document.getElementById('solver');
     const simulateBtn = document.getElementById('simulateBtn');
     const resetBtn = document.getElementById('resetBtn');
     const themeToggleBtn = document.getElementById('themeToggle');
@@ -18,23 +32,83 @@ document.addEventListener('DOMContentLoaded', () => {
     let responseChart;
 
     const g = 9.8; // Aceleración de la gravedad
-    const L = 1.0; // Longitud del péndulo (si fuera un péndulo)
-    let theta = 0;
-    let omega = 0;
-    let integralError = 0;
-    let previousError = 0;
-    let time = 0;
-    const timeHistory = [];
-    const systemOutputHistory = [];
-    const controlSignalHistory = [];
-    const referenceSignalHistory = [];
+    let timeHistory = [];
+    let systemOutputHistory = [];
+    let controlSignalHistory = [];
+    let referenceSignalHistory = [];
+    let filteredReferenceHistory = [];
+
+    // Planta del péndulo con par u(t - retardo) en el eje: m L² θ'' = u - b θ' ∓ m g L sen θ.
+    // El modelo linealizado (sen θ ≈ θ) parte del reposo; los no lineales, de θ₀
+    function createPendulumPlant(model, parameters, method, delay) {
+        if (model === 'linear') {
+            const linearized = PIDEngine.linearizeNonlinearPlant({ model: 'pendulum', parameters });
+            return PIDEngine.createPlant({ ...linearized, delay }, { method });
+        }
+        return PIDEngine.createPlant({ model, parameters, delay }, { method });
+    }
+
+    // El ángulo inicial solo se aplica a los modelos no lineales
+    function syncPendulumModel() {
+        initialAngleInput.disabled = pendulumModelInput.value === 'linear';
+    }
+
+    // Forma paralela: Ki y Kd se editan y Ti, Td se derivan; forma ISA: al revés
+    function syncPidForm() {
+        const isa = pidFormInput.value === 'isa';
+        kiInput.disabled = isa;
+        kdInput.disabled = isa;
+        tiInput.disabled = !isa;
+        tdInput.disabled = !isa;
+
+        const kp = parseFloat(kpInput.value);
+        if (isa) {
+            const ti = parseFloat(tiInput.value);
+            const td = parseFloat(tdInput.value);
+            const gains = PIDEngine.isaToParallel({ kp, ti: isFinite(ti) ? ti : Infinity, td: isFinite(td) ? td : 0 });
+            kiInput.value = parseFloat(gains.ki.toPrecision(4));
+            kdInput.value = parseFloat(gains.kd.toPrecision(4));
+        } else {
+            // Con Kp = 0 no hay forma ISA equivalente
+            const isaGains = PIDEngine.parallelToIsa({ kp, ki: parseFloat(kiInput.value), kd: parseFloat(kdInput.value) });
+            tiInput.value = isaGains && isFinite(isaGains.ti) ? parseFloat(isaGains.ti.toPrecision(4)) : '';
+            tdInput.value = isaGains ? parseFloat(isaGains.td.toPrecision(4)) : '';
+        }
+    }
+
+    // Prefiltro de la referencia: ambos campos vacíos = sin prefiltro; undefined si no es válido
+    function readPrefilter() {
+        const numStr = prefilterNumeratorInput.value.trim();
+        const denStr = prefilterDenominatorInput.value.trim();
+        if (!numStr && !denStr) return null;
+
+        const numerator = numStr.split(',').map(s => parseFloat(s.trim()));
+        const denominator = denStr.split(',').map(s => parseFloat(s.trim()));
+        const order = (p) => PIDEngine.trimLeadingZeros(p).length;
+        if (numerator.concat(denominator).some(isNaN) || order(denominator) === 0 || order(numerator) > order(denominator)) {
+            return undefined;
+        }
+        return { numerator, denominator };
+    }
 
     // Lógica para simular el controlador PID
     function simulatePID() {
+        syncPidForm();
         const kp = parseFloat(kpInput.value);
         const ki = parseFloat(kiInput.value);
         const kd = parseFloat(kdInput.value);
+        const setpointWeight = parseFloat(setpointWeightInput.value);
+        const derivativeWeight = parseFloat(derivativeWeightInput.value);
+        const prefilter = readPrefilter();
         const setpoint = parseFloat(setpointInput.value);
+        const parameters = {
+            mass: parseFloat(massInput.value),
+            length: parseFloat(lengthInput.value),
+            damping: parseFloat(dampingInput.value),
+            gravity: g,
+            initialAngle: parseFloat(initialAngleInput.value)
+        };
+        const delay = parseFloat(delayInput.value);
         const timeStep = parseFloat(timeStepInput.value);
         const simulationTime = parseFloat(simulationTimeInput.value);
 
@@ -43,45 +117,42 @@ document.addEventListener('DOMContentLoaded', () => {
             !isFinite(kp) ||
             !isFinite(ki) ||
             !isFinite(kd) ||
+            !isFinite(setpointWeight) ||
+            !isFinite(derivativeWeight) ||
             !isFinite(setpoint) ||
+            !(parameters.mass > 0) ||
+            !(parameters.length > 0) ||
+            !(parameters.damping >= 0) ||
+            !isFinite(parameters.initialAngle) ||
+            !isFinite(delay) ||
+            delay < 0 ||
             !isFinite(timeStep) ||
             !isFinite(simulationTime) ||
             timeStep <= 0 ||
             simulationTime <= 0
         ) {
-            alert('Por favor, ingrese valores numéricos válidos y positivos para el paso de tiempo y la duración.');
+            alert('Por favor, ingrese valores numéricos válidos, masa y longitud positivas, amortiguamiento y retardo no negativos y valores positivos para el paso de tiempo y la duración.');
+            return;
+        }
+        if (prefilter === undefined) {
+            alert('El prefiltro F(s) necesita coeficientes numéricos y no puede tener más ceros que polos.');
             return;
         }
 
-        // Resetear variables de simulación
-        theta = 0;
-        omega = 0;
-        integralError = 0;
-        previousError = 0;
-        time = 0;
-        timeHistory.length = 0;
-        systemOutputHistory.length = 0;
-        controlSignalHistory.length = 0;
-        referenceSignalHistory.length = 0;
-
-        for (let i = 0; i < simulationTime / timeStep; i++) {
-            const error = setpoint - theta;
-            integralError += error * timeStep;
-            const derivativeError = (error - previousError) / timeStep;
-            previousError = error;
-
-            const controlSignal = kp * error + ki * integralError + kd * derivativeError;
-            controlSignalHistory.push(controlSignal);
-
-            const alpha = (-g / L) * theta + controlSignal;
-            omega += alpha * timeStep;
-            theta += omega * timeStep;
+        const result = PIDEngine.simulate({
+            plant: createPendulumPlant(pendulumModelInput.value, parameters, solverInput.value, delay),
+            controller: { kp, ki, kd, setpointWeight, derivativeWeight },
+            reference: { type: 'step', amplitude: setpoint },
+            prefilter,
+            simTime: simulationTime,
+            dt: timeStep
+        });
 
-            time += timeStep;
-            timeHistory.push(time);
-            systemOutputHistory.push(theta);
-            referenceSignalHistory.push(setpoint);
-        }
+        timeHistory = result.time;
+        systemOutputHistory = result.output;
+        controlSignalHistory = result.control;
+        referenceSignalHistory = result.reference;
+        filteredReferenceHistory = result.filteredReference || [];
 
         plotResults();
         calculateMetrics();
@@ -145,6 +216,7 @@ document.addEventListener('DOMContentLoaded', () => {
             responseChart.data.datasets[0].data = systemOutputHistory;
             responseChart.data.datasets[1].data = referenceSignalHistory;
             responseChart.data.datasets[2].data = controlSignalHistory;
+            responseChart.data.datasets[3].data = filteredReferenceHistory;
 
             responseChart.options.scales.x.title.color = chartTextColor;
             responseChart.options.scales.x.ticks.color = chartTextColor;
@@ -185,6 +257,14 @@ document.addEventListener('DOMContentLoaded', () => {
                             backgroundColor: 'transparent',
                             yAxisID: 'y1',
                         },
+                        {
+                            label: 'Referencia Filtrada F(s)',
+                            data: filteredReferenceHistory,
+                            borderColor: secondaryColor,
+                            backgroundColor: 'transparent',
+                            borderDash: [2, 3],
+                            yAxisID: 'y',
+                        },
                     ],
                 },
                 options: chartOptions,
@@ -272,6 +352,7 @@ document.addEventListener('DOMContentLoaded', () => {
             responseChart.data.datasets[0].data = [];
             responseChart.data.datasets[1].data = [];
             responseChart.data.datasets[2].data = [];
+            responseChart.data.datasets[3].data = [];
             responseChart.update();
         }
 
@@ -284,9 +365,23 @@ document.addEventListener('DOMContentLoaded', () => {
         kpInput.value = '1.0';
         kiInput.value = '0.5';
         kdInput.value = '0.2';
+        pidFormInput.value = 'parallel';
+        setpointWeightInput.value = '1.0';
+        derivativeWeightInput.value = '1.0';
+        prefilterNumeratorInput.value = '';
+        prefilterDenominatorInput.value = '';
         setpointInput.value = '1.0';
+        pendulumModelInput.value = 'linear';
+        massInput.value = '1.0';
+        lengthInput.value = '1.0';
+        dampingInput.value = '0.0';
+        initialAngleInput.value = '0.0';
+        delayInput.value = '0.0';
         timeStepInput.value = '0.1';
         simulationTimeInput.value = '20.0';
+        solverInput.value = 'rk4';
+        syncPidForm();
+        syncPendulumModel();
     }
 
     // Alterna el tema de la página y actualiza el gráfico
@@ -306,5 +401,9 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 10);
     });
     resetBtn.addEventListener('click', resetSimulation);
+    [pidFormInput, kpInput, kiInput, kdInput, tiInput, tdInput].forEach(input => {
+        input.addEventListener('input', syncPidForm);
+    });
+    pendulumModelInput.addEventListener('change', syncPendulumModel);
     themeToggleBtn.addEventListener('click', themeToggle);
 });
\ No newline at end of file
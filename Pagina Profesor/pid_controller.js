@@ -11,6 +11,23 @@ let signalPreviewChart = null;
 // Store simulation data globally for easy access by different functions
 let simulationData = {};
 
+// Configuration of the displayed simulation, for the export metadata
+let simulationConfig = null;
+
+// Runs simulations in a Web Worker; every new run cancels the previous one
+const simulationRunner = PIDEngine.createSimulationRunner({
+    workerUrl: '../Motor de Simulacion/simulation_worker.js'
+});
+
+// Id of the latest run, so stale runs do not touch the UI
+let simulationRunId = 0;
+
+// Coalesces the burst of 'input' events fired while a slider is dragged
+const scheduleSimulation = PIDEngine.debounce(() => runSimulation(), 150);
+
+// [time, value] breakpoints of the piecewise reference, edited in its table
+let referencePoints = [[0, 0], [2, 1], [10, 1], [12, 0.5], [20, 0.5]];
+
 /**
  * Initializes the entire application after the DOM is fully loaded.
  * It sets up the diagram, event listeners, and runs an initial simulation.
@@ -113,15 +130,36 @@ function setupEventListeners() {
             const val = slider.value;
             valueSpan.textContent = val;
             input.value = val;
-            runSimulation(); // Re-run simulation on slider change for immediate feedback
+            // In ISA form, Kp scales Ki and Kd while Ti and Td stay fixed
+            if (param === 'kp' && document.getElementById('pidForm').value === 'isa') {
+                applyIsaTimes();
+            } else {
+                syncIsaTimes();
+            }
+            scheduleSimulation(); // Re-run simulation once the slider settles
         });
 
         input.addEventListener('change', () => {
             slider.value = input.value;
             valueSpan.textContent = input.value;
+            syncIsaTimes();
             runSimulation();
         });
     });
+
+    // Controller form and setpoint weighting
+    document.getElementById('pidForm').addEventListener('change', updatePidFormHint);
+    ['integralTime', 'derivativeTime'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            applyIsaTimes();
+            runSimulation();
+        });
+    });
+    ['setpointWeight', 'derivativeWeight', 'prefilterNumerator', 'prefilterDenominator'].forEach(id => {
+        document.getElementById(id).addEventListener('change', runSimulation);
+    });
+    syncIsaTimes();
+    updatePidFormHint();
     
     // NEW: Add listeners for the slider range inputs
     setupSliderRangeListeners();
@@ -135,18 +173,165 @@ function setupEventListeners() {
         updatePlantDisplay();
         runSimulation();
     });
+    document.getElementById('tfParameters').addEventListener('change', () => {
+        updatePlantDisplay();
+        runSimulation();
+    });
+    document.getElementById('delay').addEventListener('change', () => {
+        updatePlantDisplay();
+        runSimulation();
+    });
     
     // Reference signal configuration
     document.getElementById('controlType').addEventListener('change', handleControlTypeChange);
+    ['amplitude', 'frequency', 'initialValue', 'referenceStart', 'rampSlope', 'trapezoidRise', 'trapezoidHold',
+     'trapezoidFall', 'endFrequency', 'chirpDuration', 'prbsBitTime', 'prbsOrder'].forEach(id => {
+        document.getElementById(id).addEventListener('change', runSimulation);
+    });
+    const piecewiseBody = document.getElementById('piecewiseBody');
+    piecewiseBody.addEventListener('change', handlePiecewiseEdit);
+    piecewiseBody.addEventListener('click', handlePiecewiseEdit);
+    document.getElementById('addPiecewisePoint').addEventListener('click', addPiecewisePoint);
+    renderPiecewiseTable();
+    updateReferenceFields();
+
+    // Numerical solver configuration
+    document.getElementById('solver').addEventListener('change', handleSolverChange);
+    ['rtol', 'atol'].forEach(id => document.getElementById(id).addEventListener('change', runSimulation));
 
     // Ziegler-Nichols tuning tool listeners
     document.getElementById('startZnButton').addEventListener('click', startZieglerNicholsTuning);
-    document.getElementById('znKpSlider').addEventListener('input', handleZnKpChange);
+    document.getElementById('znKpSlider').addEventListener('input', PIDEngine.debounce(handleZnKpChange, 150));
+
+    // Export of results, chart and diagram
+    document.getElementById('exportCsv').addEventListener('click', () => exportResults('csv'));
+    document.getElementById('exportJson').addEventListener('click', () => exportResults('json'));
+    document.getElementById('exportChartPng').addEventListener('click', () => exportChart('png'));
+    document.getElementById('exportChartSvg').addEventListener('click', () => exportChart('svg'));
+    document.getElementById('exportDiagramPng').addEventListener('click', () => exportDiagram('png'));
+    document.getElementById('exportDiagramSvg').addEventListener('click', () => exportDiagram('svg'));
 
     // Setup interactivity for the diagram arrows
     setupDiagramInteractivity();
 }
 
+/**
+ * Writes the Ti and Td equivalent to the current parallel gains (an empty Ti means no
+ * integral action). Both are left empty when Kp = 0, which has no ISA equivalent.
+ */
+function syncIsaTimes() {
+    const isa = PIDEngine.parallelToIsa({
+        kp: parseFloat(document.getElementById('kp').value),
+        ki: parseFloat(document.getElementById('ki').value),
+        kd: parseFloat(document.getElementById('kd').value)
+    });
+    document.getElementById('integralTime').value = isa && isFinite(isa.ti) ? parseFloat(isa.ti.toPrecision(4)) : '';
+    document.getElementById('derivativeTime').value = isa ? parseFloat(isa.td.toPrecision(4)) : '';
+}
+
+/**
+ * Converts Ti and Td (with the current Kp) into Ki and Kd and updates their sliders.
+ */
+function applyIsaTimes() {
+    const kp = parseFloat(document.getElementById('kp').value);
+    const ti = parseFloat(document.getElementById('integralTime').value);
+    const td = parseFloat(document.getElementById('derivativeTime').value);
+    const gains = PIDEngine.isaToParallel({ kp, ti: isFinite(ti) ? ti : Infinity, td: isFinite(td) ? td : 0 });
+    ['ki', 'kd'].forEach(param => {
+        const value = parseFloat(gains[param].toFixed(3));
+        const slider = document.getElementById(`${param}Slider`);
+        if (value > parseFloat(slider.max)) {
+            slider.max = Math.ceil(value);
+            document.getElementById(`${param}Max`).value = slider.max;
+        }
+        slider.value = value;
+        document.getElementById(param).value = value;
+        document.getElementById(`${param}Value`).textContent = value;
+    });
+}
+
+/**
+ * Explains which parameters stay fixed when Kp moves in the selected form.
+ */
+function updatePidFormHint() {
+    const isa = document.getElementById('pidForm').value === 'isa';
+    document.getElementById('pidFormHint').textContent = isa
+        ? 'ISA form, C = Kp(1 + 1/(Ti·s) + Td·s): moving Kp keeps Ti and Td (Ki = Kp/Ti, Kd = Kp·Td).'
+        : 'Parallel form, C = Kp + Ki/s + Kd·s: moving Kp keeps Ki and Kd (Ti = Kp/Ki, Td = Kd/Kp).';
+}
+
+/**
+ * Reads the reference prefilter F(s); both fields empty means no prefilter. The fields take
+ * the same expressions and TF parameters as G(s), except a dead time. Errors are shown
+ * under the prefilter fields.
+ * @returns {object|null|undefined} { numerator, denominator }, null without a prefilter,
+ *                                  or undefined when F(s) is invalid.
+ */
+function readPrefilter() {
+    const numStr = document.getElementById('prefilterNumerator').value.trim();
+    const denStr = document.getElementById('prefilterDenominator').value.trim();
+    if (!numStr && !denStr) {
+        showFieldError('prefilterError', null);
+        return null;
+    }
+
+    const fieldNames = { numerator: 'F(s) numerator', denominator: 'F(s) denominator' };
+    try {
+        const parameters = PIDEngine.parseParameters(document.getElementById('tfParameters').value);
+        const { numerator, denominator, delay } = PIDEngine.parsePlantTransferFunction(numStr, denStr, parameters);
+        const message = delay > 0 ? 'Invalid F(s): the prefilter cannot have a dead time.' : null;
+        return showFieldError('prefilterError', message) ? { numerator, denominator } : undefined;
+    } catch (err) {
+        showFieldError('prefilterError', `Invalid ${fieldNames[err.field] || 'F(s)'}: ${err.message}`);
+        return undefined;
+    }
+}
+
+/**
+ * Shows below a group of fields why its values are invalid, or hides the message.
+ * @param {string} id - Id of the group's error paragraph.
+ * @param {string|null} message - Error to show, or null when the values are valid.
+ * @returns {boolean} True when there is no error.
+ */
+function showFieldError(id, message) {
+    const errorText = document.getElementById(id);
+    errorText.textContent = message || '';
+    errorText.style.display = message ? 'block' : 'none';
+    return !message;
+}
+
+/**
+ * Reads the plant G(s). Each field takes a coefficient list ("1, 0.5, 1") or an expression
+ * in s using the TF parameters, e.g. "K/(tau*s+1)", "(s+1)*(s+3)", "zpk([-1], [-2, -3], 5)"
+ * or "e^(-2s)". A dead time written in the expression adds to the θ field. Errors are shown
+ * under the plant fields with their column.
+ * @returns {object|null} { numerator, denominator, delay }, or null when G(s) is invalid.
+ */
+function readPlantTransferFunction() {
+    const errorText = document.getElementById('plantError');
+    const fieldNames = { parameters: 'TF parameters', numerator: 'numerator', denominator: 'denominator' };
+    try {
+        let parameters;
+        try {
+            parameters = PIDEngine.parseParameters(document.getElementById('tfParameters').value);
+        } catch (err) {
+            err.field = 'parameters';
+            throw err;
+        }
+        const { numerator, denominator, delay } = PIDEngine.parsePlantTransferFunction(
+            document.getElementById('numerator').value,
+            document.getElementById('denominator').value,
+            parameters
+        );
+        errorText.style.display = 'none';
+        return { numerator, denominator, delay: delay + Math.max(0, parseFloat(document.getElementById('delay').value) || 0) };
+    } catch (err) {
+        errorText.textContent = `Invalid ${fieldNames[err.field] || 'G(s)'}: ${err.message}`;
+        errorText.style.display = 'block';
+        return null;
+    }
+}
+
 /**
  * NEW: Sets up event listeners for the slider range input fields.
  * This function allows users to dynamically change the min/max of PID sliders.
@@ -192,9 +377,114 @@ function setupSliderRangeListeners() {
  * Handles changes to the reference signal type selector.
  */
 function handleControlTypeChange() {
+    updateReferenceFields();
+    runSimulation();
+}
+
+/**
+ * Shows only the parameters used by the selected reference type.
+ */
+function updateReferenceFields() {
     const type = document.getElementById('controlType').value;
-    const freqGroup = document.getElementById('frequencyGroup');
-    freqGroup.style.display = (type === 'sine' || type === 'square') ? 'block' : 'none';
+    const delayed = ['step', 'ramp', 'trapezoid', 'chirp', 'prbs'].includes(type);
+    const groups = {
+        amplitudeGroup: type !== 'piecewise',
+        frequencyGroup: ['sine', 'square', 'chirp'].includes(type),
+        initialValueGroup: delayed,
+        referenceStartGroup: delayed,
+        rampSlopeGroup: type === 'ramp',
+        trapezoidGroup: type === 'trapezoid',
+        chirpGroup: type === 'chirp',
+        prbsGroup: type === 'prbs',
+        piecewiseGroup: type === 'piecewise'
+    };
+    Object.entries(groups).forEach(([id, visible]) => {
+        const group = document.getElementById(id);
+        group.style.display = visible ? (group.classList.contains('grid') ? 'grid' : 'block') : 'none';
+    });
+}
+
+/**
+ * Renders the breakpoint table of the piecewise reference.
+ */
+function renderPiecewiseTable() {
+    document.getElementById('piecewiseBody').innerHTML = referencePoints.map(([t, value], index) => `
+        <tr>
+            <td class="pr-2"><input type="number" step="any" value="${t}" data-index="${index}" data-column="0"></td>
+            <td class="pr-2"><input type="number" step="any" value="${value}" data-index="${index}" data-column="1"></td>
+            <td><button class="btn btn-secondary text-xs" data-remove="${index}" title="Remove point">&times;</button></td>
+        </tr>`).join('');
+}
+
+/**
+ * Applies table edits to `referencePoints`: cell changes and row removal.
+ * @param {Event} event - The 'change' or 'click' event from the table.
+ */
+function handlePiecewiseEdit(event) {
+    const target = event.target.closest ? event.target.closest('[data-index], [data-remove]') : event.target;
+    if (!target) return;
+    if (event.type === 'click' && target.dataset.remove !== undefined) {
+        if (referencePoints.length <= 1) return;
+        referencePoints.splice(parseInt(target.dataset.remove, 10), 1);
+    } else if (event.type === 'change' && target.dataset.index !== undefined) {
+        referencePoints[parseInt(target.dataset.index, 10)][parseInt(target.dataset.column, 10)] = parseFloat(target.value);
+    } else {
+        return;
+    }
+    renderPiecewiseTable();
+    runSimulation();
+}
+
+/**
+ * Appends a breakpoint to the piecewise sequence, one second after the last one.
+ */
+function addPiecewisePoint() {
+    const [t, value] = referencePoints[referencePoints.length - 1] || [-1, 0];
+    referencePoints.push([(isFinite(t) ? t : 0) + 1, isFinite(value) ? value : 0]);
+    renderPiecewiseTable();
+    runSimulation();
+}
+
+/**
+ * Reads the reference signal from the UI. Blank fields fall back to defaults; a piecewise
+ * sequence without valid points is flagged under its table.
+ * @returns {object|null} Spec for `createReference`, or null when it is invalid.
+ */
+function readReference() {
+    const type = document.getElementById('controlType').value;
+    const number = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isFinite(value) ? value : fallback;
+    };
+
+    const points = referencePoints.filter(([t, value]) => isFinite(t) && isFinite(value));
+    const empty = type === 'piecewise' && points.length === 0;
+    if (!showFieldError('piecewiseError', empty ? 'The sequence needs at least one point with a numeric time and value.' : null)) return null;
+    if (type === 'piecewise') return { type, points };
+    return {
+        type,
+        amplitude: number('amplitude', 1),
+        frequency: number('frequency', 0),
+        initialValue: number('initialValue', 0),
+        startTime: Math.max(0, number('referenceStart', 0)),
+        slope: Math.abs(number('rampSlope', 1)),
+        riseTime: Math.max(0, number('trapezoidRise', 1)),
+        holdTime: Math.max(0, number('trapezoidHold', 1)),
+        fallTime: Math.max(0, number('trapezoidFall', 1)),
+        endFrequency: number('endFrequency', 1),
+        duration: Math.max(1e-6, number('chirpDuration', 10)),
+        bitTime: Math.max(1e-6, number('prbsBitTime', 1)),
+        prbsOrder: Math.min(16, Math.max(3, Math.round(number('prbsOrder', 7))))
+    };
+}
+
+/**
+ * Handles changes to the numerical solver selector.
+ * Tolerances only apply to the adaptive solver.
+ */
+function handleSolverChange() {
+    const solver = document.getElementById('solver').value;
+    document.getElementById('toleranceGroup').style.display = solver === 'rk45' ? 'grid' : 'none';
     runSimulation();
 }
 
@@ -260,167 +550,103 @@ function showSignalPlot(signalName) {
 
 
 /**
- * Core simulation function. Gathers parameters, runs the simulation,
- * and triggers plotting and metric calculations.
+ * Core simulation function. Gathers parameters from the UI, sends them to the
+ * simulation worker, and triggers plotting and metric calculations when it finishes.
+ * @returns {Promise<boolean>} Resolves to true when this run's results were displayed.
  */
 function runSimulation() {
+    const loadingIndicator = document.getElementById('simulationLoading');
+    const progressText = document.getElementById('simulationProgress');
+    const runId = ++simulationRunId;
+
     // Get parameters from UI
-    const numStr = document.getElementById('numerator').value;
-    const denStr = document.getElementById('denominator').value;
     const kp = parseFloat(document.getElementById('kp').value);
     const ki = parseFloat(document.getElementById('ki').value);
     const kd = parseFloat(document.getElementById('kd').value);
     const simTime = parseFloat(document.getElementById('simTime').value);
     const dt = parseFloat(document.getElementById('dt').value);
-    const controlType = document.getElementById('controlType').value;
-    const amplitude = parseFloat(document.getElementById('amplitude').value);
-    const frequency = parseFloat(document.getElementById('frequency').value);
-
-    // Parse transfer function coefficients
-    const numerator = numStr.split(',').map(s => parseFloat(s.trim())).filter(n => !isNaN(n));
-    const denominator = denStr.split(',').map(s => parseFloat(s.trim())).filter(n => !isNaN(n));
+    const solver = {
+        method: document.getElementById('solver').value,
+        rtol: parseFloat(document.getElementById('rtol').value),
+        atol: parseFloat(document.getElementById('atol').value)
+    };
 
-    if (denominator.length === 0 || numerator.length === 0) {
-        console.error("Invalid transfer function coefficients.");
-        return;
+    // Parse the transfer function; the error is shown under the plant fields
+    const plant = readPlantTransferFunction();
+    if (!plant) {
+        simulationRunner.cancel();
+        loadingIndicator.style.display = 'none';
+        return Promise.resolve(false);
     }
 
-    // Convert TF to State-Space representation
-    const { A, B, C, D } = tfToStateSpace(numerator, denominator);
-
-    // Initialize simulation variables
-    const steps = Math.floor(simTime / dt);
-    const time = Array.from({ length: steps }, (_, i) => i * dt);
-    let x = new Array(A.length).fill(0); // State vector
-    let integral = 0;
-    let prevError = 0;
-
-    // Arrays to store results
-    const reference = new Array(steps).fill(0);
-    const output = new Array(steps).fill(0);
-    const error = new Array(steps).fill(0);
-    const control = new Array(steps).fill(0);
-
-    // Main simulation loop
-    for (let i = 0; i < steps; i++) {
-        const t = time[i];
-        
-        // Generate reference signal
-        reference[i] = generateReference(t, controlType, amplitude, frequency);
-
-        // Calculate current system output
-        const y = C.reduce((sum, val, j) => sum + val * x[j], 0) + D * (control[i-1] || 0);
-        output[i] = y;
-
-        // Calculate error
-        const currentError = reference[i] - y;
-        error[i] = currentError;
-
-        // PID controller logic
-        integral += currentError * dt;
-        const derivative = (i > 0) ? (currentError - prevError) / dt : 0;
-        const u = kp * currentError + ki * integral + kd * derivative;
-        control[i] = u;
-        
-        prevError = currentError;
-
-        // Update state vector using Runge-Kutta 4th order method
-        x = rungeKutta(A, B, x, u, dt);
+    // The piecewise sequence error is shown under its table
+    const reference = readReference();
+    if (!reference) {
+        simulationRunner.cancel();
+        loadingIndicator.style.display = 'none';
+        return Promise.resolve(false);
     }
 
-    // Store all data for other functions to use
-    simulationData = { time, reference, output, error, control };
-
-    // Update UI
-    plotResults(simulationData);
-    displayMetrics(simulationData);
-}
-
-/**
- * Generates the reference signal for a given time `t`.
- * @param {number} t - Current time.
- * @param {string} type - Signal type ('step', 'ramp', 'sine', 'square').
- * @param {number} amp - Amplitude.
- * @param {number} freq - Frequency (for sine/square).
- * @returns {number} The value of the reference signal at time t.
- */
-function generateReference(t, type, amp, freq) {
-    switch (type) {
-        case 'step': return amp;
-        case 'ramp': return amp * Math.min(1, t);
-        case 'sine': return amp * Math.sin(2 * Math.PI * freq * t);
-        case 'square': return amp * Math.sign(Math.sin(2 * Math.PI * freq * t));
-        default: return amp;
+    // The error is shown under the prefilter fields
+    const prefilter = readPrefilter();
+    if (prefilter === undefined) {
+        simulationRunner.cancel();
+        loadingIndicator.style.display = 'none';
+        return Promise.resolve(false);
     }
-}
-
-/**
- * Converts a Transfer Function to a State-Space representation (Controllable Canonical Form).
- * @param {number[]} num - Numerator coefficients.
- * @param {number[]} den - Denominator coefficients.
- * @returns {object} State-space matrices {A, B, C, D}.
- */
-function tfToStateSpace(num, den) {
-    const den_norm = den[0];
-    den = den.map(d => d / den_norm);
-    num = num.map(n => n / den_norm);
-    
-    den.shift(); // Remove the highest order coefficient (which is now 1)
-    const n = den.length;
-
-    // Pad numerator to match denominator order
-    let num_padded = [...Array(n - num.length + 1).fill(0), ...num];
-
-    const A = Array(n).fill(0).map(() => Array(n).fill(0));
-    for(let i = 0; i < n-1; i++) A[i][i+1] = 1;
-    for(let i = 0; i < n; i++) A[n-1][i] = -den[n-1-i];
-
-    const B = Array(n).fill(0);
-    B[n-1] = 1;
-
-    const C = Array(n).fill(0);
-    const d_c = num_padded[0];
-    for(let i = 0; i < n; i++) C[i] = num_padded[i+1] - d_c * (A[n-1][i] / -den[n-1-i] * den[i]);
-    
-    const D = d_c;
+    const weight = (id) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isFinite(value) ? value : 1;
+    };
 
-    // A simple approximation for C if the above fails
-    for(let i=0; i<n; i++) {
-        C[i] = num_padded[num_padded.length - 1 - i] - num_padded[0] * den[n-1-i];
-    }
+    progressText.textContent = 'Running simulation...';
+    loadingIndicator.style.display = 'flex';
+
+    const config = {
+        plant,
+        controller: { kp, ki, kd, setpointWeight: weight('setpointWeight'), derivativeWeight: weight('derivativeWeight') },
+        reference,
+        prefilter,
+        simTime,
+        dt,
+        solver
+    };
 
+    const onProgress = (fraction) => {
+        progressText.textContent = `Running simulation... ${Math.round(fraction * 100)}%`;
+    };
 
-    return { A, B, C, D };
+    return simulationRunner.run(config, onProgress)
+        .then(result => {
+            // Store all data for other functions to use
+            simulationData = result;
+            simulationConfig = config;
+
+            // Update UI
+            showSimulationError(null);
+            plotResults(simulationData);
+            displayMetrics(simulationData, config);
+            return true;
+        })
+        .catch(err => {
+            if (!err.cancelled) showSimulationError(err.message);
+            return false;
+        })
+        .finally(() => {
+            if (runId === simulationRunId) loadingIndicator.style.display = 'none';
+        });
 }
 
 /**
- * 4th Order Runge-Kutta method for integrating state-space systems.
- * @param {number[][]} A - State matrix.
- * @param {number[]} B - Input matrix.
- * @param {number[]} x - Current state vector.
- * @param {number} u - Current input signal.
- * @param {number} dt - Time step.
- * @returns {number[]} The new state vector.
+ * Shows below the chart why the engine rejected a simulation and dims the chart, which still
+ * holds the last valid run; without a message, clears both.
+ * @param {string|null} message - Engine error, or null after a successful run.
  */
-function rungeKutta(A, B, x, u, dt) {
-    const n = x.length;
-    const f = (x_vec) => {
-        const res = new Array(n).fill(0);
-        for (let i = 0; i < n; i++) {
-            for (let j = 0; j < n; j++) {
-                res[i] += A[i][j] * x_vec[j];
-            }
-            res[i] += B[i] * u;
-        }
-        return res;
-    };
-
-    const k1 = f(x).map(v => v * dt);
-    const k2 = f(x.map((v, i) => v + 0.5 * k1[i])).map(v => v * dt);
-    const k3 = f(x.map((v, i) => v + 0.5 * k2[i])).map(v => v * dt);
-    const k4 = f(x.map((v, i) => v + k3[i])).map(v => v * dt);
-
-    return x.map((v, i) => v + (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]) / 6);
+function showSimulationError(message) {
+    const errorText = document.getElementById('simulationError');
+    errorText.textContent = message ? `Simulation failed: ${message} The chart shows the last valid run.` : '';
+    errorText.style.display = message ? 'block' : 'none';
+    document.getElementById('responseChart').classList.toggle('opacity-40', Boolean(message));
 }
 
 /**
@@ -428,7 +654,7 @@ function rungeKutta(A, B, x, u, dt) {
  * @param {object} data - The simulation data object.
  */
 function plotResults(data) {
-    const { time, reference, output, control } = data;
+    const { time, reference, output, control, filteredReference } = data;
     const ctx = document.getElementById('responseChart').getContext('2d');
 
     if (responseChart) {
@@ -467,7 +693,17 @@ function plotResults(data) {
                     pointRadius: 0,
                     hidden: true, // Initially hidden
                     yAxisID: 'y1'
-                }
+                },
+                // The reference after the prefilter, only with a prefilter
+                ...(filteredReference ? [{
+                    label: 'Filtered Reference F(s)',
+                    data: filteredReference,
+                    borderColor: 'rgba(255, 255, 255, 0.5)',
+                    borderDash: [2, 3],
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                    yAxisID: 'y'
+                }] : [])
             ]
         },
         options: {
@@ -489,38 +725,119 @@ function plotResults(data) {
 }
 
 /**
- * Calculates and displays key performance metrics from the simulation data.
+ * Builds a file name stamped with the current date and time, e.g. "pid_simulation_2024-05-01_10-30-00.csv".
+ * @param {string} name - File name prefix.
+ * @param {string} extension - Extension without the dot.
+ * @returns {string} The file name.
+ */
+function exportFilename(name, extension) {
+    const stamp = new Date().toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-');
+    return `${name}_${stamp}.${extension}`;
+}
+
+/**
+ * Downloads the simulated signals as CSV or JSON, with the plant, gains and simulation
+ * settings as metadata.
+ * @param {string} format - 'csv' or 'json'.
+ */
+function exportResults(format) {
+    const { time, reference, output, error, control, filteredReference } = simulationData;
+    if (!output || output.length === 0) {
+        alert("Run a simulation first.");
+        return;
+    }
+    const signals = { time, reference, output, error, control };
+    if (filteredReference) signals.filteredReference = filteredReference;
+    const metadata = PIDEngine.exportMetadata(simulationConfig, { title: document.title });
+
+    if (format === 'json') {
+        PIDEngine.downloadFile(exportFilename('pid_simulation', 'json'), PIDEngine.resultsToJson(signals, metadata), 'application/json');
+    } else {
+        PIDEngine.downloadFile(exportFilename('pid_simulation', 'csv'), PIDEngine.resultsToCsv(signals, metadata), 'text/csv');
+    }
+}
+
+/**
+ * Downloads the response chart as PNG or SVG, over the card background.
+ * @param {string} format - 'png' or 'svg'.
+ */
+function exportChart(format) {
+    if (!responseChart) return;
+    const background = PIDEngine.resolveCssVariables('var(--card-bg)', responseChart.canvas);
+    if (format === 'svg') {
+        PIDEngine.downloadFile(exportFilename('pid_response', 'svg'), PIDEngine.chartToSvg(responseChart, { background }), 'image/svg+xml');
+    } else {
+        PIDEngine.downloadFile(exportFilename('pid_response', 'png'), PIDEngine.canvasToPng(responseChart.canvas, background));
+    }
+}
+
+/**
+ * Downloads the block diagram as SVG or PNG. The gains and the plant, which are HTML
+ * on the page, are redrawn as SVG text.
+ * @param {string} format - 'svg' or 'png'.
+ */
+function exportDiagram(format) {
+    const svg = document.querySelector('#pidDiagram svg');
+    if (!svg) return;
+    const svgText = PIDEngine.diagramToSvg(svg);
+    if (format === 'svg') {
+        PIDEngine.downloadFile(exportFilename('pid_diagram', 'svg'), svgText, 'image/svg+xml');
+        return;
+    }
+    PIDEngine.svgToPng(svgText)
+        .then(url => PIDEngine.downloadFile(exportFilename('pid_diagram', 'png'), url))
+        .catch(err => alert(`Could not export the diagram: ${err.message}`));
+}
+
+/**
+ * Calculates and displays key performance metrics from the simulation data, and the
+ * stability margins of the loop. Time metrics are hidden when the closed loop is unstable.
  * @param {object} data - The simulation data object.
+ * @param {object} config - The simulated configuration (plant and controller).
  */
-function displayMetrics(data) {
-    const { time, reference, output } = data;
+function displayMetrics(data, config) {
+    if (!displayStabilityMetrics(config)) {
+        ['overshoot', 'riseTime', 'settlingTime', 'steadyStateError'].forEach(id => {
+            document.getElementById(id).textContent = '-';
+        });
+        return;
+    }
+
+    // The response is measured from the reference start time t0, relative to its initial value
+    const stepTime = config.reference.startTime || 0;
+    const from = Math.max(0, data.time.findIndex(t => t >= stepTime));
+    const [time, reference, output] = [data.time, data.reference, data.output].map(signal => signal.slice(from));
+    const initialValue = config.reference.initialValue || 0;
     const finalRef = reference[reference.length - 1];
+    const change = finalRef - initialValue;
+    const direction = change < 0 ? -1 : 1;
     const steadyStateValue = output[output.length - 1];
     const steadyStateError = finalRef - steadyStateValue;
 
     // Overshoot
     let overshoot = 0;
-    if (document.getElementById('controlType').value === 'step') {
-        const maxValue = Math.max(...output);
-        overshoot = finalRef > 0 ? ((maxValue - finalRef) / finalRef) * 100 : 0;
+    if (config.reference.type === 'step' && change !== 0) {
+        const peakValue = direction > 0 ? Math.max(...output) : Math.min(...output);
+        overshoot = Math.max(0, direction * (peakValue - finalRef) / Math.abs(change) * 100);
     }
 
-    // Rise Time (10% to 90%)
+    // Rise Time (10% to 90% of the change)
+    const progress = (value) => direction * (value - initialValue);
     let t10 = -1, t90 = -1;
     for (let i = 0; i < output.length; i++) {
-        if (t10 < 0 && output[i] >= 0.1 * finalRef) t10 = time[i];
-        if (t90 < 0 && output[i] >= 0.9 * finalRef) {
+        if (t10 < 0 && progress(output[i]) >= 0.1 * Math.abs(change)) t10 = time[i];
+        if (t90 < 0 && progress(output[i]) >= 0.9 * Math.abs(change)) {
             t90 = time[i];
             break;
         }
     }
     const riseTime = (t10 >= 0 && t90 >= 0) ? t90 - t10 : 0;
 
-    // Settling Time (within 2% of final value)
+    // Settling Time (within 2% of the change around the final value), measured from t0
     let settlingTime = 0;
     for (let i = output.length - 1; i >= 0; i--) {
-        if (Math.abs(output[i] - steadyStateValue) > 0.02 * Math.abs(finalRef)) {
-            settlingTime = time[i];
+        if (Math.abs(output[i] - steadyStateValue) > 0.02 * Math.abs(change)) {
+            settlingTime = time[i] - stepTime;
             break;
         }
     }
@@ -532,14 +849,49 @@ function displayMetrics(data) {
     document.getElementById('settlingTime').textContent = `${settlingTime.toFixed(3)}s`;
 }
 
+/**
+ * Displays the stability margins and the unstable closed-loop warning.
+ * Dead time is approximated with a third-order Padé model for the pole check.
+ * @param {object} config - The simulated configuration (plant and controller).
+ * @returns {boolean} True when the closed loop is stable.
+ */
+function displayStabilityMetrics(config) {
+    const loop = PIDEngine.closedLoopPoles(config.plant, config.controller);
+    const margins = PIDEngine.stabilityMargins(config.plant, config.controller);
+    const frequencyText = (w) => (w === null ? '-' : `ω = ${w.toFixed(3)} rad/s`);
+
+    document.getElementById('gainMargin').textContent = isFinite(margins.gainMarginDb) ? `${margins.gainMarginDb.toFixed(2)} dB` : '∞';
+    document.getElementById('phaseCrossover').textContent = frequencyText(margins.phaseCrossover);
+    document.getElementById('phaseMargin').textContent = isFinite(margins.phaseMargin) ? `${margins.phaseMargin.toFixed(1)}°` : '∞';
+    document.getElementById('gainCrossover').textContent = frequencyText(margins.gainCrossover);
+    document.getElementById('delayMargin').textContent = isFinite(margins.delayMargin) ? `${margins.delayMargin.toFixed(3)}s` : '∞';
+    document.getElementById('maxSensitivity').textContent = `${margins.ms.toFixed(2)} (${(20 * Math.log10(margins.ms)).toFixed(1)} dB)`;
+    document.getElementById('bandwidth').textContent = margins.bandwidth === null ? '-' : `${margins.bandwidth.toFixed(3)} rad/s`;
+
+    const warning = document.getElementById('stabilityWarning');
+    if (loop.stable) {
+        warning.style.display = 'none';
+        return true;
+    }
+    // Ms and bandwidth only describe a stable closed loop
+    ['maxSensitivity', 'bandwidth'].forEach(id => {
+        document.getElementById(id).textContent = '-';
+    });
+    const maxReal = Math.max(...loop.poles.map(p => p.re));
+    document.getElementById('stabilityWarningText').textContent = maxReal > 1e-9
+        ? `Unstable closed loop: poles with positive real part (max Re = ${maxReal.toFixed(3)}). Time-domain metrics are meaningless for a diverging response.`
+        : 'Marginally stable closed loop: poles on the imaginary axis, the response does not converge.';
+    warning.style.display = 'block';
+    return false;
+}
+
 /**
  * Updates the plant block in the diagram to display a nicely formatted transfer function.
  */
 function updatePlantDisplay() {
-    const numStr = document.getElementById('numerator').value;
-    const denStr = document.getElementById('denominator').value;
-    const num = numStr.split(',').map(s => parseFloat(s.trim()));
-    const den = denStr.split(',').map(s => parseFloat(s.trim()));
+    const plant = readPlantTransferFunction();
+    const num = plant ? plant.numerator : null;
+    const den = plant ? plant.denominator : null;
 
     const formatPoly = (poly) => {
         if (!poly || poly.some(isNaN)) return 'Invalid';
@@ -553,11 +905,20 @@ function updatePlantDisplay() {
         }).join('').replace(/^\s\+\s/, '').trim();
     };
 
+    // Dead time is shown as an e^{-θs} factor next to the fraction
+    const delay = plant ? plant.delay : 0;
+    const delayTerm = delay > 0 ? `<div class="text-xs ml-1">e<sup>-${parseFloat(delay.toFixed(3))}s</sup></div>` : '';
+
     const plantDisplay = document.getElementById('plant-display');
     plantDisplay.innerHTML = `
-        <div class="text-xs leading-tight">${formatPoly(num) || '0'}</div>
-        <hr class="w-2/3 my-1 border-white">
-        <div class="text-xs leading-tight">${formatPoly(den) || '1'}</div>
+        <div class="flex items-center justify-center w-full">
+            <div class="flex flex-col items-center w-2/3">
+                <div class="text-xs leading-tight">${formatPoly(num) || '0'}</div>
+                <hr class="w-full my-1 border-white">
+                <div class="text-xs leading-tight">${formatPoly(den) || '1'}</div>
+            </div>
+            ${delayTerm}
+        </div>
     `;
 }
 
@@ -590,6 +951,7 @@ function startZieglerNicholsTuning() {
     document.getElementById('kpValue').textContent = 0;
     document.getElementById('znKpSlider').value = 0;
     document.getElementById('znKpValue').textContent = 0;
+    syncIsaTimes();
     
     runSimulation();
 }
@@ -605,10 +967,12 @@ function handleZnKpChange() {
     document.getElementById('kpSlider').value = znKp;
     document.getElementById('kp').value = znKp;
     document.getElementById('kpValue').textContent = znKp;
-    runSimulation();
-    
-    // Analyze for oscillations
-    findTu(simulationData.output, simulationData.time);
+    syncIsaTimes();
+
+    // Analyze for oscillations once this run has finished
+    runSimulation().then(done => {
+        if (done) findTu(simulationData.output, simulationData.time);
+    });
 }
 
 /**